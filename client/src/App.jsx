@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import CrawlDashboard from './components/CrawlDashboard';
 import NewCrawlForm from './components/NewCrawlForm';
+import CrawlSchedules from './components/CrawlSchedules';
 import { Header } from './components/Header';
 
 const API_BASE = '/api';
@@ -62,14 +63,24 @@ function App() {
     }
   };
 
-  const handleNewCrawl = async (websites, maxDepth, maxPages, useSitemap = false, checkRedirectDuplicates = false) => {
+  const handleNewCrawl = async (websites, maxDepth, maxPages, useSitemap = false, checkRedirectDuplicates = false, urlRules = null, auth = null, engine = 'browser', collectPerformance = false, auditAccessibility = false, maxRequestsPerSecond = null, concurrency = null, queryParams = null, extractors = null, list = null) => {
     try {
       const response = await axios.post(`${API_BASE}/crawl`, {
         websites,
+        ...(list && { mode: 'list', urls: list.urls, urlFile: list.urlFile }),
         maxDepth,
         maxPages,
         useSitemap,
         checkRedirectDuplicates,
+        urlRules,
+        queryParams,
+        extractors,
+        auth,
+        engine,
+        collectPerformance,
+        auditAccessibility,
+        maxRequestsPerSecond,
+        concurrency,
       });
       
       // Refresh jobs list
@@ -93,6 +104,16 @@ function App() {
     }
   };
 
+  const handleControlJob = async (jobId, action) => {
+    try {
+      await axios.post(`${API_BASE}/crawl/${jobId}/${action}`);
+      await fetchJobs();
+    } catch (error) {
+      console.error(`Error trying to ${action} job:`, error);
+      alert(error.response?.data?.error || `Failed to ${action} crawl`);
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-background flex items-center justify-center">
@@ -108,7 +129,8 @@ function App() {
       <main className="container px-4 md:px-6 py-8">
         <div className="max-w-4xl mx-auto space-y-6">
           <NewCrawlForm onSubmit={handleNewCrawl} />
-          <CrawlDashboard jobs={jobs} onRefresh={fetchJobs} onDelete={handleDeleteJob} />
+          <CrawlDashboard jobs={jobs} onRefresh={fetchJobs} onDelete={handleDeleteJob} onControl={handleControlJob} />
+          <CrawlSchedules onRefresh={fetchJobs} />
         </div>
       </main>
     </div>
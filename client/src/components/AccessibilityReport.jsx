@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+
+const IMPACT_VARIANTS = {
+  critical: 'destructive',
+  serious: 'destructive',
+  moderate: 'secondary',
+  minor: 'outline',
+};
+
+const RULE_NAMES = {
+  image_alt: 'Images without alt text',
+  form_label: 'Form inputs without labels',
+  heading_order: 'Skipped heading levels',
+  multiple_h1: 'Multiple h1 headings',
+  html_lang: 'Missing lang attribute',
+  empty_link: 'Links without text',
+  empty_button: 'Buttons without text',
+  color_contrast: 'Low color contrast',
+};
+
+const toPath = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search;
+  } catch {
+    return url;
+  }
+};
+
+function AccessibilityReport({ jobId }) {
+  const [report, setReport] = useState(null);
+  const [ruleFilter, setRuleFilter] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [jobId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/accessibility`);
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching accessibility report:', err);
+      setError(err.response?.data?.error || 'Failed to load accessibility report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading accessibility report...</div>;
+  }
+
+  if (error || report.summary.pages_audited === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">
+          {error || 'No accessibility audit for this crawl. Enable "Accessibility audit" when starting a crawl.'}
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, rules } = report;
+  const pages = ruleFilter
+    ? report.pages.filter((page) => page.violations.some((violation) => violation.rule === ruleFilter))
+    : report.pages;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div className="grid grid-cols-3 gap-4 flex-1">
+          {[
+            ['Pages audited', summary.pages_audited],
+            ['Pages with violations', summary.pages_with_violations],
+            ['Violations', summary.violations],
+          ].map(([label, value]) => (
+            <Card key={label}>
+              <CardContent className="p-4">
+                <div className="text-sm text-muted-foreground">{label}</div>
+                <div className="text-2xl font-semibold">{value}</div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" asChild>
+            <a href={`/api/crawl/${jobId}/accessibility/download/json`} download>
+              Download JSON
+            </a>
+          </Button>
+          <Button variant="outline" size="sm" asChild>
+            <a href={`/api/crawl/${jobId}/accessibility/download/excel`} download>
+              Download Excel
+            </a>
+          </Button>
+        </div>
+      </div>
+
+      {rules.length === 0 ? (
+        <p className="text-center py-6 text-muted-foreground">No accessibility violations were found.</p>
+      ) : (
+        <div className="space-y-2">
+          <h3 className="font-semibold">By rule</h3>
+          {rules.map((rule) => (
+            <button
+              key={rule.id}
+              className={`w-full flex items-center justify-between gap-4 px-3 py-2 rounded-md border text-left text-sm transition-colors ${
+                ruleFilter === rule.id ? 'border-primary bg-muted/60' : 'border-border hover:bg-muted/40'
+              }`}
+              onClick={() => setRuleFilter(ruleFilter === rule.id ? null : rule.id)}
+            >
+              <div>
+                <div className="font-medium">{rule.name}</div>
+                <div className="text-xs text-muted-foreground">WCAG {rule.wcag}</div>
+              </div>
+              <div className="flex items-center gap-2 whitespace-nowrap">
+                <Badge variant={IMPACT_VARIANTS[rule.impact] || 'outline'}>{rule.impact}</Badge>
+                <span className="text-xs text-muted-foreground">
+                  {rule.occurrences} on {rule.pages} page{rule.pages === 1 ? '' : 's'}
+                </span>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {pages.length > 0 && (
+        <div className="space-y-3">
+          <h3 className="font-semibold">
+            Pages{ruleFilter && ` with ${RULE_NAMES[ruleFilter] || ruleFilter}`}
+          </h3>
+          {pages.map((page) => (
+            <div key={page.url} className="border border-border rounded-md">
+              <div className="flex items-center justify-between gap-4 px-3 py-2 bg-muted/40">
+                <span className="font-mono text-xs break-all">{toPath(page.url)}</span>
+                <span className="text-xs text-muted-foreground whitespace-nowrap">
+                  {page.violation_count} violation{page.violation_count === 1 ? '' : 's'}
+                </span>
+              </div>
+              <div className="divide-y divide-border">
+                {page.violations
+                  .filter((violation) => !ruleFilter || violation.rule === ruleFilter)
+                  .map((violation) => (
+                    <div key={violation.rule} className="px-3 py-2 text-xs space-y-1">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{RULE_NAMES[violation.rule] || violation.rule}</span>
+                        <span className="text-muted-foreground">×{violation.count}</span>
+                      </div>
+                      {violation.samples.map((sample, index) => (
+                        <div key={index} className="font-mono text-muted-foreground break-all">{sample}</div>
+                      ))}
+                    </div>
+                  ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccessibilityReport;
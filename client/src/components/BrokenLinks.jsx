@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Badge } from './ui/badge';
+
+const toPath = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search + (urlObj.hash.startsWith('#/') ? urlObj.hash : '');
+  } catch {
+    return url;
+  }
+};
+
+function BrokenLinks({ jobId }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [jobId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/broken-links`);
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching broken links:', err);
+      setError(err.response?.data?.error || 'Failed to load broken links');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading broken links...</div>;
+  }
+
+  if (error || report.summary.broken_urls === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">{error || 'No broken links were found during the crawl.'}</p>
+      </div>
+    );
+  }
+
+  const { summary, broken } = report;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4">
+        {[
+          ['Broken URLs', summary.broken_urls],
+          ['Links to broken URLs', summary.broken_links],
+          ['Pages with broken links', summary.pages_with_broken_links],
+        ].map(([label, value]) => (
+          <Card key={label}>
+            <CardContent className="p-4">
+              <div className="text-sm text-muted-foreground">{label}</div>
+              <div className="text-2xl font-semibold">{value}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        {broken.map((item) => (
+          <div key={item.url} className="border border-border rounded-md">
+            <div className="flex items-center justify-between gap-4 px-3 py-2 bg-muted/40">
+              <span className="font-mono text-xs break-all">{item.url}</span>
+              <div className="flex items-center gap-2 whitespace-nowrap">
+                <Badge variant="destructive">{item.error_type}</Badge>
+                <span className="text-xs text-muted-foreground">
+                  {item.link_count} link{item.link_count === 1 ? '' : 's'}
+                </span>
+              </div>
+            </div>
+            <div className="divide-y divide-border max-h-48 overflow-y-auto">
+              {item.sources.map((source, index) => (
+                <div key={index} className="flex items-center justify-between gap-4 px-3 py-1.5 text-xs">
+                  <span className="font-mono break-all">{toPath(source.source_url)}</span>
+                  <div className="flex items-center gap-2 whitespace-nowrap">
+                    <span className="text-muted-foreground truncate max-w-xs" title={source.href}>
+                      {source.anchor_text ? `"${source.anchor_text}"` : source.href}
+                    </span>
+                    {source.position && <Badge variant="outline">{source.position}</Badge>}
+                    {source.rel && <Badge variant="secondary">{source.rel}</Badge>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BrokenLinks;
@@ -5,7 +5,37 @@ import { Button } from './ui/button';
 import { Card, CardContent } from './ui/card';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
 
-function CrawlDashboard({ jobs, onRefresh, onDelete }) {
+/**
+ * Health score (0-100) with the change since the previous crawl of the same website
+ */
+function HealthScore({ score, change }) {
+  if (score === null || score === undefined) {
+    return <span className="text-muted-foreground">—</span>;
+  }
+
+  const scoreColor =
+    score >= 80
+      ? 'text-green-600 dark:text-green-400'
+      : score >= 50
+      ? 'text-amber-600 dark:text-amber-400'
+      : 'text-red-600 dark:text-red-400';
+
+  return (
+    <span className="inline-flex items-center gap-1.5" title="Site health score (0-100)">
+      <span className={`font-semibold ${scoreColor}`}>{score}</span>
+      {change !== null && change !== undefined && change !== 0 && (
+        <span
+          className={`text-xs ${change > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}
+          title="Change since the previous crawl"
+        >
+          {change > 0 ? '▲' : '▼'} {Math.abs(change)}
+        </span>
+      )}
+    </span>
+  );
+}
+
+function CrawlDashboard({ jobs, onRefresh, onDelete, onControl }) {
   const [selectedJob, setSelectedJob] = useState(null);
   const [deletingJobId, setDeletingJobId] = useState(null);
 
@@ -38,6 +68,18 @@ function CrawlDashboard({ jobs, onRefresh, onDelete }) {
     AI_ANALYSIS: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-400',
     COMPLETED: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
     FAILED: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+    PAUSED: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-400',
+    CANCELLED: 'bg-gray-100 text-gray-800 dark:bg-gray-900/30 dark:text-gray-400',
+  };
+
+  const handleControl = async (e, job, action) => {
+    e.stopPropagation(); // Prevent row click
+
+    if (action === 'cancel' && !window.confirm('Stop this crawl? Pages crawled so far are kept and a sitemap is built from them.')) {
+      return;
+    }
+
+    await onControl(job.id, action);
   };
 
   const formatStatus = (status) => {
@@ -123,6 +165,7 @@ function CrawlDashboard({ jobs, onRefresh, onDelete }) {
               <TableRow>
                 <TableHead>URL</TableHead>
                 <TableHead>Status</TableHead>
+                <TableHead className="text-right">Health</TableHead>
                 <TableHead className="text-right">Pages</TableHead>
                 <TableHead className="text-right">Action</TableHead>
               </TableRow>
@@ -151,6 +194,11 @@ function CrawlDashboard({ jobs, onRefresh, onDelete }) {
                       <span className="truncate" title={job.website}>
                         {job.website}
                       </span>
+                      {job.scheduleId && (
+                        <Badge variant="outline" className="shrink-0" title="Started by a crawl schedule">
+                          scheduled
+                        </Badge>
+                      )}
                     </div>
                   </TableCell>
                   <TableCell>
@@ -205,6 +253,9 @@ function CrawlDashboard({ jobs, onRefresh, onDelete }) {
                       )}
                     </div>
                   </TableCell>
+                  <TableCell className="text-right">
+                    <HealthScore score={job.healthScore} change={job.healthScoreChange} />
+                  </TableCell>
                   <TableCell className="text-right">
                     {job.status === 'COMPLETED' || job.pagesCrawled > 0 ? (
                       <span className="flex items-center justify-end gap-1">
@@ -229,6 +280,21 @@ function CrawlDashboard({ jobs, onRefresh, onDelete }) {
                   </TableCell>
                   <TableCell className="text-right">
                     <div className="flex items-center justify-end gap-2">
+                      {['PENDING', 'CRAWLING'].includes(job.status) && (
+                        <Button variant="ghost" size="sm" onClick={(e) => handleControl(e, job, 'pause')}>
+                          Pause
+                        </Button>
+                      )}
+                      {job.status === 'PAUSED' && (
+                        <Button variant="ghost" size="sm" onClick={(e) => handleControl(e, job, 'resume')}>
+                          Resume
+                        </Button>
+                      )}
+                      {['PENDING', 'CRAWLING', 'PAUSED'].includes(job.status) && (
+                        <Button variant="ghost" size="sm" onClick={(e) => handleControl(e, job, 'cancel')}>
+                          Cancel
+                        </Button>
+                      )}
                       <Button
                         variant="ghost"
                         size="sm"
@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+
+// Same host matching as the server: ignore protocol, path and leading www
+const getDomainKey = (domain) => {
+  try {
+    const url = new URL(domain.startsWith('http') ? domain : `https://${domain}`);
+    return url.hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return (domain || '').toLowerCase();
+  }
+};
+
+function DiffSection({ title, items, renderItem }) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold mb-2">
+        {title} ({items.length})
+      </h4>
+      <div className="border border-border rounded-md divide-y divide-border max-h-64 overflow-y-auto">
+        {items.map((item, index) => (
+          <div key={index} className="px-3 py-2 text-sm flex items-center justify-between gap-4">
+            <span className="font-mono text-xs break-all">{item.path}</span>
+            <span className="text-muted-foreground text-xs whitespace-nowrap">{renderItem(item)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function CrawlDiff({ jobId }) {
+  const [candidates, setCandidates] = useState([]);
+  const [baseJobId, setBaseJobId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCandidates();
+  }, [jobId]);
+
+  useEffect(() => {
+    if (baseJobId) {
+      fetchDiff();
+    }
+  }, [baseJobId]);
+
+  const fetchCandidates = async () => {
+    try {
+      const response = await axios.get('/api/crawl');
+      const current = response.data.find((j) => j.id === jobId);
+      if (!current) {
+        return;
+      }
+      // Previous crawls of the same site, newest first
+      const others = response.data.filter(
+        (j) =>
+          j.id !== jobId &&
+          j.status === 'COMPLETED' &&
+          getDomainKey(j.domain) === getDomainKey(current.domain)
+      );
+      setCandidates(others);
+      const previous = others.find((j) => new Date(j.created_at) < new Date(current.created_at));
+      setBaseJobId((previous || others[0])?.id || '');
+    } catch (err) {
+      console.error('Error fetching crawls:', err);
+      setError('Failed to load previous crawls');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDiff = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/diff/${baseJobId}`);
+      setDiff(response.data);
+    } catch (err) {
+      console.error('Error fetching crawl diff:', err);
+      setError(err.response?.data?.error || 'Failed to compare crawls');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!loading && candidates.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">
+          {error || 'No other completed crawls of this domain to compare with.'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-2 text-sm">
+          <label className="text-muted-foreground">Compare with</label>
+          <select
+            className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+            value={baseJobId}
+            onChange={(e) => setBaseJobId(e.target.value)}
+          >
+            {candidates.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>
+                {new Date(candidate.created_at).toLocaleString()} ({candidate.pages_count} pages)
+              </option>
+            ))}
+          </select>
+        </div>
+        {baseJobId && (
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" asChild>
+              <a href={`/api/crawl/${jobId}/diff/${baseJobId}/download/json`} download>
+                Download JSON
+              </a>
+            </Button>
+            <Button variant="outline" size="sm" asChild>
+              <a href={`/api/crawl/${jobId}/diff/${baseJobId}/download/excel`} download>
+                Download Excel
+              </a>
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="animate-pulse text-muted-foreground">Comparing crawls...</div>
+      ) : error ? (
+        <p className="text-sm text-muted-foreground">{error}</p>
+      ) : diff && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              ['Added', diff.summary.added],
+              ['Removed', diff.summary.removed],
+              ['Status changes', diff.summary.status_changed],
+              ['Title changes', diff.summary.title_changed],
+              ['Depth changes', diff.summary.depth_changed],
+            ].map(([label, value]) => (
+              <Card key={label}>
+                <CardContent className="p-4">
+                  <div className="text-sm text-muted-foreground">{label}</div>
+                  <div className="text-2xl font-semibold">{value}</div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+          <p className="text-sm text-muted-foreground">
+            {diff.summary.pages_before} → {diff.summary.pages_after} pages, max depth {diff.summary.max_depth_before} → {diff.summary.max_depth_after}
+          </p>
+
+          <DiffSection title="Pages added" items={diff.added} renderItem={(p) => p.status_code ?? ''} />
+          <DiffSection title="Pages removed" items={diff.removed} renderItem={(p) => p.status_code ?? ''} />
+          <DiffSection
+            title="Status code changes"
+            items={diff.status_changes}
+            renderItem={(c) => `${c.from ?? '—'} → ${c.to ?? '—'}`}
+          />
+          <DiffSection
+            title="Title changes"
+            items={diff.title_changes}
+            renderItem={(c) => `${c.from || '—'} → ${c.to || '—'}`}
+          />
+          <DiffSection
+            title="Depth changes"
+            items={diff.depth_changes}
+            renderItem={(c) => `${c.from} → ${c.to}`}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CrawlDiff;
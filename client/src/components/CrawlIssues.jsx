@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { cn } from '../lib/utils';
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+const SEVERITY_VARIANTS = {
+  critical: 'destructive',
+  warning: 'secondary',
+  info: 'outline',
+};
+
+const CATEGORY_LABELS = {
+  depth: 'Depth',
+  duplication: 'Duplication',
+  crawl_waste: 'Crawl waste',
+  hierarchy: 'Hierarchy',
+  seo: 'SEO',
+  redirects: 'Redirects',
+  hreflang: 'Hreflang',
+  sitemap: 'XML sitemap',
+  custom: 'Custom rules',
+};
+
+const formatType = (type) => type.replace(/_/g, ' ').replace(/^\w/, (c) => c.toUpperCase());
+
+/**
+ * Short description of an issue's details (word count, duplicate of, redirect target, ...)
+ */
+const formatDetails = (details) => {
+  if (!details) return null;
+  if (details.word_count !== undefined) return `${details.word_count} words`;
+  if (details.duplicate_of) return `Same title as ${details.duplicate_of}`;
+  if (details.root_sections_count !== undefined) return `${details.root_sections_count} root sections`;
+  if (details.final_url) return `→ ${details.final_url}${details.hops ? ` (${details.hops} hops)` : ''}`;
+  if (details.duplicates) return `${details.cluster_size} pages${details.similarity < 1 ? ` (${Math.round(details.similarity * 100)}% similar)` : ''}: ${details.duplicates.slice(0, 5).join(', ')}${details.duplicates.length > 5 ? ', …' : ''}`;
+  if (details.parameter) return `?${details.parameter} on ${details.urls} URLs (${details.values} values)`;
+  if (details.problem) return details.problem;
+  if (details.canonical) return `${details.hreflang} → ${details.href} (canonical: ${details.canonical})`;
+  if (details.hreflang) return `${details.hreflang} → ${details.href}${details.status_code ? ` (${details.status_code})` : ''}`;
+  if (details.languages) return `Languages: ${details.languages.join(', ')}`;
+  if (details.value !== undefined && details.value !== null) return String(details.value);
+  return null;
+};
+
+function CrawlIssues({ jobId, website }) {
+  const [summary, setSummary] = useState(null);
+  const [issues, setIssues] = useState([]);
+  const [category, setCategory] = useState(null);
+  const [severity, setSeverity] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchIssues();
+  }, [jobId, category, severity]);
+
+  const fetchIssues = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/issues`, {
+        params: { category: category || undefined, severity: severity || undefined },
+      });
+      setSummary(response.data.summary);
+      setIssues(response.data.issues);
+    } catch (err) {
+      console.error('Error fetching issues:', err);
+      setError(err.response?.data?.error || 'Failed to load issues');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toUrl = (path) => {
+    try {
+      return new URL(path, website.startsWith('http') ? website : `https://${website}`).href;
+    } catch {
+      return path;
+    }
+  };
+
+  if (!summary && loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading issues...</div>;
+  }
+
+  if (error || summary.total === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">{error || 'No structural issues were detected for this crawl.'}</p>
+      </div>
+    );
+  }
+
+  // Group the current issue list by type for the drill-down
+  const issuesByType = issues.reduce((groups, issue) => {
+    const key = `${issue.category}.${issue.type}`;
+    (groups[key] ||= { ...issue, items: [] }).items.push(issue);
+    return groups;
+  }, {});
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4">
+        {SEVERITIES.map((level) => (
+          <Card
+            key={level}
+            className={cn('cursor-pointer transition-colors', severity === level && 'border-primary')}
+            onClick={() => setSeverity(severity === level ? null : level)}
+          >
+            <CardContent className="p-4">
+              <div className="text-sm text-muted-foreground capitalize">{level}</div>
+              <div className="text-2xl font-semibold">{summary.by_severity[level]}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <Button size="sm" variant={category ? 'outline' : 'default'} onClick={() => setCategory(null)}>
+          All ({summary.total})
+        </Button>
+        {Object.entries(summary.by_category).map(([key, counts]) => (
+          <Button
+            key={key}
+            size="sm"
+            variant={category === key ? 'default' : 'outline'}
+            onClick={() => setCategory(category === key ? null : key)}
+          >
+            {CATEGORY_LABELS[key] || key} ({counts.total})
+          </Button>
+        ))}
+      </div>
+
+      {Object.keys(issuesByType).length === 0 ? (
+        <p className="text-sm text-muted-foreground">No issues match the selected filters.</p>
+      ) : (
+        <div className={cn('space-y-4', loading && 'opacity-50')}>
+          {Object.entries(issuesByType).map(([key, group]) => (
+            <div key={key}>
+              <div className="flex items-center gap-2 mb-2">
+                <Badge variant={SEVERITY_VARIANTS[group.severity]}>{group.severity}</Badge>
+                <h4 className="text-sm font-semibold">
+                  {CATEGORY_LABELS[group.category] || group.category}:{' '}
+                  {group.details?.rule || formatType(group.type)} ({group.items.length})
+                </h4>
+              </div>
+              <div className="border border-border rounded-md divide-y divide-border max-h-64 overflow-y-auto">
+                {group.items.map((issue) => (
+                  <div key={issue.id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                    {issue.path ? (
+                      <a
+                        href={issue.details?.url || toUrl(issue.path)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-mono text-xs break-all hover:underline"
+                      >
+                        {issue.path}
+                      </a>
+                    ) : (
+                      <span className="text-xs text-muted-foreground">Site-wide</span>
+                    )}
+                    {formatDetails(issue.details) && (
+                      <span className="text-xs text-muted-foreground text-right break-all">
+                        {formatDetails(issue.details)}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CrawlIssues;
@@ -0,0 +1,289 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const API_BASE = '/api';
+
+const emptyForm = {
+  domain: '',
+  cron: '0 3 * * 1',
+  timezone: '',
+  maxDepth: 3,
+  maxPages: 500,
+  useSitemap: false,
+  checkRedirectDuplicates: false,
+};
+
+function ScheduleHistory({ scheduleId }) {
+  const [runs, setRuns] = useState(null);
+
+  useEffect(() => {
+    axios
+      .get(`${API_BASE}/schedules/${scheduleId}/history`)
+      .then((response) => setRuns(response.data))
+      .catch((error) => {
+        console.error('Error fetching schedule history:', error);
+        setRuns([]);
+      });
+  }, [scheduleId]);
+
+  if (!runs) {
+    return <div className="animate-pulse text-muted-foreground text-sm">Loading runs...</div>;
+  }
+
+  if (runs.length === 0) {
+    return <p className="text-sm text-muted-foreground">No runs yet.</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      {runs.map((run) => (
+        <div key={run.id} className="flex items-center justify-between text-sm">
+          <span>{new Date(run.created_at).toLocaleString()}</span>
+          <span className="flex items-center gap-3 text-muted-foreground">
+            {run.pages_count} pages
+            <Badge variant="secondary">{run.status.toLowerCase().replace('_', ' ')}</Badge>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function CrawlSchedules({ onRefresh }) {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, []);
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await axios.get(`${API_BASE}/schedules`);
+      setSchedules(response.data);
+    } catch (err) {
+      console.error('Error fetching schedules:', err);
+    }
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!form.domain.trim()) {
+      setError('Please enter a website');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await axios.post(`${API_BASE}/schedules`, {
+        ...form,
+        domain: form.domain.trim(),
+        timezone: form.timezone.trim() || null,
+      });
+      setForm(emptyForm);
+      setShowForm(false);
+      await fetchSchedules();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await axios.put(`${API_BASE}/schedules/${schedule.id}`, { enabled: !schedule.enabled });
+      await fetchSchedules();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update schedule');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete the schedule for ${schedule.domain}? Past crawls are kept.`)) {
+      return;
+    }
+    try {
+      await axios.delete(`${API_BASE}/schedules/${schedule.id}`);
+      await fetchSchedules();
+      if (onRefresh) {
+        await onRefresh();
+      }
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to delete schedule');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <div>
+          <CardTitle>Scheduled Crawls</CardTitle>
+          <CardDescription>Re-crawl sites automatically on a cron schedule</CardDescription>
+        </div>
+        <Button variant="outline" onClick={() => setShowForm(!showForm)}>
+          {showForm ? 'Cancel' : 'New Schedule'}
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {showForm && (
+          <form onSubmit={handleCreate} className="space-y-3 p-4 rounded-md border border-border">
+            <Input
+              placeholder="https://example.com"
+              value={form.domain}
+              onChange={(e) => updateForm('domain', e.target.value)}
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="text-sm text-muted-foreground">Cron expression</label>
+                <Input
+                  className="font-mono"
+                  value={form.cron}
+                  onChange={(e) => updateForm('cron', e.target.value)}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-muted-foreground">Timezone (optional)</label>
+                <Input
+                  placeholder="Europe/Berlin"
+                  value={form.timezone}
+                  onChange={(e) => updateForm('timezone', e.target.value)}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-muted-foreground">Max depth</label>
+                <Input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={form.maxDepth}
+                  onChange={(e) => updateForm('maxDepth', parseInt(e.target.value) || 1)}
+                />
+              </div>
+              <div>
+                <label className="text-sm text-muted-foreground">Max pages</label>
+                <Input
+                  type="number"
+                  min="10"
+                  value={form.maxPages}
+                  onChange={(e) => updateForm('maxPages', parseInt(e.target.value) || 10)}
+                />
+              </div>
+            </div>
+            <div className="flex gap-6 text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={form.useSitemap}
+                  onChange={(e) => updateForm('useSitemap', e.target.checked)}
+                />
+                Use sitemap.xml
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={form.checkRedirectDuplicates}
+                  onChange={(e) => updateForm('checkRedirectDuplicates', e.target.checked)}
+                />
+                Check redirect duplicates
+              </label>
+            </div>
+            {error && (
+              <div className="p-3 rounded-md bg-destructive/10 text-destructive text-sm">{error}</div>
+            )}
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Create Schedule'}
+            </Button>
+          </form>
+        )}
+
+        {schedules.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-4">No scheduled crawls yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>URL</TableHead>
+                <TableHead>Schedule</TableHead>
+                <TableHead>Next run</TableHead>
+                <TableHead className="text-right">Runs</TableHead>
+                <TableHead className="text-right">Action</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {schedules.map((schedule) => (
+                <React.Fragment key={schedule.id}>
+                  <TableRow>
+                    <TableCell className="font-medium max-w-xs">
+                      <span className="truncate block" title={schedule.domain}>
+                        {schedule.domain}
+                      </span>
+                    </TableCell>
+                    <TableCell>
+                      <code className="text-xs">{schedule.cron}</code>
+                      {schedule.timezone && (
+                        <span className="text-xs text-muted-foreground ml-1">({schedule.timezone})</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {schedule.enabled && schedule.nextRunAt
+                        ? new Date(schedule.nextRunAt).toLocaleString()
+                        : <Badge variant="secondary">paused</Badge>}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <button
+                        className="underline text-sm"
+                        onClick={() => setExpandedId(expandedId === schedule.id ? null : schedule.id)}
+                      >
+                        {schedule.runsCount}
+                      </button>
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <div className="flex items-center justify-end gap-2">
+                        <Button variant="ghost" size="sm" onClick={() => handleToggle(schedule)}>
+                          {schedule.enabled ? 'Pause' : 'Resume'}
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          className="text-destructive"
+                          onClick={() => handleDelete(schedule)}
+                        >
+                          Delete
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                  {expandedId === schedule.id && (
+                    <TableRow>
+                      <TableCell colSpan={5} className="bg-muted/30">
+                        <ScheduleHistory scheduleId={schedule.id} />
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default CrawlSchedules;
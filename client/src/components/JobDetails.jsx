@@ -5,6 +5,17 @@ import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { cn } from '../lib/utils';
 import SitemapTree from './SitemapTree';
+import SitemapChanges from './SitemapChanges';
+import CrawlDiff from './CrawlDiff';
+import RedirectChains from './RedirectChains';
+import BrokenLinks from './BrokenLinks';
+import CrawlIssues from './CrawlIssues';
+import PerformanceReport from './PerformanceReport';
+import AccessibilityReport from './AccessibilityReport';
+import QueryParameters from './QueryParameters';
+import PageExplorer from './PageExplorer';
+import RobotsReport from './RobotsReport';
+import SitemapAudit from './SitemapAudit';
 
 function JobDetails({ job, onClose }) {
   const [details, setDetails] = useState(null);
@@ -156,6 +167,17 @@ function JobDetails({ job, onClose }) {
           >
             Overview
           </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'issues'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('issues')}
+          >
+            Issues
+          </button>
           <button
             className={cn(
               'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
@@ -178,6 +200,116 @@ function JobDetails({ job, onClose }) {
           >
             Sitemap
           </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'changes'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('changes')}
+          >
+            Changes
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'compare'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('compare')}
+          >
+            Compare
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'redirects'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('redirects')}
+          >
+            Redirects
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'broken-links'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('broken-links')}
+          >
+            Broken Links
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'performance'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('performance')}
+          >
+            Performance
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'accessibility'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('accessibility')}
+          >
+            Accessibility
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'parameters'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('parameters')}
+          >
+            Parameters
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'pages'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('pages')}
+          >
+            Pages
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'robots'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('robots')}
+          >
+            Robots
+          </button>
+          <button
+            className={cn(
+              'px-6 py-3 text-sm font-medium border-b-2 transition-colors',
+              activeTab === 'sitemap-audit'
+                ? 'border-primary text-foreground'
+                : 'border-transparent text-muted-foreground hover:text-foreground'
+            )}
+            onClick={() => setActiveTab('sitemap-audit')}
+          >
+            XML Sitemap
+          </button>
         </div>
 
         <div className="flex-1 overflow-y-auto p-6">
@@ -188,6 +320,14 @@ function JobDetails({ job, onClose }) {
                   <label className="text-sm text-muted-foreground">Status</label>
                   <div className="mt-1">
                     <Badge variant="secondary">{details.status}</Badge>
+                    {details.has_auth && (
+                      <Badge variant="outline" className="ml-2">authenticated</Badge>
+                    )}
+                    {details.options?.mode === 'list' && (
+                      <Badge variant="outline" className="ml-2">
+                        URL list ({details.options.urlList?.length || 0})
+                      </Badge>
+                    )}
                   </div>
                 </div>
                 <div>
@@ -307,6 +447,47 @@ function JobDetails({ job, onClose }) {
                             </span>
                           </div>
                         )}
+                        {details.sitemap.original_sitemap._crawlMeta.stats.blockedByRobots > 0 && (
+                          <div>
+                            <span className="text-muted-foreground">Blocked by robots.txt:</span>
+                            <span className="ml-2 font-medium text-orange-600 dark:text-orange-400">
+                              {details.sitemap.original_sitemap._crawlMeta.stats.blockedByRobots}
+                            </span>
+                          </div>
+                        )}
+                        {(details.sitemap.original_sitemap._crawlMeta.stats.httpPages > 0 || details.sitemap.original_sitemap._crawlMeta.stats.escalatedPages > 0) && (
+                          <>
+                            <div>
+                              <span className="text-muted-foreground">HTTP / Browser:</span>
+                              <span className="ml-2 font-medium">
+                                {details.sitemap.original_sitemap._crawlMeta.stats.httpPages || 0} / {details.sitemap.original_sitemap._crawlMeta.stats.browserPages || 0}
+                              </span>
+                            </div>
+                            <div>
+                              <span className="text-muted-foreground">Escalated:</span>
+                              <span className="ml-2 font-medium text-blue-600 dark:text-blue-400">
+                                {details.sitemap.original_sitemap._crawlMeta.stats.escalatedPages || 0}
+                              </span>
+                            </div>
+                          </>
+                        )}
+                        {details.sitemap.original_sitemap._crawlMeta.stats.throttle && (
+                          <>
+                            <div>
+                              <span className="text-muted-foreground">Effective rate:</span>
+                              <span className="ml-2 font-medium">
+                                {details.sitemap.original_sitemap._crawlMeta.stats.throttle.effective_rps} req/s
+                              </span>
+                            </div>
+                            <div>
+                              <span className="text-muted-foreground">Throttle events:</span>
+                              <span className={`ml-2 font-medium ${details.sitemap.original_sitemap._crawlMeta.stats.throttle.backoffs > 0 ? 'text-orange-600 dark:text-orange-400' : ''}`}>
+                                {details.sitemap.original_sitemap._crawlMeta.stats.throttle.backoffs}
+                                {details.sitemap.original_sitemap._crawlMeta.stats.throttle.slowed_by === 'site' && ' (slowed by site)'}
+                              </span>
+                            </div>
+                          </>
+                        )}
                       </>
                     )}
                   </div>
@@ -353,6 +534,8 @@ function JobDetails({ job, onClose }) {
             </div>
           )}
 
+          {activeTab === 'issues' && <CrawlIssues jobId={job.id} website={job.website} />}
+
           {activeTab === 'recommendations' && (
             <div className="space-y-4">
               {/* AI Improvement Prompt - Always show */}
@@ -668,6 +851,26 @@ function JobDetails({ job, onClose }) {
               )}
             </div>
           )}
+
+          {activeTab === 'changes' && <SitemapChanges jobId={job.id} />}
+
+          {activeTab === 'compare' && <CrawlDiff jobId={job.id} />}
+
+          {activeTab === 'redirects' && <RedirectChains jobId={job.id} />}
+
+          {activeTab === 'broken-links' && <BrokenLinks jobId={job.id} />}
+
+          {activeTab === 'performance' && <PerformanceReport jobId={job.id} />}
+
+          {activeTab === 'accessibility' && <AccessibilityReport jobId={job.id} />}
+
+          {activeTab === 'parameters' && <QueryParameters jobId={job.id} />}
+
+          {activeTab === 'pages' && <PageExplorer key={job.id} jobId={job.id} />}
+
+          {activeTab === 'robots' && <RobotsReport key={job.id} jobId={job.id} />}
+
+          {activeTab === 'sitemap-audit' && <SitemapAudit key={job.id} jobId={job.id} />}
         </div>
       </Card>
     </div>
@@ -3,12 +3,90 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 
+const emptyAuthForm = {
+  username: '',
+  password: '',
+  cookies: '',
+  headers: '',
+  loginUrl: '',
+  loginUserSelector: '',
+  loginUser: '',
+  loginPasswordSelector: '',
+  loginPassword: '',
+  submitSelector: '',
+  successSelector: '',
+};
+
+const emptyExtractor = { name: '', type: 'css', selector: '', attribute: '', multiple: false, flags: 'i' };
+
+// Build the auth options for POST /api/crawl (null when nothing is set)
+const buildAuth = (form, storageState) => {
+  const auth = {};
+
+  if (form.username) {
+    auth.httpCredentials = { username: form.username, password: form.password };
+  }
+
+  const cookies = form.cookies.trim();
+  if (cookies) {
+    // Either a JSON cookie array or a "name=value; name2=value2" header
+    auth.cookies = cookies.startsWith('[') ? JSON.parse(cookies) : cookies;
+  }
+
+  const headers = {};
+  form.headers.split('\n').forEach((line) => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+  });
+  if (Object.keys(headers).length > 0) {
+    auth.headers = headers;
+  }
+
+  if (storageState) {
+    auth.storageState = storageState;
+  }
+
+  if (form.loginUrl) {
+    auth.login = {
+      url: form.loginUrl,
+      fields: [
+        form.loginUserSelector && { selector: form.loginUserSelector, value: form.loginUser },
+        form.loginPasswordSelector && { selector: form.loginPasswordSelector, value: form.loginPassword },
+      ].filter(Boolean),
+      submitSelector: form.submitSelector,
+      successSelector: form.successSelector,
+    };
+  }
+
+  return Object.keys(auth).length > 0 ? auth : null;
+};
+
 function NewCrawlForm({ onSubmit }) {
+  const [mode, setMode] = useState('crawl');
   const [websites, setWebsites] = useState(['']);
+  const [listText, setListText] = useState('');
+  const [listFile, setListFile] = useState(null);
   const [maxDepth, setMaxDepth] = useState(3);
   const [maxPages, setMaxPages] = useState(500);
   const [useSitemap, setUseSitemap] = useState(false);
   const [checkRedirectDuplicates, setCheckRedirectDuplicates] = useState(false);
+  const [engine, setEngine] = useState('browser');
+  const [collectPerformance, setCollectPerformance] = useState(false);
+  const [auditAccessibility, setAuditAccessibility] = useState(false);
+  const [maxRequestsPerSecond, setMaxRequestsPerSecond] = useState('');
+  const [concurrency, setConcurrency] = useState('');
+  const [includePatterns, setIncludePatterns] = useState('');
+  const [excludePatterns, setExcludePatterns] = useState('');
+  const [keepParams, setKeepParams] = useState('');
+  const [paginationParams, setPaginationParams] = useState('');
+  const [stripParams, setStripParams] = useState('');
+  const [otherParams, setOtherParams] = useState('strip');
+  const [extractors, setExtractors] = useState([]);
+  const [showAuth, setShowAuth] = useState(false);
+  const [authForm, setAuthForm] = useState(emptyAuthForm);
+  const [storageState, setStorageState] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
@@ -31,22 +109,85 @@ function NewCrawlForm({ onSubmit }) {
     }
   };
 
+  const updateAuth = (field, value) => {
+    setAuthForm({ ...authForm, [field]: value });
+  };
+
+  const handleStorageStateFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      setStorageState(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setStorageState(JSON.parse(reader.result));
+        setError(null);
+      } catch {
+        setStorageState(null);
+        setError('storageState file is not valid JSON');
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleListFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) {
+      setListFile(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setListFile({ name: file.name, text: reader.result });
+    reader.readAsText(file);
+  };
+
+  const updateExtractor = (index, field, value) => {
+    setExtractors(extractors.map((extractor, i) => (i === index ? { ...extractor, [field]: value } : extractor)));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
     setSuccess(false);
     
     const validWebsites = websites.filter(w => w.trim());
-    if (validWebsites.length === 0) {
+    if (mode === 'crawl' && validWebsites.length === 0) {
       setError('Please add at least one website');
       return;
     }
 
+    // List mode: pasted URLs (one per line) and/or the text of an uploaded CSV/TXT file
+    const listUrls = listText.split('\n').map((line) => line.trim()).filter(Boolean);
+    if (mode === 'list' && listUrls.length === 0 && !listFile) {
+      setError('Paste some URLs or upload a CSV/TXT file');
+      return;
+    }
+    const list = mode === 'list' ? { urls: listUrls, urlFile: listFile?.text || null } : null;
+
+    let auth;
+    try {
+      auth = buildAuth(authForm, storageState);
+    } catch (err) {
+      setError(`Invalid cookies JSON: ${err.message}`);
+      return;
+    }
+
     setLoading(true);
     try {
-      await onSubmit(validWebsites, maxDepth, maxPages, useSitemap, checkRedirectDuplicates);
+      const urlRules = includePatterns.trim() || excludePatterns.trim()
+        ? { include: includePatterns, exclude: excludePatterns }
+        : null;
+      const queryParams = keepParams.trim() || paginationParams.trim() || stripParams.trim() || otherParams !== 'strip'
+        ? { keep: keepParams, pagination: paginationParams, strip: stripParams, default: otherParams }
+        : null;
+      const validExtractors = extractors.filter((extractor) => extractor.name.trim() || extractor.selector.trim());
+      await onSubmit(mode === 'list' ? [] : validWebsites, maxDepth, maxPages, useSitemap, checkRedirectDuplicates, urlRules, auth, engine, collectPerformance && engine !== 'http', auditAccessibility && engine !== 'http', maxRequestsPerSecond || null, concurrency || null, queryParams, validExtractors.length > 0 ? validExtractors : null, list);
       setSuccess(true);
       setWebsites(['']);
+      setListText('');
+      setListFile(null);
       setTimeout(() => setSuccess(false), 3000);
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to start crawl');
@@ -82,7 +223,58 @@ function NewCrawlForm({ onSubmit }) {
       </CardHeader>
       <CardContent>
         <form onSubmit={handleSubmit} className="space-y-4">
-          {websites.map((website, index) => (
+          <div className="grid grid-cols-2 gap-2">
+            <Button
+              type="button"
+              variant={mode === 'crawl' ? 'default' : 'outline'}
+              onClick={() => setMode('crawl')}
+              disabled={loading}
+            >
+              Crawl websites
+            </Button>
+            <Button
+              type="button"
+              variant={mode === 'list' ? 'default' : 'outline'}
+              onClick={() => setMode('list')}
+              disabled={loading}
+            >
+              Audit a URL list
+            </Button>
+          </div>
+
+          {mode === 'list' && (
+            <div className="space-y-2">
+              <p className="text-xs text-muted-foreground">
+                Each URL is fetched and audited once, links are not followed. URLs of different
+                sites start one job per site.
+              </p>
+              <textarea
+                rows={6}
+                placeholder={'https://example.com/old-page\nhttps://example.com/products?id=42'}
+                value={listText}
+                onChange={(e) => setListText(e.target.value)}
+                disabled={loading}
+                className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+              />
+              <div>
+                <label className="text-sm font-medium">Or upload a CSV/TXT file</label>
+                <p className="text-xs text-muted-foreground">The first URL of each line is used</p>
+                <input
+                  key={listFile ? 'file' : 'empty'}
+                  type="file"
+                  accept=".csv,.txt,text/csv,text/plain"
+                  onChange={handleListFile}
+                  disabled={loading}
+                  className="block w-full mt-1 text-sm"
+                />
+                {listFile && (
+                  <p className="text-xs text-muted-foreground mt-1">{listFile.name} loaded</p>
+                )}
+              </div>
+            </div>
+          )}
+
+          {mode === 'crawl' && websites.map((website, index) => (
             <div key={index} className="flex gap-2">
               <div className="relative flex-1">
                 <svg
@@ -121,15 +313,17 @@ function NewCrawlForm({ onSubmit }) {
             </div>
           ))}
           
-          <Button
-            type="button"
-            variant="ghost"
-            onClick={addWebsite}
-            disabled={loading}
-            className="w-full"
-          >
-            + Add Another Website
-          </Button>
+          {mode === 'crawl' && (
+            <Button
+              type="button"
+              variant="ghost"
+              onClick={addWebsite}
+              disabled={loading}
+              className="w-full"
+            >
+              + Add Another Website
+            </Button>
+          )}
 
           <div>
             <Button
@@ -162,7 +356,7 @@ function NewCrawlForm({ onSubmit }) {
                     max="10"
                     value={maxDepth}
                     onChange={(e) => setMaxDepth(parseInt(e.target.value))}
-                    disabled={loading}
+                    disabled={loading || mode === 'list'}
                     className="w-full"
                   />
                 </div>
@@ -179,10 +373,63 @@ function NewCrawlForm({ onSubmit }) {
                     step="100"
                     value={maxPages}
                     onChange={(e) => setMaxPages(parseInt(e.target.value))}
-                    disabled={loading}
+                    disabled={loading || mode === 'list'}
                     className="w-full"
                   />
                 </div>
+
+                <div>
+                  <label className="text-sm font-medium">Crawl engine</label>
+                  <p className="text-xs text-muted-foreground mb-2">
+                    {engine === 'http' && "Plain HTTP fetches, fastest but no JavaScript rendering"}
+                    {engine === 'browser' && "Render every page in Playwright"}
+                    {engine === 'auto' && "HTTP first, switch to Playwright for client-rendered pages"}
+                  </p>
+                  <select
+                    className="h-9 w-full rounded-md border border-input bg-background px-3 text-sm"
+                    value={engine}
+                    onChange={(e) => setEngine(e.target.value)}
+                    disabled={loading}
+                  >
+                    <option value="browser">Browser (Playwright)</option>
+                    <option value="http">HTTP only</option>
+                    <option value="auto">Auto</option>
+                  </select>
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="text-sm font-medium">Max requests/second</label>
+                    <Input
+                      type="number"
+                      min="0.1"
+                      max="50"
+                      step="0.1"
+                      placeholder="No limit"
+                      value={maxRequestsPerSecond}
+                      onChange={(e) => setMaxRequestsPerSecond(e.target.value)}
+                      disabled={loading}
+                      className="mt-1"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm font-medium">Concurrency</label>
+                    <Input
+                      type="number"
+                      min="1"
+                      max="50"
+                      step="1"
+                      placeholder="Default"
+                      value={concurrency}
+                      onChange={(e) => setConcurrency(e.target.value)}
+                      disabled={loading}
+                      className="mt-1"
+                    />
+                  </div>
+                  <p className="col-span-2 text-xs text-muted-foreground">
+                    Upper limits; the crawler slows down on its own when the site answers 429 or 503
+                  </p>
+                </div>
                 
                 <div className="pt-2 space-y-3">
                   <label className="flex items-center gap-3 cursor-pointer">
@@ -191,7 +438,7 @@ function NewCrawlForm({ onSubmit }) {
                         type="checkbox"
                         checked={useSitemap}
                         onChange={(e) => setUseSitemap(e.target.checked)}
-                        disabled={loading}
+                        disabled={loading || mode === 'list'}
                         className="sr-only peer"
                       />
                       <div className="w-11 h-6 bg-muted rounded-full peer peer-checked:bg-primary transition-colors"></div>
@@ -228,6 +475,330 @@ function NewCrawlForm({ onSubmit }) {
                       </p>
                     </div>
                   </label>
+
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <div className="relative">
+                      <input
+                        type="checkbox"
+                        checked={collectPerformance}
+                        onChange={(e) => setCollectPerformance(e.target.checked)}
+                        disabled={loading || engine === 'http'}
+                        className="sr-only peer"
+                      />
+                      <div className="w-11 h-6 bg-muted rounded-full peer peer-checked:bg-primary transition-colors"></div>
+                      <div className="absolute left-1 top-1 w-4 h-4 bg-background rounded-full shadow peer-checked:translate-x-5 transition-transform"></div>
+                    </div>
+                    <div>
+                      <span className="text-sm font-medium">Collect performance metrics</span>
+                      <p className="text-xs text-muted-foreground">
+                        {engine === 'http'
+                          ? "Needs the browser or auto engine"
+                          : collectPerformance
+                            ? "TTFB, LCP, CLS and page weight per page (slower, images and styles are loaded)"
+                            : "Skip images, fonts and styles for faster crawling"}
+                      </p>
+                    </div>
+                  </label>
+
+                  <label className="flex items-center gap-3 cursor-pointer">
+                    <div className="relative">
+                      <input
+                        type="checkbox"
+                        checked={auditAccessibility}
+                        onChange={(e) => setAuditAccessibility(e.target.checked)}
+                        disabled={loading || engine === 'http'}
+                        className="sr-only peer"
+                      />
+                      <div className="w-11 h-6 bg-muted rounded-full peer peer-checked:bg-primary transition-colors"></div>
+                      <div className="absolute left-1 top-1 w-4 h-4 bg-background rounded-full shadow peer-checked:translate-x-5 transition-transform"></div>
+                    </div>
+                    <div>
+                      <span className="text-sm font-medium">Accessibility audit</span>
+                      <p className="text-xs text-muted-foreground">
+                        {engine === 'http'
+                          ? "Needs the browser or auto engine"
+                          : "Alt text, labels, headings, lang, empty links/buttons and color contrast per page"}
+                      </p>
+                    </div>
+                  </label>
+                </div>
+
+                <div className="pt-2 space-y-3">
+                  <div>
+                    <label className="text-sm font-medium">Only crawl URLs matching</label>
+                    <p className="text-xs text-muted-foreground mb-2">
+                      One pattern per line, e.g. /blog/** or re:^/products/\d+$ (empty = everything)
+                    </p>
+                    <textarea
+                      rows={3}
+                      placeholder="/blog/**"
+                      value={includePatterns}
+                      onChange={(e) => setIncludePatterns(e.target.value)}
+                      disabled={loading}
+                      className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm font-medium">Skip URLs matching</label>
+                    <p className="text-xs text-muted-foreground mb-2">
+                      Matched against path and query, e.g. /search or /cart/**
+                    </p>
+                    <textarea
+                      rows={3}
+                      placeholder={'/search\n/cart/**'}
+                      value={excludePatterns}
+                      onChange={(e) => setExcludePatterns(e.target.value)}
+                      disabled={loading}
+                      className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+                    />
+                  </div>
+                </div>
+
+                <div className="pt-2 space-y-3">
+                  <div>
+                    <label className="text-sm font-medium">Query parameters</label>
+                    <p className="text-xs text-muted-foreground">
+                      Comma-separated names, a trailing * matches a prefix (utm_*)
+                    </p>
+                  </div>
+                  {[
+                    ['Keep as distinct pages', 'id, lang', keepParams, setKeepParams],
+                    ['Pagination', 'page, p', paginationParams, setPaginationParams],
+                    ['Strip', 'utm_*, sessionid', stripParams, setStripParams],
+                  ].map(([label, placeholder, value, setValue]) => (
+                    <div key={label} className="grid grid-cols-3 items-center gap-2">
+                      <span className="text-sm">{label}</span>
+                      <Input
+                        type="text"
+                        placeholder={placeholder}
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        disabled={loading}
+                        className="col-span-2 font-mono"
+                      />
+                    </div>
+                  ))}
+                  <div className="grid grid-cols-3 items-center gap-2">
+                    <span className="text-sm">Other parameters</span>
+                    <select
+                      className="col-span-2 h-9 rounded-md border border-input bg-background px-3 text-sm"
+                      value={otherParams}
+                      onChange={(e) => setOtherParams(e.target.value)}
+                      disabled={loading}
+                    >
+                      <option value="strip">Strip</option>
+                      <option value="keep">Keep as distinct pages</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="pt-2 space-y-3">
+                  <div>
+                    <label className="text-sm font-medium">Custom extraction</label>
+                    <p className="text-xs text-muted-foreground">
+                      Values stored per page and added as export columns. Regex runs on the HTML
+                      (capture group 1 when present, flags default to "i"), CSS and XPath need the
+                      browser or auto engine (auto then renders every page).
+                    </p>
+                  </div>
+                  {extractors.map((extractor, index) => (
+                    <div key={index} className="space-y-2 rounded-md border p-2">
+                      <div className="grid grid-cols-3 gap-2">
+                        <Input
+                          placeholder="Column name"
+                          value={extractor.name}
+                          onChange={(e) => updateExtractor(index, 'name', e.target.value)}
+                          disabled={loading}
+                        />
+                        <select
+                          className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+                          value={extractor.type}
+                          onChange={(e) => updateExtractor(index, 'type', e.target.value)}
+                          disabled={loading}
+                        >
+                          <option value="css">CSS selector</option>
+                          <option value="xpath">XPath</option>
+                          <option value="regex">Regex</option>
+                        </select>
+                        <Button
+                          type="button"
+                          variant="outline"
+                          onClick={() => setExtractors(extractors.filter((_, i) => i !== index))}
+                          disabled={loading}
+                        >
+                          Remove
+                        </Button>
+                      </div>
+                      <Input
+                        placeholder={{ css: '.product-price', xpath: '//span[@itemprop="sku"]', regex: '"price":\\s*"([^"]+)"' }[extractor.type]}
+                        value={extractor.selector}
+                        onChange={(e) => updateExtractor(index, 'selector', e.target.value)}
+                        disabled={loading}
+                        className="font-mono"
+                      />
+                      <div className="flex items-center gap-4">
+                        {extractor.type === 'css' && (
+                          <Input
+                            placeholder="Attribute (empty = text)"
+                            value={extractor.attribute}
+                            onChange={(e) => updateExtractor(index, 'attribute', e.target.value)}
+                            disabled={loading}
+                            className="max-w-xs font-mono"
+                          />
+                        )}
+                        {extractor.type === 'regex' && (
+                          <Input
+                            placeholder="Flags (i, m, s, u)"
+                            value={extractor.flags}
+                            onChange={(e) => updateExtractor(index, 'flags', e.target.value)}
+                            disabled={loading}
+                            className="max-w-[8rem] font-mono"
+                          />
+                        )}
+                        <label className="flex items-center gap-2 text-sm">
+                          <input
+                            type="checkbox"
+                            checked={extractor.multiple}
+                            onChange={(e) => updateExtractor(index, 'multiple', e.target.checked)}
+                            disabled={loading}
+                          />
+                          All matches
+                        </label>
+                      </div>
+                      {engine === 'http' && extractor.type !== 'regex' && (
+                        <p className="text-xs text-destructive">Needs the browser or auto engine</p>
+                      )}
+                      {engine === 'auto' && extractor.type !== 'regex' && (
+                        <p className="text-xs text-muted-foreground">Every page will be rendered in the browser</p>
+                      )}
+                    </div>
+                  ))}
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setExtractors([...extractors, { ...emptyExtractor }])}
+                    disabled={loading || extractors.length >= 20}
+                  >
+                    Add extractor
+                  </Button>
+                </div>
+
+                <div className="pt-2">
+                  <button
+                    type="button"
+                    onClick={() => setShowAuth(!showAuth)}
+                    className="text-sm font-medium underline"
+                  >
+                    {showAuth ? 'Hide authentication' : 'Authentication (staging sites, member areas)'}
+                  </button>
+                  {showAuth && (
+                    <div className="pt-3 space-y-4">
+                      <p className="text-xs text-muted-foreground">
+                        Credentials are stored encrypted and are only sent to the crawled site.
+                      </p>
+                      <div>
+                        <label className="text-sm font-medium">HTTP basic auth</label>
+                        <div className="grid grid-cols-2 gap-2 mt-1">
+                          <Input
+                            placeholder="Username"
+                            value={authForm.username}
+                            onChange={(e) => updateAuth('username', e.target.value)}
+                            disabled={loading}
+                          />
+                          <Input
+                            type="password"
+                            placeholder="Password"
+                            value={authForm.password}
+                            onChange={(e) => updateAuth('password', e.target.value)}
+                            disabled={loading}
+                          />
+                        </div>
+                      </div>
+                      <div>
+                        <label className="text-sm font-medium">Cookies</label>
+                        <textarea
+                          rows={2}
+                          placeholder="session=abc123; consent=1  (or a JSON cookie array)"
+                          value={authForm.cookies}
+                          onChange={(e) => updateAuth('cookies', e.target.value)}
+                          disabled={loading}
+                          className="w-full mt-1 rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-sm font-medium">Playwright storageState</label>
+                        <input
+                          type="file"
+                          accept="application/json,.json"
+                          onChange={handleStorageStateFile}
+                          disabled={loading}
+                          className="block w-full mt-1 text-sm"
+                        />
+                      </div>
+                      <div>
+                        <label className="text-sm font-medium">Extra request headers</label>
+                        <textarea
+                          rows={2}
+                          placeholder="Authorization: Bearer ..."
+                          value={authForm.headers}
+                          onChange={(e) => updateAuth('headers', e.target.value)}
+                          disabled={loading}
+                          className="w-full mt-1 rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <label className="text-sm font-medium">Login form (runs before the crawl)</label>
+                        <Input
+                          placeholder="Login page URL, e.g. /login"
+                          value={authForm.loginUrl}
+                          onChange={(e) => updateAuth('loginUrl', e.target.value)}
+                          disabled={loading}
+                        />
+                        {authForm.loginUrl && (
+                          <div className="grid grid-cols-2 gap-2">
+                            <Input
+                              placeholder="Username field selector (#email)"
+                              value={authForm.loginUserSelector}
+                              onChange={(e) => updateAuth('loginUserSelector', e.target.value)}
+                              disabled={loading}
+                            />
+                            <Input
+                              placeholder="Username"
+                              value={authForm.loginUser}
+                              onChange={(e) => updateAuth('loginUser', e.target.value)}
+                              disabled={loading}
+                            />
+                            <Input
+                              placeholder="Password field selector (#password)"
+                              value={authForm.loginPasswordSelector}
+                              onChange={(e) => updateAuth('loginPasswordSelector', e.target.value)}
+                              disabled={loading}
+                            />
+                            <Input
+                              type="password"
+                              placeholder="Password"
+                              value={authForm.loginPassword}
+                              onChange={(e) => updateAuth('loginPassword', e.target.value)}
+                              disabled={loading}
+                            />
+                            <Input
+                              placeholder="Submit button selector"
+                              value={authForm.submitSelector}
+                              onChange={(e) => updateAuth('submitSelector', e.target.value)}
+                              disabled={loading}
+                            />
+                            <Input
+                              placeholder="Shown after login (.account-menu)"
+                              value={authForm.successSelector}
+                              onChange={(e) => updateAuth('successSelector', e.target.value)}
+                              disabled={loading}
+                            />
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
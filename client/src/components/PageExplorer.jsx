@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const PAGE_SIZE = 100;
+
+const STATUS_OPTIONS = [
+  ['', 'Any status'],
+  ['2xx', '2xx'],
+  ['3xx', '3xx'],
+  ['4xx', '4xx'],
+  ['5xx', '5xx'],
+  ['error', 'Failed'],
+];
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(' | ') : value ?? '');
+
+function PageExplorer({ jobId }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [fieldFilters, setFieldFilters] = useState({});
+  const [filters, setFilters] = useState({});
+  const [offset, setOffset] = useState(0);
+
+  useEffect(() => {
+    fetchPages();
+  }, [jobId, filters, offset]);
+
+  const fetchPages = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = { ...filters, limit: PAGE_SIZE, offset };
+      const response = await axios.get(`/api/crawl/${jobId}/pages`, { params });
+      setData(response.data);
+    } catch (err) {
+      console.error('Error fetching pages:', err);
+      setError(err.response?.data?.error || 'Failed to load pages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const applyFilters = (e) => {
+    e.preventDefault();
+    const next = {};
+    if (search.trim()) next.q = search.trim();
+    if (status) next.status = status;
+    Object.entries(fieldFilters).forEach(([name, value]) => {
+      if (value.trim()) next[`field[${name}]`] = value.trim();
+    });
+    setOffset(0);
+    setFilters(next);
+  };
+
+  const fields = data?.fields || [];
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={applyFilters} className="space-y-2">
+        <div className="flex gap-2">
+          <Input
+            placeholder="Search URL or title"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          <select
+            className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+          >
+            {STATUS_OPTIONS.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <Button type="submit">Filter</Button>
+        </div>
+        {fields.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+            {fields.map((name) => (
+              <Input
+                key={name}
+                placeholder={`${name} (* = has a value, ! = empty)`}
+                value={fieldFilters[name] || ''}
+                onChange={(e) => setFieldFilters({ ...fieldFilters, [name]: e.target.value })}
+                className="font-mono text-xs"
+              />
+            ))}
+          </div>
+        )}
+      </form>
+
+      {loading && <div className="animate-pulse text-muted-foreground">Loading pages...</div>}
+
+      {!loading && (error || data.pages.length === 0) && (
+        <div className="text-center py-12">
+          <p className="text-muted-foreground">{error || 'No pages match these filters.'}</p>
+        </div>
+      )}
+
+      {!loading && !error && data.pages.length > 0 && (
+        <>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>URL</TableHead>
+                <TableHead>Title</TableHead>
+                <TableHead className="text-right">Status</TableHead>
+                <TableHead className="text-right">Depth</TableHead>
+                {fields.map((name) => (
+                  <TableHead key={name}>{name}</TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {data.pages.map((page) => (
+                <TableRow key={page.url}>
+                  <TableCell className="max-w-xs font-mono text-xs break-all">
+                    <a href={page.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                      {page.url}
+                    </a>
+                  </TableCell>
+                  <TableCell className="max-w-xs text-sm">{page.title}</TableCell>
+                  <TableCell className="text-right">{page.status_code || '-'}</TableCell>
+                  <TableCell className="text-right">{page.depth}</TableCell>
+                  {fields.map((name) => (
+                    <TableCell key={name} className="max-w-xs text-xs break-words">
+                      {formatValue(page.extracted?.[name])}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          <div className="flex items-center justify-between text-sm text-muted-foreground">
+            <span>
+              {offset + 1}-{offset + data.pages.length} of {data.total}
+            </span>
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={offset === 0}
+                onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+              >
+                Previous
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={offset + data.pages.length >= data.total}
+                onClick={() => setOffset(offset + PAGE_SIZE)}
+              >
+                Next
+              </Button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PageExplorer;
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const SORT_OPTIONS = [
+  ['lcp', 'LCP'],
+  ['load', 'Load'],
+  ['ttfb', 'TTFB'],
+  ['cls', 'CLS'],
+  ['transfer_bytes', 'Page weight'],
+  ['request_count', 'Requests'],
+];
+
+const toPath = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search;
+  } catch {
+    return url;
+  }
+};
+
+const formatMs = (value) => (value == null ? '—' : `${value} ms`);
+const formatCls = (value) => (value == null ? '—' : value.toFixed(3));
+const formatBytes = (value) => {
+  if (value == null) return '—';
+  if (value >= 1024 * 1024) return `${(value / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.round(value / 1024)} KB`;
+};
+
+// Core Web Vitals "poor" thresholds
+const lcpClass = (value) => (value > 4000 ? 'text-red-600 dark:text-red-400' : value > 2500 ? 'text-orange-600 dark:text-orange-400' : '');
+const clsClass = (value) => (value > 0.25 ? 'text-red-600 dark:text-red-400' : value > 0.1 ? 'text-orange-600 dark:text-orange-400' : '');
+
+function MetricCells({ metrics }) {
+  return (
+    <>
+      <TableCell className="text-right font-mono">{formatMs(metrics.ttfb)}</TableCell>
+      <TableCell className={`text-right font-mono ${lcpClass(metrics.lcp)}`}>{formatMs(metrics.lcp)}</TableCell>
+      <TableCell className={`text-right font-mono ${clsClass(metrics.cls)}`}>{formatCls(metrics.cls)}</TableCell>
+      <TableCell className="text-right font-mono">{formatMs(metrics.load)}</TableCell>
+      <TableCell className="text-right font-mono">{metrics.request_count ?? '—'}</TableCell>
+      <TableCell className="text-right font-mono">{formatBytes(metrics.transfer_bytes)}</TableCell>
+    </>
+  );
+}
+
+function MetricHeads() {
+  return (
+    <>
+      <TableHead className="text-right">TTFB</TableHead>
+      <TableHead className="text-right">LCP</TableHead>
+      <TableHead className="text-right">CLS</TableHead>
+      <TableHead className="text-right">Load</TableHead>
+      <TableHead className="text-right">Requests</TableHead>
+      <TableHead className="text-right">Weight</TableHead>
+    </>
+  );
+}
+
+function PerformanceReport({ jobId }) {
+  const [report, setReport] = useState(null);
+  const [sort, setSort] = useState('lcp');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [jobId, sort]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/performance`, { params: { sort } });
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching performance report:', err);
+      setError(err.response?.data?.error || 'Failed to load performance report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading && !report) {
+    return <div className="animate-pulse text-muted-foreground">Loading performance report...</div>;
+  }
+
+  if (error || report.summary.pages_measured === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">
+          {error || 'No performance metrics for this crawl. Enable "Collect performance metrics" when starting a crawl.'}
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, slowest, sections } = report;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-4 gap-4">
+        {[
+          ['Pages measured', summary.pages_measured],
+          ['Avg LCP', formatMs(summary.lcp)],
+          ['Avg CLS', formatCls(summary.cls)],
+          ['Avg page weight', formatBytes(summary.transfer_bytes)],
+        ].map(([label, value]) => (
+          <Card key={label}>
+            <CardContent className="p-4">
+              <div className="text-sm text-muted-foreground">{label}</div>
+              <div className="text-2xl font-semibold">{value}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        <label className="text-muted-foreground">Rank by</label>
+        <select
+          className="h-9 rounded-md border border-input bg-background px-3 text-sm"
+          value={sort}
+          onChange={(e) => setSort(e.target.value)}
+        >
+          {SORT_OPTIONS.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Sections</h3>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Section</TableHead>
+              <TableHead className="text-right">Pages</TableHead>
+              <MetricHeads />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {sections.map((section) => (
+              <TableRow key={section.section}>
+                <TableCell className="font-mono text-xs">{section.section}</TableCell>
+                <TableCell className="text-right">{section.pages}</TableCell>
+                <MetricCells metrics={section} />
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Slowest pages</h3>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Page</TableHead>
+              <MetricHeads />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {slowest.map((page) => (
+              <TableRow key={page.url}>
+                <TableCell className="max-w-md">
+                  <div className="font-mono text-xs break-all">{toPath(page.url)}</div>
+                  {page.title && <div className="text-xs text-muted-foreground truncate">{page.title}</div>}
+                </TableCell>
+                <MetricCells metrics={page} />
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
+
+export default PerformanceReport;
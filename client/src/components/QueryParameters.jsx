@@ -0,0 +1,104 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const ACTION_VARIANTS = {
+  keep: 'default',
+  pagination: 'secondary',
+  strip: 'outline',
+};
+
+const toPath = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search;
+  } catch {
+    return url;
+  }
+};
+
+function QueryParameters({ jobId }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchParameters();
+  }, [jobId]);
+
+  const fetchParameters = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/parameters`);
+      setData(response.data);
+    } catch (err) {
+      console.error('Error fetching query parameters:', err);
+      setError(err.response?.data?.error || 'Failed to load query parameters');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading query parameters...</div>;
+  }
+
+  if (error || data.parameters.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">
+          {error || 'No query parameters were found on the crawled links.'}
+        </p>
+      </div>
+    );
+  }
+
+  const { rules, parameters } = data;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        {rules
+          ? `Unlisted parameters are ${rules.default === 'keep' ? 'kept as distinct pages' : 'stripped'}.`
+          : 'No query parameter rules were set for this crawl, every parameter was stripped.'}
+      </p>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Parameter</TableHead>
+            <TableHead>Action</TableHead>
+            <TableHead className="text-right">URLs</TableHead>
+            <TableHead className="text-right">Links</TableHead>
+            <TableHead className="text-right">Values</TableHead>
+            <TableHead>Examples</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {parameters.map((param) => (
+            <TableRow key={param.name}>
+              <TableCell className="font-mono text-xs">{param.name}</TableCell>
+              <TableCell>
+                <Badge variant={ACTION_VARIANTS[param.action] || 'outline'}>{param.action}</Badge>
+                {!param.listed && <span className="ml-2 text-xs text-muted-foreground">default</span>}
+              </TableCell>
+              <TableCell className="text-right">{param.url_count}</TableCell>
+              <TableCell className="text-right">{param.occurrences}</TableCell>
+              <TableCell className="text-right">
+                <span title={(param.sample_values || []).join(', ')}>{param.value_count}</span>
+              </TableCell>
+              <TableCell className="max-w-md">
+                {(param.example_urls || []).slice(0, 3).map((url) => (
+                  <div key={url} className="font-mono text-xs text-muted-foreground break-all">{toPath(url)}</div>
+                ))}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+}
+
+export default QueryParameters;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Badge } from './ui/badge';
+
+const toPath = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search + (urlObj.hash.startsWith('#/') ? urlObj.hash : '');
+  } catch {
+    return url;
+  }
+};
+
+function IssueList({ title, description, items, renderItem }) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h4 className="text-sm font-semibold">
+        {title} ({items.length})
+      </h4>
+      <p className="text-xs text-muted-foreground mb-2">{description}</p>
+      <div className="border border-border rounded-md divide-y divide-border max-h-64 overflow-y-auto">
+        {items.map((item, index) => (
+          <div key={index} className="px-3 py-2 text-sm">
+            {renderItem(item)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ChainPath({ chain }) {
+  return (
+    <span className="font-mono text-xs break-all">
+      {chain.map((url, index) => (
+        <span key={index}>
+          {index > 0 && <span className="text-muted-foreground"> → </span>}
+          {toPath(url)}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+function RedirectChains({ jobId }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [jobId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/redirect-chains`);
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching redirect chains:', err);
+      setError(err.response?.data?.error || 'Failed to load redirects');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading redirects...</div>;
+  }
+
+  if (error || report.summary.redirecting_pages + report.summary.loops === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">{error || 'No redirects were found during the crawl.'}</p>
+      </div>
+    );
+  }
+
+  const { summary, issues } = report;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {[
+          ['Redirecting URLs', summary.redirecting_pages],
+          ['Chains (2+ hops)', summary.chains],
+          ['Loops', summary.loops],
+          ['Temporary', summary.temporary],
+          ['Linked internally', summary.linked],
+        ].map(([label, value]) => (
+          <Card key={label}>
+            <CardContent className="p-4">
+              <div className="text-sm text-muted-foreground">{label}</div>
+              <div className="text-2xl font-semibold">{value}</div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <IssueList
+        title="Redirect loops"
+        description="These URLs never reach a page."
+        items={issues.loops}
+        renderItem={(r) => <ChainPath chain={r.chain} />}
+      />
+      <IssueList
+        title="Redirect chains"
+        description="Point the first URL straight at the final URL."
+        items={issues.chains}
+        renderItem={(r) => (
+          <div className="flex items-center justify-between gap-4">
+            <ChainPath chain={r.chain} />
+            <span className="text-xs text-muted-foreground whitespace-nowrap">{r.statuses.join(' → ')}</span>
+          </div>
+        )}
+      />
+      <IssueList
+        title="Temporary redirects"
+        description="302/307 redirects to content that loads fine. Use 301/308 if the move is permanent."
+        items={issues.temporary}
+        renderItem={(r) => (
+          <div className="flex items-center justify-between gap-4">
+            <ChainPath chain={[r.url, r.final_url]} />
+            <Badge variant="secondary">{r.temporary_statuses.join(', ')}</Badge>
+          </div>
+        )}
+      />
+      <IssueList
+        title="Internal links to redirects"
+        description="Update these links to point at the final URL."
+        items={issues.linked}
+        renderItem={(r) => (
+          <div className="flex items-center justify-between gap-4">
+            <span className="font-mono text-xs break-all">{toPath(r.url)}</span>
+            <ChainPath chain={[r.href, r.final_url]} />
+          </div>
+        )}
+      />
+
+      <div>
+        <h4 className="text-sm font-semibold mb-2">All redirects ({report.pages.length})</h4>
+        <div className="border border-border rounded-md divide-y divide-border max-h-96 overflow-y-auto">
+          {report.pages.map((page, index) => (
+            <div key={index} className="px-3 py-2 text-sm space-y-1">
+              <div className="flex items-center justify-between gap-4">
+                <span className="font-mono text-xs break-all">{toPath(page.url)}</span>
+                <span className="text-xs text-muted-foreground whitespace-nowrap">
+                  {page.hops} hop{page.hops > 1 ? 's' : ''}
+                </span>
+              </div>
+              {page.chain.map((hop) => (
+                <div key={hop.hop} className="text-xs text-muted-foreground pl-4">
+                  {hop.hop}. <Badge variant="outline">{hop.status || hop.type}</Badge>{' '}
+                  <span className="font-mono break-all">{toPath(hop.to)}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RedirectChains;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const toPath = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search;
+  } catch {
+    return url;
+  }
+};
+
+const formatRule = (rule, line) => (rule ? `${rule} (line ${line})` : 'No matching rule');
+
+// Host of a robots.txt other than the start site's (subdomains have their own)
+const otherRobotsHost = (robotsUrl, startRobotsUrl) => {
+  if (!robotsUrl || robotsUrl === startRobotsUrl) return null;
+  try {
+    return new URL(robotsUrl).host;
+  } catch {
+    return robotsUrl;
+  }
+};
+
+function RobotsReport({ jobId }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [robotsTxt, setRobotsTxt] = useState('');
+  const [userAgent, setUserAgent] = useState('*');
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+  const [testError, setTestError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [jobId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/blocked`);
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching blocked URLs:', err);
+      setError(err.response?.data?.error || 'Failed to load blocked URLs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runTest = async (e) => {
+    e.preventDefault();
+    setTesting(true);
+    setTestError(null);
+    try {
+      const response = await axios.post('/api/robots/test', { jobId, robotsTxt, userAgent });
+      setTestResult(response.data);
+    } catch (err) {
+      console.error('Error testing robots.txt:', err);
+      setTestError(err.response?.data?.error || 'Failed to test robots.txt');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading blocked URLs...</div>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold">Blocked by robots.txt</h3>
+          {report && (
+            <p className="text-sm text-muted-foreground">
+              {report.total} URL{report.total === 1 ? '' : 's'} skipped because of robots.txt rules (start site:{' '}
+              <a href={report.robotsUrl} target="_blank" rel="noopener noreferrer" className="underline">
+                {report.robotsUrl}
+              </a>
+              )
+            </p>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {report && report.rules.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {report.rules.map((rule) => {
+              const host = otherRobotsHost(rule.robots_url, report.robotsUrl);
+              return (
+                <Badge key={`${rule.robots_url}#${rule.line || 0}`} variant="outline" className="font-mono">
+                  {host && `${host} `}
+                  {rule.rule || 'no matching rule'}: {rule.urls}
+                </Badge>
+              );
+            })}
+          </div>
+        )}
+
+        {report && report.urls.length > 0 && (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>URL</TableHead>
+                <TableHead>Rule</TableHead>
+                <TableHead>Linked from</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {report.urls.map((item) => (
+                <TableRow key={item.url}>
+                  <TableCell className="font-mono text-xs break-all">{item.url}</TableCell>
+                  <TableCell className="font-mono text-xs">
+                    {formatRule(item.rule, item.rule_line)}
+                    {otherRobotsHost(item.robots_url, report.robotsUrl) && (
+                      <span className="block text-muted-foreground">{item.robots_url}</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="font-mono text-xs text-muted-foreground break-all">
+                    {item.parent_url ? toPath(item.parent_url) : '-'}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+
+      <form onSubmit={runTest} className="space-y-3">
+        <div>
+          <h3 className="text-lg font-semibold">robots.txt tester</h3>
+          <p className="text-sm text-muted-foreground">
+            Paste a proposed robots.txt to see which crawled pages it would block and which blocked URLs it
+            would allow.
+          </p>
+        </div>
+        <textarea
+          rows={8}
+          placeholder={'User-agent: *\nDisallow: /search\nAllow: /'}
+          value={robotsTxt}
+          onChange={(e) => setRobotsTxt(e.target.value)}
+          className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm font-mono"
+        />
+        <div className="flex gap-2">
+          <Input
+            placeholder="User agent"
+            value={userAgent}
+            onChange={(e) => setUserAgent(e.target.value)}
+            className="max-w-xs font-mono"
+          />
+          <Button type="submit" disabled={testing}>
+            {testing ? 'Testing...' : 'Test robots.txt'}
+          </Button>
+        </div>
+        {testError && <p className="text-sm text-destructive">{testError}</p>}
+      </form>
+
+      {testResult && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <span className="text-muted-foreground">Newly blocked:</span>
+              <span className={`ml-2 font-medium ${testResult.summary.newly_blocked > 0 ? 'text-destructive' : ''}`}>
+                {testResult.summary.newly_blocked}
+              </span>
+            </div>
+            <div>
+              <span className="text-muted-foreground">Newly allowed:</span>
+              <span className="ml-2 font-medium">{testResult.summary.newly_unblocked}</span>
+            </div>
+            <div>
+              <span className="text-muted-foreground">Crawled pages:</span>
+              <span className="ml-2 font-medium">{testResult.summary.crawled_pages}</span>
+            </div>
+            <div>
+              <span className="text-muted-foreground">Other hosts (not checked):</span>
+              <span className="ml-2 font-medium">{testResult.summary.not_covered}</span>
+            </div>
+          </div>
+
+          {testResult.rules.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {testResult.rules.map((rule) => (
+                <Badge key={rule.line} variant="destructive" className="font-mono">
+                  {rule.rule} (line {rule.line}): {rule.urls}
+                </Badge>
+              ))}
+            </div>
+          )}
+
+          {[
+            ['Crawled pages that would be blocked', testResult.newlyBlocked],
+            ['Blocked URLs that would be allowed', testResult.newlyUnblocked],
+          ].map(([label, urls]) =>
+            urls.length > 0 && (
+              <div key={label}>
+                <h4 className="text-sm font-medium mb-2">{label}</h4>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>URL</TableHead>
+                      <TableHead>Matching rule</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {urls.map((item) => (
+                      <TableRow key={item.url}>
+                        <TableCell className="font-mono text-xs break-all">{item.url}</TableCell>
+                        <TableCell className="font-mono text-xs">
+                          {item.rule ? `${item.rule} (line ${item.line})` : 'No matching rule'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RobotsReport;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Badge } from './ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from './ui/table';
+
+const MAX_ROWS = 200;
+
+const ISSUE_SECTIONS = [
+  ['oversized', 'Sitemaps over the 50,000 URL / 50 MB limit', 'destructive'],
+  ['non_200', 'Sitemap URLs not returning 200', 'destructive'],
+  ['redirected', 'Redirected sitemap URLs', 'secondary'],
+  ['noindex', 'Noindex sitemap URLs', 'secondary'],
+  ['canonicalized', 'Sitemap URLs canonicalized elsewhere', 'secondary'],
+  ['invalid_lastmod', 'Invalid lastmod values', 'secondary'],
+  ['future_lastmod', 'lastmod values in the future', 'outline'],
+  ['missing', 'Indexable pages missing from the sitemap', 'outline'],
+];
+
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+const describeIssue = (item) => {
+  if (item.final_url) return `→ ${item.final_url}${item.hops > 1 ? ` (${item.hops} hops)` : ''}`;
+  return item.problem;
+};
+
+function SitemapAudit({ jobId }) {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchReport();
+  }, [jobId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/sitemap-audit`);
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching sitemap audit:', err);
+      setError(err.response?.data?.error || 'Failed to load sitemap audit');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading sitemap audit...</div>;
+  }
+
+  if (error || report.files.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">
+          {error || 'No XML sitemap was found for this crawl (list mode and resumed crawls skip it).'}
+        </p>
+      </div>
+    );
+  }
+
+  const { summary, files, issues } = report;
+
+  return (
+    <div className="space-y-8">
+      <div className="space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold">XML sitemap audit</h3>
+          <p className="text-sm text-muted-foreground">
+            {summary.declared_urls} URL{summary.declared_urls === 1 ? '' : 's'} declared in {summary.sitemaps}{' '}
+            sitemap file{summary.sitemaps === 1 ? '' : 's'}: {summary.crawled} crawled, {summary.not_crawled} not
+            crawled (outside the page limit or not fetched)
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {ISSUE_SECTIONS.map(([type, label, variant]) => (
+            <Badge key={type} variant={summary[type] > 0 ? variant : 'outline'}>
+              {label}: {summary[type]}
+            </Badge>
+          ))}
+        </div>
+
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Sitemap</TableHead>
+              <TableHead>Type</TableHead>
+              <TableHead className="text-right">Entries</TableHead>
+              <TableHead className="text-right">Size</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {files.map((file) => (
+              <TableRow
+                key={file.url}
+                className={issues.oversized.some((item) => item.url === file.url) ? 'text-destructive' : ''}
+              >
+                <TableCell className="font-mono text-xs break-all">
+                  <a href={file.url} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                    {file.url}
+                  </a>
+                </TableCell>
+                <TableCell>{file.type}</TableCell>
+                <TableCell className="text-right">{file.url_count}</TableCell>
+                <TableCell className="text-right">{formatBytes(file.bytes)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      {ISSUE_SECTIONS.map(([type, label]) =>
+        type !== 'oversized' && issues[type].length > 0 && (
+          <div key={type} className="space-y-2">
+            <h4 className="text-sm font-medium">
+              {label} ({issues[type].length})
+            </h4>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>URL</TableHead>
+                  <TableHead>Problem</TableHead>
+                  {type !== 'missing' && <TableHead>Sitemap</TableHead>}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {issues[type].slice(0, MAX_ROWS).map((item) => (
+                  <TableRow key={item.url}>
+                    <TableCell className="font-mono text-xs break-all">{item.url}</TableCell>
+                    <TableCell className="text-xs break-all">{describeIssue(item)}</TableCell>
+                    {type !== 'missing' && (
+                      <TableCell className="font-mono text-xs text-muted-foreground break-all">
+                        {item.sitemap}
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            {issues[type].length > MAX_ROWS && (
+              <p className="text-xs text-muted-foreground">
+                Showing {MAX_ROWS} of {issues[type].length} (all are listed in the issues tab)
+              </p>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+export default SitemapAudit;
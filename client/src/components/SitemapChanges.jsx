@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Card, CardContent } from './ui/card';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { cn } from '../lib/utils';
+
+const riskColors = {
+  high: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+  medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+  low: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+};
+
+function SitemapChanges({ jobId }) {
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchComparison();
+  }, [jobId]);
+
+  const fetchComparison = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get(`/api/crawl/${jobId}/comparison`);
+      setComparison(response.data);
+    } catch (err) {
+      console.error('Error fetching comparison:', err);
+      setError(err.response?.data?.error || 'Failed to load comparison');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="animate-pulse text-muted-foreground">Loading changes...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-muted-foreground">{error}</p>
+      </div>
+    );
+  }
+
+  const summary = comparison.comparison_summary;
+  const changes = comparison.structural_changes || [];
+  const riskFlags = Object.entries(comparison.risk_flags || {}).flatMap(([level, flags]) =>
+    flags.map((message) => ({ level, message }))
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-muted-foreground">
+          {summary.pages_before} → {summary.pages_after} pages, depth {summary.max_depth_before} → {summary.max_depth_after}, {summary.root_sections_before} → {summary.root_sections_after} root sections
+        </div>
+        <div className="flex gap-2">
+          {['nginx', 'apache', 'json'].map((format) => (
+            <Button key={format} variant="outline" size="sm" asChild>
+              <a href={`/api/crawl/${jobId}/redirects/${format}`} download>
+                {format === 'json' ? 'Redirects JSON' : `${format.charAt(0).toUpperCase()}${format.slice(1)} Rules`}
+              </a>
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {riskFlags.length > 0 && (
+        <Card>
+          <CardContent className="p-4 space-y-2">
+            {riskFlags.map((flag, index) => (
+              <div key={index} className="flex items-start gap-2 text-sm">
+                <Badge variant="outline" className={cn('uppercase', riskColors[flag.level])}>
+                  {flag.level}
+                </Badge>
+                <span>{flag.message}</span>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {changes.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-muted-foreground">No paths are moved or removed by the optimized sitemap.</p>
+        </div>
+      ) : (
+        <div className="border border-border rounded-md overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-muted/50">
+              <tr className="text-left">
+                <th className="px-3 py-2 font-medium">Change</th>
+                <th className="px-3 py-2 font-medium">From</th>
+                <th className="px-3 py-2 font-medium">To</th>
+                <th className="px-3 py-2 font-medium">Risk</th>
+              </tr>
+            </thead>
+            <tbody>
+              {changes.map((change, index) => (
+                <tr key={index} className="border-t border-border align-top">
+                  <td className="px-3 py-2">
+                    {change.to ? (change.type === 'consolidation' ? 'Merged' : 'Moved') : 'Removed'}
+                  </td>
+                  <td className="px-3 py-2 font-mono text-xs break-all">{change.from}</td>
+                  <td className="px-3 py-2 font-mono text-xs break-all">
+                    {change.to || <span className="text-muted-foreground">—</span>}
+                    {change.reason && (
+                      <div className="font-sans text-muted-foreground mt-1">{change.reason}</div>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    <Badge variant="outline" className={cn('uppercase', riskColors[change.risk])}>
+                      {change.risk}
+                    </Badge>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SitemapChanges;
@@ -388,6 +388,18 @@ function extractRecommendationsFromImproved(improvedSitemap) {
   return recommendations;
 }
 
+/**
+ * Duplicate content clusters for the prompt (largest first, capped for token efficiency)
+ */
+function formatContentClusters(clusters = []) {
+  return clusters.slice(0, 15).map((cluster) => ({
+    suggested_canonical: cluster.path,
+    duplicates: cluster.duplicates.slice(0, 10),
+    cluster_size: cluster.cluster_size,
+    similarity: cluster.similarity,
+  }));
+}
+
 /**
  * Generate production-grade AI prompt for sitemap restructuring
  * This produces the new sitemap tree + redirect map
@@ -426,6 +438,14 @@ async function generateImprovedSitemap(
           faceted: structuralIssues.crawl_waste?.faceted?.slice(0, 10) || [],
           orphaned: structuralIssues.crawl_waste?.orphaned?.slice(0, 10) || [],
         },
+        duplicate_content: {
+          exact_duplicates: formatContentClusters(
+            structuralIssues.duplication?.exact_duplicates
+          ),
+          near_duplicates: formatContentClusters(
+            structuralIssues.duplication?.near_duplicates
+          ),
+        },
       }
     : {};
 
@@ -465,6 +485,9 @@ TASKS:
      - For each broken link with a relative path in \`originalHref\`, suggest converting to absolute path
      - Include these as recommendations with category "PATH_FIX" in your response
 3. Identify URLs that should be redirected (301) to better paths
+   - Use \`duplicate_content\` as evidence for consolidation: each cluster lists pages with identical (exact_duplicates) or near-identical (near_duplicates, similarity = share of matching SimHash bits) main content
+   - Redirect a cluster's duplicates to its \`suggested_canonical\`, or keep them with a noindex rule when they must stay reachable
+   - Only recommend content consolidation for pages listed in a cluster
 4. Identify paths that should be set to noindex
 5. Provide recommendations for restructuring, including path fixes
 
@@ -697,6 +720,14 @@ function generatePromptsWithData(
             orphaned:
               structuralIssues.crawl_waste?.orphaned?.slice(0, 10) || [],
           },
+          duplicate_content: {
+            exact_duplicates: formatContentClusters(
+              structuralIssues.duplication?.exact_duplicates
+            ),
+            near_duplicates: formatContentClusters(
+              structuralIssues.duplication?.near_duplicates
+            ),
+          },
         }
       : {};
 
@@ -737,6 +768,7 @@ TASKS:
    - Include these fixes in your redirect_map or as separate recommendations with category "PATH_FIX"
 4. Ensure depth ≤ ${maxDepth}
 5. Consolidate flat or fragmented sections into logical hubs
+   - Merge the duplicate content clusters in STRUCTURAL ISSUES (\`duplicate_content\`) into their \`suggested_canonical\` page; only pages listed in a cluster are duplicates
 6. Return a redirect map (301) for all moved paths AND broken links that should be redirected
 7. List index/noindex recommendations
 8. Explain structural changes briefly, including how broken links and path issues are addressed
@@ -0,0 +1,635 @@
+/**
+ * HTTP crawl engine
+ * Fetches pages without a browser and parses their HTML. The extracted page data has the
+ * same shape as the Playwright page evaluate, so pages from both engines are stored and
+ * analysed alike. Pages that look client-rendered are handed to Playwright by the crawler
+ * ("auto" engine).
+ */
+
+const { validateStructuredData } = require("../utils/structuredData");
+const { parseLinkHeader } = require("../utils/hreflang");
+const { computeContentFingerprint } = require("../utils/contentFingerprint");
+const { runRegexExtractors } = require("../utils/extractors");
+const { getCanonicalUrl, sameSite, isRootPage } = require("./urlHelpers");
+
+const CRAWL_ENGINES = ["http", "browser", "auto"];
+
+// Elements whose content is never visible text
+const NON_TEXT_ELEMENTS = /<(script|style|noscript|template|svg)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Empty mount points of client-side frameworks (React, Vue, Angular, Next.js, Nuxt, Svelte)
+const FRAMEWORK_ROOT_PATTERN =
+  /<(div|main|section)\b[^>]*\bid=["'](root|app|__next|__nuxt|___gatsby|svelte)["'][^>]*>\s*<\/\1>|<app-root\b[^>]*>\s*<\/app-root>/i;
+
+// Pages with less visible text than this are treated as empty shells
+const MIN_BODY_TEXT_LENGTH = 50;
+
+const HTTP_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+const MAX_HTTP_REDIRECTS = 10;
+const MAX_RETRIES = 3;
+const RETRY_DELAY_BASE = 1000; // Base delay in ms
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * Validate the crawl engine option
+ * @returns {string} http, browser or auto (browser when not set)
+ * @throws {Error} When the value is not a known engine
+ */
+function normalizeCrawlEngine(engine) {
+  if (engine === undefined || engine === null || engine === "") {
+    return "browser";
+  }
+  if (!CRAWL_ENGINES.includes(engine)) {
+    throw new Error(`engine must be one of ${CRAWL_ENGINES.join(", ")}`);
+  }
+  return engine;
+}
+
+function decodeEntities(text) {
+  return (text || "")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/gi, "&");
+}
+
+/**
+ * Visible text of an HTML fragment
+ */
+function getText(html) {
+  return decodeEntities(
+    (html || "")
+      .replace(/<!--[\s\S]*?-->/g, " ")
+      .replace(NON_TEXT_ELEMENTS, " ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Visible text of the main content (main/article, or the body without navigation)
+ * Same selection as the Playwright engine, for duplicate content fingerprints
+ */
+function getMainText(body) {
+  const main =
+    body.match(/<(main)\b[^>]*>([\s\S]*?)<\/main\s*>/i) ||
+    body.match(/<[^>]+\brole=["']main["'][^>]*>([\s\S]*)/i) ||
+    body.match(/<(article)\b[^>]*>([\s\S]*?)<\/article\s*>/i);
+  const content = main
+    ? main[main.length - 1]
+    : body.replace(/<(header|footer)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, " ");
+  return getText(
+    content.replace(/<(nav|aside)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, " ")
+  ).slice(0, 100000);
+}
+
+/**
+ * Attributes of a single start tag
+ */
+function getAttributes(tag) {
+  const attributes = {};
+  const attributePattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<[^\s>]+/, "").replace(/\/?>$/, "");
+  let match;
+  while ((match = attributePattern.exec(body)) !== null) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? "");
+    }
+  }
+  return attributes;
+}
+
+/**
+ * All start tags with a given name
+ */
+function findTags(html, name) {
+  return (html.match(new RegExp(`<${name}\\b[^>]*>`, "gi")) || []).map(getAttributes);
+}
+
+/**
+ * Text content of the first element with a given name
+ */
+function findElementText(html, name) {
+  const match = html.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)<\\/${name}\\s*>`, "i"));
+  return match ? getText(match[1]) : "";
+}
+
+/**
+ * Resolve an href like the browser evaluate does (hash routes kept, fragments dropped later)
+ */
+function resolveHref(href, pageUrl) {
+  try {
+    return new URL(href, pageUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Every <a href> with its text, rel and position (nav / footer / body)
+ * Positions follow the open <nav>, <header> and <footer> elements around the link
+ */
+function extractAnchors(html, pageUrl) {
+  const anchors = [];
+  const open = { footer: 0, nav: 0, header: 0 };
+  const tagPattern = /<(\/?)([a-z][a-z0-9-]*)\b[^>]*>/gi;
+  const content = html.replace(/<!--[\s\S]*?-->/g, "").replace(NON_TEXT_ELEMENTS, "");
+  let current = null;
+  let match;
+
+  while ((match = tagPattern.exec(content)) !== null) {
+    const [tag, closing, rawName] = match;
+    const name = rawName.toLowerCase();
+
+    if (Object.hasOwn(open, name)) {
+      open[name] = Math.max(0, open[name] + (closing ? -1 : 1));
+    } else if (name === "a") {
+      if (closing && current) {
+        current.text = getText(content.slice(current.start, match.index));
+        anchors.push(current);
+        current = null;
+      } else if (!closing) {
+        const attributes = getAttributes(tag);
+        current = attributes.href
+          ? {
+              href: attributes.href.trim(),
+              rel: (attributes.rel || "").trim(),
+              title: (attributes.title || "").trim(),
+              position: open.footer > 0 ? "footer" : open.nav + open.header > 0 ? "nav" : "body",
+              start: match.index + tag.length,
+            }
+          : null;
+      }
+    }
+  }
+
+  return anchors
+    .filter((a) => a.href && a.href !== "#" && !a.href.startsWith("javascript:"))
+    .map((a) => ({
+      url: resolveHref(a.href, pageUrl),
+      title: a.text || a.title || null,
+      originalHref: a.href,
+      rel: a.rel,
+      position: a.position,
+    }))
+    .filter((a) => a.url);
+}
+
+/**
+ * JSON-LD items (microdata and RDFa need a DOM and are only read by the browser engine)
+ */
+function extractJsonLd(html) {
+  const items = [];
+  const parseErrors = [];
+  const blocks = html.match(
+    /<script\b[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script\s*>/gi
+  ) || [];
+
+  blocks.forEach((block, index) => {
+    const text = block.replace(/^<script\b[^>]*>/i, "").replace(/<\/script\s*>$/i, "");
+    try {
+      const json = JSON.parse(text);
+      for (const entry of Array.isArray(json) ? json : [json]) {
+        const nodes = Array.isArray(entry?.["@graph"]) ? entry["@graph"] : [entry];
+        for (const node of nodes) {
+          if (node && typeof node === "object" && node["@type"]) {
+            items.push({ format: "json-ld", data: node });
+          }
+        }
+      }
+    } catch (error) {
+      parseErrors.push({
+        format: "json-ld",
+        message: `JSON-LD block ${index + 1}: ${error.message}`,
+      });
+    }
+  });
+
+  return { items: items.slice(0, 50), parseErrors };
+}
+
+/**
+ * Page title with the same priorities as the browser engine
+ * Root page: <title> > og:title > "root"; other pages: og:title > twitter:title > h1 > <title> > h2
+ */
+function pickTitle({ titleTag, ogTitle, twitterTitle, h1, h2 }, isRoot) {
+  const usable = (text) => text && text.length < 200;
+  if (isRoot) {
+    if (titleTag && !["untitled", "home", "index"].includes(titleTag.toLowerCase())) {
+      return titleTag;
+    }
+    return usable(ogTitle) ? ogTitle : "root";
+  }
+  if (usable(ogTitle)) return ogTitle;
+  if (usable(twitterTitle)) return twitterTitle;
+  if (usable(h1)) return h1;
+  if (titleTag) return titleTag;
+  if (usable(h2)) return h2;
+  return "Untitled";
+}
+
+/**
+ * Extract page data from HTML
+ * @param {string} html - Response body
+ * @param {string} pageUrl - URL the HTML was served from (after redirects)
+ * @param {boolean} isRoot - Whether the crawled URL is the site root
+ * @returns {Object} { title, links, pageData } - pageData as returned by the browser evaluate
+ */
+function extractPageDataFromHtml(html, pageUrl, isRoot = false) {
+  const head = html.match(/<head\b[^>]*>([\s\S]*?)<\/head\s*>/i)?.[1] || html;
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i)?.[1] || html;
+
+  const metaTags = findTags(head, "meta");
+  const getMeta = (key, value) =>
+    (metaTags.find((m) => (m[key] || "").toLowerCase() === value)?.content || "").trim();
+  const linkTags = findTags(head, "link");
+  const relIncludes = (tag, rel) =>
+    (tag.rel || "").toLowerCase().split(/\s+/).includes(rel);
+
+  let canonical = linkTags.find((tag) => relIncludes(tag, "canonical"))?.href || "";
+  if (canonical) {
+    canonical = resolveHref(canonical.trim(), pageUrl) || canonical;
+  }
+
+  const og = {};
+  for (const tag of metaTags) {
+    const property = tag.property || "";
+    if (property.startsWith("og:") && tag.content && !og[property.substring(3)]) {
+      og[property.substring(3)] = tag.content.trim();
+    }
+  }
+
+  const hreflang = linkTags
+    .filter((tag) => relIncludes(tag, "alternate") && tag.hreflang && tag.href)
+    .map((tag) => ({ lang: tag.hreflang.trim(), href: resolveHref(tag.href, pageUrl) }))
+    .filter((alt) => alt.href);
+
+  const titleTag = findElementText(head, "title");
+  const h1 = findElementText(body, "h1");
+  const h2 = findElementText(body, "h2");
+  const bodyText = getText(body);
+  const mainText = getMainText(body);
+
+  const anchors = extractAnchors(body, pageUrl);
+  const linkTitles = {};
+  const originalHrefs = {};
+  for (const anchor of anchors) {
+    const withoutSlash = anchor.url.replace(/\/$/, "");
+    for (const key of [anchor.url, withoutSlash, withoutSlash + "/"]) {
+      if (anchor.title && !(key in linkTitles)) linkTitles[key] = anchor.title;
+      if (!(key in originalHrefs)) originalHrefs[key] = anchor.originalHref;
+    }
+  }
+  const links = [...new Set(anchors.map((anchor) => anchor.url))];
+
+  let frameworkHint = "unknown";
+  if (/<script\b[^>]*id=["']__NEXT_DATA__["']/i.test(html)) frameworkHint = "nextjs";
+  else if (/\bdata-reactroot\b/i.test(html)) frameworkHint = "react";
+  else if (/\bdata-v-[0-9a-f]{6,}\b|\bid=["']__nuxt["']/i.test(html)) frameworkHint = "vue";
+  else if (/\bng-version=/i.test(html)) frameworkHint = "angular";
+
+  let intent = "informational";
+  let pageType = "page";
+  const path = (() => {
+    try {
+      return new URL(pageUrl).pathname.toLowerCase();
+    } catch {
+      return "";
+    }
+  })();
+  if (path.includes("/blog") || path.includes("/article") || path.includes("/post")) {
+    pageType = "article";
+  } else if (path.includes("/product") || path.includes("/shop")) {
+    intent = "transactional";
+    pageType = "product";
+  } else if (path.includes("/learn") || path.includes("/tutorial") || path.includes("/guide")) {
+    pageType = "article";
+  }
+
+  const title = pickTitle(
+    {
+      titleTag,
+      ogTitle: getMeta("property", "og:title"),
+      twitterTitle: getMeta("name", "twitter:title"),
+      h1,
+      h2,
+    },
+    isRoot
+  );
+
+  return {
+    title,
+    links,
+    pageData: {
+      meta: {
+        title: titleTag,
+        description: getMeta("name", "description"),
+        robots: getMeta("name", "robots") || "index,follow",
+        canonical,
+        ogTitle: getMeta("property", "og:title"),
+      },
+      og,
+      hreflang,
+      structuredData: extractJsonLd(html),
+      content_signals: {
+        h1,
+        h1_count: findTags(body, "h1").length,
+        h2_count: findTags(body, "h2").length,
+        word_count: bodyText ? bodyText.split(/\s+/).length : 0,
+      },
+      mainText,
+      links,
+      linkTitles,
+      originalHrefs,
+      linkOccurrences: anchors.map((anchor) => ({
+        url: anchor.url,
+        text: anchor.title || "",
+        rel: anchor.rel,
+        position: anchor.position,
+        href: anchor.originalHref,
+      })),
+      tech: {
+        is_spa: frameworkHint !== "unknown",
+        route_type: "static",
+        framework_hint: frameworkHint,
+      },
+      classification: {
+        intent,
+        page_type: pageType,
+      },
+    },
+  };
+}
+
+/**
+ * Decide whether a page fetched over HTTP needs a real browser
+ * @returns {string|null} Reason (hash_route, empty_body, framework_root) or null
+ */
+function detectClientRendering(html, url, links = []) {
+  if (url.includes("#/")) {
+    return "hash_route";
+  }
+  // Hash-router apps link to their routes as #/...
+  if (links.some((link) => link.includes("#/"))) {
+    return "hash_route";
+  }
+  if (FRAMEWORK_ROOT_PATTERN.test(html)) {
+    return "framework_root";
+  }
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i)?.[1] ?? html;
+  if (getText(body).length < MIN_BODY_TEXT_LENGTH) {
+    return "empty_body";
+  }
+  return null;
+}
+
+/**
+ * Find a <meta http-equiv="refresh"> target in an HTML document
+ * @returns {Object|null} { delay, url } with the target resolved against pageUrl
+ */
+function parseMetaRefresh(html, pageUrl) {
+  const metaTags = html.match(/<meta\b[^>]*>/gi) || [];
+  for (const tag of metaTags) {
+    if (!/http-equiv\s*=\s*["']?refresh/i.test(tag)) {
+      continue;
+    }
+    const content = tag.match(/content\s*=\s*("([^"]*)"|'([^']*)')/i);
+    const value = content ? content[2] ?? content[3] : "";
+    const match = value.match(/^\s*(\d+)?\s*[;,]?\s*(?:url\s*=\s*)?['"]?([^'"]*)['"]?\s*$/i);
+    if (!match || !match[2]) {
+      continue;
+    }
+    try {
+      return {
+        delay: parseInt(match[1] || "0"),
+        url: new URL(match[2].trim(), pageUrl).href,
+      };
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Post-process extracted page data (both engines)
+ * - structured data is validated against schema.org required properties
+ *   (only the validation result is kept, not the raw items)
+ * - hreflang alternates from <link> tags are merged with the HTTP Link header
+ * - main-content text is replaced by its fingerprint (see utils/contentFingerprint.js)
+ */
+function finishPageData(pageData, linkHeader, pageUrl) {
+  if (pageData.mainText !== undefined) {
+    pageData.content_fingerprint = computeContentFingerprint(pageData.mainText);
+    delete pageData.mainText;
+  }
+
+  if (pageData.structuredData) {
+    pageData.structured_data = validateStructuredData(pageData.structuredData);
+    delete pageData.structuredData;
+  }
+
+  let headerAlternates = [];
+  try {
+    headerAlternates = parseLinkHeader(linkHeader, pageUrl);
+  } catch {}
+  pageData.hreflang = [
+    ...(pageData.hreflang || []).map((alt) => ({ ...alt, source: "html" })),
+    ...headerAlternates.map((alt) => ({ ...alt, source: "header" })),
+  ];
+}
+
+/**
+ * Crawl a single page over plain HTTP (http / auto engines)
+ * Returns the same shape as crawlPage, plus clientRendering: the reason the page
+ * looks client-rendered (see detectClientRendering) or null
+ * @param {Object} options - { baseUrl, headers, linkTitleMap, checkRedirectDuplicates, originalHrefMap, extractors }
+ */
+async function crawlPageHttp(url, options, retryCount = 0) {
+  const {
+    baseUrl,
+    headers = {},
+    linkTitleMap = null,
+    checkRedirectDuplicates = false,
+    originalHrefMap = null,
+    extractors = null, // Only regex extractors run on HTTP pages
+  } = options;
+
+  try {
+    // Follow redirects by hand to record every hop like the browser engine does
+    const hops = [];
+    let currentUrl = url;
+    let response;
+    for (;;) {
+      response = await fetch(currentUrl, {
+        redirect: "manual",
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        headers: {
+          "User-Agent": HTTP_USER_AGENT,
+          Accept:
+            "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+          "Accept-Language": "en-US,en;q=0.9",
+          // Job credentials are never sent to other sites
+          ...(sameSite(currentUrl, baseUrl) ? headers : {}),
+        },
+      });
+      const location = response.headers.get("location");
+      if (response.status < 300 || response.status >= 400 || !location) {
+        break;
+      }
+      if (hops.length >= MAX_HTTP_REDIRECTS) {
+        throw new Error("net::ERR_TOO_MANY_REDIRECTS");
+      }
+      hops.push({ url: currentUrl, status: response.status, type: "http" });
+      currentUrl = new URL(location, currentUrl).href;
+    }
+
+    const statusCode = response.status;
+    if (statusCode >= 400) {
+      await response.body?.cancel().catch(() => {});
+      return {
+        title: "Untitled",
+        links: [],
+        statusCode,
+        error: `HTTP ${statusCode}: ${response.statusText}`,
+        finalUrl: url,
+        originalUrl: url,
+        retryAfter: response.headers.get("retry-after"),
+        clientRendering: null,
+      };
+    }
+
+    // Fragments are never sent to the server; keep hash routes on the final URL
+    const responseUrl =
+      url.includes("#/") && !currentUrl.includes("#")
+        ? currentUrl + new URL(url).hash
+        : currentUrl;
+    const finalUrl = checkRedirectDuplicates ? responseUrl : url;
+
+    const contentType = response.headers.get("content-type") || "";
+    const isHtml = !contentType || /html|xml/i.test(contentType);
+    const html = isHtml ? await response.text() : "";
+    if (!isHtml) {
+      await response.body?.cancel().catch(() => {});
+    }
+
+    const metaRefresh = html ? parseMetaRefresh(html, currentUrl) : null;
+    if (metaRefresh && metaRefresh.url.split("#")[0] !== currentUrl.split("#")[0]) {
+      hops.push({
+        url: currentUrl,
+        status: null,
+        type: "meta-refresh",
+        delay: metaRefresh.delay,
+      });
+    }
+    const redirectChain = hops.map((hop, index) => ({
+      hop: index + 1,
+      ...hop,
+      to: index + 1 < hops.length ? hops[index + 1].url : metaRefresh?.url || currentUrl,
+    }));
+    if (redirectChain.length > 0) {
+      console.log(
+        `↪️ ${redirectChain.length} redirect hop(s): ${url} -> ${
+          redirectChain[redirectChain.length - 1].to
+        }`
+      );
+    }
+
+    const extracted = extractPageDataFromHtml(html, currentUrl, isRootPage(url));
+    const pageData = extracted.pageData;
+
+    // A link title for this URL takes priority, like in the browser engine
+    let title = "Untitled";
+    if (linkTitleMap) {
+      const normalizedUrlForTitle = getCanonicalUrl(url);
+      const linkTitle =
+        linkTitleMap.get(url) ||
+        linkTitleMap.get(normalizedUrlForTitle) ||
+        linkTitleMap.get(normalizedUrlForTitle + "/") ||
+        linkTitleMap.get(normalizedUrlForTitle.replace(/\/$/, ""));
+      if (linkTitle && linkTitle.trim()) {
+        title = linkTitle.trim();
+      }
+      Object.entries(pageData.linkTitles).forEach(([linkUrl, linkTitle]) => {
+        linkTitleMap.set(linkUrl, linkTitle);
+      });
+    }
+    if (title === "Untitled") {
+      title = extracted.title;
+    }
+    if (originalHrefMap) {
+      Object.entries(pageData.originalHrefs).forEach(([linkUrl, originalHref]) => {
+        originalHrefMap.set(linkUrl, originalHref);
+      });
+    }
+
+    finishPageData(pageData, response.headers.get("link"), currentUrl);
+    if (extractors?.some((extractor) => extractor.type === "regex")) {
+      pageData.extracted = runRegexExtractors(html, extractors);
+    }
+
+    let normalizedUrl = finalUrl;
+    try {
+      const urlObj = new URL(finalUrl);
+      normalizedUrl =
+        urlObj.pathname + (finalUrl.includes("#/") ? urlObj.hash : "") || "/";
+    } catch {}
+
+    return {
+      title,
+      links: extracted.links,
+      statusCode,
+      finalUrl,
+      originalUrl: url,
+      redirectChain,
+      pageData: {
+        ...pageData,
+        normalized_url: normalizedUrl,
+      },
+      clientRendering: isHtml
+        ? detectClientRendering(html, url, extracted.links)
+        : null,
+    };
+  } catch (error) {
+    if (retryCount < MAX_RETRIES && !error.message.includes("TOO_MANY_REDIRECTS")) {
+      const delay = RETRY_DELAY_BASE * Math.pow(2, retryCount);
+      console.warn(
+        `Retrying ${url} (attempt ${retryCount + 1}/${MAX_RETRIES}) after ${delay}ms:`,
+        error.message
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return crawlPageHttp(url, options, retryCount + 1);
+    }
+
+    // fetch() reports network failures as "fetch failed" with the reason in cause
+    const reason = error.cause?.code || error.cause?.errors?.[0]?.code;
+    const message = reason ? `${error.message} (${reason})` : error.message;
+    console.warn(`Error fetching ${url} over HTTP:`, message);
+    return {
+      title: "Untitled",
+      links: [],
+      statusCode: 0,
+      error: message,
+      finalUrl: url,
+      originalUrl: url,
+      clientRendering: null,
+    };
+  }
+}
+
+module.exports = {
+  CRAWL_ENGINES,
+  normalizeCrawlEngine,
+  extractPageDataFromHtml,
+  detectClientRendering,
+  parseMetaRefresh,
+  finishPageData,
+  crawlPageHttp,
+};
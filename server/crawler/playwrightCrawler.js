@@ -1,7 +1,34 @@
 const { chromium } = require("playwright");
-const robotsParser = require("robots-parser");
 const { URL } = require("url");
 const { pool, queryWithRetry } = require("../db/init");
+const { createUrlFilter } = require("../utils/urlRules");
+const { getAuthRequestHeaders } = require("../utils/crawlAuth");
+const { buildPageAccessibility } = require("../utils/accessibility");
+const {
+  runRegexExtractors,
+  evaluateDomExtractors,
+  buildDomExtracted,
+  needsBrowser,
+} = require("../utils/extractors");
+const { createHostThrottles } = require("./throttle");
+const {
+  createQueryParamPolicy,
+  createParamInventory,
+  saveQueryParameters,
+} = require("../utils/queryParams");
+const { parseRobotsTxt, saveBlockedUrl } = require("../utils/robots");
+const { saveSitemapAudit } = require("../utils/sitemapAudit");
+const {
+  parseMetaRefresh,
+  finishPageData,
+  crawlPageHttp,
+} = require("./httpCrawler");
+const {
+  getCanonicalUrl,
+  sameDomain,
+  sameSite,
+  isRootPage,
+} = require("./urlHelpers");
 
 /**
  * Check if a crawl job still exists in the database
@@ -21,6 +48,167 @@ async function jobExists(jobId) {
   }
 }
 
+/**
+ * Get the current status of a crawl job (null if the job was deleted)
+ * Checked between batches so pause/cancel requests stop the crawl
+ */
+async function getJobStatus(jobId) {
+  try {
+    const result = await queryWithRetry(
+      "SELECT status FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    return result.rows[0]?.status || null;
+  } catch (error) {
+    // Keep crawling if the check itself fails
+    console.warn(`Error checking job status for ${jobId}:`, error.message);
+    return "CRAWLING";
+  }
+}
+
+/**
+ * Load the saved frontier of a paused or interrupted crawl
+ * Returns null when the job has no saved frontier
+ */
+async function loadFrontier(jobId) {
+  const result = await queryWithRetry(
+    "SELECT queue, visited, sequence FROM crawl_frontiers WHERE job_id = $1",
+    [jobId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Persist the crawl frontier (queue, visited set, sequence counter)
+ */
+async function saveFrontier(jobId, queue, visited, sequence) {
+  try {
+    await queryWithRetry(
+      `INSERT INTO crawl_frontiers (job_id, queue, visited, sequence, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (job_id) DO UPDATE SET queue = $2, visited = $3, sequence = $4, updated_at = NOW()`,
+      [jobId, JSON.stringify(queue), JSON.stringify([...visited]), sequence]
+    );
+  } catch (error) {
+    // Ignore foreign key violations (job might have been deleted)
+    if (!error.message.includes("foreign key constraint")) {
+      console.warn(`⚠️ Failed to save crawl frontier:`, error.message);
+    }
+  }
+}
+
+/**
+ * Remove the saved frontier once a crawl has finished
+ */
+async function clearFrontier(jobId) {
+  try {
+    await queryWithRetry("DELETE FROM crawl_frontiers WHERE job_id = $1", [
+      jobId,
+    ]);
+  } catch (error) {
+    console.warn(`⚠️ Failed to clear crawl frontier:`, error.message);
+  }
+}
+
+/**
+ * Store every link occurrence found on a crawled page in page_links
+ * Targets are normalized like queued URLs (job's query parameter rules, no #section) so they match pages.url
+ */
+async function storePageLinks(
+  jobId,
+  sourceUrl,
+  linkOccurrences,
+  baseUrl,
+  queryFilter = null
+) {
+  const rows = [];
+  for (const link of linkOccurrences || []) {
+    if (rows.length >= MAX_LINKS_PER_PAGE) {
+      break;
+    }
+    let linkUrl;
+    try {
+      linkUrl = new URL(link.url);
+    } catch {
+      continue;
+    }
+    if (!linkUrl.protocol.startsWith("http")) {
+      continue;
+    }
+    const targetUrl = normalizeUrl(getBaseUrl(link.url), true, queryFilter);
+    // Same-page anchors (#section) don't link to another page
+    if (!targetUrl || getBaseUrl(targetUrl) === getBaseUrl(sourceUrl)) {
+      continue;
+    }
+    rows.push({
+      targetUrl,
+      href: link.href || null,
+      text: (link.text || "").slice(0, 500),
+      rel: link.rel || "",
+      position: link.position || "body",
+      isInternal: sameSite(targetUrl, baseUrl),
+    });
+  }
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    await queryWithRetry(
+      `INSERT INTO page_links (job_id, source_url, target_url, href, anchor_text, rel, position, is_internal)
+       SELECT $1, $2, * FROM unnest($3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::boolean[])`,
+      [
+        jobId,
+        sourceUrl,
+        rows.map((r) => r.targetUrl),
+        rows.map((r) => r.href),
+        rows.map((r) => r.text),
+        rows.map((r) => r.rel),
+        rows.map((r) => r.position),
+        rows.map((r) => r.isInternal),
+      ]
+    );
+  } catch (error) {
+    // Ignore foreign key violations (job might have been deleted)
+    if (!error.message.includes("foreign key constraint")) {
+      console.warn(`⚠️ Failed to store links for ${sourceUrl}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Store hreflang annotations in hreflang_links
+ * @param {Array} links - [{ sourceUrl, lang, targetUrl, source }] (source: html, header or sitemap)
+ */
+async function storeHreflangLinks(jobId, links) {
+  const rows = (links || []).filter(
+    (link) => link.sourceUrl && link.lang && link.targetUrl
+  );
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    await queryWithRetry(
+      `INSERT INTO hreflang_links (job_id, source_url, lang, target_url, source)
+       SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[], $5::text[])`,
+      [
+        jobId,
+        rows.map((r) => r.sourceUrl),
+        rows.map((r) => r.lang.slice(0, 50)),
+        rows.map((r) => getBaseUrl(r.targetUrl) || r.targetUrl),
+        rows.map((r) => r.source),
+      ]
+    );
+  } catch (error) {
+    // Ignore foreign key violations (job might have been deleted)
+    if (!error.message.includes("foreign key constraint")) {
+      console.warn(`⚠️ Failed to store hreflang links:`, error.message);
+    }
+  }
+}
+
 // Browser is created fresh for each crawl job to ensure clean state
 // and proper resource cleanup
 
@@ -29,14 +217,18 @@ const MAX_RETRIES = 3;
 const RETRY_DELAY_BASE = 1000; // Base delay in ms
 const REQUEST_DELAY_MIN = 500; // Minimum delay between requests
 const REQUEST_DELAY_MAX = 2000; // Maximum delay between requests
+const MAX_THROTTLE_RETRIES = 3; // Retries of a 429 / 503 page after backing off
 const SPA_WAIT_TIMEOUT = 5000; // Max wait for SPA content
+const FRONTIER_SAVE_INTERVAL = 10000; // Save crawl frontier at most every 10s
+const MAX_LINKS_PER_PAGE = 1000; // Link occurrences stored per page (mega menus, tag clouds)
 const PAGE_NAVIGATION_TIMEOUT = 30000; // Increased timeout
 
 /**
  * Normalize URL - preserve hash for SPAs and fragments, remove query params
+ * queryFilter (see utils/queryParams.js) keeps the parameters a job's rules keep
  * NOTE: We preserve trailing slashes as some servers require them (return 404 without)
  */
-function normalizeUrl(url, preserveHash = false) {
+function normalizeUrl(url, preserveHash = false, queryFilter = null) {
   try {
     const u = new URL(url);
     // For SPAs, preserve hash routes (hash starting with #/)
@@ -52,7 +244,7 @@ function normalizeUrl(url, preserveHash = false) {
         u.hash = "";
       }
     }
-    u.search = "";
+    u.search = queryFilter ? queryFilter(u.searchParams) : "";
     // Preserve trailing slash - some servers require it (e.g., return 404 without it)
     return u.href;
   } catch {
@@ -81,15 +273,6 @@ function getBaseUrl(url) {
   }
 }
 
-/**
- * Get canonical URL for deduplication (without trailing slash)
- * Used only for checking if we've already visited a URL
- */
-function getCanonicalUrl(url) {
-  if (!url) return null;
-  return url.replace(/\/$/, "");
-}
-
 /**
  * Check if URL has been visited (handles both with/without trailing slash)
  */
@@ -110,61 +293,6 @@ function markVisited(visited, url) {
   visited.add(getCanonicalUrl(url));
 }
 
-/**
- * Check if two URLs are from the same domain
- */
-function sameDomain(a, b) {
-  try {
-    return new URL(a).hostname === new URL(b).hostname;
-  } catch {
-    return false;
-  }
-}
-
-/**
- * Check if two URLs are from the same site (handles subdomains)
- * e.g., www.doordash.com and about.doordash.com are considered same site
- */
-function sameSite(a, b) {
-  try {
-    const hostnameA = new URL(a).hostname;
-    const hostnameB = new URL(b).hostname;
-
-    // Exact match
-    if (hostnameA === hostnameB) return true;
-
-    // Extract root domain (e.g., "doordash.com" from "www.doordash.com" or "about.doordash.com")
-    const getRootDomain = (hostname) => {
-      const parts = hostname.split(".");
-      // Handle cases like "co.uk", "com.au" etc. (2-part TLDs)
-      if (parts.length >= 3) {
-        // Check for known 2-part TLDs
-        const twoPartTlds = [
-          "co.uk",
-          "com.au",
-          "com.br",
-          "co.za",
-          "com.mx",
-          "co.jp",
-        ];
-        const lastTwo = parts.slice(-2).join(".");
-        if (twoPartTlds.includes(lastTwo)) {
-          return parts.slice(-3).join(".");
-        }
-      }
-      // Standard case: last 2 parts (e.g., "doordash.com")
-      return parts.slice(-2).join(".");
-    };
-
-    const rootA = getRootDomain(hostnameA);
-    const rootB = getRootDomain(hostnameB);
-
-    return rootA === rootB;
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Select a diverse sample of URLs from a large sitemap
  * Prioritizes: homepage, then spreads across different path prefixes
@@ -226,8 +354,9 @@ function selectSampleUrls(urls, sampleSize) {
 
 /**
  * Load robots.txt
+ * @param {Object} requestHeaders - Extra headers (auth) for the request
  */
-async function loadRobots(url) {
+async function loadRobots(url, requestHeaders = {}) {
   try {
     const https = require("https");
     const http = require("http");
@@ -236,13 +365,13 @@ async function loadRobots(url) {
 
     return new Promise((resolve) => {
       const client = u.protocol === "https:" ? https : http;
-      const req = client.get(robotsUrl, (res) => {
+      const req = client.get(robotsUrl, { headers: requestHeaders }, (res) => {
         let data = "";
         res.on("data", (chunk) => (data += chunk));
         res.on("end", () => {
           try {
-            const robots = robotsParser(robotsUrl, data);
-            console.log("🤖 robots.txt loaded");
+            const robots = parseRobotsTxt(robotsUrl, data);
+            console.log(`🤖 robots.txt loaded: ${robotsUrl}`);
             resolve(robots);
           } catch {
             resolve({ isAllowed: () => true, getSitemaps: () => [] });
@@ -274,13 +403,19 @@ async function loadRobots(url) {
  * - RSS/Atom feeds as sitemaps
  * - Plain text sitemaps (one URL per line)
  * - Sitemaps with namespaces (xmlns)
+ * hreflang alternates (xhtml:link) of URL set entries are returned as { url, lang, href }
+ * For the sitemap audit, every parsed file is returned in files ({ url, type, url_count, bytes })
+ * and every URL set entry in entries ({ url, sitemap, lastmod })
  */
-async function fetchSitemap(baseUrl, robots = null) {
+async function fetchSitemap(baseUrl, robots = null, requestHeaders = {}) {
   const https = require("https");
   const http = require("http");
   const zlib = require("zlib");
 
   const discoveredUrls = new Set();
+  const hreflangAlternates = [];
+  const sitemapFiles = [];
+  const sitemapEntries = [];
   const errors = [];
   const processedSitemaps = new Set(); // Track processed sitemaps to avoid duplicates
 
@@ -395,6 +530,84 @@ async function fetchSitemap(baseUrl, robots = null) {
     return urls;
   }
 
+  /**
+   * Extract hreflang alternates (<xhtml:link rel="alternate" hreflang href>) per <url> entry
+   */
+  function extractHreflangFromXml(content, sitemapUrl) {
+    const alternates = [];
+    const decode = (value) =>
+      value
+        .trim()
+        .replace(/&amp;/g, "&")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+
+    const urlPattern = /<(?:[a-z0-9]+:)?url>([\s\S]*?)<\/(?:[a-z0-9]+:)?url>/gi;
+    let match;
+    while ((match = urlPattern.exec(content)) !== null) {
+      const block = match[1];
+      const locMatch = block.match(
+        /<(?:[a-z0-9]+:)?loc[^>]*>(?:\s*<!\[CDATA\[)?([^<\]]+)/i
+      );
+      if (!locMatch) continue;
+
+      const linkPattern = /<(?:[a-z0-9]+:)?link\b[^>]*>/gi;
+      let linkMatch;
+      while ((linkMatch = linkPattern.exec(block)) !== null) {
+        const tag = linkMatch[0];
+        const rel = tag.match(/\brel=["']([^"']*)["']/i)?.[1];
+        const lang = tag.match(/\bhreflang=["']([^"']*)["']/i)?.[1];
+        const href = tag.match(/\bhref=["']([^"']*)["']/i)?.[1];
+        if (!lang || !href || (rel && rel.toLowerCase() !== "alternate")) {
+          continue;
+        }
+        try {
+          alternates.push({
+            url: new URL(decode(locMatch[1]), sitemapUrl).href,
+            lang: lang.trim(),
+            href: new URL(decode(href), sitemapUrl).href,
+          });
+        } catch {
+          // Skip invalid URLs
+        }
+      }
+    }
+
+    return alternates;
+  }
+
+  /**
+   * Extract <url> entries with their <lastmod> (raw value, validated by the sitemap audit)
+   */
+  function extractEntriesFromXml(content, sitemapUrl) {
+    const entries = [];
+    const urlPattern = /<(?:[a-z0-9]+:)?url>([\s\S]*?)<\/(?:[a-z0-9]+:)?url>/gi;
+    let match;
+    while ((match = urlPattern.exec(content)) !== null) {
+      const block = match[1];
+      const locMatch = block.match(
+        /<(?:[a-z0-9]+:)?loc[^>]*>(?:\s*<!\[CDATA\[)?([^<\]]+)/i
+      );
+      if (!locMatch) continue;
+      const lastmodMatch = block.match(
+        /<(?:[a-z0-9]+:)?lastmod[^>]*>([^<]*)<\/(?:[a-z0-9]+:)?lastmod>/i
+      );
+      try {
+        entries.push({
+          url: new URL(locMatch[1].trim().replace(/&amp;/g, "&"), sitemapUrl)
+            .href,
+          sitemap: sitemapUrl,
+          lastmod: lastmodMatch ? lastmodMatch[1].trim() : null,
+        });
+      } catch {
+        // Skip invalid URLs
+      }
+    }
+    return entries;
+  }
+
   /**
    * Extract sitemap URLs from sitemap index
    */
@@ -502,6 +715,8 @@ async function fetchSitemap(baseUrl, robots = null) {
             "User-Agent": "Mozilla/5.0 (compatible; SitemapCrawler/1.0)",
             Accept: "application/xml, text/xml, text/plain, */*",
             "Accept-Encoding": isGzipped ? "gzip" : "gzip, deflate",
+            // Auth headers only go to the crawled site, not to sitemaps hosted elsewhere
+            ...(sameSite(sitemapUrl, baseUrl) ? requestHeaders : {}),
           },
         };
 
@@ -560,10 +775,23 @@ async function fetchSitemap(baseUrl, robots = null) {
                 return;
               }
 
+              // Size limits (50,000 URLs, 50 MB) apply to the uncompressed file
+              const sitemapFile = {
+                url: sitemapUrl,
+                type: null,
+                url_count: 0,
+                bytes: Buffer.byteLength(content),
+              };
+
               // Detect sitemap type and parse accordingly
               if (isSitemapIndex(content)) {
                 // It's a sitemap index - extract child sitemaps
                 const childSitemaps = extractSitemapsFromIndex(content);
+                sitemapFiles.push({
+                  ...sitemapFile,
+                  type: "index",
+                  url_count: childSitemaps.length,
+                });
                 console.log(
                   `📂 Sitemap index found with ${childSitemaps.length} child sitemaps: ${sitemapUrl}`
                 );
@@ -586,6 +814,16 @@ async function fetchSitemap(baseUrl, robots = null) {
               } else if (isUrlSetSitemap(content)) {
                 // Regular XML sitemap - extract URLs
                 const urls = extractUrlsFromXml(content);
+                hreflangAlternates.push(
+                  ...extractHreflangFromXml(content, sitemapUrl)
+                );
+                const entries = extractEntriesFromXml(content, sitemapUrl);
+                sitemapEntries.push(...entries);
+                sitemapFiles.push({
+                  ...sitemapFile,
+                  type: "urlset",
+                  url_count: entries.length,
+                });
 
                 urls.forEach((url) => {
                   try {
@@ -630,6 +868,14 @@ async function fetchSitemap(baseUrl, robots = null) {
                 // Might be a plain text sitemap
                 const urls = parseTextSitemap(content);
                 urls.forEach((url) => discoveredUrls.add(url));
+                sitemapEntries.push(
+                  ...urls.map((url) => ({ url, sitemap: sitemapUrl, lastmod: null }))
+                );
+                sitemapFiles.push({
+                  ...sitemapFile,
+                  type: "text",
+                  url_count: urls.length,
+                });
                 if (urls.length > 0) {
                   console.log(
                     `📄 Text sitemap parsed: ${urls.length} URLs from ${sitemapUrl}`
@@ -706,6 +952,9 @@ async function fetchSitemap(baseUrl, robots = null) {
     urls: urlArray,
     errors: errors.filter((e) => !e.error.includes("ENOTFOUND")), // Filter out DNS errors for non-existent defaults
     found: urlArray.length > 0,
+    hreflang: hreflangAlternates,
+    files: sitemapFiles,
+    entries: sitemapEntries,
   };
 }
 
@@ -1120,9 +1369,9 @@ async function waitForSPAContent(page) {
 /**
  * Safe evaluate wrapper that handles CSP/eval disabled errors
  */
-async function safeEvaluate(page, fn, fallback = null) {
+async function safeEvaluate(page, fn, fallback = null, arg = undefined) {
   try {
-    return await page.evaluate(fn);
+    return await page.evaluate(fn, arg);
   } catch (error) {
     if (error.message && error.message.includes("eval is disabled")) {
       // CSP has disabled eval, return fallback or empty result
@@ -1134,20 +1383,381 @@ async function safeEvaluate(page, fn, fallback = null) {
 }
 
 /**
- * Check if a URL is the root/homepage
+ * Lab performance metrics for the loaded page (milliseconds, CLS is unitless)
+ * - ttfb, dom_content_loaded, load: navigation timing
+ * - lcp, cls: buffered PerformanceObserver entries, CLS as the largest session window
+ * - request_count, transfer_bytes: requests finished so far and their encoded size
+ * Returns null when the page can't be evaluated (e.g. eval disabled)
  */
-function isRootPage(url) {
+async function collectPerformanceMetrics(page, requestSizes) {
   try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    // Root page has empty pathname or just "/", and no hash (or only #)
-    return (
-      (pathname === "/" || pathname === "") &&
-      (!urlObj.hash || urlObj.hash === "" || urlObj.hash === "#")
-    );
+    await page.waitForLoadState("load", { timeout: PAGE_NAVIGATION_TIMEOUT });
   } catch {
-    return false;
+    // Measure what has loaded so far
+  }
+
+  const timing = await safeEvaluate(
+    page,
+    () =>
+      new Promise((resolve) => {
+        const round = (value) => (value > 0 ? Math.round(value) : null);
+        const nav = performance.getEntriesByType("navigation")[0];
+        let lcp = null;
+        const shifts = [];
+        try {
+          new PerformanceObserver((list) => {
+            const entries = list.getEntries();
+            lcp = entries[entries.length - 1].startTime;
+          }).observe({ type: "largest-contentful-paint", buffered: true });
+          new PerformanceObserver((list) => {
+            for (const entry of list.getEntries()) {
+              if (!entry.hadRecentInput) shifts.push(entry);
+            }
+          }).observe({ type: "layout-shift", buffered: true });
+        } catch {
+          // Entry types not supported
+        }
+
+        // Buffered entries are delivered asynchronously
+        setTimeout(() => {
+          // Session windows: shifts less than 1s apart, at most 5s long
+          let cls = 0;
+          let windowValue = 0;
+          let windowStart = 0;
+          let previous = 0;
+          for (const shift of shifts) {
+            if (
+              windowValue > 0 &&
+              (shift.startTime - previous > 1000 ||
+                shift.startTime - windowStart > 5000)
+            ) {
+              windowValue = 0;
+            }
+            if (windowValue === 0) windowStart = shift.startTime;
+            windowValue += shift.value;
+            previous = shift.startTime;
+            cls = Math.max(cls, windowValue);
+          }
+
+          resolve({
+            ttfb: round(nav?.responseStart),
+            dom_content_loaded: round(nav?.domContentLoadedEventEnd),
+            load: round(nav?.loadEventEnd),
+            lcp: round(lcp),
+            cls: Math.round(cls * 1000) / 1000,
+          });
+        }, 100);
+      }),
+    null
+  ).catch(() => null);
+
+  if (!timing) {
+    return null;
+  }
+
+  const sizes = await Promise.all(requestSizes);
+  return {
+    ...timing,
+    request_count: sizes.length,
+    transfer_bytes: sizes.reduce((total, size) => total + size, 0),
+  };
+}
+
+/**
+ * Accessibility checks inside the page (no network access needed)
+ * Returns page data from buildPageAccessibility, or null when the page can't be evaluated
+ */
+async function runAccessibilityAudit(page) {
+  const results = await safeEvaluate(
+    page,
+    () => {
+      const MAX_SAMPLES = 5;
+      const MAX_CONTRAST_ELEMENTS = 1500;
+      const results = {};
+      const report = (rule, element) => {
+        const result = (results[rule] = results[rule] || { count: 0, samples: [] });
+        result.count++;
+        if (result.samples.length < MAX_SAMPLES) {
+          result.samples.push(
+            typeof element === "string"
+              ? element
+              : element.outerHTML.replace(/\s+/g, " ").slice(0, 150)
+          );
+        }
+      };
+
+      const isVisible = (element) => {
+        if (element.closest("[hidden], [aria-hidden='true']")) return false;
+        const style = getComputedStyle(element);
+        return (
+          style.display !== "none" &&
+          style.visibility !== "hidden" &&
+          element.getClientRects().length > 0
+        );
+      };
+      const labelledBy = (element) =>
+        (element.getAttribute("aria-labelledby") || "")
+          .split(/\s+/)
+          .some((id) => id && document.getElementById(id)?.textContent.trim());
+      const hasName = (element) =>
+        element.getAttribute("aria-label")?.trim() ||
+        element.getAttribute("title")?.trim() ||
+        labelledBy(element) ||
+        element.textContent.trim() ||
+        [...element.querySelectorAll("img[alt], svg title")].some(
+          (child) => (child.getAttribute("alt") ?? child.textContent).trim()
+        );
+
+      // Images: alt="" marks decorative images and is fine
+      for (const img of document.querySelectorAll("img:not([alt]), input[type='image']:not([alt])")) {
+        if (img.getAttribute("role") === "presentation" || img.getAttribute("role") === "none") continue;
+        if (img.getAttribute("aria-label") || labelledBy(img)) continue;
+        report("image_alt", img);
+      }
+
+      // Form inputs
+      const ignoredTypes = ["hidden", "submit", "button", "reset", "image"];
+      for (const input of document.querySelectorAll("input, select, textarea")) {
+        if (ignoredTypes.includes((input.getAttribute("type") || "").toLowerCase())) continue;
+        if (!isVisible(input)) continue;
+        const hasLabel =
+          input.labels?.length > 0 ||
+          input.getAttribute("aria-label")?.trim() ||
+          input.getAttribute("title")?.trim() ||
+          labelledBy(input);
+        if (!hasLabel) report("form_label", input);
+      }
+
+      // Headings
+      let previousLevel = 0;
+      let h1Count = 0;
+      for (const heading of document.querySelectorAll("h1, h2, h3, h4, h5, h6")) {
+        const level = Number(heading.tagName[1]);
+        if (level === 1) h1Count++;
+        if (previousLevel > 0 && level > previousLevel + 1) {
+          report("heading_order", `h${previousLevel} → ${heading.outerHTML.replace(/\s+/g, " ").slice(0, 140)}`);
+        }
+        previousLevel = level;
+      }
+      if (h1Count > 1) {
+        results.multiple_h1 = { count: 1, samples: [`${h1Count} h1 headings`] };
+      }
+
+      if (!document.documentElement.getAttribute("lang")?.trim()) {
+        report("html_lang", "<html> has no lang attribute");
+      }
+
+      // Links and buttons need an accessible name
+      for (const link of document.querySelectorAll("a[href]")) {
+        if (isVisible(link) && !hasName(link)) report("empty_link", link);
+      }
+      for (const button of document.querySelectorAll("button, [role='button'], input[type='submit'], input[type='button'], input[type='reset']")) {
+        if (!isVisible(button)) continue;
+        const isInput = button.tagName === "INPUT";
+        const named = isInput
+          ? button.value?.trim() || button.getAttribute("aria-label")?.trim() || labelledBy(button) ||
+            button.type === "submit" || button.type === "reset" // default labels
+          : hasName(button);
+        if (!named) report("empty_button", button);
+      }
+
+      // Text contrast (WCAG relative luminance), skipped over background images
+      const parseColor = (value) => {
+        const match = value.match(/rgba?\(([^)]+)\)/);
+        if (!match) return null;
+        const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        return { r, g, b, a };
+      };
+      const blend = (top, bottom) => ({
+        r: top.r * top.a + bottom.r * (1 - top.a),
+        g: top.g * top.a + bottom.g * (1 - top.a),
+        b: top.b * top.a + bottom.b * (1 - top.a),
+        a: 1,
+      });
+      const background = (element) => {
+        const layers = [];
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+          const style = getComputedStyle(node);
+          if (style.backgroundImage !== "none") return null;
+          const color = parseColor(style.backgroundColor);
+          if (color && color.a > 0) {
+            layers.push(color);
+            if (color.a >= 1) break;
+          }
+        }
+        return layers.reduceRight((below, layer) => blend(layer, below), { r: 255, g: 255, b: 255, a: 1 });
+      };
+      const luminance = ({ r, g, b }) => {
+        const [R, G, B] = [r, g, b].map((channel) => {
+          const c = channel / 255;
+          return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+      };
+
+      let checked = 0;
+      for (const element of document.body?.querySelectorAll("*") || []) {
+        if (checked >= MAX_CONTRAST_ELEMENTS) break;
+        if (["SCRIPT", "STYLE", "NOSCRIPT", "SVG", "svg"].includes(element.tagName)) continue;
+        const hasText = [...element.childNodes].some(
+          (node) => node.nodeType === 3 && node.textContent.trim()
+        );
+        if (!hasText || !isVisible(element)) continue;
+        checked++;
+
+        const style = getComputedStyle(element);
+        const bg = background(element);
+        const fg = parseColor(style.color);
+        if (!bg || !fg || Number(style.opacity) === 0) continue;
+
+        const l1 = luminance(blend(fg, bg));
+        const l2 = luminance(bg);
+        const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+        const size = parseFloat(style.fontSize);
+        const bold = Number(style.fontWeight) >= 700;
+        const required = size >= 24 || (bold && size >= 18.66) ? 3 : 4.5;
+        if (ratio < required) {
+          report(
+            "color_contrast",
+            `${ratio.toFixed(2)}:1 (needs ${required}:1) ${element.outerHTML.replace(/\s+/g, " ").slice(0, 120)}`
+          );
+        }
+      }
+
+      return results;
+    },
+    null
+  ).catch((error) => {
+    console.warn(`⚠️ Accessibility audit failed: ${error.message}`);
+    return null;
+  });
+
+  return results ? buildPageAccessibility(results) : null;
+}
+
+/**
+ * Run a job's extractors on the rendered page (see utils/extractors.js)
+ * CSS and XPath selectors are evaluated in the page, regex patterns on its HTML
+ * @returns {Object|null} { name: value } in extractor order
+ */
+async function runExtractors(page, extractors) {
+  const domExtractors = extractors.filter(
+    (extractor) => extractor.type !== "regex"
+  );
+  let domResults = null;
+  if (domExtractors.length > 0) {
+    domResults = await safeEvaluate(
+      page,
+      evaluateDomExtractors,
+      null,
+      domExtractors
+    ).catch((error) => {
+      console.warn(`⚠️ Extractors failed: ${error.message}`);
+      return null;
+    });
+  }
+
+  let regexResults = {};
+  if (domExtractors.length < extractors.length) {
+    const html = await page.content().catch(() => "");
+    regexResults = runRegexExtractors(html, extractors);
   }
+
+  const domExtracted = buildDomExtracted(domResults, extractors);
+  return Object.fromEntries(
+    extractors.map((extractor) => [
+      extractor.name,
+      extractor.type === "regex"
+        ? regexResults[extractor.name]
+        : domExtracted[extractor.name],
+    ])
+  );
+}
+
+/**
+ * Build the subset of pageData that is persisted in pages.page_data
+ * Link lists and link title maps are only needed while crawling, so they are dropped
+ * (individual link occurrences go to the page_links table)
+ */
+function toStoredPageData(pageData) {
+  if (!pageData) return null;
+  const {
+    links,
+    linkTitles,
+    originalHrefs,
+    originalHref,
+    linkOccurrences,
+    ...storedData
+  } = pageData;
+  return {
+    ...storedData,
+    link_count: Array.isArray(links) ? links.length : 0,
+  };
+}
+
+/**
+ * Build the redirect chain that led to a page
+ * HTTP hops come from the navigation request's redirect history, client-side hops
+ * (meta refresh / JavaScript) from main-frame navigations after the document loaded
+ * @param {Response} response - Playwright navigation response
+ * @param {Array} navigatedUrls - Main-frame URLs in navigation order
+ * @param {Object|null} metaRefresh - Meta refresh found in the first document
+ * @returns {Array} Hops: { hop, url, to, status, type: "http" | "meta-refresh" | "js" }
+ */
+async function getRedirectChain(response, navigatedUrls, metaRefresh) {
+  const hops = [];
+  if (!response) {
+    return hops;
+  }
+
+  let request = response.request().redirectedFrom();
+  while (request) {
+    const redirectResponse = await request.response().catch(() => null);
+    hops.unshift({
+      url: request.url(),
+      status: redirectResponse ? redirectResponse.status() : null,
+      type: "http",
+    });
+    request = request.redirectedFrom();
+  }
+
+  // Only URL changes count, hash changes are same-document navigations
+  const withoutHash = (u) => u.split("#")[0];
+  let currentUrl = response.url();
+  for (const navigatedUrl of navigatedUrls) {
+    if (withoutHash(navigatedUrl) === withoutHash(currentUrl)) {
+      continue;
+    }
+    const isMetaRefresh =
+      metaRefresh && withoutHash(metaRefresh.url) === withoutHash(navigatedUrl);
+    hops.push({
+      url: currentUrl,
+      status: null,
+      type: isMetaRefresh ? "meta-refresh" : "js",
+    });
+    currentUrl = navigatedUrl;
+  }
+
+  // A delayed meta refresh that hasn't fired yet still redirects visitors
+  if (
+    metaRefresh &&
+    !hops.some((hop) => hop.type === "meta-refresh") &&
+    withoutHash(metaRefresh.url) !== withoutHash(currentUrl)
+  ) {
+    hops.push({
+      url: currentUrl,
+      status: null,
+      type: "meta-refresh",
+      delay: metaRefresh.delay,
+    });
+    currentUrl = metaRefresh.url;
+  }
+
+  return hops.map((hop, index) => ({
+    hop: index + 1,
+    ...hop,
+    to: index + 1 < hops.length ? hops[index + 1].url : currentUrl,
+  }));
 }
 
 /**
@@ -1251,7 +1861,24 @@ async function extractPageDataWithoutEval(page, url) {
     // Also extract link titles and original hrefs for better page titles
     const linkTitles = new Map();
     const originalHrefs = new Map();
+    const linkOccurrences = [];
     try {
+      // Hrefs inside footer / navigation areas, to classify link positions
+      const getHrefsIn = async (selector) => {
+        const hrefs = new Set();
+        for (const el of await page.locator(selector).all()) {
+          const href = await el.getAttribute("href").catch(() => null);
+          if (href) hrefs.add(href);
+        }
+        return hrefs;
+      };
+      const footerHrefs = await getHrefsIn(
+        'footer a[href], [role="contentinfo"] a[href]'
+      );
+      const navHrefs = await getHrefsIn(
+        'nav a[href], header a[href], [role="navigation"] a[href], [role="banner"] a[href]'
+      );
+
       const linkElements = await page.locator("a[href]").all();
       for (const linkEl of linkElements) {
         try {
@@ -1305,6 +1932,18 @@ async function extractPageDataWithoutEval(page, url) {
                   linkTitles.set(normalized + "/", linkTitle);
                 }
 
+                linkOccurrences.push({
+                  url: resolvedUrl.href,
+                  text: linkTitle,
+                  rel: (await linkEl.getAttribute("rel"))?.trim() || "",
+                  position: footerHrefs.has(href)
+                    ? "footer"
+                    : navHrefs.has(href)
+                    ? "nav"
+                    : "body",
+                  href: originalHref,
+                });
+
                 // Store original href for this resolved URL
                 const normalized = resolvedUrl.href.replace(/\/$/, "");
                 originalHrefs.set(resolvedUrl.href, originalHref);
@@ -1335,17 +1974,73 @@ async function extractPageDataWithoutEval(page, url) {
       originalHrefsObj[linkUrl] = originalHref;
     });
 
+    // Extract meta tags using locator API (doesn't need eval)
+    const getAttributeOf = async (selector, attribute) => {
+      try {
+        const element = page.locator(selector).first();
+        if ((await element.count()) > 0) {
+          return ((await element.getAttribute(attribute)) || "").trim();
+        }
+      } catch {}
+      return "";
+    };
+    const metaDescription = await getAttributeOf(
+      'meta[name="description"]',
+      "content"
+    );
+    const metaRobots =
+      (await getAttributeOf('meta[name="robots"]', "content")) ||
+      "index,follow";
+    let canonical = await getAttributeOf('link[rel="canonical"]', "href");
+    if (canonical) {
+      try {
+        canonical = new URL(canonical, url).href;
+      } catch {}
+    }
+
+    // Only JSON-LD can be read without eval (microdata/RDFa need DOM walking)
+    const structuredItems = [];
+    const structuredParseErrors = [];
+    const jsonLdBlocks = await page
+      .locator('script[type="application/ld+json"]')
+      .allTextContents()
+      .catch(() => []);
+    jsonLdBlocks.forEach((text, index) => {
+      try {
+        const json = JSON.parse(text);
+        for (const block of Array.isArray(json) ? json : [json]) {
+          const nodes = Array.isArray(block?.["@graph"]) ? block["@graph"] : [block];
+          for (const node of nodes) {
+            if (node && typeof node === "object" && node["@type"]) {
+              structuredItems.push({ format: "json-ld", data: node });
+            }
+          }
+        }
+      } catch (error) {
+        structuredParseErrors.push({
+          format: "json-ld",
+          message: `JSON-LD block ${index + 1}: ${error.message}`,
+        });
+      }
+    });
+
     return {
       title: title.trim() || "Untitled",
       links: allLinks,
       pageData: {
         meta: {
-          description: "",
-          canonical: "",
+          description: metaDescription,
+          robots: metaRobots,
+          canonical: canonical,
         },
         links: allLinks,
         linkTitles: linkTitles,
         originalHrefs: originalHrefsObj,
+        linkOccurrences,
+        structuredData: {
+          items: structuredItems,
+          parseErrors: structuredParseErrors,
+        },
       },
     };
   } catch (error) {
@@ -1367,7 +2062,8 @@ async function crawlPage(
   retryCount = 0,
   linkTitleMap = null,
   checkRedirectDuplicates = false,
-  originalHrefMap = null
+  originalHrefMap = null,
+  pageChecks = {}
 ) {
   const PAGE_CRAWL_TIMEOUT = 60000; // 60 seconds max per page
 
@@ -1379,7 +2075,8 @@ async function crawlPage(
       retryCount,
       linkTitleMap,
       checkRedirectDuplicates,
-      originalHrefMap
+      originalHrefMap,
+      pageChecks
     ),
     new Promise((_, reject) => {
       setTimeout(() => {
@@ -1404,6 +2101,10 @@ async function crawlPage(
 
 /**
  * Internal crawl page function
+ * pageChecks: opt-in measurements, each adds a pageData key
+ * - collectPerformance: pageData.performance, every resource is loaded (see collectPerformanceMetrics)
+ * - auditAccessibility: pageData.accessibility, stylesheets are loaded (see runAccessibilityAudit)
+ * - extractors: pageData.extracted, the job's custom fields (see runExtractors)
  */
 async function crawlPageInternal(
   context,
@@ -1411,15 +2112,58 @@ async function crawlPageInternal(
   retryCount = 0,
   linkTitleMap = null,
   checkRedirectDuplicates = false,
-  originalHrefMap = null
+  originalHrefMap = null,
+  pageChecks = {}
 ) {
   const page = await context.newPage();
 
+  // Main-frame URLs after the first document, to detect meta refresh / JS redirects
+  const navigatedUrls = [];
+  page.on("framenavigated", (frame) => {
+    if (frame === page.mainFrame()) {
+      navigatedUrls.push(frame.url());
+    }
+  });
+  let redirectChain = [];
+  // Retry-After of a 429 / 503 response, for the crawl throttle
+  let retryAfter = null;
+
+  // Encoded size of every finished request, for performance metrics
+  const requestSizes = [];
+  const {
+    collectPerformance = false,
+    auditAccessibility = false,
+    extractors = null,
+  } = pageChecks;
+  if (collectPerformance) {
+    page.on("requestfinished", (request) => {
+      requestSizes.push(
+        request
+          .sizes()
+          .then((sizes) => sizes.responseHeadersSize + sizes.responseBodySize)
+          .catch(() => 0)
+      );
+    });
+  }
+
   // Block unnecessary resources for faster crawling
+  // (fallback() hands allowed requests to context routes, e.g. job auth headers)
   await page.route("**/*", (route) => {
+    // Blocking would skew the performance metrics
+    if (collectPerformance) {
+      route.fallback();
+      return;
+    }
+
     const resourceType = route.request().resourceType();
     const url = route.request().url();
 
+    // Color contrast needs the computed styles
+    if (auditAccessibility && resourceType === "stylesheet") {
+      route.fallback();
+      return;
+    }
+
     // Block more resource types for better performance
     if (
       [
@@ -1444,10 +2188,10 @@ async function crawlPageInternal(
       ) {
         route.abort();
       } else {
-        route.continue();
+        route.fallback();
       }
     } else {
-      route.continue();
+      route.fallback();
     }
   });
 
@@ -1469,6 +2213,7 @@ async function crawlPageInternal(
 
     for (const strategy of strategies) {
       try {
+        navigatedUrls.length = 0;
         response = await page.goto(url, strategy);
         navigationSuccess = true;
 
@@ -1509,15 +2254,18 @@ async function crawlPageInternal(
 
           // Check for error status codes
           if (statusCode >= 400) {
+            retryAfter = response.headers()["retry-after"] ?? null;
             throw new Error(`HTTP ${statusCode}: ${response.statusText()}`);
           }
         }
         break;
       } catch (error) {
-        if (strategy === strategies[strategies.length - 1]) {
+        // The server answered: another wait strategy would only request it again
+        // (and bypass the throttle's backoff for 429 / 503)
+        if (statusCode >= 400 || strategy === strategies[strategies.length - 1]) {
           throw error;
         }
-        // Try next strategy
+        // Try next strategy (timeouts, navigation errors)
       }
     }
 
@@ -1525,6 +2273,16 @@ async function crawlPageInternal(
       throw new Error("Navigation failed with all strategies");
     }
 
+    // Read the first document now, a client-side redirect may replace it
+    let metaRefresh = null;
+    if (response && statusCode < 300) {
+      try {
+        metaRefresh = parseMetaRefresh(await response.text(), response.url());
+      } catch {
+        // Body not available (e.g. already navigated away)
+      }
+    }
+
     // Get final URL from page (only if redirect duplicate checking is enabled)
     // When disabled, we always use the original URL (don't follow redirects)
     if (checkRedirectDuplicates) {
@@ -1666,6 +2424,32 @@ async function crawlPageInternal(
       await page.waitForTimeout(2000);
     }
 
+    // Measure before dropdown/pagination interactions add requests and layout shifts
+    const performanceMetrics = collectPerformance
+      ? await collectPerformanceMetrics(page, requestSizes)
+      : null;
+    const accessibility = auditAccessibility
+      ? await runAccessibilityAudit(page)
+      : null;
+    // Custom fields describe the page as loaded, before menus are opened
+    const customFields = extractors?.length
+      ? await runExtractors(page, extractors)
+      : null;
+
+    // Snapshot the redirect chain before dropdown/pagination interactions navigate
+    redirectChain = await getRedirectChain(
+      response,
+      navigatedUrls,
+      metaRefresh
+    );
+    if (redirectChain.length > 0) {
+      console.log(
+        `↪️ ${redirectChain.length} redirect hop(s): ${url} -> ${
+          redirectChain[redirectChain.length - 1].to
+        }`
+      );
+    }
+
     // Interact with dropdown menus to reveal hidden links (with timeout)
     const dropdownLinks = await Promise.race([
       interactWithDropdowns(page),
@@ -1986,14 +2770,148 @@ async function crawlPageInternal(
             document
               .querySelector('meta[name="robots"]')
               ?.getAttribute("content") || "index,follow";
-          const canonical =
+          let canonical =
             document
               .querySelector('link[rel="canonical"]')
               ?.getAttribute("href") || "";
+          // Resolve relative canonicals so they can be compared with page URLs
+          if (canonical) {
+            try {
+              canonical = new URL(canonical, window.location.href).href;
+            } catch {}
+          }
           const ogTitle =
             document
               .querySelector('meta[property="og:title"]')
               ?.getAttribute("content") || "";
+          const titleTag =
+            document.querySelector("title")?.textContent?.trim() || "";
+
+          // Extract Open Graph tags (og:title, og:description, og:image, ...)
+          const ogTags = {};
+          document.querySelectorAll('meta[property^="og:"]').forEach((el) => {
+            const property = el.getAttribute("property");
+            const content = el.getAttribute("content");
+            if (property && content && !ogTags[property.substring(3)]) {
+              ogTags[property.substring(3)] = content.trim();
+            }
+          });
+
+          // Extract hreflang alternates
+          const hreflang = Array.from(
+            document.querySelectorAll('link[rel="alternate"][hreflang]')
+          )
+            .map((el) => {
+              const lang = el.getAttribute("hreflang");
+              const href = el.getAttribute("href");
+              if (!lang || !href) return null;
+              try {
+                return {
+                  lang: lang.trim(),
+                  href: new URL(href, window.location.href).href,
+                };
+              } catch {
+                return null;
+              }
+            })
+            .filter(Boolean);
+
+          // Extract structured data (JSON-LD, microdata, RDFa) as plain
+          // { "@type", property: value } objects; validated in Node afterwards
+          const MAX_STRUCTURED_ITEMS = 50;
+          const structuredItems = [];
+          const structuredParseErrors = [];
+          const trimValue = (value) =>
+            typeof value === "string" ? value.trim().slice(0, 300) : value;
+          const stripSchemaPrefix = (type) =>
+            String(type).replace(/^https?:\/\/schema\.org\//i, "").replace(/^schema:/i, "");
+
+          document
+            .querySelectorAll('script[type="application/ld+json"]')
+            .forEach((script, index) => {
+              try {
+                const json = JSON.parse(script.textContent || "");
+                const blocks = Array.isArray(json) ? json : [json];
+                for (const block of blocks) {
+                  const nodes = Array.isArray(block?.["@graph"])
+                    ? block["@graph"]
+                    : [block];
+                  for (const node of nodes) {
+                    if (node && typeof node === "object" && node["@type"]) {
+                      structuredItems.push({ format: "json-ld", data: node });
+                    }
+                  }
+                }
+              } catch (error) {
+                structuredParseErrors.push({
+                  format: "json-ld",
+                  message: `JSON-LD block ${index + 1}: ${error.message}`,
+                });
+              }
+            });
+
+          // Microdata / RDFa: nested items become objects, other properties text values
+          const readItem = (element, format, depth = 0) => {
+            const typeAttr = format === "microdata" ? "itemtype" : "typeof";
+            const propAttr = format === "microdata" ? "itemprop" : "property";
+            const scopeSelector =
+              format === "microdata" ? "[itemscope]" : "[typeof]";
+            const types = (element.getAttribute(typeAttr) || "")
+              .split(/\s+/)
+              .filter(Boolean)
+              .map(stripSchemaPrefix);
+            const item = { "@type": types.length === 1 ? types[0] : types };
+
+            const readValue = (el) => {
+              if (el.matches(scopeSelector) && depth < 4) {
+                return readItem(el, format, depth + 1);
+              }
+              if (el.hasAttribute("content")) return el.getAttribute("content");
+              if (el.hasAttribute("resource") && format === "rdfa")
+                return el.getAttribute("resource");
+              if (el.hasAttribute("itemid") && format === "microdata")
+                return el.getAttribute("itemid");
+              if (["A", "LINK", "AREA"].includes(el.tagName)) return el.href;
+              if (["IMG", "AUDIO", "VIDEO", "SOURCE"].includes(el.tagName))
+                return el.src;
+              if (el.tagName === "META") return el.getAttribute("content");
+              if (el.tagName === "TIME")
+                return el.getAttribute("datetime") || el.textContent;
+              return el.textContent;
+            };
+
+            // Properties belong to the closest enclosing item
+            element.querySelectorAll(`[${propAttr}]`).forEach((el) => {
+              const owner = el.parentElement?.closest(scopeSelector);
+              if (owner !== element) return;
+              for (const name of el.getAttribute(propAttr).split(/\s+/)) {
+                const key = stripSchemaPrefix(name);
+                const value = trimValue(readValue(el));
+                if (key in item) {
+                  item[key] = [].concat(item[key], value);
+                } else {
+                  item[key] = value;
+                }
+              }
+            });
+            return item;
+          };
+
+          document
+            .querySelectorAll("[itemscope]:not([itemprop])")
+            .forEach((el) => {
+              if (el.hasAttribute("itemtype")) {
+                structuredItems.push({
+                  format: "microdata",
+                  data: readItem(el, "microdata"),
+                });
+              }
+            });
+          document.querySelectorAll("[typeof]:not([property])").forEach((el) => {
+            if (!el.parentElement?.closest("[typeof]")) {
+              structuredItems.push({ format: "rdfa", data: readItem(el, "rdfa") });
+            }
+          });
 
           // Extract content signals
           const h1 = document.querySelector("h1")?.textContent?.trim() || "";
@@ -2005,11 +2923,41 @@ async function crawlPageInternal(
             .split(/\s+/)
             .filter((w) => w.length > 0).length;
 
+          // Main content without navigation, for duplicate content fingerprints
+          let mainText = "";
+          const mainElement =
+            document.querySelector('main, [role="main"], article') ||
+            document.body;
+          if (mainElement) {
+            const clone = mainElement.cloneNode(true);
+            const boilerplate =
+              mainElement === document.body
+                ? 'script, style, noscript, template, nav, aside, header, footer, [role="navigation"], [role="banner"], [role="contentinfo"]'
+                : 'script, style, noscript, template, nav, aside, [role="navigation"]';
+            clone
+              .querySelectorAll(boilerplate)
+              .forEach((element) => element.remove());
+            mainText = (clone.textContent || "")
+              .replace(/\s+/g, " ")
+              .trim()
+              .slice(0, 100000);
+          }
+
+          // Where a link sits on the page (for the link report)
+          const getLinkPosition = (a) => {
+            if (a.closest('footer, [role="contentinfo"]')) return "footer";
+            if (a.closest('nav, header, [role="navigation"], [role="banner"]'))
+              return "nav";
+            return "body";
+          };
+
           // Extract links with title information
           const allLinks = Array.from(document.querySelectorAll("a[href]"))
             .map((a) => {
               const href = a.getAttribute("href");
               if (!href) return null;
+              const rel = a.getAttribute("rel")?.trim() || "";
+              const position = getLinkPosition(a);
 
               // Extract link text (text content inside <a> tag)
               let linkText = "";
@@ -2066,6 +3014,8 @@ async function crawlPageInternal(
                   url: resolvedUrl.href,
                   title: linkTitle || null,
                   originalHref: href, // Store original href attribute as-is
+                  rel,
+                  position,
                 };
               } catch {
                 // Fallback for hash links - only include hash routes (#/route), not fragments (#section)
@@ -2077,6 +3027,8 @@ async function crawlPageInternal(
                     url: url,
                     title: linkTitle || null,
                     originalHref: href, // Store original href attribute as-is
+                    rel,
+                    position,
                   };
                 }
                 // Skip hash fragments (#section) - they're just anchors on the same page
@@ -2087,6 +3039,8 @@ async function crawlPageInternal(
                     url: url,
                     title: linkTitle || null,
                     originalHref: href, // Store original href attribute as-is
+                    rel,
+                    position,
                   };
                 } catch {
                   return null;
@@ -2195,19 +3149,36 @@ async function crawlPageInternal(
 
           return {
             meta: {
+              title: titleTag,
               description: metaDescription,
               robots: metaRobots,
               canonical: canonical,
               ogTitle: ogTitle,
             },
+            og: ogTags,
+            hreflang: hreflang,
+            structuredData: {
+              items: structuredItems.slice(0, MAX_STRUCTURED_ITEMS),
+              parseErrors: structuredParseErrors,
+            },
             content_signals: {
               h1: h1,
+              h1_count: document.querySelectorAll("h1").length,
               h2_count: h2Count,
               word_count: wordCount,
             },
+            mainText,
             links: combinedLinks,
             linkTitles: linkTitlesObj,
             originalHrefs: originalHrefObj,
+            // Every <a> occurrence (same target can appear several times)
+            linkOccurrences: allLinks.map((linkObj) => ({
+              url: linkObj.url,
+              text: linkObj.title || "",
+              rel: linkObj.rel,
+              position: linkObj.position,
+              href: linkObj.originalHref,
+            })),
             tech: {
               is_spa: isSPA,
               route_type: routeType,
@@ -2295,6 +3266,14 @@ async function crawlPageInternal(
         }
       }
 
+      if (pageData) {
+        let linkHeader = null;
+        try {
+          linkHeader = response?.headers()?.link;
+        } catch {}
+        finishPageData(pageData, linkHeader, finalUrl);
+      }
+
       // Build normalized URL path from final URL (after redirects)
       let normalizedUrl = finalUrl;
       try {
@@ -2313,9 +3292,13 @@ async function crawlPageInternal(
         statusCode,
         finalUrl: finalUrl, // Include final URL after redirects
         originalUrl: url, // Include original URL for reference
+        redirectChain,
         pageData: {
           ...pageData,
           normalized_url: normalizedUrl,
+          ...(performanceMetrics && { performance: performanceMetrics }),
+          ...(accessibility && { accessibility }),
+          ...(customFields && { extracted: customFields }),
         },
       };
     } catch (error) {
@@ -2340,6 +3323,7 @@ async function crawlPageInternal(
             statusCode: 200,
             finalUrl: pageFinalUrl,
             originalUrl: url,
+            redirectChain,
             pageData: fallbackData.pageData,
           };
         } catch (fallbackError) {
@@ -2356,7 +3340,8 @@ async function crawlPageInternal(
       }
 
       // Retry logic for other errors
-      if (retryCount < MAX_RETRIES) {
+      // (429 / 503 are retried by the crawl throttle, after backing off)
+      if (retryCount < MAX_RETRIES && !/^HTTP (429|503)\b/.test(error.message)) {
         const delay = RETRY_DELAY_BASE * Math.pow(2, retryCount);
         console.warn(
           `Retrying ${url} (attempt ${
@@ -2372,7 +3357,8 @@ async function crawlPageInternal(
           retryCount + 1,
           linkTitleMap,
           checkRedirectDuplicates,
-          originalHrefMap
+          originalHrefMap,
+          pageChecks
         );
       }
 
@@ -2384,10 +3370,12 @@ async function crawlPageInternal(
       return {
         title: "Untitled",
         links: [],
-        statusCode: 0,
+        // Keep the HTTP status of 4xx/5xx responses ("HTTP 404: Not Found")
+        statusCode: parseInt(error.message.match(/^HTTP (\d{3})/)?.[1]) || 0,
         error: error.message,
         finalUrl: url,
         originalUrl: url,
+        retryAfter,
       };
     }
   } finally {
@@ -2400,6 +3388,99 @@ async function crawlPageInternal(
   }
 }
 
+/**
+ * Record which engine produced a page (kept in page_data)
+ */
+function withEngine(result, engine, escalationReason = null) {
+  if (!result.pageData) {
+    return result;
+  }
+  return {
+    ...result,
+    pageData: {
+      ...result.pageData,
+      engine,
+      ...(escalationReason ? { escalation_reason: escalationReason } : {}),
+    },
+  };
+}
+
+const LOGOUT_URL_PATTERN = /\/(log-?out|sign-?out|log-?off)(\/|\?|$|\.)/i;
+
+/**
+ * Add job cookies and extra headers to a browser context
+ * Headers are only added to requests for the crawled site, never to third parties
+ */
+async function applyContextAuth(context, auth, baseUrl) {
+  if (!auth) {
+    return;
+  }
+
+  if (auth.cookies) {
+    // Cookies without a domain/url belong to the crawled site
+    await context.addCookies(
+      auth.cookies.map((cookie) =>
+        cookie.url || cookie.domain ? cookie : { ...cookie, url: baseUrl }
+      )
+    );
+  }
+
+  if (auth.headers) {
+    await context.route("**/*", (route) => {
+      const request = route.request();
+      if (!sameSite(request.url(), baseUrl)) {
+        return route.continue();
+      }
+      return route.continue({
+        headers: { ...request.headers(), ...auth.headers },
+      });
+    });
+  }
+}
+
+/**
+ * Run a declarative login step before crawling
+ * Fills the fields, clicks submit and waits for the success check; the session
+ * cookies stay in the context for the rest of the crawl
+ * @throws {Error} When the form can't be filled or the success check fails
+ */
+async function performLogin(context, login, baseUrl) {
+  const LOGIN_TIMEOUT = 30000;
+  const loginUrl = new URL(login.url, baseUrl).href;
+  const page = await context.newPage();
+
+  console.log(`🔐 Logging in at ${loginUrl}`);
+  try {
+    await page.goto(loginUrl, {
+      waitUntil: "domcontentloaded",
+      timeout: LOGIN_TIMEOUT,
+    });
+
+    for (const field of login.fields) {
+      await page.fill(field.selector, field.value, { timeout: LOGIN_TIMEOUT });
+    }
+    await page.click(login.submitSelector, { timeout: LOGIN_TIMEOUT });
+
+    if (login.successSelector) {
+      await page.waitForSelector(login.successSelector, {
+        timeout: LOGIN_TIMEOUT,
+      });
+    }
+    if (login.successUrlContains) {
+      await page.waitForURL(
+        (url) => url.href.includes(login.successUrlContains),
+        { timeout: LOGIN_TIMEOUT }
+      );
+    }
+
+    console.log(`✅ Logged in (now at ${page.url()})`);
+  } catch (error) {
+    throw new Error(`Login failed: ${error.message.split("\n")[0]}`);
+  } finally {
+    await page.close();
+  }
+}
+
 /**
  * Main crawl function - adapted from the provided Playwright crawler
  */
@@ -2410,28 +3491,39 @@ async function crawlWebsite({
   maxPages = 500,
   useSitemap = false,
   checkRedirectDuplicates = false, // Default: don't check redirect duplicates
+  urlList = null, // List mode: crawl exactly these URLs, links are not followed (see utils/urlList.js)
+  urlRules = null, // { include: [], exclude: [] } glob/regex patterns
+  queryParams = null, // { keep, pagination, strip, default } (see utils/queryParams.js)
+  auth = null, // Decrypted job auth options (see utils/crawlAuth.js)
+  engine = "browser", // http, browser or auto (see crawler/httpCrawler.js)
+  collectPerformance = false, // Lab metrics for browser-rendered pages (see collectPerformanceMetrics)
+  auditAccessibility = false, // Accessibility checks for browser-rendered pages (see runAccessibilityAudit)
+  extractors = null, // Custom fields per page (see utils/extractors.js)
+  maxRequestsPerSecond = null, // Request rate cap (null = polite random delay only)
+  concurrency = null, // Pages in parallel (null = PAGES_CONCURRENCY)
   onProgress,
 }) {
   const baseUrl = domain.startsWith("http") ? domain : `https://${domain}`;
 
   const visited = new Set();
   let queueSequence = 0; // Track insertion order to preserve HTML discovery order
-  const queue = [
-    {
-      url: baseUrl,
-      depth: 0,
-      parentUrl: null,
-      linkTitle: null,
-      originalHref: null,
-      sequence: queueSequence++, // Track insertion order
-    },
-  ];
+  const isListMode = Array.isArray(urlList) && urlList.length > 0;
+  // List mode seeds the queue with the listed URLs (in list order) instead of the start URL
+  const queue = (isListMode ? urlList : [baseUrl]).map((url) => ({
+    url,
+    depth: 0,
+    parentUrl: null,
+    linkTitle: null,
+    originalHref: null,
+    sequence: queueSequence++, // Track insertion order
+  }));
   const pages = [];
   // Pages per browser instance - configurable via PAGES_CONCURRENCY env var
   // Higher values = more parallel pages per browser (uses more memory per browser)
   // Lower values = fewer pages per browser (uses less memory, but may be slower)
   // Recommended for 8GB VM: 8-10 pages per browser with 3 browser instances = 24-30 total concurrent pages
-  const CONCURRENCY = parseInt(process.env.PAGES_CONCURRENCY || "6");
+  const CONCURRENCY =
+    concurrency || parseInt(process.env.PAGES_CONCURRENCY || "6");
   // Map to store link titles for discovered URLs
   const linkTitleMap = new Map();
   // Map to store original href attributes for discovered URLs
@@ -2441,6 +3533,8 @@ async function crawlWebsite({
   const errorUrlMap = new Map(); // baseUrl -> { title: 'ERROR: ...', statusCode: 404 }
   // Track URLs currently being crawled to handle race conditions with anchor links
   const inFlightUrls = new Set(); // URLs currently being crawled
+  // URLs disallowed by robots.txt (stored once, links to them keep being skipped)
+  const blockedUrls = new Set();
 
   // Error tracking for comprehensive reporting
   const crawlErrors = {
@@ -2456,14 +3550,128 @@ async function crawlWebsite({
       skippedPages: 0,
       skippedPdfs: 0,
       sitemapUrlsDiscovered: 0,
+      excludedByRules: 0,
+      blockedByRobots: 0,
+      httpPages: 0, // Pages handled by the http engine
+      browserPages: 0, // Pages handled by Playwright
+      escalatedPages: 0, // "auto" pages fetched over HTTP, then re-crawled in the browser
+      escalationReasons: {}, // hash_route / framework_root / empty_body -> count
     },
   };
 
+  // The start URL is always crawled, rules only apply to discovered URLs
+  const matchesUrlRules = createUrlFilter(urlRules);
+  const excludedUrls = new Set();
+  const isUrlAllowed = (url) => {
+    // Following a logout link would end an authenticated session
+    if (auth && LOGOUT_URL_PATTERN.test(url)) {
+      return false;
+    }
+    if (matchesUrlRules(url)) {
+      return true;
+    }
+    excludedUrls.add(url);
+    crawlErrors.stats.excludedByRules = excludedUrls.size;
+    return false;
+  };
+
+  // Query parameters survive normalization only when the job's rules keep them
+  // (listed URLs are crawled exactly as given)
+  const queryParamPolicy = createQueryParamPolicy(queryParams);
+  const paramInventory = createParamInventory(queryParamPolicy);
+  const normalizeJobUrl = (url, preserveHash = false) =>
+    normalizeUrl(
+      url,
+      preserveHash,
+      isListMode
+        ? (searchParams) => searchParams.toString()
+        : queryParamPolicy.filterQuery
+    );
+
   console.log(`🚀 Starting crawl for ${baseUrl}`);
-  console.log(`   Max depth: ${maxDepth}, Max pages: ${maxPages}`);
+  if (isListMode) {
+    console.log(`   List mode: ${urlList.length} URLs, links are not followed`);
+  } else {
+    console.log(`   Max depth: ${maxDepth}, Max pages: ${maxPages}`);
+  }
+  // The http path only runs regex extractors, so auto would leave CSS / XPath fields
+  // empty on every server-rendered page
+  if (engine === "auto" && needsBrowser(extractors)) {
+    console.log(`   CSS / XPath extractors: rendering every page in the browser`);
+    engine = "browser";
+  }
+  console.log(`   Engine: ${engine}`);
+  if (collectPerformance) {
+    console.log(`   Performance metrics: on (resources are not blocked)`);
+  }
+  if (auditAccessibility) {
+    console.log(`   Accessibility audit: on`);
+  }
+  if (extractors) {
+    console.log(
+      `   Extractors: ${extractors.map((extractor) => `${extractor.name} (${extractor.type})`).join(", ")}`
+    );
+  }
+  const pageChecks = { collectPerformance, auditAccessibility, extractors };
+  if (queryParams) {
+    console.log(
+      `   Query parameters: keep [${queryParams.keep.join(", ")}], pagination [${queryParams.pagination.join(", ")}], strip [${queryParams.strip.join(", ")}], others ${queryParams.default}`
+    );
+  }
+  if (urlRules) {
+    console.log(
+      `   URL rules: include [${(urlRules.include || []).join(", ")}], exclude [${(urlRules.exclude || []).join(", ")}]`
+    );
+  }
+
+  // Continue from a saved frontier if this job was paused or interrupted
+  const frontier = await loadFrontier(jobId);
+  if (frontier) {
+    queue.length = 0;
+    queue.push(...frontier.queue);
+    for (const visitedUrl of frontier.visited) {
+      visited.add(visitedUrl);
+    }
+    queueSequence = frontier.sequence;
+
+    // Pages stored before the pause count towards maxPages and are not re-crawled
+    const storedPages = await queryWithRetry(
+      "SELECT id, url, depth, parent_url, title FROM pages WHERE job_id = $1",
+      [jobId]
+    );
+    for (const row of storedPages.rows) {
+      markVisited(visited, row.url);
+      pages.push({
+        id: row.id,
+        url: row.url,
+        depth: row.depth,
+        parentUrl: row.parent_url,
+        title: row.title,
+      });
+    }
+
+    console.log(
+      `▶️ Resuming crawl: ${queue.length} queued URLs, ${pages.length} pages already stored`
+    );
+    crawlErrors.warnings.push(
+      `Resumed from saved frontier with ${pages.length} pages already crawled`
+    );
+  }
 
   // Load robots.txt for compliance
-  const robots = await loadRobots(baseUrl);
+  const authHeaders = getAuthRequestHeaders(auth);
+  const robots = await loadRobots(baseUrl, authHeaders);
+
+  // Each origin's rules come from its own robots.txt (the start site's doesn't cover
+  // subdomains), loaded once on first use
+  const robotsByOrigin = new Map([[new URL(baseUrl).origin, Promise.resolve(robots)]]);
+  const getRobotsFor = (url) => {
+    const origin = new URL(url).origin;
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, loadRobots(url, authHeaders));
+    }
+    return robotsByOrigin.get(origin);
+  };
 
   // Get crawl delay from robots.txt (default to our min delay if not specified)
   let crawlDelay = REQUEST_DELAY_MIN;
@@ -2476,31 +3684,66 @@ async function crawlWebsite({
     }
   }
 
+  // Adaptive pacing per host: backs off on 429 / 503 / timeouts and honours Retry-After
+  // With a per-job rate cap, requests are spaced evenly instead of the random polite delay
+  // (a robots.txt crawl-delay still wins when it is slower)
+  const throttles = createHostThrottles({
+    concurrency: CONCURRENCY,
+    maxRequestsPerSecond,
+    minInterval:
+      maxRequestsPerSecond && crawlDelay > REQUEST_DELAY_MIN ? crawlDelay : 0,
+  });
+  if (maxRequestsPerSecond || concurrency) {
+    console.log(
+      `🚦 Throttle: ${maxRequestsPerSecond || "no"} req/s cap, concurrency ${CONCURRENCY}`
+    );
+  }
+
   // Track sitemap-discovered URLs
   const sitemapPages = [];
   let sitemapResult = { found: false, urls: [], errors: [] };
 
-  // Conditionally use sitemap.xml based on user preference
-  if (useSitemap) {
+  // sitemap.xml is fetched on every fresh crawl for the sitemap audit (declared vs crawled URLs)
+  // and only seeds the queue when the job uses it
+  // (a resumed crawl already has its sitemap data and seeded queue)
+  if (!frontier && !isListMode) {
     console.log(`📍 Checking for sitemap.xml...`);
-    sitemapResult = await fetchSitemap(baseUrl, robots);
+    sitemapResult = await fetchSitemap(baseUrl, robots, authHeaders);
+    await saveSitemapAudit(jobId, sitemapResult);
+  }
 
+  if (useSitemap && !frontier && !isListMode) {
     if (sitemapResult.found) {
       crawlErrors.stats.sitemapUrlsDiscovered = sitemapResult.urls.length;
 
-      // Filter to same domain only
+      // Filter to same domain only, and to the job's include/exclude rules
       const sameDomainUrls = sitemapResult.urls.filter((url) => {
         try {
-          return sameDomain(url, baseUrl);
+          return sameDomain(url, baseUrl) && isUrlAllowed(url);
         } catch {
           return false;
         }
       });
 
+      sameDomainUrls.forEach((url) => paramInventory.record(url));
+
       console.log(
         `📄 Found ${sameDomainUrls.length} same-domain URLs from sitemap`
       );
 
+      // hreflang alternates listed in the sitemap (xhtml:link)
+      await storeHreflangLinks(
+        jobId,
+        (sitemapResult.hreflang || [])
+          .filter((alt) => sameDomain(alt.url, baseUrl))
+          .map((alt) => ({
+            sourceUrl: getBaseUrl(alt.url),
+            lang: alt.lang,
+            targetUrl: alt.href,
+            source: "sitemap",
+          }))
+      );
+
       // SMART SITEMAP HANDLING:
       // - If sitemap has many URLs, store them directly without browser crawling
       // - Only browser-crawl a sample for content extraction
@@ -2519,7 +3762,7 @@ async function crawlWebsite({
 
         // Store sitemap URLs directly (they're already discovered, no need to crawl)
         for (const sitemapUrl of urlsToStore) {
-          const normalizedUrl = normalizeUrl(
+          const normalizedUrl = normalizeJobUrl(
             sitemapUrl,
             sitemapUrl.includes("#/")
           );
@@ -2563,7 +3806,7 @@ async function crawlWebsite({
         );
 
         for (const sitemapUrl of sampleUrls) {
-          const normalizedUrl = normalizeUrl(
+          const normalizedUrl = normalizeJobUrl(
             sitemapUrl,
             sitemapUrl.includes("#/")
           );
@@ -2589,7 +3832,7 @@ async function crawlWebsite({
         );
 
         for (const sitemapUrl of sameDomainUrls) {
-          const normalizedUrl = normalizeUrl(
+          const normalizedUrl = normalizeJobUrl(
             sitemapUrl,
             sitemapUrl.includes("#/")
           );
@@ -2638,7 +3881,7 @@ async function crawlWebsite({
             break;
           }
           const pageResult = await queryWithRetry(
-            "INSERT INTO pages (job_id, url, depth, parent_url, title, status_code, original_href) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (job_id, url) DO NOTHING RETURNING id",
+            "INSERT INTO pages (job_id, url, depth, parent_url, title, status_code, original_href, from_sitemap) VALUES ($1, $2, $3, $4, $5, $6, $7, true) ON CONFLICT (job_id, url) DO NOTHING RETURNING id",
             [jobId, page.url, page.depth, page.parentUrl, page.title, 200, null]
           );
           if (pageResult.rows.length > 0) {
@@ -2674,84 +3917,222 @@ async function crawlWebsite({
     }
   }
 
-  // Launch browser with stealth settings
-  let browser;
-  try {
-    browser = await chromium.launch({
-      headless: true,
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-blink-features=AutomationControlled",
-        "--disable-features=IsolateOrigins,site-per-process",
-      ],
-    });
-  } catch (browserError) {
-    crawlErrors.criticalError = `Failed to launch browser: ${browserError.message}`;
-    console.error(`❌ ${crawlErrors.criticalError}`);
-    throw new Error(crawlErrors.criticalError);
-  }
-
-  // Create context with realistic browser fingerprint
-  const context = await browser.newContext({
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    viewport: { width: 1920, height: 1080 },
-    locale: "en-US",
-    timezoneId: "America/New_York",
-    permissions: [],
-    extraHTTPHeaders: {
-      "Accept-Language": "en-US,en;q=0.9",
-      Accept:
-        "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-      "Accept-Encoding": "gzip, deflate, br",
-      DNT: "1",
-      Connection: "keep-alive",
-      "Upgrade-Insecure-Requests": "1",
-    },
-  });
+  // The browser is launched on first use: up front for the browser engine,
+  // only when a page needs it for http/auto
+  let browser = null;
+  let contextPromise = null;
+  const launchBrowserContext = async () => {
+    // Launch browser with stealth settings
+    try {
+      browser = await chromium.launch({
+        headless: true,
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-blink-features=AutomationControlled",
+          "--disable-features=IsolateOrigins,site-per-process",
+        ],
+      });
+    } catch (browserError) {
+      const message = `Failed to launch browser: ${browserError.message}`;
+      console.error(`❌ ${message}`);
+      throw new Error(message);
+    }
 
-  // Add stealth scripts to avoid detection
-  await context.addInitScript(() => {
-    // Override webdriver property
-    Object.defineProperty(navigator, "webdriver", {
-      get: () => false,
+    // Create context with realistic browser fingerprint
+    const context = await browser.newContext({
+      userAgent:
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+      viewport: { width: 1920, height: 1080 },
+      locale: "en-US",
+      timezoneId: "America/New_York",
+      permissions: [],
+      extraHTTPHeaders: {
+        "Accept-Language": "en-US,en;q=0.9",
+        Accept:
+          "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+        "Accept-Encoding": "gzip, deflate, br",
+        DNT: "1",
+        Connection: "keep-alive",
+        "Upgrade-Insecure-Requests": "1",
+      },
+      // HTTP auth is only answered for the crawled origin
+      ...(auth?.httpCredentials
+        ? {
+            httpCredentials: {
+              ...auth.httpCredentials,
+              origin: new URL(baseUrl).origin,
+            },
+          }
+        : {}),
+      ...(auth?.storageState ? { storageState: auth.storageState } : {}),
     });
+    await applyContextAuth(context, auth, baseUrl);
 
-    // Override plugins
-    Object.defineProperty(navigator, "plugins", {
-      get: () => [1, 2, 3, 4, 5],
+    // Add stealth scripts to avoid detection
+    await context.addInitScript(() => {
+      // Override webdriver property
+      Object.defineProperty(navigator, "webdriver", {
+        get: () => false,
+      });
+
+      // Override plugins
+      Object.defineProperty(navigator, "plugins", {
+        get: () => [1, 2, 3, 4, 5],
+      });
+
+      // Override languages
+      Object.defineProperty(navigator, "languages", {
+        get: () => ["en-US", "en"],
+      });
+
+      // Override chrome
+      window.chrome = {
+        runtime: {},
+      };
+
+      // Override permissions
+      const originalQuery = window.navigator.permissions.query;
+      window.navigator.permissions.query = (parameters) =>
+        parameters.name === "notifications"
+          ? Promise.resolve({ state: Notification.permission })
+          : originalQuery(parameters);
     });
 
-    // Override languages
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
+    return context;
+  };
+  const getBrowserContext = () => {
+    if (!contextPromise) {
+      contextPromise = launchBrowserContext();
+    }
+    return contextPromise;
+  };
+  if (engine === "browser") {
+    try {
+      await getBrowserContext();
+    } catch (launchError) {
+      crawlErrors.criticalError = launchError.message;
+      throw launchError;
+    }
+  }
+
+  // Request headers for the http engine (job auth, plus session cookies after a browser login)
+  const httpHeaders = { ...authHeaders };
+  let browserUnavailable = false;
+
+  /**
+   * Crawl one page with the job's engine
+   * "auto" fetches over HTTP first and escalates client-rendered pages to Playwright
+   */
+  const crawlWithEngine = async (url) => {
+    if (engine === "browser") {
+      crawlErrors.stats.browserPages++;
+      const result = await crawlPage(
+        await getBrowserContext(),
+        url,
+        0,
+        linkTitleMap,
+        checkRedirectDuplicates,
+        originalHrefMap,
+        pageChecks
+      );
+      return withEngine(result, "browser");
+    }
+
+    const httpResult = await crawlPageHttp(url, {
+      baseUrl,
+      headers: httpHeaders,
+      linkTitleMap,
+      checkRedirectDuplicates,
+      originalHrefMap,
+      extractors,
     });
+    const reason = httpResult.clientRendering;
+    if (engine === "http" || httpResult.error || !reason || browserUnavailable) {
+      crawlErrors.stats.httpPages++;
+      return withEngine(httpResult, "http");
+    }
 
-    // Override chrome
-    window.chrome = {
-      runtime: {},
-    };
+    let context;
+    try {
+      context = await getBrowserContext();
+    } catch (launchError) {
+      // Keep the HTTP result rather than failing every client-rendered page
+      if (!browserUnavailable) {
+        browserUnavailable = true;
+        crawlErrors.warnings.push(
+          `${launchError.message}; client-rendered pages kept their HTTP content`
+        );
+      }
+      crawlErrors.stats.httpPages++;
+      return withEngine(httpResult, "http");
+    }
 
-    // Override permissions
-    const originalQuery = window.navigator.permissions.query;
-    window.navigator.permissions.query = (parameters) =>
-      parameters.name === "notifications"
-        ? Promise.resolve({ state: Notification.permission })
-        : originalQuery(parameters);
-  });
+    console.log(`🔁 Escalating to browser (${reason}): ${url}`);
+    crawlErrors.stats.browserPages++;
+    crawlErrors.stats.escalatedPages++;
+    crawlErrors.stats.escalationReasons[reason] =
+      (crawlErrors.stats.escalationReasons[reason] || 0) + 1;
+    const browserResult = await crawlPage(
+      context,
+      url,
+      0,
+      linkTitleMap,
+      checkRedirectDuplicates,
+      originalHrefMap,
+      pageChecks
+    );
+    return withEngine(browserResult, "browser", reason);
+  };
+
+  /**
+   * Crawl one page at its host's throttle pace
+   * 429 / 503 responses are retried after the throttle has backed off
+   */
+  const crawlWithThrottle = async (url, politeDelay) => {
+    const throttle = throttles.forUrl(url);
+    for (let attempt = 0; ; attempt++) {
+      await throttle.wait(attempt === 0 ? politeDelay : 0);
+      const result = await crawlWithEngine(url);
+      if (!throttle.record(result, url) || attempt >= MAX_THROTTLE_RETRIES) {
+        return result;
+      }
+      console.log(
+        `🔁 Retrying after throttling (${attempt + 1}/${MAX_THROTTLE_RETRIES}): ${url}`
+      );
+    }
+  };
 
   // Track why crawl stopped (declared outside try block so it's accessible in finally)
   let stopReason = null;
+  // PAUSED or CANCELLED when the crawl was stopped on request
+  let controlStatus = null;
+  let lastFrontierSave = 0;
 
   try {
+    if (auth?.login) {
+      const context = await getBrowserContext();
+      await performLogin(context, auth.login, baseUrl);
+      if (engine !== "browser") {
+        // Reuse the logged-in session for plain HTTP requests
+        const sessionCookies = await context.cookies(baseUrl);
+        httpHeaders.Cookie = [
+          httpHeaders.Cookie,
+          ...sessionCookies.map((c) => `${c.name}=${c.value}`),
+        ]
+          .filter(Boolean)
+          .join("; ");
+      }
+    }
+
     let consecutiveFailures = 0;
     const MAX_CONSECUTIVE_FAILURES = 1000; // Stop if too many consecutive failures
     let lastProgressTime = Date.now();
     const PROGRESS_TIMEOUT = 300000; // 5 minutes without progress
 
-    while (queue.length > 0 && visited.size < maxPages) {
+    // A list is crawled to the end (redirect targets also count as visited)
+    while (queue.length > 0 && (isListMode || visited.size < maxPages)) {
       // Check for timeout without progress
       if (Date.now() - lastProgressTime > PROGRESS_TIMEOUT) {
         stopReason = `Crawl timeout: No progress for ${
@@ -2770,6 +4151,21 @@ async function crawlWebsite({
         break;
       }
 
+      // Honour pause/cancel requests (and deletion) between batches
+      const jobStatus = await getJobStatus(jobId);
+      if (jobStatus === null) {
+        stopReason = "Job was deleted";
+        console.log(`⚠️ Job ${jobId} was deleted, stopping crawl`);
+        break;
+      }
+      if (jobStatus === "PAUSED" || jobStatus === "CANCELLED") {
+        controlStatus = jobStatus;
+        stopReason =
+          jobStatus === "PAUSED" ? "Paused by user" : "Cancelled by user";
+        console.log(`⏸️ ${stopReason} (${jobId})`);
+        break;
+      }
+
       // Sort queue only by depth for BFS (breadth-first search)
       // Within same depth, preserve the order links were added (HTML order) using sequence number
       queue.sort((a, b) => {
@@ -2779,7 +4175,7 @@ async function crawlWebsite({
         return (a.sequence || 0) - (b.sequence || 0);
       });
 
-      const batch = queue.splice(0, CONCURRENCY);
+      const batch = throttles.takeBatch(queue);
 
       // Use Promise.allSettled to prevent one hanging page from blocking others
       const results = await Promise.allSettled(
@@ -2787,7 +4183,7 @@ async function crawlWebsite({
           try {
             // For hash routes, preserve hash; otherwise normalize
             const hasHashRoute = item.url.includes("#/");
-            const url = normalizeUrl(item.url, hasHashRoute);
+            const url = normalizeJobUrl(item.url, hasHashRoute);
 
             // Check if we have a link title for this URL
             const itemLinkTitle = item.linkTitle || null;
@@ -2836,11 +4232,11 @@ async function crawlWebsite({
 
             // Normalize hash fragments to base URL (hash fragments are just anchors on the same page)
             // Only hash routes (#/route) are treated as separate pages
-            const baseUrl = getBaseUrl(url);
-            if (baseUrl !== url) {
+            const pageBaseUrl = getBaseUrl(url);
+            if (pageBaseUrl !== url) {
               // This URL has a hash fragment (and it's not a #/ route)
               // Hash fragments are the same page as the base URL, so skip if base URL already visited
-              if (hasVisited(visited, baseUrl)) {
+              if (hasVisited(visited, pageBaseUrl)) {
                 // Base URL already crawled - hash fragment is the same page, skip it
                 markVisited(visited, url); // Mark fragment as visited too
                 return {
@@ -2851,13 +4247,24 @@ async function crawlWebsite({
               }
               // Base URL not visited yet - normalize to base URL and continue
               // (This handles edge cases where hash fragment URLs get into queue from sitemaps, etc.)
-              url = baseUrl;
+              url = pageBaseUrl;
             }
 
-            // Check robots.txt compliance
-            if (robots && !robots.isAllowed(url, "*")) {
-              console.log(`🚫 Blocked by robots.txt: ${url}`);
-              return { success: true, skipped: true };
+            // Check robots.txt compliance (blocked URLs are stored with the matching rule)
+            const urlRobots = await getRobotsFor(url);
+            if (urlRobots.isAllowed(url, "*") === false) {
+              if (!blockedUrls.has(url)) {
+                blockedUrls.add(url);
+                crawlErrors.stats.blockedByRobots = blockedUrls.size;
+                console.log(`🚫 Blocked by robots.txt: ${url}`);
+                await saveBlockedUrl(jobId, {
+                  url,
+                  parentUrl: item.parentUrl,
+                  depth: item.depth,
+                  ...urlRobots.getMatchingRule?.(url),
+                });
+              }
+              return { success: true, skipped: true, reason: "robots_txt" };
             }
 
             // Mark URL as in-flight before crawling
@@ -2868,13 +4275,16 @@ async function crawlWebsite({
 
             // Add delay between requests - respect robots.txt crawl-delay or use deterministic delay
             // This ensures polite crawling and the same URL always gets the same delay
-            const urlHash = url
-              .split("")
-              .reduce((acc, char) => acc + char.charCodeAt(0), 0);
-            const baseDelay = Math.max(crawlDelay, REQUEST_DELAY_MIN);
-            const delay =
-              baseDelay + (urlHash % (REQUEST_DELAY_MAX - baseDelay + 1));
-            await new Promise((resolve) => setTimeout(resolve, delay));
+            // (a per-job rate cap replaces it with the throttle's even spacing)
+            let delay = 0;
+            if (!maxRequestsPerSecond) {
+              const urlHash = url
+                .split("")
+                .reduce((acc, char) => acc + char.charCodeAt(0), 0);
+              const baseDelay = Math.max(crawlDelay, REQUEST_DELAY_MIN);
+              delay =
+                baseDelay + (urlHash % (REQUEST_DELAY_MAX - baseDelay + 1));
+            }
 
             // Crawl the page (with timeout protection)
             crawlErrors.stats.totalAttempted++;
@@ -2886,14 +4296,8 @@ async function crawlWebsite({
               pageData,
               finalUrl,
               originalUrl,
-            } = await crawlPage(
-              context,
-              url,
-              0,
-              linkTitleMap,
-              checkRedirectDuplicates,
-              originalHrefMap
-            );
+              redirectChain = [],
+            } = await crawlWithThrottle(url, delay);
 
             // Use final URL after redirects ONLY if redirect duplicate checking is enabled
             // Otherwise, ignore redirects and use original URL (default behavior)
@@ -2995,6 +4399,7 @@ async function crawlWebsite({
               const finalStatusCode = error ? statusCode || 0 : statusCode;
               const finalTitle = error ? `ERROR: ${error}` : cleanedTitle;
               const urlToStore = checkRedirectDuplicates ? actualUrl : url;
+              const storedPageData = error ? null : toStoredPageData(pageData);
 
               // Get original href for this page if available (before inserting)
               const pageOriginalHref =
@@ -3006,8 +4411,9 @@ async function crawlWebsite({
 
               // Use ON CONFLICT to handle cases where redirect leads to already-crawled URL
               // Include sequence number to preserve HTML discovery order
+              // page_data keeps the SEO data (meta, canonical, word count, ...) for issue detection
               const pageResult = await queryWithRetry(
-                "INSERT INTO pages (job_id, url, depth, parent_url, title, status_code, original_href, sequence) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (job_id, url) DO NOTHING RETURNING id",
+                "INSERT INTO pages (job_id, url, depth, parent_url, title, status_code, original_href, sequence, page_data, redirect_chain, from_sitemap) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) ON CONFLICT (job_id, url) DO NOTHING RETURNING id",
                 [
                   jobId,
                   urlToStore, // Store final URL if redirect checking enabled, otherwise original URL
@@ -3017,11 +4423,35 @@ async function crawlWebsite({
                   finalStatusCode,
                   pageOriginalHref,
                   item.sequence || null, // Preserve HTML discovery order
+                  storedPageData ? JSON.stringify(storedPageData) : null,
+                  redirectChain.length > 0
+                    ? JSON.stringify(redirectChain)
+                    : null,
+                  item.fromSitemap === true,
                 ]
               );
 
               // Only add to pages array if insert was successful (not a duplicate)
               if (pageResult.rows.length > 0) {
+                if (!error) {
+                  await storePageLinks(
+                    jobId,
+                    urlToStore,
+                    pageData?.linkOccurrences,
+                    baseUrl,
+                    queryParamPolicy.filterQuery
+                  );
+                  await storeHreflangLinks(
+                    jobId,
+                    (pageData?.hreflang || []).map((alt) => ({
+                      sourceUrl: urlToStore,
+                      lang: alt.lang,
+                      targetUrl: alt.href,
+                      source: alt.source,
+                    }))
+                  );
+                }
+
                 // Store original href in pageData if available
                 const enhancedPageData = pageData
                   ? {
@@ -3039,6 +4469,7 @@ async function crawlWebsite({
                   parentUrl: item.parentUrl,
                   title: cleanedTitle,
                   pageData: enhancedPageData, // Store enhanced page data with original href
+                  redirectChain: redirectChain.length > 0 ? redirectChain : null,
                   originalUrl: checkRedirectDuplicates
                     ? originalUrl || url
                     : undefined, // Only track original if redirect checking enabled
@@ -3071,7 +4502,8 @@ async function crawlWebsite({
               ? actualUrl
               : url;
 
-            if (!error && links && links.length > 0) {
+            // List mode audits the listed URLs only, links are stored but not followed
+            if (!error && !isListMode && links && links.length > 0) {
               // Process links in the exact order they appear in HTML (top to bottom)
               // No sorting - preserve natural navigation order as user would see it
               for (const link of links) {
@@ -3130,7 +4562,10 @@ async function crawlWebsite({
 
                   // Only preserve hash for hash routes (#/route) - these are separate pages
                   const preserveHash = isHashRoute;
-                  const normalizedLink = normalizeUrl(link, preserveHash);
+                  if (sameSite(link, baseUrl)) {
+                    paramInventory.record(link);
+                  }
+                  const normalizedLink = normalizeJobUrl(link, preserveHash);
 
                   // Use sameSite check instead of sameDomain to handle subdomain redirects
                   // e.g., www.doordash.com -> about.doordash.com
@@ -3139,7 +4574,8 @@ async function crawlWebsite({
                     !hasVisited(visited, normalizedLink) &&
                     sameSite(normalizedLink, baseUrl) && // Changed from sameDomain to sameSite
                     item.depth < maxDepth &&
-                    linkUrl.protocol.startsWith("http") // Only HTTP/HTTPS
+                    linkUrl.protocol.startsWith("http") && // Only HTTP/HTTPS
+                    isUrlAllowed(link) // Job include/exclude rules (checked on the raw link to keep the query)
                   ) {
                     // Get link title from the linkTitleMap if available
                     const linkTitle =
@@ -3207,7 +4643,7 @@ async function crawlWebsite({
                 // Get original href for error page if available
                 const errorOriginalHref = item.originalHref || null;
                 await queryWithRetry(
-                  "INSERT INTO pages (job_id, url, depth, parent_url, title, status_code, original_href) VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (job_id, url) DO NOTHING",
+                  "INSERT INTO pages (job_id, url, depth, parent_url, title, status_code, original_href, from_sitemap) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) ON CONFLICT (job_id, url) DO NOTHING",
                   [
                     jobId,
                     item.url,
@@ -3216,6 +4652,7 @@ async function crawlWebsite({
                     `ERROR: ${error.message}`,
                     0,
                     errorOriginalHref,
+                    item.fromSitemap === true,
                   ]
                 );
               }
@@ -3273,11 +4710,19 @@ async function crawlWebsite({
           }
         }
       });
+
+      // Persist frontier periodically so a crashed crawl can resume
+      if (Date.now() - lastFrontierSave > FRONTIER_SAVE_INTERVAL) {
+        await saveFrontier(jobId, queue, visited, queueSequence);
+        lastFrontierSave = Date.now();
+      }
     }
 
     // Set stop reason if we completed normally
     if (!stopReason) {
-      if (visited.size >= maxPages) {
+      if (isListMode && queue.length === 0) {
+        stopReason = "All listed URLs crawled";
+      } else if (visited.size >= maxPages) {
         stopReason = `Reached max pages limit (${maxPages})`;
       } else if (queue.length === 0) {
         stopReason = "All discoverable pages crawled";
@@ -3288,7 +4733,23 @@ async function crawlWebsite({
     console.error(`❌ ${crawlErrors.criticalError}`);
     throw crawlError;
   } finally {
-    await browser.close();
+    if (browser) {
+      await browser.close();
+    }
+  }
+
+  // A resumed crawl adds to the inventory of the run before the pause
+  await saveQueryParameters(
+    jobId,
+    paramInventory.getParameters(),
+    Boolean(frontier)
+  );
+
+  // Keep the frontier for a paused crawl, drop it once the crawl is over
+  if (controlStatus === "PAUSED") {
+    await saveFrontier(jobId, queue, visited, queueSequence);
+  } else {
+    await clearFrontier(jobId);
   }
 
   // Log final statistics
@@ -3297,6 +4758,19 @@ async function crawlWebsite({
   console.log(`   Successful: ${crawlErrors.stats.successfulPages}`);
   console.log(`   Failed: ${crawlErrors.stats.failedPages}`);
   console.log(`   Skipped: ${crawlErrors.stats.skippedPages}`);
+  console.log(
+    `   Engine (${engine}): ${crawlErrors.stats.httpPages} http, ${crawlErrors.stats.browserPages} browser` +
+      (crawlErrors.stats.escalatedPages > 0
+        ? ` (${crawlErrors.stats.escalatedPages} escalated)`
+        : "")
+  );
+  crawlErrors.stats.throttle = throttles.getStats();
+  console.log(
+    `   Rate: ${crawlErrors.stats.throttle.effective_rps} req/s` +
+      (crawlErrors.stats.throttle.backoffs > 0
+        ? ` (${crawlErrors.stats.throttle.backoffs} throttle events, slowed by ${crawlErrors.stats.throttle.slowed_by})`
+        : "")
+  );
   if (crawlErrors.stats.skippedPdfs > 0) {
     console.log(`   📄 PDFs ignored: ${crawlErrors.stats.skippedPdfs}`);
   }
@@ -3319,7 +4793,11 @@ async function crawlWebsite({
     totalPages: pages.length,
     ...crawlErrors.stats,
     sitemapUsed: crawlErrors.stats.sitemapUrlsDiscovered > 0,
+    ...(isListMode && { listUrls: urlList.length }),
+    engine,
     stopReason: stopReason,
+    paused: controlStatus === "PAUSED",
+    cancelled: controlStatus === "CANCELLED",
   };
 
   return result;
@@ -0,0 +1,308 @@
+/**
+ * Adaptive request throttle for one crawl, kept per host (see createHostThrottles)
+ * Backs off when the site pushes back (429, 503, timeouts), honours Retry-After and
+ * ramps back up after a run of healthy responses. Per-job limits (maximum requests per
+ * second, concurrency) are the ceiling; the throttle never goes faster than them.
+ */
+
+const MAX_CONCURRENCY = 50;
+const MAX_REQUESTS_PER_SECOND = 50;
+const MAX_RETRY_AFTER = 120000; // Longest Retry-After we wait for (ms)
+const MAX_BACKOFF_DELAY = 30000; // Longest added delay per request (ms)
+const RAMP_UP_AFTER = 20; // Healthy responses before speeding up one step
+const MAX_LOGGED_EVENTS = 50;
+
+// Responses that mean "slow down"
+const THROTTLE_STATUSES = {
+  429: "rate_limited",
+  503: "unavailable",
+};
+
+/**
+ * Validate per-job throttle options
+ * @returns {Object} { maxRequestsPerSecond, concurrency } (null = not limited / env default)
+ * @throws {Error} When a value is not a positive number within range
+ */
+function normalizeThrottleOptions({ maxRequestsPerSecond, concurrency } = {}) {
+  const options = { maxRequestsPerSecond: null, concurrency: null };
+
+  if (maxRequestsPerSecond !== undefined && maxRequestsPerSecond !== null && maxRequestsPerSecond !== "") {
+    const value = Number(maxRequestsPerSecond);
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_REQUESTS_PER_SECOND) {
+      throw new Error(`maxRequestsPerSecond must be a number between 0 and ${MAX_REQUESTS_PER_SECOND}`);
+    }
+    options.maxRequestsPerSecond = value;
+  }
+
+  if (concurrency !== undefined && concurrency !== null && concurrency !== "") {
+    const value = Number(concurrency);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_CONCURRENCY) {
+      throw new Error(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+    }
+    options.concurrency = value;
+  }
+
+  return options;
+}
+
+/**
+ * Retry-After header value (seconds or HTTP date) in milliseconds, capped at MAX_RETRY_AFTER
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds)
+    ? seconds * 1000
+    : Date.parse(value) - Date.now();
+  if (!Number.isFinite(ms)) {
+    return null;
+  }
+  return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER);
+}
+
+/**
+ * What a crawl result says about the site's load
+ * @returns {string|null} rate_limited, unavailable, timeout or null
+ */
+function classifyResult(result) {
+  if (THROTTLE_STATUSES[result?.statusCode]) {
+    return THROTTLE_STATUSES[result.statusCode];
+  }
+  if (result?.error && /timeout/i.test(result.error)) {
+    return "timeout";
+  }
+  return null;
+}
+
+/**
+ * Create the throttle for one host of a crawl
+ * @param {Object} options
+ * @param {number} options.concurrency - Pages crawled in parallel at most
+ * @param {number|null} options.maxRequestsPerSecond - Request start rate cap (null = none)
+ * @param {number} options.minInterval - Extra minimum gap between request starts (e.g. robots.txt crawl-delay)
+ */
+function createThrottle({ concurrency, maxRequestsPerSecond = null, minInterval = 0 }) {
+  const startedAt = Date.now();
+  const interval = Math.max(maxRequestsPerSecond ? 1000 / maxRequestsPerSecond : 0, minInterval);
+
+  let currentConcurrency = concurrency;
+  let backoffDelay = 0; // Added before every request while the site is pushing back
+  let pausedUntil = 0; // Retry-After
+  let nextSlot = 0; // Earliest start of the next request under the rate cap
+  let healthyStreak = 0;
+
+  const stats = {
+    requests: 0,
+    events: { rate_limited: 0, unavailable: 0, timeout: 0 },
+    backoffs: 0,
+    ramp_ups: 0,
+    min_concurrency: concurrency,
+    max_backoff_delay_ms: 0,
+    site_wait_ms: 0, // Waiting caused by the site (backoff, Retry-After)
+    configured_wait_ms: 0, // Waiting caused by our limits (rate cap, crawl-delay)
+    log: [],
+  };
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  return {
+    /**
+     * Pages to start in the next batch
+     */
+    getConcurrency() {
+      return currentConcurrency;
+    },
+
+    /**
+     * Wait until the next request may start
+     * @param {number} politeDelay - The crawler's own delay for this request (ms)
+     */
+    async wait(politeDelay = 0) {
+      const now = Date.now();
+      const siteReady = Math.max(now, pausedUntil) + backoffDelay;
+      const start = Math.max(siteReady, nextSlot, now + politeDelay);
+      nextSlot = start + interval;
+      stats.site_wait_ms += siteReady - now;
+      stats.configured_wait_ms += start - siteReady;
+      stats.requests++;
+      if (start > now) {
+        await sleep(start - now);
+      }
+    },
+
+    /**
+     * Adjust the pace after a response
+     * @param {Object} result - crawlPage / crawlPageHttp result (statusCode, error, retryAfter)
+     * @param {string} url - Crawled URL, for the event log
+     * @returns {boolean} true when the page should be retried (429 / 503)
+     */
+    record(result, url) {
+      const type = classifyResult(result);
+      if (!type) {
+        healthyStreak++;
+        if (healthyStreak >= RAMP_UP_AFTER && (backoffDelay > 0 || currentConcurrency < concurrency)) {
+          healthyStreak = 0;
+          backoffDelay = backoffDelay >= 500 ? Math.round(backoffDelay / 2) : 0;
+          currentConcurrency = Math.min(concurrency, currentConcurrency + 1);
+          stats.ramp_ups++;
+        }
+        return false;
+      }
+
+      healthyStreak = 0;
+      stats.events[type]++;
+      stats.backoffs++;
+      backoffDelay = Math.min(Math.max(backoffDelay * 2, 1000), MAX_BACKOFF_DELAY);
+      currentConcurrency = Math.max(1, Math.floor(currentConcurrency / 2));
+      stats.min_concurrency = Math.min(stats.min_concurrency, currentConcurrency);
+      stats.max_backoff_delay_ms = Math.max(stats.max_backoff_delay_ms, backoffDelay);
+
+      const retryAfter = parseRetryAfter(result.retryAfter);
+      if (retryAfter) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + retryAfter);
+      }
+
+      if (stats.log.length < MAX_LOGGED_EVENTS) {
+        stats.log.push({
+          time: new Date().toISOString(),
+          type,
+          url,
+          status: result.statusCode || null,
+          retry_after_ms: retryAfter,
+          delay_ms: backoffDelay,
+          concurrency: currentConcurrency,
+        });
+      }
+      console.warn(
+        `🐢 Throttling ${getHostname(url)} (${type}${retryAfter ? `, Retry-After ${retryAfter}ms` : ""}): delay ${backoffDelay}ms, concurrency ${currentConcurrency}`
+      );
+
+      return type !== "timeout";
+    },
+
+    /**
+     * Throttle summary for the crawl stats
+     */
+    getStats() {
+      const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 1);
+      return {
+        max_requests_per_second: maxRequestsPerSecond,
+        concurrency,
+        effective_rps: Math.round((stats.requests / elapsedSeconds) * 100) / 100,
+        ...stats,
+        slowed_by:
+          stats.site_wait_ms > stats.configured_wait_ms
+            ? "site"
+            : stats.configured_wait_ms > 0
+              ? "config"
+              : null,
+      };
+    },
+  };
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Create the throttles of a crawl: one per hostname, so a 429 from cdn. or shop.
+ * only slows that host down. Options are applied to every host (see createThrottle).
+ */
+function createHostThrottles(options) {
+  const startedAt = Date.now();
+  const throttles = new Map();
+
+  const forHost = (hostname) => {
+    if (!throttles.has(hostname)) {
+      throttles.set(hostname, createThrottle(options));
+    }
+    return throttles.get(hostname);
+  };
+
+  return {
+    /**
+     * Throttle of the host a URL belongs to
+     */
+    forUrl(url) {
+      return forHost(getHostname(url));
+    },
+
+    /**
+     * Take the next batch from a sorted queue: at most `concurrency` items overall and
+     * no more per host than that host's current concurrency. Taken items are removed.
+     * @param {Array} queue - Queue items with a url
+     */
+    takeBatch(queue) {
+      const batch = [];
+      const perHost = new Map();
+      for (let i = 0; i < queue.length && batch.length < options.concurrency; ) {
+        const hostname = getHostname(queue[i].url);
+        const count = perHost.get(hostname) || 0;
+        if (count >= forHost(hostname).getConcurrency()) {
+          i++;
+          continue;
+        }
+        perHost.set(hostname, count + 1);
+        batch.push(...queue.splice(i, 1));
+      }
+      return batch;
+    },
+
+    /**
+     * Throttle summary for the crawl stats: totals over all hosts, plus each host's
+     */
+    getStats() {
+      const hosts = Object.fromEntries(
+        [...throttles].map(([hostname, throttle]) => [hostname, throttle.getStats()])
+      );
+      const hostStats = Object.values(hosts);
+      const sum = (key) => hostStats.reduce((total, host) => total + host[key], 0);
+      const requests = sum("requests");
+      const siteWait = sum("site_wait_ms");
+      const configuredWait = sum("configured_wait_ms");
+      const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 1);
+
+      return {
+        max_requests_per_second: options.maxRequestsPerSecond ?? null,
+        concurrency: options.concurrency,
+        effective_rps: Math.round((requests / elapsedSeconds) * 100) / 100,
+        requests,
+        events: Object.fromEntries(
+          ["rate_limited", "unavailable", "timeout"].map((type) => [
+            type,
+            hostStats.reduce((total, host) => total + host.events[type], 0),
+          ])
+        ),
+        backoffs: sum("backoffs"),
+        ramp_ups: sum("ramp_ups"),
+        min_concurrency: Math.min(options.concurrency, ...hostStats.map((host) => host.min_concurrency)),
+        max_backoff_delay_ms: Math.max(0, ...hostStats.map((host) => host.max_backoff_delay_ms)),
+        site_wait_ms: siteWait,
+        configured_wait_ms: configuredWait,
+        log: Object.entries(hosts)
+          .flatMap(([hostname, host]) => host.log.map((event) => ({ ...event, host: hostname })))
+          .sort((a, b) => a.time.localeCompare(b.time))
+          .slice(0, MAX_LOGGED_EVENTS),
+        slowed_by:
+          siteWait > configuredWait ? "site" : configuredWait > 0 ? "config" : null,
+        hosts,
+      };
+    },
+  };
+}
+
+module.exports = {
+  MAX_CONCURRENCY,
+  MAX_REQUESTS_PER_SECOND,
+  normalizeThrottleOptions,
+  parseRetryAfter,
+  createThrottle,
+  createHostThrottles,
+};
@@ -0,0 +1,91 @@
+/**
+ * URL helpers shared by the crawl engines (see playwrightCrawler.js and httpCrawler.js)
+ */
+
+/**
+ * Get canonical URL for deduplication (without trailing slash)
+ * Used only for checking if we've already visited a URL
+ */
+function getCanonicalUrl(url) {
+  if (!url) return null;
+  return url.replace(/\/$/, "");
+}
+
+/**
+ * Check if two URLs are from the same domain
+ */
+function sameDomain(a, b) {
+  try {
+    return new URL(a).hostname === new URL(b).hostname;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if two URLs are from the same site (handles subdomains)
+ * e.g., www.doordash.com and about.doordash.com are considered same site
+ */
+function sameSite(a, b) {
+  try {
+    const hostnameA = new URL(a).hostname;
+    const hostnameB = new URL(b).hostname;
+
+    // Exact match
+    if (hostnameA === hostnameB) return true;
+
+    // Extract root domain (e.g., "doordash.com" from "www.doordash.com" or "about.doordash.com")
+    const getRootDomain = (hostname) => {
+      const parts = hostname.split(".");
+      // Handle cases like "co.uk", "com.au" etc. (2-part TLDs)
+      if (parts.length >= 3) {
+        // Check for known 2-part TLDs
+        const twoPartTlds = [
+          "co.uk",
+          "com.au",
+          "com.br",
+          "co.za",
+          "com.mx",
+          "co.jp",
+        ];
+        const lastTwo = parts.slice(-2).join(".");
+        if (twoPartTlds.includes(lastTwo)) {
+          return parts.slice(-3).join(".");
+        }
+      }
+      // Standard case: last 2 parts (e.g., "doordash.com")
+      return parts.slice(-2).join(".");
+    };
+
+    const rootA = getRootDomain(hostnameA);
+    const rootB = getRootDomain(hostnameB);
+
+    return rootA === rootB;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if a URL is the root/homepage
+ */
+function isRootPage(url) {
+  try {
+    const urlObj = new URL(url);
+    const pathname = urlObj.pathname;
+    // Root page has empty pathname or just "/", and no hash (or only #)
+    return (
+      (pathname === "/" || pathname === "") &&
+      (!urlObj.hash || urlObj.hash === "" || urlObj.hash === "#")
+    );
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  getCanonicalUrl,
+  sameDomain,
+  sameSite,
+  isRootPage,
+};
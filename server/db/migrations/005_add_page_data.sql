@@ -0,0 +1,19 @@
+-- Migration: 005_add_page_data.sql
+-- Description: Add page_data JSONB column to pages table for per-page SEO data
+-- Created: Persist meta robots, canonical, description, h1, word count, hreflang and og tags
+
+-- Add page_data column if it doesn't exist
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_name = 'pages' AND column_name = 'page_data'
+  ) THEN
+    ALTER TABLE pages ADD COLUMN page_data JSONB;
+    COMMENT ON COLUMN pages.page_data IS 'SEO data extracted while crawling (meta, content_signals, hreflang, og, tech, classification)';
+  END IF;
+END $$;
+
+-- GIN index for filtering pages by extracted data (e.g. page_data->'meta'->>'robots')
+CREATE INDEX IF NOT EXISTS idx_pages_page_data_gin 
+ON pages USING GIN (page_data);
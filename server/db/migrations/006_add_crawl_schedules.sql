@@ -0,0 +1,41 @@
+-- Migration: 006_add_crawl_schedules.sql
+-- Description: Add crawl_schedules table for recurring crawls and link crawl_jobs to their schedule
+-- Created: Cron-style schedules run through BullMQ job schedulers on crawl-queue
+
+-- Recurring crawl schedules (options mirror POST /api/crawl)
+CREATE TABLE IF NOT EXISTS crawl_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  domain TEXT NOT NULL,
+  cron TEXT NOT NULL,
+  timezone TEXT,
+  max_depth INTEGER NOT NULL DEFAULT 3,
+  max_pages INTEGER NOT NULL DEFAULT 500,
+  use_sitemap BOOLEAN NOT NULL DEFAULT false,
+  check_redirect_duplicates BOOLEAN NOT NULL DEFAULT false,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_run_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Add schedule_id column if it doesn't exist
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_name = 'crawl_jobs' AND column_name = 'schedule_id'
+  ) THEN
+    ALTER TABLE crawl_jobs ADD COLUMN schedule_id UUID REFERENCES crawl_schedules(id) ON DELETE SET NULL;
+    COMMENT ON COLUMN crawl_jobs.schedule_id IS 'Schedule that started this crawl (NULL for manual crawls)';
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_crawl_jobs_schedule_id ON crawl_jobs(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_crawl_schedules_enabled ON crawl_schedules(enabled);
+
+-- Trigger for crawl_schedules
+DROP TRIGGER IF EXISTS update_crawl_schedules_updated_at ON crawl_schedules;
+CREATE TRIGGER update_crawl_schedules_updated_at 
+  BEFORE UPDATE ON crawl_schedules 
+  FOR EACH ROW 
+  EXECUTE FUNCTION update_updated_at_column();
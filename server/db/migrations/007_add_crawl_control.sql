@@ -0,0 +1,27 @@
+-- Migration: 007_add_crawl_control.sql
+-- Description: Add PAUSED/CANCELLED statuses, saved crawl options and persisted crawl frontiers
+-- Created: Cancel, pause and resume running crawls
+
+ALTER TYPE crawl_status ADD VALUE IF NOT EXISTS 'PAUSED';
+ALTER TYPE crawl_status ADD VALUE IF NOT EXISTS 'CANCELLED';
+
+-- Add options column if it doesn't exist (crawl options needed to resume/retry a job)
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_name = 'crawl_jobs' AND column_name = 'options'
+  ) THEN
+    ALTER TABLE crawl_jobs ADD COLUMN options JSONB;
+    COMMENT ON COLUMN crawl_jobs.options IS 'Crawl options from the request (useSitemap, checkRedirectDuplicates, ...)';
+  END IF;
+END $$;
+
+-- Crawl frontier saved while crawling so a paused or crashed crawl can continue
+CREATE TABLE IF NOT EXISTS crawl_frontiers (
+  job_id UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  queue JSONB NOT NULL DEFAULT '[]'::jsonb,
+  visited JSONB NOT NULL DEFAULT '[]'::jsonb,
+  sequence INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
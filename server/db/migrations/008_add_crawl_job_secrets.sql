@@ -0,0 +1,12 @@
+-- Migration: 008_add_crawl_job_secrets.sql
+-- Description: Encrypted per-job crawl credentials (HTTP auth, cookies, headers, login step)
+-- Created: Authenticated crawling
+
+-- Kept out of crawl_jobs so "SELECT * FROM crawl_jobs" can never return secrets
+CREATE TABLE IF NOT EXISTS crawl_job_secrets (
+  job_id UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  auth_encrypted TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN crawl_job_secrets.auth_encrypted IS 'AES-256-GCM encrypted crawl auth options (key: CRAWL_SECRETS_KEY)';
@@ -0,0 +1,17 @@
+-- Migration: 009_add_redirect_chain.sql
+-- Description: Store every redirect hop (HTTP, meta refresh, JavaScript) per crawled page
+-- Created: Redirect chain reporting
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_name = 'pages' AND column_name = 'redirect_chain'
+  ) THEN
+    ALTER TABLE pages ADD COLUMN redirect_chain JSONB;
+    COMMENT ON COLUMN pages.redirect_chain IS 'Redirect hops that led to the page: [{ hop, url, to, status, type }]';
+  END IF;
+END $$;
+
+-- Redirect reports only read pages that redirected
+CREATE INDEX IF NOT EXISTS idx_pages_job_redirects ON pages(job_id) WHERE redirect_chain IS NOT NULL;
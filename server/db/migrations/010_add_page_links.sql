@@ -0,0 +1,22 @@
+-- Migration: 010_add_page_links.sql
+-- Description: Link occurrences found while crawling (source page -> target URL)
+-- Created: Broken link report with source pages and anchor text
+
+CREATE TABLE IF NOT EXISTS page_links (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  source_url TEXT NOT NULL,
+  target_url TEXT NOT NULL,
+  href TEXT,
+  anchor_text TEXT,
+  rel TEXT,
+  position VARCHAR(10) NOT NULL DEFAULT 'body',
+  is_internal BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN page_links.position IS 'Where the link sits on the source page: nav, footer or body';
+
+-- Targets are matched against pages.url with or without a trailing slash
+CREATE INDEX IF NOT EXISTS idx_page_links_job_target ON page_links(job_id, rtrim(target_url, '/'));
+CREATE INDEX IF NOT EXISTS idx_page_links_job_source ON page_links(job_id, source_url);
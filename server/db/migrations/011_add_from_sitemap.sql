@@ -0,0 +1,17 @@
+-- Migration: 011_add_from_sitemap.sql
+-- Description: Remember which pages were discovered through sitemap.xml (orphan page detection)
+-- Created: Internal link graph
+
+DO $$ 
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns 
+    WHERE table_name = 'pages' AND column_name = 'from_sitemap'
+  ) THEN
+    ALTER TABLE pages ADD COLUMN from_sitemap BOOLEAN NOT NULL DEFAULT FALSE;
+    COMMENT ON COLUMN pages.from_sitemap IS 'Page URL was listed in sitemap.xml';
+  END IF;
+END $$;
+
+-- Link graph queries only read internal links
+CREATE INDEX IF NOT EXISTS idx_page_links_job_internal ON page_links(job_id) WHERE is_internal;
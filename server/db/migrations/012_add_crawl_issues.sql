@@ -0,0 +1,18 @@
+-- Migration: 012_add_crawl_issues.sql
+-- Description: Persist structural issues detected after each crawl (one row per issue)
+-- Created: Issues API
+
+CREATE TABLE IF NOT EXISTS crawl_issues (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  category VARCHAR(30) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  severity VARCHAR(10) NOT NULL CHECK (severity IN ('critical', 'warning', 'info')),
+  path TEXT,
+  details JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE crawl_issues IS 'Structural issues from detectStructuralIssues, replaced on every sitemap rebuild';
+
+CREATE INDEX IF NOT EXISTS idx_crawl_issues_job ON crawl_issues(job_id, category, severity);
@@ -0,0 +1,12 @@
+-- Migration: 013_add_project_issue_rules.sql
+-- Description: Issue rule overrides and custom rules shared by all crawls of a domain
+-- Created: Issue rule registry
+
+CREATE TABLE IF NOT EXISTS project_issue_rules (
+  domain_key TEXT PRIMARY KEY,
+  config JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON TABLE project_issue_rules IS 'Per-domain issue rule config ({ rules, custom }), job options.issueRules override it';
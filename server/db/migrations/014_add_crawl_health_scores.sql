@@ -0,0 +1,19 @@
+-- Migration: 014_add_crawl_health_scores.sql
+-- Description: 0-100 health score per crawl job, kept per domain for trend lines
+-- Created: Site health score
+
+CREATE TABLE IF NOT EXISTS crawl_health_scores (
+  job_id UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  domain_key TEXT NOT NULL,
+  score SMALLINT NOT NULL CHECK (score BETWEEN 0 AND 100),
+  page_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  max_depth INTEGER NOT NULL DEFAULT 0,
+  issue_counts JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN crawl_health_scores.domain_key IS 'Hostname without www (same key as crawl diffs and project issue rules)';
+COMMENT ON COLUMN crawl_health_scores.issue_counts IS 'Issue counts by severity: { critical, warning, info }';
+
+CREATE INDEX IF NOT EXISTS idx_crawl_health_scores_domain ON crawl_health_scores(domain_key, created_at);
@@ -0,0 +1,17 @@
+-- Migration: 015_add_hreflang_links.sql
+-- Description: hreflang annotations found while crawling (page -> alternate language URL)
+-- Created: hreflang and international site validation
+
+CREATE TABLE IF NOT EXISTS hreflang_links (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  source_url TEXT NOT NULL,
+  lang VARCHAR(50) NOT NULL,
+  target_url TEXT NOT NULL,
+  source VARCHAR(10) NOT NULL CHECK (source IN ('html', 'header', 'sitemap')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMENT ON COLUMN hreflang_links.source IS 'Where the annotation was found: <link> tag, HTTP Link header or sitemap.xml xhtml:link';
+
+CREATE INDEX IF NOT EXISTS idx_hreflang_links_job ON hreflang_links(job_id, source_url);
@@ -0,0 +1,21 @@
+-- Migration: 016_add_query_parameters.sql
+-- Description: Inventory of the query parameters seen on discovered URLs, per crawl
+-- Created: Configurable query-parameter handling
+
+CREATE TABLE IF NOT EXISTS query_parameters (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('keep', 'pagination', 'strip')),
+  listed BOOLEAN NOT NULL DEFAULT FALSE,
+  occurrences INTEGER NOT NULL DEFAULT 0,
+  url_count INTEGER NOT NULL DEFAULT 0,
+  value_count INTEGER NOT NULL DEFAULT 0,
+  sample_values JSONB,
+  example_urls JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, name)
+);
+
+COMMENT ON COLUMN query_parameters.action IS 'What the job''s query parameter rules did with the parameter';
+COMMENT ON COLUMN query_parameters.listed IS 'FALSE when the rules'' default action applied';
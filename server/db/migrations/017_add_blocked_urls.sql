@@ -0,0 +1,18 @@
+-- Migration: 017_add_blocked_urls.sql
+-- Description: URLs the crawler skipped because robots.txt disallows them, with the matching rule
+-- Created: robots.txt blocked URL report
+
+CREATE TABLE IF NOT EXISTS blocked_urls (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  parent_url TEXT,
+  depth INTEGER,
+  rule TEXT,
+  rule_line INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, url)
+);
+
+COMMENT ON COLUMN blocked_urls.rule IS 'robots.txt directive that blocked the URL, NULL when the start site''s robots.txt does not cover its host';
+COMMENT ON COLUMN blocked_urls.rule_line IS '1-based line of the directive in robots.txt';
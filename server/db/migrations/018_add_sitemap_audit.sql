@@ -0,0 +1,28 @@
+-- Migration: 018_add_sitemap_audit.sql
+-- Description: sitemap.xml files and declared URLs per crawl, cross-referenced with crawled pages
+-- Created: XML sitemap audit
+
+CREATE TABLE IF NOT EXISTS sitemap_files (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('index', 'urlset', 'text')),
+  url_count INTEGER NOT NULL DEFAULT 0,
+  bytes BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, url)
+);
+
+COMMENT ON COLUMN sitemap_files.url_count IS 'URL entries, or child sitemaps of an index';
+COMMENT ON COLUMN sitemap_files.bytes IS 'Uncompressed size';
+
+CREATE TABLE IF NOT EXISTS sitemap_urls (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  sitemap_url TEXT NOT NULL,
+  lastmod VARCHAR(100),
+  UNIQUE (job_id, url)
+);
+
+COMMENT ON COLUMN sitemap_urls.lastmod IS 'Raw <lastmod> value as declared';
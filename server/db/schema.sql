@@ -12,6 +12,10 @@ EXCEPTION
   WHEN duplicate_object THEN null;
 END $$;
 
+-- Statuses added after the enum was created
+ALTER TYPE crawl_status ADD VALUE IF NOT EXISTS 'PAUSED';
+ALTER TYPE crawl_status ADD VALUE IF NOT EXISTS 'CANCELLED';
+
 -- Crawl jobs table
 CREATE TABLE IF NOT EXISTS crawl_jobs (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -52,6 +56,17 @@ BEGIN
   END IF;
 END $$;
 
+-- Add page_data column if it doesn't exist (SEO data extracted while crawling)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'pages' AND column_name = 'page_data'
+  ) THEN
+    ALTER TABLE pages ADD COLUMN page_data JSONB;
+  END IF;
+END $$;
+
 -- AI recommendations table
 CREATE TABLE IF NOT EXISTS ai_recommendations (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -111,6 +126,207 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- Add options column if it doesn't exist (crawl options needed to resume/retry a job)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'crawl_jobs' AND column_name = 'options'
+  ) THEN
+    ALTER TABLE crawl_jobs ADD COLUMN options JSONB;
+  END IF;
+END $$;
+
+-- Crawl frontier saved while crawling so a paused or crashed crawl can continue
+CREATE TABLE IF NOT EXISTS crawl_frontiers (
+  job_id UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  queue JSONB NOT NULL DEFAULT '[]'::jsonb,
+  visited JSONB NOT NULL DEFAULT '[]'::jsonb,
+  sequence INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Recurring crawl schedules (options mirror POST /api/crawl)
+CREATE TABLE IF NOT EXISTS crawl_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  domain TEXT NOT NULL,
+  cron TEXT NOT NULL,
+  timezone TEXT,
+  max_depth INTEGER NOT NULL DEFAULT 3,
+  max_pages INTEGER NOT NULL DEFAULT 500,
+  use_sitemap BOOLEAN NOT NULL DEFAULT false,
+  check_redirect_duplicates BOOLEAN NOT NULL DEFAULT false,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_run_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Add schedule_id column if it doesn't exist (crawl_jobs started by a schedule)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'crawl_jobs' AND column_name = 'schedule_id'
+  ) THEN
+    ALTER TABLE crawl_jobs ADD COLUMN schedule_id UUID REFERENCES crawl_schedules(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_crawl_jobs_schedule_id ON crawl_jobs(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_crawl_schedules_enabled ON crawl_schedules(enabled);
+
+DROP TRIGGER IF EXISTS update_crawl_schedules_updated_at ON crawl_schedules;
+CREATE TRIGGER update_crawl_schedules_updated_at
+  BEFORE UPDATE ON crawl_schedules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Encrypted per-job crawl credentials, kept out of crawl_jobs so they are never selected by accident
+CREATE TABLE IF NOT EXISTS crawl_job_secrets (
+  job_id UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  auth_encrypted TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Add redirect_chain column if it doesn't exist (redirect hops that led to each page)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'pages' AND column_name = 'redirect_chain'
+  ) THEN
+    ALTER TABLE pages ADD COLUMN redirect_chain JSONB;
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_pages_job_redirects ON pages(job_id) WHERE redirect_chain IS NOT NULL;
+
+-- Link occurrences found while crawling (source page -> target URL)
+CREATE TABLE IF NOT EXISTS page_links (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  source_url TEXT NOT NULL,
+  target_url TEXT NOT NULL,
+  href TEXT,
+  anchor_text TEXT,
+  rel TEXT,
+  position VARCHAR(10) NOT NULL DEFAULT 'body',
+  is_internal BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_links_job_target ON page_links(job_id, rtrim(target_url, '/'));
+CREATE INDEX IF NOT EXISTS idx_page_links_job_source ON page_links(job_id, source_url);
+CREATE INDEX IF NOT EXISTS idx_page_links_job_internal ON page_links(job_id) WHERE is_internal;
+
+-- Add from_sitemap column if it doesn't exist (page was listed in sitemap.xml)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'pages' AND column_name = 'from_sitemap'
+  ) THEN
+    ALTER TABLE pages ADD COLUMN from_sitemap BOOLEAN NOT NULL DEFAULT FALSE;
+  END IF;
+END $$;
+
+-- Structural issues detected after each crawl (one row per issue)
+CREATE TABLE IF NOT EXISTS crawl_issues (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  category VARCHAR(30) NOT NULL,
+  type VARCHAR(50) NOT NULL,
+  severity VARCHAR(10) NOT NULL CHECK (severity IN ('critical', 'warning', 'info')),
+  path TEXT,
+  details JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawl_issues_job ON crawl_issues(job_id, category, severity);
+
+-- Issue rule overrides and custom rules per project (domain without www)
+CREATE TABLE IF NOT EXISTS project_issue_rules (
+  domain_key TEXT PRIMARY KEY,
+  config JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Health score per crawl job (trend per domain)
+CREATE TABLE IF NOT EXISTS crawl_health_scores (
+  job_id UUID PRIMARY KEY REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  domain_key TEXT NOT NULL,
+  score SMALLINT NOT NULL CHECK (score BETWEEN 0 AND 100),
+  page_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  max_depth INTEGER NOT NULL DEFAULT 0,
+  issue_counts JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crawl_health_scores_domain ON crawl_health_scores(domain_key, created_at);
+
+-- hreflang annotations per page (html <link>, HTTP Link header, sitemap.xml xhtml:link)
+CREATE TABLE IF NOT EXISTS hreflang_links (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  source_url TEXT NOT NULL,
+  lang VARCHAR(50) NOT NULL,
+  target_url TEXT NOT NULL,
+  source VARCHAR(10) NOT NULL CHECK (source IN ('html', 'header', 'sitemap')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_hreflang_links_job ON hreflang_links(job_id, source_url);
+
+CREATE TABLE IF NOT EXISTS query_parameters (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('keep', 'pagination', 'strip')),
+  listed BOOLEAN NOT NULL DEFAULT FALSE,
+  occurrences INTEGER NOT NULL DEFAULT 0,
+  url_count INTEGER NOT NULL DEFAULT 0,
+  value_count INTEGER NOT NULL DEFAULT 0,
+  sample_values JSONB,
+  example_urls JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS blocked_urls (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  parent_url TEXT,
+  depth INTEGER,
+  rule TEXT,
+  rule_line INTEGER,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, url)
+);
+
+CREATE TABLE IF NOT EXISTS sitemap_files (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('index', 'urlset', 'text')),
+  url_count INTEGER NOT NULL DEFAULT 0,
+  bytes BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, url)
+);
+
+CREATE TABLE IF NOT EXISTS sitemap_urls (
+  id BIGSERIAL PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES crawl_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  sitemap_url TEXT NOT NULL,
+  lastmod VARCHAR(100),
+  UNIQUE (job_id, url)
+);
+
 -- Trigger for crawl_jobs
 CREATE TRIGGER update_crawl_jobs_updated_at 
   BEFORE UPDATE ON crawl_jobs 
@@ -8,6 +8,11 @@ const { initDatabase } = require('./db/init');
 const { initQueue } = require('./queue/queue');
 const crawlRoutes = require('./routes/crawl');
 const statusRoutes = require('./routes/status');
+const scheduleRoutes = require('./routes/schedules');
+const issueRuleRoutes = require('./routes/issueRules');
+const domainRoutes = require('./routes/domains');
+const robotsRoutes = require('./routes/robots');
+const { syncAllSchedules } = require('./queue/scheduler');
 const { setupWebSocket } = require('./websocket/websocket');
 
 const app = express();
@@ -18,11 +23,16 @@ const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// URL lists (list mode) and storageState uploads are sent as JSON
+app.use(express.json({ limit: '5mb' }));
 
 // Routes
 app.use('/api/crawl', crawlRoutes);
 app.use('/api/status', statusRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/issue-rules', issueRuleRoutes);
+app.use('/api/domains', domainRoutes);
+app.use('/api/robots', robotsRoutes);
 
 // WebSocket setup
 setupWebSocket(app);
@@ -46,6 +56,13 @@ async function start() {
     }
     
     await initQueue();
+
+    // Register recurring crawls (a failure here shouldn't stop the API)
+    try {
+      await syncAllSchedules();
+    } catch (error) {
+      console.warn('⚠️ Failed to sync crawl schedules:', error.message);
+    }
     
     server.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
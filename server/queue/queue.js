@@ -1,11 +1,20 @@
 const { Queue, Worker } = require("bullmq");
 const Redis = require("ioredis");
+const { v4: uuidv4 } = require("uuid");
 const { crawlWebsite } = require("../crawler/playwrightCrawler");
 const { processSitemap } = require("../ai/aiProcessor");
 const { pool, queryWithRetry } = require("../db/init");
 const { broadcastStatusUpdate } = require("../websocket/websocket");
 const { buildCanonicalSitemapTree } = require("../utils/sitemapTreeBuilder");
 const { detectStructuralIssues } = require("../utils/issueDetector");
+const { loadLinkGraph } = require("../utils/linkGraph");
+const { loadHreflangLinks } = require("../utils/hreflang");
+const { loadQueryParameters } = require("../utils/queryParams");
+const { loadSitemapAudit } = require("../utils/sitemapAudit");
+const { saveJobIssues } = require("../utils/crawlIssues");
+const { loadJobRuleSet } = require("../utils/issueRules");
+const { saveJobHealth } = require("../utils/healthScore");
+const { saveJobAuth, loadJobAuth } = require("../utils/crawlAuth");
 
 const connection = new Redis({
   host: process.env.REDIS_HOST || "localhost",
@@ -27,10 +36,256 @@ const connection = new Redis({
 // Create queue
 const crawlQueue = new Queue("crawl-queue", { connection });
 
+// Retry policy for "crawl" queue jobs
+const CRAWL_JOB_OPTIONS = {
+  attempts: 3,
+  backoff: {
+    type: "exponential",
+    delay: 5000,
+  },
+};
+
+/**
+ * Add an existing crawl_jobs row to the queue using its saved options
+ * @param {Object} job - crawl_jobs row
+ * @param {Object} overrides - Options that replace the saved ones
+ */
+async function enqueueCrawlJob(job, overrides = {}) {
+  await crawlQueue.add(
+    "crawl",
+    {
+      jobId: job.id,
+      domain: job.domain,
+      maxDepth: job.max_depth,
+      maxPages: job.max_pages,
+      useSitemap: false,
+      checkRedirectDuplicates: false,
+      ...(job.options || {}),
+      ...overrides,
+    },
+    { jobId: job.id, ...CRAWL_JOB_OPTIONS }
+  );
+}
+
+/**
+ * Create a crawl_jobs row and add it to the queue
+ * Auth options are stored encrypted and never added to the queue payload
+ * @returns {String} New job ID
+ */
+async function createCrawlJob({
+  domain,
+  maxDepth = 3,
+  maxPages = 500,
+  useSitemap = false,
+  checkRedirectDuplicates = false,
+  mode = "crawl",
+  urlList = null,
+  urlRules = null,
+  queryParams = null,
+  issueRules = null,
+  engine = "browser",
+  collectPerformance = false,
+  auditAccessibility = false,
+  extractors = null,
+  maxRequestsPerSecond = null,
+  concurrency = null,
+  auth = null,
+  scheduleId = null,
+}) {
+  const jobId = uuidv4();
+  const options = {
+    useSitemap,
+    checkRedirectDuplicates,
+    mode,
+    urlList,
+    urlRules,
+    queryParams,
+    issueRules,
+    engine,
+    collectPerformance,
+    auditAccessibility,
+    extractors,
+    maxRequestsPerSecond,
+    concurrency,
+  };
+
+  await queryWithRetry(
+    "INSERT INTO crawl_jobs (id, domain, max_depth, max_pages, schedule_id, options) VALUES ($1, $2, $3, $4, $5, $6)",
+    [jobId, domain, maxDepth, maxPages, scheduleId, JSON.stringify(options)]
+  );
+
+  if (auth) {
+    await saveJobAuth(jobId, auth);
+  }
+
+  await enqueueCrawlJob({
+    id: jobId,
+    domain,
+    max_depth: maxDepth,
+    max_pages: maxPages,
+    options,
+  });
+
+  return jobId;
+}
+
+/**
+ * Start a crawl for a schedule (triggered by its BullMQ job scheduler)
+ * Skips the run while the previous crawl of the same schedule is still active
+ */
+async function runScheduledCrawl(scheduleId) {
+  const scheduleResult = await queryWithRetry(
+    "SELECT * FROM crawl_schedules WHERE id = $1",
+    [scheduleId]
+  );
+  const schedule = scheduleResult.rows[0];
+
+  if (!schedule || !schedule.enabled) {
+    console.log(`Schedule ${scheduleId} is missing or disabled, skipping run`);
+    return { success: false, message: "Schedule is missing or disabled" };
+  }
+
+  const activeResult = await queryWithRetry(
+    "SELECT id FROM crawl_jobs WHERE schedule_id = $1 AND status IN ('PENDING', 'CRAWLING', 'PROCESSING', 'AI_ANALYSIS') LIMIT 1",
+    [scheduleId]
+  );
+  if (activeResult.rows.length > 0) {
+    console.log(
+      `⚠️ Schedule ${scheduleId} still has crawl ${activeResult.rows[0].id} running, skipping run`
+    );
+    return { success: false, message: "Previous scheduled crawl still running" };
+  }
+
+  const jobId = await createCrawlJob({
+    domain: schedule.domain,
+    maxDepth: schedule.max_depth,
+    maxPages: schedule.max_pages,
+    useSitemap: schedule.use_sitemap,
+    checkRedirectDuplicates: schedule.check_redirect_duplicates,
+    scheduleId,
+  });
+
+  await queryWithRetry(
+    "UPDATE crawl_schedules SET last_run_at = NOW() WHERE id = $1",
+    [scheduleId]
+  );
+
+  console.log(`🕒 Schedule ${scheduleId} started crawl ${jobId} (${schedule.domain})`);
+  return { success: true, jobId };
+}
+
+/**
+ * Make sure a job paused after its last batch has a frontier to resume from
+ * The crawler clears the frontier when its queue ran empty; an empty one resumes
+ * straight to processing (stored pages count as visited)
+ */
+async function keepFrontierForResume(jobId) {
+  await queryWithRetry(
+    `INSERT INTO crawl_frontiers (job_id, sequence)
+     SELECT $1::uuid, COALESCE(MAX(sequence), 0) FROM pages WHERE job_id = $1::uuid
+     ON CONFLICT (job_id) DO NOTHING`,
+    [jobId]
+  );
+}
+
+/**
+ * Build the sitemap from a job's stored pages and save it in the sitemaps table
+ * Used after a crawl finishes and when a paused crawl is cancelled
+ */
+async function storeJobSitemap(jobId, crawlStats = {}, crawlErrors = {}) {
+  // Retrieve pages from database ordered by sequence to preserve HTML discovery order
+  // This ensures the tree view shows pages in the correct order
+  const pagesResult = await queryWithRetry(
+    "SELECT url, title, status_code, depth, parent_url, original_href, sequence, page_data, redirect_chain, from_sitemap FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999), crawled_at",
+    [jobId]
+  );
+
+  // Convert database rows to page objects with sequence
+  const orderedPages = pagesResult.rows.map((row) => ({
+    url: row.url,
+    title: row.title,
+    depth: row.depth,
+    parentUrl: row.parent_url,
+    originalHref: row.original_href || null,
+    sequence: row.sequence || null,
+    pageData: row.page_data || null,
+    redirectChain: row.redirect_chain || null,
+    statusCode: row.status_code,
+    fromSitemap: row.from_sitemap,
+  }));
+
+  // Build sitemap structure (legacy format for backward compatibility)
+  // Use ordered pages from database to preserve sequence order
+  const legacySitemap = buildSitemapStructure(orderedPages);
+
+  // Build canonical sitemap tree (new format)
+  // Use ordered pages from database to preserve sequence order
+  const canonicalTree = buildCanonicalSitemapTree(orderedPages);
+
+  // Internal link graph (orphan pages, click depth)
+  const linkGraph = await loadLinkGraph(jobId, orderedPages);
+
+  // Detect structural issues with the job's rule set (defaults < project < job)
+  const structuralIssues = detectStructuralIssues(
+    canonicalTree,
+    orderedPages,
+    linkGraph,
+    await loadJobRuleSet(jobId),
+    await loadHreflangLinks(jobId),
+    await loadQueryParameters(jobId),
+    await loadSitemapAudit(jobId)
+  );
+
+  // Add crawl errors/warnings to the sitemap metadata
+  if (legacySitemap) {
+    legacySitemap._crawlMeta = {
+      stats: crawlStats,
+      hasErrors: crawlErrors.pageErrors?.length > 0,
+      errorCount: crawlErrors.pageErrors?.length || 0,
+      warnings: crawlErrors.warnings || [],
+      sitemapUsed: crawlStats.sitemapUsed || false,
+      stopReason: crawlStats.stopReason || "completed",
+      skippedPdfs: crawlStats.skippedPdfs || 0,
+      skippedFiles: crawlErrors.skippedFiles || [],
+    };
+  }
+
+  // Store original sitemap (legacy format for UI compatibility)
+  await queryWithRetry(
+    "INSERT INTO sitemaps (job_id, original_sitemap) VALUES ($1, $2) ON CONFLICT (job_id) DO UPDATE SET original_sitemap = $2",
+    [jobId, JSON.stringify(legacySitemap)]
+  );
+
+  // Store issues one row per affected path (served by GET /api/crawl/:jobId/issues)
+  const issueRecords = await saveJobIssues(jobId, structuralIssues);
+
+  // Health score from the issues, kept per job for the domain trend
+  const health = await saveJobHealth(jobId, {
+    issues: issueRecords,
+    pages: orderedPages,
+    maxDepth: canonicalTree._meta.max_depth,
+  });
+
+  console.log(
+    `📊 Sitemap analysis: ${
+      canonicalTree._meta.total_pages
+    } pages, max depth ${canonicalTree._meta.max_depth}, ${
+      issueRecords.length
+    } issues stored, health score ${health?.score ?? "n/a"}`
+  );
+
+  return { canonicalTree, structuralIssues };
+}
+
 // Worker to process crawl jobs
 const crawlWorker = new Worker(
   "crawl-queue",
   async (job) => {
+    // Scheduler ticks only create the crawl job, the crawl runs as a normal "crawl" job
+    if (job.name === "scheduled-crawl") {
+      return runScheduledCrawl(job.data.scheduleId);
+    }
+
     const {
       jobId,
       domain,
@@ -38,12 +293,21 @@ const crawlWorker = new Worker(
       maxPages,
       useSitemap = false,
       checkRedirectDuplicates = false,
+      urlList = null,
+      urlRules = null,
+      queryParams = null,
+      engine = "browser",
+      collectPerformance = false,
+      auditAccessibility = false,
+      extractors = null,
+      maxRequestsPerSecond = null,
+      concurrency = null,
     } = job.data;
 
     try {
       // Check if job still exists before starting (might have been deleted)
       const jobCheck = await queryWithRetry(
-        "SELECT id FROM crawl_jobs WHERE id = $1",
+        "SELECT id, status FROM crawl_jobs WHERE id = $1",
         [jobId]
       );
 
@@ -52,6 +316,14 @@ const crawlWorker = new Worker(
         return { success: false, message: "Job was deleted" };
       }
 
+      // Paused or cancelled while waiting in the queue
+      if (["PAUSED", "CANCELLED"].includes(jobCheck.rows[0].status)) {
+        console.log(
+          `Job ${jobId} is ${jobCheck.rows[0].status.toLowerCase()}, skipping crawl`
+        );
+        return { success: false, message: `Job is ${jobCheck.rows[0].status}` };
+      }
+
       // Check if job still exists before updating status (might have been deleted)
       const jobCheckBeforeCrawling = await queryWithRetry(
         "SELECT id FROM crawl_jobs WHERE id = $1",
@@ -70,11 +342,14 @@ const crawlWorker = new Worker(
 
       // Update status to CRAWLING
       await queryWithRetry(
-        "UPDATE crawl_jobs SET status = $1, started_at = NOW() WHERE id = $2",
+        "UPDATE crawl_jobs SET status = $1, started_at = NOW() WHERE id = $2 AND status NOT IN ('PAUSED', 'CANCELLED')",
         ["CRAWLING", jobId]
       );
       await broadcastStatusUpdate(jobId);
 
+      // Credentials are read from the database, not from the queue payload
+      const auth = await loadJobAuth(jobId);
+
       // Crawl the website
       const pages = await crawlWebsite({
         jobId,
@@ -83,6 +358,16 @@ const crawlWorker = new Worker(
         maxPages,
         useSitemap,
         checkRedirectDuplicates: checkRedirectDuplicates,
+        urlList,
+        urlRules,
+        queryParams,
+        engine,
+        collectPerformance,
+        auditAccessibility,
+        extractors,
+        maxRequestsPerSecond,
+        concurrency,
+        auth,
         onProgress: async (progress) => {
           // Check if job still exists before updating progress
           const jobCheck = await queryWithRetry(
@@ -139,73 +424,44 @@ const crawlWorker = new Worker(
         return { success: false, message: "Job was deleted during crawl" };
       }
 
-      // Update status to PROCESSING
-      await queryWithRetry("UPDATE crawl_jobs SET status = $1 WHERE id = $2", [
-        "PROCESSING",
-        jobId,
-      ]);
-      await broadcastStatusUpdate(jobId);
-
-      // Retrieve pages from database ordered by sequence to preserve HTML discovery order
-      // This ensures the tree view shows pages in the correct order
-      const pagesResult = await queryWithRetry(
-        "SELECT url, title, depth, parent_url, original_href, sequence FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999), crawled_at",
-        [jobId]
-      );
-
-      // Convert database rows to page objects with sequence
-      const orderedPages = pagesResult.rows.map((row) => ({
-        url: row.url,
-        title: row.title,
-        depth: row.depth,
-        parentUrl: row.parent_url,
-        originalHref: row.original_href || null,
-        sequence: row.sequence || null,
-      }));
-
-      // Build sitemap structure (legacy format for backward compatibility)
-      // Use ordered pages from database to preserve sequence order
-      const legacySitemap = buildSitemapStructure(orderedPages);
-
-      // Build canonical sitemap tree (new format)
-      // Use ordered pages from database to preserve sequence order
-      const canonicalTree = buildCanonicalSitemapTree(orderedPages);
-
-      // Detect structural issues
-      const structuralIssues = detectStructuralIssues(
-        canonicalTree,
-        orderedPages
-      );
-
-      // Add crawl errors/warnings to the sitemap metadata
-      if (legacySitemap) {
-        legacySitemap._crawlMeta = {
-          stats: crawlStats,
-          hasErrors: crawlErrors.pageErrors?.length > 0,
-          errorCount: crawlErrors.pageErrors?.length || 0,
-          warnings: crawlErrors.warnings || [],
-          sitemapUsed: crawlStats.sitemapUsed || false,
-          stopReason: crawlStats.stopReason || "completed",
-          skippedPdfs: crawlStats.skippedPdfs || 0,
-          skippedFiles: crawlErrors.skippedFiles || [],
-        };
+      // Paused crawls keep their frontier and stop here until resumed
+      if (crawlStats.paused) {
+        console.log(`⏸️ Job ${jobId} paused with ${pages.length} pages`);
+        await broadcastStatusUpdate(jobId);
+        return { success: true, paused: true, pagesCount: pages.length };
       }
 
-      // Store original sitemap (legacy format for UI compatibility)
-      await queryWithRetry(
-        "INSERT INTO sitemaps (job_id, original_sitemap) VALUES ($1, $2) ON CONFLICT (job_id) DO UPDATE SET original_sitemap = $2",
-        [jobId, JSON.stringify(legacySitemap)]
-      );
+      // Cancelled crawls keep their status, their partial pages still get a sitemap
+      if (!crawlStats.cancelled) {
+        // Update status to PROCESSING unless a pause or cancel request landed during
+        // the last batch (the crawler had already stopped checking)
+        const processing = await queryWithRetry(
+          "UPDATE crawl_jobs SET status = $1 WHERE id = $2 AND status NOT IN ('PAUSED', 'CANCELLED') RETURNING id",
+          ["PROCESSING", jobId]
+        );
+        if (processing.rows.length === 0) {
+          const statusResult = await queryWithRetry(
+            "SELECT status FROM crawl_jobs WHERE id = $1",
+            [jobId]
+          );
+          const status = statusResult.rows[0]?.status;
+          if (!status) {
+            console.log(`Job ${jobId} was deleted during crawl, stopping processing`);
+            return { success: false, message: "Job was deleted during crawl" };
+          }
+          if (status === "PAUSED") {
+            await keepFrontierForResume(jobId);
+            console.log(`⏸️ Job ${jobId} paused with ${pages.length} pages`);
+            await broadcastStatusUpdate(jobId);
+            return { success: true, paused: true, pagesCount: pages.length };
+          }
+          crawlStats.cancelled = true;
+        } else {
+          await broadcastStatusUpdate(jobId);
+        }
+      }
 
-      // Store canonical tree and issues in a metadata field (can be extended later)
-      // For now, we'll store it alongside - in production you might want a separate table
-      console.log(
-        `📊 Sitemap analysis: ${
-          canonicalTree._meta.total_pages
-        } pages, max depth ${canonicalTree._meta.max_depth}, ${
-          Object.keys(structuralIssues.duplication || {}).length
-        } issue types detected`
-      );
+      await storeJobSitemap(jobId, crawlStats, crawlErrors);
 
       // Build error message summary if there were issues
       let errorSummary = null;
@@ -231,7 +487,12 @@ const crawlWorker = new Worker(
 
       // Update status to COMPLETED (AI improvement will be done manually via button)
       // Include error summary if there were partial failures
-      if (errorSummary && !crawlErrors.criticalError) {
+      if (crawlStats.cancelled) {
+        await queryWithRetry(
+          "UPDATE crawl_jobs SET status = $1, completed_at = NOW() WHERE id = $2",
+          ["CANCELLED", jobId]
+        );
+      } else if (errorSummary && !crawlErrors.criticalError) {
         await queryWithRetry(
           "UPDATE crawl_jobs SET status = $1, completed_at = NOW(), error_message = $2 WHERE id = $3",
           ["COMPLETED", errorSummary, jobId]
@@ -642,4 +903,10 @@ function buildSitemapStructure(pages) {
   };
 }
 
-module.exports = { crawlQueue, initQueue };
+module.exports = {
+  crawlQueue,
+  initQueue,
+  createCrawlJob,
+  enqueueCrawlJob,
+  storeJobSitemap,
+};
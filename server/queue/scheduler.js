@@ -0,0 +1,129 @@
+const cronParser = require("cron-parser");
+const { crawlQueue } = require("./queue");
+const { queryWithRetry } = require("../db/init");
+
+/**
+ * Recurring crawls: one BullMQ job scheduler per enabled crawl_schedules row
+ * Each tick adds a "scheduled-crawl" job that the crawl worker turns into a normal crawl job
+ */
+
+const SCHEDULER_PREFIX = "crawl-schedule:";
+
+function getSchedulerId(scheduleId) {
+  return `${SCHEDULER_PREFIX}${scheduleId}`;
+}
+
+/**
+ * Validate a cron expression (and optional IANA timezone)
+ * @returns {String|null} Error message, or null when valid
+ */
+function validateCron(cron, timezone = null) {
+  if (!cron || typeof cron !== "string") {
+    return "cron expression is required";
+  }
+  try {
+    cronParser
+      .parseExpression(cron, timezone ? { tz: timezone } : {})
+      .next();
+    return null;
+  } catch (error) {
+    return `Invalid cron expression or timezone: ${error.message}`;
+  }
+}
+
+/**
+ * Next time a schedule will fire (null if disabled or invalid)
+ */
+function getNextRun(schedule) {
+  if (!schedule.enabled) {
+    return null;
+  }
+  try {
+    return cronParser
+      .parseExpression(
+        schedule.cron,
+        schedule.timezone ? { tz: schedule.timezone } : {}
+      )
+      .next()
+      .toDate();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create, update or remove the job scheduler for a schedule row
+ */
+async function syncSchedule(schedule) {
+  if (!schedule.enabled) {
+    await unscheduleCrawl(schedule.id);
+    return;
+  }
+
+  await crawlQueue.upsertJobScheduler(
+    getSchedulerId(schedule.id),
+    {
+      pattern: schedule.cron,
+      ...(schedule.timezone ? { tz: schedule.timezone } : {}),
+    },
+    {
+      name: "scheduled-crawl",
+      data: { scheduleId: schedule.id },
+      opts: {
+        attempts: 1,
+        removeOnComplete: 100,
+        removeOnFail: 100,
+      },
+    }
+  );
+}
+
+/**
+ * Remove the job scheduler for a schedule (no-op if it doesn't exist)
+ */
+async function unscheduleCrawl(scheduleId) {
+  await crawlQueue.removeJobScheduler(getSchedulerId(scheduleId));
+}
+
+/**
+ * Reconcile BullMQ job schedulers with crawl_schedules at startup
+ */
+async function syncAllSchedules() {
+  const result = await queryWithRetry("SELECT * FROM crawl_schedules");
+  const enabledIds = new Set();
+
+  for (const schedule of result.rows) {
+    try {
+      await syncSchedule(schedule);
+      if (schedule.enabled) {
+        enabledIds.add(getSchedulerId(schedule.id));
+      }
+    } catch (error) {
+      console.error(
+        `❌ Failed to sync schedule ${schedule.id}:`,
+        error.message
+      );
+    }
+  }
+
+  // Drop schedulers whose schedule row was deleted while the server was down
+  const schedulers = await crawlQueue.getJobSchedulers();
+  for (const scheduler of schedulers) {
+    if (
+      scheduler.key.startsWith(SCHEDULER_PREFIX) &&
+      !enabledIds.has(scheduler.key)
+    ) {
+      await crawlQueue.removeJobScheduler(scheduler.key);
+    }
+  }
+
+  console.log(`✅ ${enabledIds.size} crawl schedule(s) active`);
+}
+
+module.exports = {
+  validateCron,
+  getNextRun,
+  syncSchedule,
+  unscheduleCrawl,
+  syncAllSchedules,
+};
@@ -1,8 +1,62 @@
 const express = require("express");
-const { v4: uuidv4 } = require("uuid");
 const { pool } = require("../db/init");
-const { crawlQueue } = require("../queue/queue");
+const {
+  crawlQueue,
+  createCrawlJob,
+  enqueueCrawlJob,
+  storeJobSitemap,
+} = require("../queue/queue");
 const { getSitemap } = require("../utils/sitemapGenerator");
+const { buildCanonicalSitemapTree } = require("../utils/sitemapTreeBuilder");
+const {
+  compareSitemaps,
+  applyRedirectMap,
+  generateRedirectRules,
+} = require("../utils/sitemapComparison");
+const {
+  getDomainKey,
+  buildCrawlDiff,
+  getCrawlDiff,
+} = require("../utils/crawlDiff");
+const { normalizeUrlRules } = require("../utils/urlRules");
+const {
+  normalizeQueryParamRules,
+  loadQueryParameters,
+} = require("../utils/queryParams");
+const {
+  normalizeIssueRules,
+  loadJobRuleSet,
+  describeRuleSet,
+} = require("../utils/issueRules");
+const { normalizeCrawlAuth } = require("../utils/crawlAuth");
+const { normalizeCrawlEngine } = require("../crawler/httpCrawler");
+const { normalizeExtractors, needsBrowser } = require("../utils/extractors");
+const { CRAWL_MODES, normalizeUrlList } = require("../utils/urlList");
+const { getRobotsUrl, getBlockedUrlReport } = require("../utils/robots");
+const { getSitemapAuditReport } = require("../utils/sitemapAudit");
+const {
+  normalizeExplorerFilters,
+  getExplorerPages,
+} = require("../utils/pageExplorer");
+const { normalizeThrottleOptions } = require("../crawler/throttle");
+const { detectRedirectIssues } = require("../utils/issueDetector");
+const { getBrokenLinkReport } = require("../utils/brokenLinks");
+const { loadLinkGraph, loadLinksTo } = require("../utils/linkGraph");
+const {
+  SEVERITIES,
+  getJobIssues,
+  loadStructuralIssues,
+} = require("../utils/crawlIssues");
+const { buildStructuredDataReport } = require("../utils/structuredData");
+const { getHreflangReport } = require("../utils/hreflang");
+const {
+  PERFORMANCE_METRICS,
+  buildPerformanceReport,
+} = require("../utils/performance");
+const {
+  getAccessibilityReport,
+  getAccessibilityExport,
+} = require("../utils/accessibility");
 const {
   getSystemPrompt,
   getFullPrompt,
@@ -11,56 +65,125 @@ const {
 
 const router = express.Router();
 
+const JOB_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reject malformed job ids before they reach Postgres as uuid parameters
+ * (they would fail with "invalid input syntax for type uuid" and a 500)
+ * Valid ids are lowercased to match the ids Postgres returns
+ */
+function validateJobIdParam(req, res, next, id, name) {
+  if (!JOB_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: `Invalid job id: ${id}` });
+  }
+  req.params[name] = id.toLowerCase();
+  next();
+}
+
+router.param("jobId", validateJobIdParam);
+router.param("baseJobId", validateJobIdParam);
+
 /**
  * POST /api/crawl
  * Start crawling one or more websites
+ * mode "list" audits exactly the URLs of `urls` and/or an uploaded `urlFile` (CSV/TXT text)
+ * without following links, one job per origin
  */
 router.post("/", async (req, res) => {
   try {
     const {
       websites,
+      mode = "crawl",
       maxDepth = 3,
       maxPages = 500,
       useSitemap = false,
       checkRedirectDuplicates = false,
+      collectPerformance = false,
+      auditAccessibility = false,
     } = req.body;
 
-    if (!websites || !Array.isArray(websites) || websites.length === 0) {
+    if (!CRAWL_MODES.includes(mode)) {
+      return res
+        .status(400)
+        .json({ error: `mode must be one of ${CRAWL_MODES.join(", ")}` });
+    }
+
+    if (
+      mode === "crawl" &&
+      (!websites || !Array.isArray(websites) || websites.length === 0)
+    ) {
       return res.status(400).json({ error: "websites array is required" });
     }
 
-    const jobIds = [];
+    let urlList;
+    let urlRules;
+    let queryParams;
+    let issueRules;
+    let engine;
+    let auth;
+    let extractors;
+    let maxRequestsPerSecond;
+    let concurrency;
+    try {
+      urlRules = normalizeUrlRules(req.body.urlRules);
+      queryParams = normalizeQueryParamRules(req.body.queryParams);
+      issueRules = normalizeIssueRules(req.body.issueRules);
+      engine = normalizeCrawlEngine(req.body.engine);
+      auth = normalizeCrawlAuth(req.body.auth);
+      extractors = normalizeExtractors(req.body.extractors);
+      if (engine === "http" && needsBrowser(extractors)) {
+        throw new Error(
+          "CSS and XPath extractors need the browser or auto engine"
+        );
+      }
+      ({ maxRequestsPerSecond, concurrency } = normalizeThrottleOptions(
+        req.body
+      ));
+      if (mode === "list") {
+        urlList = normalizeUrlList(req.body);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-    // Create jobs for each website
-    for (const website of websites) {
-      const jobId = uuidv4();
+    // List mode: depth 0 and one page per listed URL, no sitemap discovery
+    const targets =
+      mode === "list"
+        ? urlList.groups.map((group) => ({
+            domain: group.domain,
+            maxDepth: 0,
+            maxPages: group.urls.length,
+            useSitemap: false,
+            urlList: group.urls,
+          }))
+        : websites.map((website) => ({
+            domain: website,
+            maxDepth,
+            maxPages,
+            useSitemap,
+            urlList: null,
+          }));
 
-      // Insert job into database
-      await pool.query(
-        "INSERT INTO crawl_jobs (id, domain, max_depth, max_pages) VALUES ($1, $2, $3, $4)",
-        [jobId, website, maxDepth, maxPages]
-      );
+    const jobIds = [];
 
-      // Add to queue
-      await crawlQueue.add(
-        "crawl",
-        {
-          jobId,
-          domain: website,
-          maxDepth,
-          maxPages,
-          useSitemap,
-          checkRedirectDuplicates,
-        },
-        {
-          jobId,
-          attempts: 3,
-          backoff: {
-            type: "exponential",
-            delay: 5000,
-          },
-        }
-      );
+    // Create jobs for each website (or each origin of the list)
+    for (const target of targets) {
+      const jobId = await createCrawlJob({
+        ...target,
+        mode,
+        checkRedirectDuplicates,
+        urlRules,
+        queryParams,
+        issueRules,
+        engine,
+        collectPerformance,
+        auditAccessibility,
+        extractors,
+        maxRequestsPerSecond,
+        concurrency,
+        auth,
+      });
 
       jobIds.push(jobId);
     }
@@ -68,6 +191,9 @@ router.post("/", async (req, res) => {
     res.json({
       success: true,
       jobs: jobIds.map((id) => ({ id, status: "PENDING" })),
+      ...(urlList && {
+        list: { urls: urlList.total, skippedLines: urlList.skipped },
+      }),
     });
   } catch (error) {
     console.error("Error starting crawl:", error);
@@ -88,8 +214,12 @@ router.get("/:jobId", async (req, res) => {
 
     // Run all independent queries in parallel for better performance
     const [jobResult, recsResult, sitemapQuery] = await Promise.all([
-      // Get job details
-      pool.query("SELECT * FROM crawl_jobs WHERE id = $1", [jobId]),
+      // Get job details (credentials live in crawl_job_secrets and are never returned)
+      pool.query(
+        `SELECT cj.*, EXISTS (SELECT 1 FROM crawl_job_secrets s WHERE s.job_id = cj.id) as has_auth
+         FROM crawl_jobs cj WHERE cj.id = $1`,
+        [jobId]
+      ),
       // Get recommendations (can run in parallel)
       pool.query(
         "SELECT * FROM ai_recommendations WHERE job_id = $1 ORDER BY created_at",
@@ -166,7 +296,11 @@ router.get("/:jobId", async (req, res) => {
     // Generate prompts if sitemap exists
     if (sitemapForPrompt) {
       try {
-        prompts = generatePromptsWithData(sitemapForPrompt);
+        prompts = generatePromptsWithData(
+          sitemapForPrompt,
+          null,
+          await loadStructuralIssues(jobId)
+        );
         console.log("Generated prompts with sitemap data:", {
           hasImprovement: !!prompts.improvement,
         });
@@ -323,241 +457,1067 @@ router.get("/:jobId/download/:format", async (req, res) => {
 });
 
 /**
- * POST /api/crawl/:jobId/retry
- * Manually retry/restart a job (useful after backend rebuild)
+ * Compare a job's crawled structure with its AI-optimized sitemap
+ * Returns null when no optimized sitemap has been generated yet
  */
-router.post("/:jobId/retry", async (req, res) => {
+async function loadSitemapComparison(jobId) {
+  const sitemapResult = await pool.query(
+    "SELECT optimized_sitemap FROM sitemaps WHERE job_id = $1",
+    [jobId]
+  );
+  const optimized = sitemapResult.rows[0]?.optimized_sitemap;
+  if (!optimized) {
+    return null;
+  }
+
+  const pagesResult = await pool.query(
+    "SELECT url, title, depth, parent_url, page_data FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999), crawled_at",
+    [jobId]
+  );
+  const pages = pagesResult.rows.map((row) => ({
+    url: row.url,
+    title: row.title,
+    depth: row.depth,
+    parentUrl: row.parent_url,
+    pageData: row.page_data || null,
+  }));
+
+  const redirectMap = Array.isArray(optimized.redirect_map)
+    ? optimized.redirect_map
+    : [];
+
+  // Use the AI's tree when it returned one, otherwise derive it from redirects
+  const oldTree = buildCanonicalSitemapTree(pages);
+  const newTree = optimized.new_sitemap?.tree
+    ? optimized.new_sitemap
+    : buildCanonicalSitemapTree(applyRedirectMap(pages, redirectMap));
+
+  return compareSitemaps(oldTree, newTree, pages, redirectMap);
+}
+
+/**
+ * GET /api/crawl/:jobId/comparison
+ * Structural diff, redirect map and risk flags between original and optimized sitemap
+ */
+router.get("/:jobId/comparison", async (req, res) => {
   try {
     const { jobId } = req.params;
-    const { useSitemap = false, checkRedirectDuplicates = false } = req.body;
 
-    // Get job from database
     const jobResult = await pool.query(
-      "SELECT * FROM crawl_jobs WHERE id = $1",
+      "SELECT id FROM crawl_jobs WHERE id = $1",
       [jobId]
     );
-
     if (jobResult.rows.length === 0) {
       return res.status(404).json({ error: "Job not found" });
     }
 
-    const job = jobResult.rows[0];
-
-    // Check if job is in a state that can be retried
-    const canRetry = ["PENDING", "FAILED"].includes(job.status);
-    if (!canRetry && job.status !== "CRAWLING" && job.status !== "PROCESSING") {
+    const comparison = await loadSitemapComparison(jobId);
+    if (!comparison) {
       return res.status(400).json({
-        error: `Job with status ${job.status} cannot be retried. Only PENDING, FAILED, CRAWLING, or PROCESSING jobs can be retried.`,
+        error: "No optimized sitemap available. Run AI improvement first.",
       });
     }
 
-    // Remove existing job from queue if it exists
-    try {
-      const existingQueueJob = await crawlQueue.getJob(jobId);
-      if (existingQueueJob) {
-        const state = await existingQueueJob.getState();
-        if (state === "waiting" || state === "delayed" || state === "active") {
-          await existingQueueJob.remove();
-          console.log(
-            `Removed existing job ${jobId} from queue (state: ${state})`
-          );
-        }
-      }
-    } catch (queueError) {
-      // Job might not be in queue, that's okay
-      console.log(`Job ${jobId} not found in queue, proceeding with re-queue`);
-    }
+    res.json(comparison);
+  } catch (error) {
+    console.error("Error comparing sitemaps:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Reset job status to PENDING if it was FAILED
-    if (job.status === "FAILED") {
-      await pool.query(
-        "UPDATE crawl_jobs SET status = $1, error_message = NULL, pages_crawled = 0, started_at = NULL, completed_at = NULL WHERE id = $2",
-        ["PENDING", jobId]
-      );
+/**
+ * GET /api/crawl/:jobId/redirects/:format
+ * Download redirect rules (nginx, apache, json) for the optimized sitemap
+ */
+router.get("/:jobId/redirects/:format", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const format = req.params.format.toLowerCase();
+
+    const formats = {
+      nginx: { contentType: "text/plain", extension: "conf" },
+      apache: { contentType: "text/plain", extension: "htaccess" },
+      json: { contentType: "application/json", extension: "json" },
+    };
+    if (!formats[format]) {
+      return res
+        .status(400)
+        .json({ error: "Invalid format. Use nginx, apache, or json" });
     }
 
-    // Re-add to queue
-    await crawlQueue.add(
-      "crawl",
-      {
-        jobId,
-        domain: job.domain,
-        maxDepth: job.max_depth,
-        maxPages: job.max_pages,
-        useSitemap: useSitemap,
-        checkRedirectDuplicates: checkRedirectDuplicates,
-      },
-      {
-        jobId,
-        attempts: 3,
-        backoff: {
-          type: "exponential",
-          delay: 5000,
-        },
-      }
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
     );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
 
-    console.log(`✅ Re-queued job ${jobId} (${job.domain})`);
+    const comparison = await loadSitemapComparison(jobId);
+    if (!comparison) {
+      return res.status(400).json({
+        error: "No optimized sitemap available. Run AI improvement first.",
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Job re-queued successfully",
-      jobId,
-      domain: job.domain,
-    });
+    const rules = generateRedirectRules(comparison.redirect_map, format);
+
+    res.setHeader("Content-Type", formats[format].contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="redirects-${jobId}.${formats[format].extension}"`
+    );
+    res.send(rules);
   } catch (error) {
-    console.error("Error retrying job:", error);
+    console.error("Error generating redirect rules:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/crawl/requeue-pending
- * Re-queue all pending jobs from the database (useful after backend rebuild)
+ * GET /api/crawl/:jobId/redirect-chains
+ * Redirect chains recorded while crawling, with chains, loops, temporary
+ * redirects and internal links pointing at redirecting URLs
  */
-router.post("/requeue-pending", async (req, res) => {
+router.get("/:jobId/redirect-chains", async (req, res) => {
   try {
-    // Get all pending jobs from database
-    const pendingJobs = await pool.query(
-      "SELECT * FROM crawl_jobs WHERE status = $1 ORDER BY created_at ASC",
-      ["PENDING"]
-    );
+    const { jobId } = req.params;
 
-    if (pendingJobs.rows.length === 0) {
-      return res.json({
-        success: true,
-        message: "No pending jobs found",
-        requeued: 0,
-      });
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
     }
 
-    const requeued = [];
-    const errors = [];
+    const pagesResult = await pool.query(
+      `SELECT url, title, status_code, parent_url, redirect_chain FROM pages
+       WHERE job_id = $1 AND (redirect_chain IS NOT NULL OR title LIKE '%ERR_TOO_MANY_REDIRECTS%')
+       ORDER BY depth, COALESCE(sequence, 999999)`,
+      [jobId]
+    );
+    const pages = pagesResult.rows.map((row) => ({
+      url: row.url,
+      title: row.title,
+      statusCode: row.status_code,
+      parentUrl: row.parent_url,
+      redirectChain: row.redirect_chain || null,
+    }));
+
+    // Every page linking to a redirecting URL (page_links), not just the one that found it
+    const links = await loadLinksTo(
+      jobId,
+      pages.filter((p) => p.redirectChain).flatMap((p) => [p.url, p.redirectChain[0].url])
+    );
+    const issues = detectRedirectIssues(pages, links);
 
-    for (const job of pendingJobs.rows) {
-      try {
-        // Check if job already exists in queue
-        let shouldAdd = true;
-        try {
-          const existingQueueJob = await crawlQueue.getJob(job.id);
-          if (existingQueueJob) {
-            const state = await existingQueueJob.getState();
-            if (
-              state === "waiting" ||
-              state === "delayed" ||
-              state === "active"
-            ) {
-              // Job already in queue, skip
-              shouldAdd = false;
-              console.log(
-                `Job ${job.id} already in queue (state: ${state}), skipping`
-              );
-            } else {
-              // Remove completed/failed job from queue before re-adding
-              await existingQueueJob.remove();
-            }
-          }
-        } catch (queueError) {
-          // Job not in queue, proceed with adding
-        }
+    res.json({
+      summary: {
+        redirecting_pages: pages.filter((p) => p.redirectChain).length,
+        chains: issues.chains.length,
+        loops: issues.loops.length,
+        temporary: issues.temporary.length,
+        linked: issues.linked.length,
+      },
+      issues,
+      pages: pages
+        .filter((p) => p.redirectChain)
+        .map((p) => ({
+          url: p.redirectChain[0].url,
+          final_url: p.redirectChain[p.redirectChain.length - 1].to,
+          found_on: p.parentUrl,
+          hops: p.redirectChain.length,
+          chain: p.redirectChain,
+        })),
+    });
+  } catch (error) {
+    console.error("Error fetching redirect chains:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        if (shouldAdd) {
-          // Add to queue
-          await crawlQueue.add(
-            "crawl",
-            {
-              jobId: job.id,
-              domain: job.domain,
-              maxDepth: job.max_depth,
-              maxPages: job.max_pages,
-              useSitemap: false, // Default, can be overridden if needed
-              checkRedirectDuplicates: false,
-            },
-            {
-              jobId: job.id,
-              attempts: 3,
-              backoff: {
-                type: "exponential",
-                delay: 5000,
-              },
-            }
-          );
+/**
+ * GET /api/crawl/:jobId/broken-links
+ * Broken URLs (4xx/5xx, timeouts, network errors) with every page linking to them,
+ * including anchor text and where on the page the link sits
+ */
+router.get("/:jobId/broken-links", async (req, res) => {
+  try {
+    const { jobId } = req.params;
 
-          requeued.push({ id: job.id, domain: job.domain });
-          console.log(`✅ Re-queued job ${job.id} (${job.domain})`);
-        }
-      } catch (error) {
-        console.error(`Error re-queuing job ${job.id}:`, error);
-        errors.push({ id: job.id, domain: job.domain, error: error.message });
-      }
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
     }
 
-    res.json({
-      success: true,
-      message: `Re-queued ${requeued.length} of ${pendingJobs.rows.length} pending jobs`,
-      requeued: requeued.length,
-      total: pendingJobs.rows.length,
-      jobs: requeued,
-      errors: errors.length > 0 ? errors : undefined,
-    });
+    res.json(await getBrokenLinkReport(jobId));
   } catch (error) {
-    console.error("Error re-queuing pending jobs:", error);
+    console.error("Error fetching broken links:", error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/crawl/:jobId/improve
- * Trigger AI improvement for a completed crawl job
+ * GET /api/crawl/:jobId/graph
+ * Internal link graph: in/out-degree, PageRank-style importance, click depth
+ * and orphan flag per page. Pass ?edges=true to include the edge list
  */
-router.post("/:jobId/improve", async (req, res) => {
+router.get("/:jobId/graph", async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    // Check if job exists and is completed
     const jobResult = await pool.query(
-      "SELECT * FROM crawl_jobs WHERE id = $1",
+      "SELECT id FROM crawl_jobs WHERE id = $1",
       [jobId]
     );
-
     if (jobResult.rows.length === 0) {
       return res.status(404).json({ error: "Job not found" });
     }
 
-    const job = jobResult.rows[0];
+    const graph = await loadLinkGraph(jobId);
 
-    if (job.status !== "COMPLETED" && job.status !== "PROCESSING") {
+    res.json({
+      summary: graph.summary,
+      nodes: graph.nodes,
+      ...(req.query.edges === "true" && { edges: graph.edges }),
+    });
+  } catch (error) {
+    console.error("Error fetching link graph:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/issues
+ * Structural issues stored after the crawl, optionally filtered with
+ * ?category=seo&severity=critical
+ */
+router.get("/:jobId/issues", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { category, severity } = req.query;
+
+    if (severity && !SEVERITIES.includes(severity)) {
       return res.status(400).json({
-        error: "Job must be completed before AI improvement can be applied",
+        error: `severity must be one of: ${SEVERITIES.join(", ")}`,
       });
     }
 
-    // Get sitemap
-    const sitemapResult = await pool.query(
-      "SELECT original_sitemap FROM sitemaps WHERE job_id = $1",
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
       [jobId]
     );
-
-    if (
-      sitemapResult.rows.length === 0 ||
-      !sitemapResult.rows[0].original_sitemap
-    ) {
-      return res
-        .status(400)
-        .json({ error: "No sitemap available for improvement" });
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
     }
 
-    const sitemap = sitemapResult.rows[0].original_sitemap;
+    res.json(await getJobIssues(jobId, { category, severity }));
+  } catch (error) {
+    console.error("Error fetching issues:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Update status to AI_ANALYSIS
-    await pool.query("UPDATE crawl_jobs SET status = $1 WHERE id = $2", [
-      "AI_ANALYSIS",
-      jobId,
-    ]);
+/**
+ * GET /api/crawl/:jobId/issue-rules
+ * Effective issue rules for a job (defaults, project config and job config merged)
+ */
+router.get("/:jobId/issue-rules", async (req, res) => {
+  try {
+    const { jobId } = req.params;
 
-    // Process with AI
-    const { processSitemap } = require("../ai/aiProcessor");
-    const { recommendations, prompt } = await processSitemap(jobId, sitemap);
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(describeRuleSet(await loadJobRuleSet(jobId)));
+  } catch (error) {
+    console.error("Error fetching issue rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/structured-data
+ * JSON-LD / microdata / RDFa inventory per page, validation errors and a per-type summary
+ */
+router.get("/:jobId/structured-data", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const pagesResult = await pool.query(
+      `SELECT url, page_data->'structured_data' AS structured_data FROM pages
+       WHERE job_id = $1 AND page_data ? 'structured_data'
+       ORDER BY depth, COALESCE(sequence, 999999)`,
+      [jobId]
+    );
+
+    res.json(
+      buildStructuredDataReport(
+        pagesResult.rows.map((row) => ({
+          url: row.url,
+          structuredData: row.structured_data,
+        }))
+      )
+    );
+  } catch (error) {
+    console.error("Error fetching structured data:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/hreflang
+ * hreflang annotations (html, Link header, sitemap.xml) with return link, code and target problems
+ */
+router.get("/:jobId/hreflang", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(await getHreflangReport(jobId));
+  } catch (error) {
+    console.error("Error fetching hreflang report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/parameters
+ * Query parameters seen on discovered URLs with counts, example URLs and the job's rule for each
+ */
+router.get("/:jobId/parameters", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT id, options FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json({
+      rules: jobResult.rows[0].options?.queryParams || null,
+      parameters: await loadQueryParameters(jobId),
+    });
+  } catch (error) {
+    console.error("Error fetching query parameters:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/blocked
+ * URLs skipped because robots.txt disallows them, with the rule that blocked each
+ */
+router.get("/:jobId/blocked", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT id, domain FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json({
+      robotsUrl: getRobotsUrl(jobResult.rows[0].domain),
+      ...(await getBlockedUrlReport(jobId)),
+    });
+  } catch (error) {
+    console.error("Error fetching blocked URLs:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/sitemap-audit
+ * XML sitemap audit: sitemap files read and declared URLs vs the crawled pages
+ */
+router.get("/:jobId/sitemap-audit", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(await getSitemapAuditReport(jobId));
+  } catch (error) {
+    console.error("Error fetching sitemap audit:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/pages
+ * Page explorer: crawled pages with their extracted fields
+ * Query: q, status (code, 2xx-5xx or error), depth, field[name] (text, * = has a value, ! = empty), limit, offset
+ */
+router.get("/:jobId/pages", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    let filters;
+    try {
+      filters = normalizeExplorerFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const jobResult = await pool.query(
+      "SELECT id, options FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const extractors = jobResult.rows[0].options?.extractors || [];
+    res.json({
+      fields: extractors.map((extractor) => extractor.name),
+      ...(await getExplorerPages(jobId, filters)),
+    });
+  } catch (error) {
+    console.error("Error fetching explorer pages:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/performance
+ * Lab metrics (TTFB, LCP, CLS, page weight): slowest pages and per-section averages
+ * Query: sort (ttfb, dom_content_loaded, load, lcp, cls, request_count, transfer_bytes), limit
+ */
+router.get("/:jobId/performance", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const sort = req.query.sort || "lcp";
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    if (!PERFORMANCE_METRICS.includes(sort)) {
+      return res.status(400).json({
+        error: `sort must be one of ${PERFORMANCE_METRICS.join(", ")}`,
+      });
+    }
+
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const pagesResult = await pool.query(
+      `SELECT url, title, page_data->'performance' AS performance FROM pages
+       WHERE job_id = $1 AND page_data ? 'performance'
+       ORDER BY depth, COALESCE(sequence, 999999)`,
+      [jobId]
+    );
+
+    res.json(buildPerformanceReport(pagesResult.rows, sort, limit));
+  } catch (error) {
+    console.error("Error fetching performance report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/accessibility
+ * Accessibility violations by rule (with WCAG references) and per page
+ */
+router.get("/:jobId/accessibility", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(await getAccessibilityReport(jobId));
+  } catch (error) {
+    console.error("Error fetching accessibility report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/accessibility/download/:format
+ * Download the accessibility report (json, excel)
+ */
+router.get("/:jobId/accessibility/download/:format", async (req, res) => {
+  try {
+    const { jobId, format } = req.params;
+
+    if (!["json", "excel"].includes(format.toLowerCase())) {
+      return res
+        .status(400)
+        .json({ error: "Invalid format. Use json or excel" });
+    }
+
+    const jobResult = await pool.query(
+      "SELECT id FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const report = await getAccessibilityExport(jobId, format);
+
+    res.setHeader("Content-Type", report.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${report.filename}"`
+    );
+    res.send(report.content);
+  } catch (error) {
+    console.error("Error generating accessibility report:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Check that two jobs exist and crawled the same domain
+ * Sends the error response and returns false when they can't be compared
+ */
+async function validateDiffJobs(res, baseJobId, jobId) {
+  const jobsResult = await pool.query(
+    "SELECT id, domain FROM crawl_jobs WHERE id = ANY($1::uuid[])",
+    [[baseJobId, jobId]]
+  );
+
+  const baseJob = jobsResult.rows.find((row) => row.id === baseJobId);
+  const job = jobsResult.rows.find((row) => row.id === jobId);
+  if (!baseJob || !job) {
+    res.status(404).json({ error: "Job not found" });
+    return false;
+  }
+
+  if (getDomainKey(baseJob.domain) !== getDomainKey(job.domain)) {
+    res
+      .status(400)
+      .json({ error: "Both jobs must crawl the same domain to be compared" });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * GET /api/crawl/:jobId/diff/:baseJobId
+ * Pages added/removed and status, title and depth changes since another crawl
+ */
+router.get("/:jobId/diff/:baseJobId", async (req, res) => {
+  try {
+    const { jobId, baseJobId } = req.params;
+
+    if (!(await validateDiffJobs(res, baseJobId, jobId))) {
+      return;
+    }
+
+    res.json(await buildCrawlDiff(baseJobId, jobId));
+  } catch (error) {
+    console.error("Error diffing crawls:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/crawl/:jobId/diff/:baseJobId/download/:format
+ * Download crawl diff in specified format (json, excel)
+ */
+router.get("/:jobId/diff/:baseJobId/download/:format", async (req, res) => {
+  try {
+    const { jobId, baseJobId, format } = req.params;
+
+    if (!["json", "excel"].includes(format.toLowerCase())) {
+      return res
+        .status(400)
+        .json({ error: "Invalid format. Use json or excel" });
+    }
+
+    if (!(await validateDiffJobs(res, baseJobId, jobId))) {
+      return;
+    }
+
+    const diff = await getCrawlDiff(baseJobId, jobId, format);
+
+    res.setHeader("Content-Type", diff.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${diff.filename}"`
+    );
+    res.send(diff.content);
+  } catch (error) {
+    console.error("Error generating crawl diff:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the BullMQ state of a job's queue entry (null if not in the queue)
+ */
+async function getQueueState(jobId) {
+  try {
+    const queueJob = await crawlQueue.getJob(jobId);
+    return queueJob ? await queueJob.getState() : null;
+  } catch (queueError) {
+    return null;
+  }
+}
+
+/**
+ * Remove a job's queue entry unless a worker is currently running it
+ */
+async function removeQueuedCrawl(jobId) {
+  try {
+    const queueJob = await crawlQueue.getJob(jobId);
+    if (queueJob && (await queueJob.getState()) !== "active") {
+      await queueJob.remove();
+      return true;
+    }
+  } catch (queueError) {
+    console.log(`Job ${jobId} could not be removed from queue:`, queueError.message);
+  }
+  return false;
+}
+
+/**
+ * POST /api/crawl/:jobId/pause
+ * Pause a pending or running crawl, its frontier is kept for /resume
+ */
+router.post("/:jobId/pause", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT status FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const { status } = jobResult.rows[0];
+    if (!["PENDING", "CRAWLING"].includes(status)) {
+      return res.status(400).json({
+        error: `Job with status ${status} cannot be paused. Only PENDING or CRAWLING jobs can be paused.`,
+      });
+    }
+
+    // The crawler checks the status between batches and saves its frontier
+    // (conditional: the job may have finished crawling since the check above)
+    const pauseResult = await pool.query(
+      "UPDATE crawl_jobs SET status = $1 WHERE id = $2 AND status IN ('PENDING', 'CRAWLING') RETURNING id",
+      ["PAUSED", jobId]
+    );
+    if (pauseResult.rows.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "Job finished crawling and can no longer be paused" });
+    }
+    if (status === "PENDING") {
+      await removeQueuedCrawl(jobId);
+    }
+
+    console.log(`⏸️ Paused job ${jobId}`);
+    res.json({ success: true, message: "Crawl paused" });
+  } catch (error) {
+    console.error("Error pausing crawl:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/crawl/:jobId/resume
+ * Resume a paused crawl from its saved frontier
+ */
+router.post("/:jobId/resume", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT * FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const job = jobResult.rows[0];
+    if (job.status !== "PAUSED") {
+      return res
+        .status(400)
+        .json({ error: `Job with status ${job.status} is not paused` });
+    }
+
+    if ((await getQueueState(jobId)) === "active") {
+      return res.status(409).json({
+        error: "Crawl is still pausing, try again in a few seconds",
+      });
+    }
+
+    // Queue entries keep their ID, so the old one has to go before re-adding
+    await removeQueuedCrawl(jobId);
+    await pool.query("UPDATE crawl_jobs SET status = $1 WHERE id = $2", [
+      "PENDING",
+      jobId,
+    ]);
+    await enqueueCrawlJob(job);
+
+    console.log(`▶️ Resumed job ${jobId} (${job.domain})`);
+    res.json({ success: true, message: "Crawl resumed" });
+  } catch (error) {
+    console.error("Error resuming crawl:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/crawl/:jobId/cancel
+ * Stop a crawl but keep its pages, a sitemap is built from what was crawled
+ */
+router.post("/:jobId/cancel", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const jobResult = await pool.query(
+      "SELECT status FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const { status } = jobResult.rows[0];
+    if (!["PENDING", "CRAWLING", "PAUSED"].includes(status)) {
+      return res.status(400).json({
+        error: `Job with status ${status} cannot be cancelled. Only PENDING, CRAWLING or PAUSED jobs can be cancelled.`,
+      });
+    }
+
+    const queueState = await getQueueState(jobId);
+    if (status === "PAUSED" && queueState === "active") {
+      return res.status(409).json({
+        error: "Crawl is still pausing, try again in a few seconds",
+      });
+    }
+
+    if (status === "CRAWLING" && queueState === "active") {
+      // The running crawler stops at its next batch and builds the sitemap
+      const cancelResult = await pool.query(
+        "UPDATE crawl_jobs SET status = $1 WHERE id = $2 AND status = 'CRAWLING' RETURNING id",
+        ["CANCELLED", jobId]
+      );
+      if (cancelResult.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ error: "Job finished crawling and can no longer be cancelled" });
+      }
+      console.log(`⏹️ Cancelling running job ${jobId}`);
+      return res.json({ success: true, message: "Crawl is being cancelled" });
+    }
+
+    // Nothing is running: finish the job here
+    await removeQueuedCrawl(jobId);
+    await pool.query(
+      "UPDATE crawl_jobs SET status = $1, completed_at = NOW() WHERE id = $2",
+      ["CANCELLED", jobId]
+    );
+    await pool.query("DELETE FROM crawl_frontiers WHERE job_id = $1", [jobId]);
+
+    const pagesCount = await pool.query(
+      "SELECT COUNT(*) as count FROM pages WHERE job_id = $1",
+      [jobId]
+    );
+    if (parseInt(pagesCount.rows[0].count) > 0) {
+      await storeJobSitemap(jobId, {
+        stopReason: "Cancelled by user",
+        cancelled: true,
+      });
+    }
+
+    console.log(`⏹️ Cancelled job ${jobId}`);
+    res.json({ success: true, message: "Crawl cancelled" });
+  } catch (error) {
+    console.error("Error cancelling crawl:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/crawl/:jobId/retry
+ * Manually retry/restart a job (useful after backend rebuild)
+ */
+router.post("/:jobId/retry", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    // Options in the body replace the ones saved with the job
+    const overrides = {};
+    for (const key of [
+      "useSitemap",
+      "checkRedirectDuplicates",
+      "collectPerformance",
+      "auditAccessibility",
+    ]) {
+      if (req.body[key] !== undefined) {
+        overrides[key] = req.body[key];
+      }
+    }
+    // A slower pace is the usual fix for a crawl the site rate limited
+    try {
+      const throttleOptions = normalizeThrottleOptions(req.body);
+      for (const [key, value] of Object.entries(throttleOptions)) {
+        if (value !== null) {
+          overrides[key] = value;
+        }
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Get job from database
+    const jobResult = await pool.query(
+      "SELECT * FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const job = jobResult.rows[0];
+
+    // Check if job is in a state that can be retried
+    const canRetry = ["PENDING", "FAILED"].includes(job.status);
+    if (!canRetry && job.status !== "CRAWLING" && job.status !== "PROCESSING") {
+      return res.status(400).json({
+        error: `Job with status ${job.status} cannot be retried. Only PENDING, FAILED, CRAWLING, or PROCESSING jobs can be retried.`,
+      });
+    }
+
+    // Remove existing job from queue if it exists
+    try {
+      const existingQueueJob = await crawlQueue.getJob(jobId);
+      if (existingQueueJob) {
+        const state = await existingQueueJob.getState();
+        if (state === "waiting" || state === "delayed" || state === "active") {
+          await existingQueueJob.remove();
+          console.log(
+            `Removed existing job ${jobId} from queue (state: ${state})`
+          );
+        }
+      }
+    } catch (queueError) {
+      // Job might not be in queue, that's okay
+      console.log(`Job ${jobId} not found in queue, proceeding with re-queue`);
+    }
+
+    // Reset job status to PENDING if it was FAILED
+    if (job.status === "FAILED") {
+      await pool.query(
+        "UPDATE crawl_jobs SET status = $1, error_message = NULL, pages_crawled = 0, started_at = NULL, completed_at = NULL WHERE id = $2",
+        ["PENDING", jobId]
+      );
+    }
+
+    // Re-add to queue
+    await enqueueCrawlJob(job, overrides);
+
+    console.log(`✅ Re-queued job ${jobId} (${job.domain})`);
+
+    res.json({
+      success: true,
+      message: "Job re-queued successfully",
+      jobId,
+      domain: job.domain,
+    });
+  } catch (error) {
+    console.error("Error retrying job:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/crawl/requeue-pending
+ * Re-queue all pending jobs from the database (useful after backend rebuild)
+ */
+router.post("/requeue-pending", async (req, res) => {
+  try {
+    // Get all pending jobs from database
+    const pendingJobs = await pool.query(
+      "SELECT * FROM crawl_jobs WHERE status = $1 ORDER BY created_at ASC",
+      ["PENDING"]
+    );
+
+    if (pendingJobs.rows.length === 0) {
+      return res.json({
+        success: true,
+        message: "No pending jobs found",
+        requeued: 0,
+      });
+    }
+
+    const requeued = [];
+    const errors = [];
+
+    for (const job of pendingJobs.rows) {
+      try {
+        // Check if job already exists in queue
+        let shouldAdd = true;
+        try {
+          const existingQueueJob = await crawlQueue.getJob(job.id);
+          if (existingQueueJob) {
+            const state = await existingQueueJob.getState();
+            if (
+              state === "waiting" ||
+              state === "delayed" ||
+              state === "active"
+            ) {
+              // Job already in queue, skip
+              shouldAdd = false;
+              console.log(
+                `Job ${job.id} already in queue (state: ${state}), skipping`
+              );
+            } else {
+              // Remove completed/failed job from queue before re-adding
+              await existingQueueJob.remove();
+            }
+          }
+        } catch (queueError) {
+          // Job not in queue, proceed with adding
+        }
+
+        if (shouldAdd) {
+          // Add to queue
+          await enqueueCrawlJob(job);
+
+          requeued.push({ id: job.id, domain: job.domain });
+          console.log(`✅ Re-queued job ${job.id} (${job.domain})`);
+        }
+      } catch (error) {
+        console.error(`Error re-queuing job ${job.id}:`, error);
+        errors.push({ id: job.id, domain: job.domain, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Re-queued ${requeued.length} of ${pendingJobs.rows.length} pending jobs`,
+      requeued: requeued.length,
+      total: pendingJobs.rows.length,
+      jobs: requeued,
+      errors: errors.length > 0 ? errors : undefined,
+    });
+  } catch (error) {
+    console.error("Error re-queuing pending jobs:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/crawl/:jobId/improve
+ * Trigger AI improvement for a completed crawl job
+ */
+router.post("/:jobId/improve", async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    // Check if job exists and is completed
+    const jobResult = await pool.query(
+      "SELECT * FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    const job = jobResult.rows[0];
+
+    if (job.status !== "COMPLETED" && job.status !== "PROCESSING") {
+      return res.status(400).json({
+        error: "Job must be completed before AI improvement can be applied",
+      });
+    }
+
+    // Get sitemap
+    const sitemapResult = await pool.query(
+      "SELECT original_sitemap FROM sitemaps WHERE job_id = $1",
+      [jobId]
+    );
+
+    if (
+      sitemapResult.rows.length === 0 ||
+      !sitemapResult.rows[0].original_sitemap
+    ) {
+      return res
+        .status(400)
+        .json({ error: "No sitemap available for improvement" });
+    }
+
+    const sitemap = sitemapResult.rows[0].original_sitemap;
+
+    // Update status to AI_ANALYSIS
+    await pool.query("UPDATE crawl_jobs SET status = $1 WHERE id = $2", [
+      "AI_ANALYSIS",
+      jobId,
+    ]);
+
+    // Process with AI
+    const { processSitemap } = require("../ai/aiProcessor");
+    const { recommendations, improvedSitemap, prompt } = await processSitemap(
+      jobId,
+      sitemap,
+      null,
+      await loadStructuralIssues(jobId)
+    );
+
+    // Store optimized sitemap for the comparison and redirect endpoints
+    if (improvedSitemap) {
+      await pool.query(
+        "UPDATE sitemaps SET optimized_sitemap = $1 WHERE job_id = $2",
+        [JSON.stringify(improvedSitemap), jobId]
+      );
+    }
 
     // Store recommendations
     if (recommendations && recommendations.length > 0) {
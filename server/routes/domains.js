@@ -0,0 +1,31 @@
+const express = require("express");
+const { getDomainKey } = require("../utils/crawlDiff");
+const { getDomainHistory } = require("../utils/healthScore");
+
+const router = express.Router();
+
+/**
+ * GET /api/domains/:domain/history
+ * Health score, page count, error count and max depth of every scored crawl of a domain
+ * (oldest first). www and protocol are ignored when matching crawls.
+ */
+router.get("/:domain/history", async (req, res) => {
+  try {
+    const history = await getDomainHistory(req.params.domain);
+
+    const latest = history[history.length - 1] || null;
+    const previous = history[history.length - 2] || null;
+
+    res.json({
+      domain: getDomainKey(req.params.domain),
+      latestScore: latest?.score ?? null,
+      scoreChange: latest && previous ? latest.score - previous.score : null,
+      history,
+    });
+  } catch (error) {
+    console.error("Error fetching domain history:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require("express");
+const {
+  PAGE_FIELDS,
+  OPERATORS,
+  normalizeIssueRules,
+  resolveIssueRules,
+  loadProjectIssueRules,
+  saveProjectIssueRules,
+  describeRuleSet,
+} = require("../utils/issueRules");
+const { getDomainKey } = require("../utils/crawlDiff");
+
+const router = express.Router();
+
+/**
+ * GET /api/issue-rules
+ * Default rules plus the fields and operators custom rules can use
+ */
+router.get("/", async (req, res) => {
+  try {
+    res.json({
+      ...describeRuleSet(resolveIssueRules()),
+      fields: Object.keys(PAGE_FIELDS),
+      operators: Object.keys(OPERATORS),
+    });
+  } catch (error) {
+    console.error("Error listing issue rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/issue-rules/projects/:domain
+ * Saved config for a project and the rules it results in
+ */
+router.get("/projects/:domain", async (req, res) => {
+  try {
+    const { domain } = req.params;
+    const config = await loadProjectIssueRules(domain);
+
+    res.json({
+      domain: getDomainKey(domain),
+      config,
+      effective: describeRuleSet(resolveIssueRules(config)),
+    });
+  } catch (error) {
+    console.error("Error fetching project issue rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/issue-rules/projects/:domain
+ * Replace a project's config: { rules: { id: { enabled, severity, thresholds } }, custom: [...] }
+ * Applies to crawls of the domain whose sitemap is built afterwards
+ */
+router.put("/projects/:domain", async (req, res) => {
+  try {
+    const { domain } = req.params;
+
+    let config;
+    try {
+      config = normalizeIssueRules(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await saveProjectIssueRules(domain, config);
+
+    res.json({
+      domain: getDomainKey(domain),
+      config,
+      effective: describeRuleSet(resolveIssueRules(config)),
+    });
+  } catch (error) {
+    console.error("Error saving project issue rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/issue-rules/projects/:domain
+ * Go back to the default rules for a project
+ */
+router.delete("/projects/:domain", async (req, res) => {
+  try {
+    await saveProjectIssueRules(req.params.domain, null);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting project issue rules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const { pool } = require("../db/init");
+const { MAX_ROBOTS_LENGTH, testRobotsTxt } = require("../utils/robots");
+
+const router = express.Router();
+
+/**
+ * POST /api/robots/test
+ * Check a proposed robots.txt against a crawl before deploying it
+ * Body: { jobId, robotsTxt, userAgent = "*" }
+ * Returns the crawled pages it would block and the blocked URLs it would allow
+ */
+router.post("/test", async (req, res) => {
+  try {
+    const { jobId, robotsTxt, userAgent = "*" } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({ error: "jobId is required" });
+    }
+    if (typeof robotsTxt !== "string") {
+      return res
+        .status(400)
+        .json({ error: "robotsTxt must be the robots.txt body as a string" });
+    }
+    if (robotsTxt.length > MAX_ROBOTS_LENGTH) {
+      return res.status(400).json({
+        error: `robotsTxt is longer than ${MAX_ROBOTS_LENGTH / 1024} KiB`,
+      });
+    }
+    if (typeof userAgent !== "string" || !userAgent.trim()) {
+      return res.status(400).json({ error: "userAgent must be a string" });
+    }
+
+    const jobResult = await pool.query(
+      "SELECT id, domain FROM crawl_jobs WHERE id = $1",
+      [jobId]
+    );
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    res.json(
+      await testRobotsTxt(jobResult.rows[0], robotsTxt, userAgent.trim())
+    );
+  } catch (error) {
+    console.error("Error testing robots.txt:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require("express");
+const { pool } = require("../db/init");
+const {
+  validateCron,
+  getNextRun,
+  syncSchedule,
+  unscheduleCrawl,
+} = require("../queue/scheduler");
+
+const router = express.Router();
+
+const SCHEDULE_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Reject malformed schedule ids before they reach Postgres as uuid parameters
+ * Valid ids are lowercased to match the ids Postgres returns
+ */
+router.param("scheduleId", (req, res, next, id) => {
+  if (!SCHEDULE_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: `Invalid schedule id: ${id}` });
+  }
+  req.params.scheduleId = id.toLowerCase();
+  next();
+});
+
+/**
+ * Map a crawl_schedules row (plus optional run stats) to the API shape
+ */
+function formatSchedule(row) {
+  return {
+    id: row.id,
+    domain: row.domain,
+    cron: row.cron,
+    timezone: row.timezone,
+    maxDepth: row.max_depth,
+    maxPages: row.max_pages,
+    useSitemap: row.use_sitemap,
+    checkRedirectDuplicates: row.check_redirect_duplicates,
+    enabled: row.enabled,
+    lastRunAt: row.last_run_at,
+    nextRunAt: getNextRun(row),
+    runsCount: parseInt(row.runs_count) || 0,
+    lastJobStatus: row.last_job_status || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const SCHEDULE_SELECT = `SELECT
+    cs.*,
+    (SELECT COUNT(*) FROM crawl_jobs cj WHERE cj.schedule_id = cs.id) as runs_count,
+    (SELECT cj.status FROM crawl_jobs cj WHERE cj.schedule_id = cs.id ORDER BY cj.created_at DESC LIMIT 1) as last_job_status
+  FROM crawl_schedules cs`;
+
+/**
+ * GET /api/schedules
+ * List all crawl schedules
+ */
+router.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${SCHEDULE_SELECT} ORDER BY cs.created_at DESC`
+    );
+
+    res.json(result.rows.map(formatSchedule));
+  } catch (error) {
+    console.error("Error listing schedules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a recurring crawl
+ */
+router.post("/", async (req, res) => {
+  try {
+    const {
+      domain,
+      cron,
+      timezone = null,
+      maxDepth = 3,
+      maxPages = 500,
+      useSitemap = false,
+      checkRedirectDuplicates = false,
+      enabled = true,
+    } = req.body;
+
+    if (!domain) {
+      return res.status(400).json({ error: "domain is required" });
+    }
+
+    const cronError = validateCron(cron, timezone);
+    if (cronError) {
+      return res.status(400).json({ error: cronError });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO crawl_schedules (domain, cron, timezone, max_depth, max_pages, use_sitemap, check_redirect_duplicates, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        domain,
+        cron,
+        timezone,
+        maxDepth,
+        maxPages,
+        useSitemap,
+        checkRedirectDuplicates,
+        enabled,
+      ]
+    );
+    const schedule = result.rows[0];
+
+    try {
+      await syncSchedule(schedule);
+    } catch (error) {
+      // Don't keep a schedule that will never fire
+      await pool.query("DELETE FROM crawl_schedules WHERE id = $1", [
+        schedule.id,
+      ]);
+      throw error;
+    }
+
+    console.log(`✅ Created schedule ${schedule.id} (${domain}, ${cron})`);
+    res.status(201).json(formatSchedule(schedule));
+  } catch (error) {
+    console.error("Error creating schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Get a single schedule
+ */
+router.get("/:scheduleId", async (req, res) => {
+  try {
+    const result = await pool.query(`${SCHEDULE_SELECT} WHERE cs.id = $1`, [
+      req.params.scheduleId,
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    res.json(formatSchedule(result.rows[0]));
+  } catch (error) {
+    console.error("Error fetching schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/schedules/:scheduleId
+ * Update a schedule (only the provided fields change)
+ */
+router.put("/:scheduleId", async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const existingResult = await pool.query(
+      "SELECT * FROM crawl_schedules WHERE id = $1",
+      [scheduleId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    const existing = existingResult.rows[0];
+
+    const {
+      domain = existing.domain,
+      cron = existing.cron,
+      timezone = existing.timezone,
+      maxDepth = existing.max_depth,
+      maxPages = existing.max_pages,
+      useSitemap = existing.use_sitemap,
+      checkRedirectDuplicates = existing.check_redirect_duplicates,
+      enabled = existing.enabled,
+    } = req.body;
+
+    const cronError = validateCron(cron, timezone);
+    if (cronError) {
+      return res.status(400).json({ error: cronError });
+    }
+
+    const result = await pool.query(
+      `UPDATE crawl_schedules
+       SET domain = $1, cron = $2, timezone = $3, max_depth = $4, max_pages = $5,
+           use_sitemap = $6, check_redirect_duplicates = $7, enabled = $8
+       WHERE id = $9 RETURNING *`,
+      [
+        domain,
+        cron,
+        timezone,
+        maxDepth,
+        maxPages,
+        useSitemap,
+        checkRedirectDuplicates,
+        enabled,
+        scheduleId,
+      ]
+    );
+    const schedule = result.rows[0];
+
+    await syncSchedule(schedule);
+
+    res.json(formatSchedule(schedule));
+  } catch (error) {
+    console.error("Error updating schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Delete a schedule (past crawl jobs are kept)
+ */
+router.delete("/:scheduleId", async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const result = await pool.query(
+      "DELETE FROM crawl_schedules WHERE id = $1 RETURNING id",
+      [scheduleId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    await unscheduleCrawl(scheduleId);
+
+    console.log(`✅ Deleted schedule ${scheduleId}`);
+    res.json({ success: true, message: "Schedule deleted" });
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId/history
+ * Crawl jobs started by a schedule, newest first
+ */
+router.get("/:scheduleId/history", async (req, res) => {
+  try {
+    const { scheduleId } = req.params;
+
+    const scheduleResult = await pool.query(
+      "SELECT id FROM crawl_schedules WHERE id = $1",
+      [scheduleId]
+    );
+    if (scheduleResult.rows.length === 0) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+
+    const result = await pool.query(
+      `SELECT
+        cj.*,
+        COUNT(p.id) as pages_count
+      FROM crawl_jobs cj
+      LEFT JOIN pages p ON p.job_id = cj.id
+      WHERE cj.schedule_id = $1
+      GROUP BY cj.id
+      ORDER BY cj.created_at DESC
+      LIMIT 100`,
+      [scheduleId]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching schedule history:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
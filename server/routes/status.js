@@ -20,10 +20,16 @@ router.get('/', async (req, res) => {
         cj.started_at,
         cj.completed_at,
         cj.error_message,
+        cj.schedule_id,
+        h.score as health_score,
+        (SELECT ph.score FROM crawl_health_scores ph
+          WHERE ph.domain_key = h.domain_key AND ph.created_at < h.created_at
+          ORDER BY ph.created_at DESC LIMIT 1) as previous_health_score,
         COUNT(p.id) as actual_pages_count
       FROM crawl_jobs cj
       LEFT JOIN pages p ON p.job_id = cj.id
-      GROUP BY cj.id
+      LEFT JOIN crawl_health_scores h ON h.job_id = cj.id
+      GROUP BY cj.id, h.job_id
       ORDER BY cj.created_at DESC`
     );
     
@@ -41,6 +47,13 @@ router.get('/', async (req, res) => {
       startedAt: row.started_at,
       completedAt: row.completed_at,
       error: row.error_message,
+      scheduleId: row.schedule_id,
+      healthScore: row.health_score,
+      // Change since the previous scored crawl of the same domain
+      healthScoreChange:
+        row.health_score !== null && row.previous_health_score !== null
+          ? row.health_score - row.previous_health_score
+          : null,
     }));
     
     res.json(jobs);
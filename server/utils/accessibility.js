@@ -0,0 +1,188 @@
+const XLSX = require("xlsx");
+const { pool } = require("../db/init");
+
+/**
+ * Accessibility audit rules
+ * The checks run inside the Playwright page (see auditAccessibility in the crawler);
+ * results are stored as page_data.accessibility with the WCAG reference of each rule.
+ */
+const ACCESSIBILITY_RULES = [
+  { id: "image_alt", name: "Images without alt text", wcag: "1.1.1 Non-text Content (A)", impact: "critical" },
+  { id: "form_label", name: "Form inputs without labels", wcag: "1.3.1 Info and Relationships, 4.1.2 Name, Role, Value (A)", impact: "critical" },
+  { id: "heading_order", name: "Skipped heading levels", wcag: "1.3.1 Info and Relationships (A)", impact: "moderate" },
+  { id: "multiple_h1", name: "Multiple h1 headings", wcag: "1.3.1 Info and Relationships (A)", impact: "minor" },
+  { id: "html_lang", name: "Missing lang attribute", wcag: "3.1.1 Language of Page (A)", impact: "serious" },
+  { id: "empty_link", name: "Links without text", wcag: "2.4.4 Link Purpose (In Context) (A)", impact: "serious" },
+  { id: "empty_button", name: "Buttons without text", wcag: "4.1.2 Name, Role, Value (A)", impact: "critical" },
+  { id: "color_contrast", name: "Low color contrast", wcag: "1.4.3 Contrast (Minimum) (AA)", impact: "serious" },
+];
+
+const RULES_BY_ID = Object.fromEntries(
+  ACCESSIBILITY_RULES.map((rule) => [rule.id, rule])
+);
+
+/**
+ * Turn raw in-page results ({ rule: { count, samples } }) into stored page data
+ */
+function buildPageAccessibility(results) {
+  const violations = Object.entries(results || {})
+    .filter(([id, result]) => RULES_BY_ID[id] && result.count > 0)
+    .map(([id, result]) => ({
+      rule: id,
+      wcag: RULES_BY_ID[id].wcag,
+      impact: RULES_BY_ID[id].impact,
+      count: result.count,
+      samples: result.samples,
+    }));
+
+  return {
+    violations,
+    violation_count: violations.reduce((total, item) => total + item.count, 0),
+  };
+}
+
+/**
+ * Site-wide summary by rule plus the pages with the most violations
+ * @param {Array} pages - [{ url, title, accessibility }]
+ */
+function buildAccessibilityReport(pages) {
+  const audited = pages.filter((page) => page.accessibility);
+
+  const rules = ACCESSIBILITY_RULES.map((rule) => ({
+    ...rule,
+    pages: 0,
+    occurrences: 0,
+  }));
+  const ruleStats = Object.fromEntries(rules.map((rule) => [rule.id, rule]));
+
+  const pageRows = [];
+  for (const page of audited) {
+    const { violations } = page.accessibility;
+    if (violations.length === 0) continue;
+
+    for (const violation of violations) {
+      const stats = ruleStats[violation.rule];
+      if (!stats) continue;
+      stats.pages++;
+      stats.occurrences += violation.count;
+    }
+    pageRows.push({
+      url: page.url,
+      title: page.title,
+      violation_count: page.accessibility.violation_count,
+      violations,
+    });
+  }
+
+  pageRows.sort((a, b) => b.violation_count - a.violation_count);
+
+  return {
+    summary: {
+      pages_audited: audited.length,
+      pages_with_violations: pageRows.length,
+      violations: rules.reduce((total, rule) => total + rule.occurrences, 0),
+    },
+    rules: rules.filter((rule) => rule.occurrences > 0),
+    pages: pageRows,
+  };
+}
+
+/**
+ * Load the accessibility report for a job
+ */
+async function getAccessibilityReport(jobId) {
+  const pagesResult = await pool.query(
+    `SELECT url, title, page_data->'accessibility' AS accessibility FROM pages
+     WHERE job_id = $1 AND page_data ? 'accessibility'
+     ORDER BY depth, COALESCE(sequence, 999999)`,
+    [jobId]
+  );
+  return buildAccessibilityReport(pagesResult.rows);
+}
+
+/**
+ * Generate Excel workbook for an accessibility report
+ * - Sheet 1: "Rules" - Site-wide count per rule with its WCAG reference
+ * - Sheet 2: "Violations" - One row per page and rule with example elements
+ */
+function generateExcelAccessibility(report) {
+  const workbook = XLSX.utils.book_new();
+
+  const ruleRows = report.rules.map((rule) => ({
+    Rule: rule.name,
+    WCAG: rule.wcag,
+    Impact: rule.impact,
+    Pages: rule.pages,
+    Occurrences: rule.occurrences,
+  }));
+  const rulesSheet = XLSX.utils.json_to_sheet(ruleRows, {
+    header: ["Rule", "WCAG", "Impact", "Pages", "Occurrences"],
+  });
+  rulesSheet["!cols"] = [
+    { wch: 30 }, // Rule
+    { wch: 50 }, // WCAG
+    { wch: 10 }, // Impact
+    { wch: 10 }, // Pages
+    { wch: 12 }, // Occurrences
+  ];
+  XLSX.utils.book_append_sheet(workbook, rulesSheet, "Rules");
+
+  const violationRows = report.pages.flatMap((page) =>
+    page.violations.map((violation) => ({
+      URL: page.url,
+      Rule: RULES_BY_ID[violation.rule]?.name || violation.rule,
+      WCAG: violation.wcag,
+      Impact: violation.impact,
+      Count: violation.count,
+      Examples: (violation.samples || []).join("\n"),
+    }))
+  );
+  const violationsSheet = XLSX.utils.json_to_sheet(violationRows, {
+    header: ["URL", "Rule", "WCAG", "Impact", "Count", "Examples"],
+  });
+  violationsSheet["!cols"] = [
+    { wch: 60 }, // URL
+    { wch: 30 }, // Rule
+    { wch: 50 }, // WCAG
+    { wch: 10 }, // Impact
+    { wch: 8 }, // Count
+    { wch: 80 }, // Examples
+  ];
+  XLSX.utils.book_append_sheet(workbook, violationsSheet, "Violations");
+
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+/**
+ * Get the accessibility report in requested format
+ * @param {String} format - 'json' or 'excel'
+ */
+async function getAccessibilityExport(jobId, format = "json") {
+  const report = await getAccessibilityReport(jobId);
+
+  switch (format.toLowerCase()) {
+    case "excel":
+      return {
+        content: generateExcelAccessibility(report),
+        contentType:
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        filename: `accessibility-${jobId}.xlsx`,
+      };
+    case "json":
+    default:
+      return {
+        content: JSON.stringify(report, null, 2),
+        contentType: "application/json",
+        filename: `accessibility-${jobId}.json`,
+      };
+  }
+}
+
+module.exports = {
+  ACCESSIBILITY_RULES,
+  buildPageAccessibility,
+  buildAccessibilityReport,
+  getAccessibilityReport,
+  generateExcelAccessibility,
+  getAccessibilityExport,
+};
@@ -0,0 +1,117 @@
+const { pool } = require("../db/init");
+
+/**
+ * Broken link report: every broken URL of a crawl with all pages linking to it
+ * Broken = stored with an error title (4xx/5xx, timeouts, network errors) or status >= 400
+ */
+
+const STATUS_TEXT = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  410: "Gone",
+  429: "Too Many Requests",
+  500: "Server Error",
+  502: "Bad Gateway",
+  503: "Service Unavailable",
+  504: "Gateway Timeout",
+};
+
+/**
+ * Human readable error type for a broken page
+ */
+function getErrorType(statusCode, title = "") {
+  if (statusCode >= 400) {
+    const text =
+      STATUS_TEXT[statusCode] ||
+      (statusCode >= 500 ? "Server Error" : "Client Error");
+    return `${statusCode} ${text}`;
+  }
+  if (title.toLowerCase().includes("timeout")) {
+    return "Timeout";
+  }
+  return title.replace("ERROR:", "").trim() || "Error";
+}
+
+/**
+ * Build the broken link report for a job
+ * Link sources come from page_links; crawls without link data fall back to parent_url
+ * @returns {Object} { summary, broken: [{ url, status_code, error_type, sources: [...] }] }
+ */
+async function getBrokenLinkReport(jobId) {
+  const brokenResult = await pool.query(
+    `SELECT url, title, status_code, parent_url, original_href, depth FROM pages
+     WHERE job_id = $1 AND (title LIKE 'ERROR:%' OR status_code >= 400)
+     ORDER BY depth, COALESCE(sequence, 999999)`,
+    [jobId]
+  );
+
+  const brokenByKey = new Map();
+  for (const row of brokenResult.rows) {
+    brokenByKey.set(row.url.replace(/\/+$/, ""), {
+      url: row.url,
+      status_code: row.status_code || null,
+      error_type: getErrorType(row.status_code, row.title || ""),
+      depth: row.depth,
+      sources: [],
+      fallbackSource: row.parent_url
+        ? { source_url: row.parent_url, href: row.original_href }
+        : null,
+    });
+  }
+
+  if (brokenByKey.size > 0) {
+    const linksResult = await pool.query(
+      `SELECT source_url, target_url, href, anchor_text, rel, position FROM page_links
+       WHERE job_id = $1 AND rtrim(target_url, '/') = ANY($2::text[])
+       ORDER BY source_url, id`,
+      [jobId, [...brokenByKey.keys()]]
+    );
+
+    for (const row of linksResult.rows) {
+      const broken = brokenByKey.get(row.target_url.replace(/\/+$/, ""));
+      if (broken) {
+        broken.sources.push({
+          source_url: row.source_url,
+          anchor_text: row.anchor_text || "",
+          href: row.href,
+          rel: row.rel || "",
+          position: row.position,
+        });
+      }
+    }
+  }
+
+  const broken = [...brokenByKey.values()]
+    .map(({ fallbackSource, ...entry }) => {
+      // Crawls from before link tracking only know the page that queued the URL
+      const sources =
+        entry.sources.length > 0 || !fallbackSource
+          ? entry.sources
+          : [{ ...fallbackSource, anchor_text: "", rel: "", position: null }];
+      return {
+        ...entry,
+        sources,
+        link_count: sources.length,
+        source_count: new Set(sources.map((s) => s.source_url)).size,
+      };
+    })
+    .sort((a, b) => b.link_count - a.link_count);
+
+  return {
+    summary: {
+      broken_urls: broken.length,
+      broken_links: broken.reduce((sum, b) => sum + b.link_count, 0),
+      pages_with_broken_links: new Set(
+        broken.flatMap((b) => b.sources.map((s) => s.source_url))
+      ).size,
+    },
+    broken,
+  };
+}
+
+module.exports = {
+  getErrorType,
+  getBrokenLinkReport,
+};
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+
+/**
+ * Content fingerprints for duplicate detection
+ * The crawler extracts the main-content text of each page (main/article, or the body
+ * without navigation and footer) and stores page_data.content_fingerprint:
+ * - hash: SHA-1 of the normalized text, equal for exact duplicates
+ * - simhash: 64-bit SimHash over word 3-shingles (16 hex chars), close for near duplicates
+ * - words: number of words in the main content
+ */
+
+const SHINGLE_SIZE = 3;
+const MAX_SIMHASH_BANDS = 16; // Bands of at least 4 bits, narrower ones match most pages
+
+/**
+ * Lowercase words without punctuation, so markup and spacing changes don't matter
+ */
+function normalizeText(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * 64-bit SimHash of a word list, as [high, low] 32-bit halves
+ */
+function simhash(words) {
+  const weights = new Array(64).fill(0);
+  const shingleCount = Math.max(1, words.length - SHINGLE_SIZE + 1);
+  for (let i = 0; i < shingleCount; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(" ");
+    const digest = crypto.createHash("md5").update(shingle).digest();
+    const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+    for (let bit = 0; bit < 64; bit++) {
+      const half = halves[bit < 32 ? 0 : 1];
+      weights[bit] += (half >>> (31 - (bit % 32))) & 1 ? 1 : -1;
+    }
+  }
+
+  const halves = [0, 0];
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) {
+      halves[bit < 32 ? 0 : 1] |= 1 << (31 - (bit % 32));
+    }
+  }
+  return halves.map((half) => half >>> 0);
+}
+
+/**
+ * Fingerprint of a page's main-content text
+ * @returns {Object|null} { hash, simhash, words } or null for pages without text
+ */
+function computeContentFingerprint(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return null;
+  }
+  const words = normalized.split(" ");
+  return {
+    hash: crypto.createHash("sha1").update(normalized).digest("hex"),
+    simhash: simhash(words)
+      .map((half) => half.toString(16).padStart(8, "0"))
+      .join(""),
+    words: words.length,
+  };
+}
+
+function countBits(value) {
+  let count = 0;
+  for (let v = value >>> 0; v; v &= v - 1) count++;
+  return count;
+}
+
+/**
+ * SimHash hex string as [high, low] 32-bit halves (parse once, compare many times)
+ */
+function parseSimhash(hex) {
+  return [parseInt(hex.slice(0, 8), 16) >>> 0, parseInt(hex.slice(8), 16) >>> 0];
+}
+
+/**
+ * Share of equal bits between two parsed SimHashes (1 = identical)
+ */
+function simhashSimilarity(a, b) {
+  const distance = countBits(a[0] ^ b[0]) + countBits(a[1] ^ b[1]);
+  return 1 - distance / 64;
+}
+
+/**
+ * Band keys of a parsed SimHash for finding near duplicates without comparing every pair
+ * The 64 bits are split into maxDistance + 1 bands: two hashes at most maxDistance bits
+ * apart have at least one band in common (pigeonhole), so comparing pages that share a
+ * band key finds every such pair.
+ * @returns {Array|null} Keys, or null when bands would be too narrow to narrow anything down
+ */
+function simhashBandKeys(halves, maxDistance) {
+  const bandCount = maxDistance + 1;
+  if (bandCount > MAX_SIMHASH_BANDS) {
+    return null;
+  }
+  const keys = [];
+  for (let band = 0; band < bandCount; band++) {
+    const start = Math.floor((band * 64) / bandCount);
+    const end = Math.floor(((band + 1) * 64) / bandCount);
+    let value = 0;
+    for (let bit = start; bit < end; bit++) {
+      const half = halves[bit < 32 ? 0 : 1];
+      value = value * 2 + ((half >>> (31 - (bit % 32))) & 1);
+    }
+    keys.push(`${band}:${value}`);
+  }
+  return keys;
+}
+
+module.exports = {
+  normalizeText,
+  computeContentFingerprint,
+  parseSimhash,
+  simhashSimilarity,
+  simhashBandKeys,
+};
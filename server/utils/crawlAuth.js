@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const { queryWithRetry } = require("../db/init");
+
+/**
+ * Per-job crawl authentication
+ * Auth options (all optional):
+ *  - httpCredentials: { username, password } for HTTP basic/digest auth
+ *  - cookies: Playwright cookie objects, or a "name=value; name2=value2" Cookie header
+ *  - storageState: Playwright storageState JSON ({ cookies, origins })
+ *  - headers: extra request headers { name: value }
+ *  - login: { url, fields: [{ selector, value }], submitSelector, successSelector, successUrlContains }
+ * Stored AES-256-GCM encrypted in crawl_job_secrets with a key derived from CRAWL_SECRETS_KEY
+ */
+
+const ENCRYPTION_VERSION = "v1";
+
+/**
+ * Derive the 32-byte encryption key (null when CRAWL_SECRETS_KEY is not set)
+ */
+function getEncryptionKey() {
+  const secret = process.env.CRAWL_SECRETS_KEY;
+  if (!secret) {
+    return null;
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function encrypt(value) {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error("CRAWL_SECRETS_KEY must be set to store crawl credentials");
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    ENCRYPTION_VERSION,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    encrypted.toString("base64"),
+  ].join(":");
+}
+
+function decrypt(payload) {
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error("CRAWL_SECRETS_KEY must be set to read crawl credentials");
+  }
+
+  const [version, iv, tag, data] = payload.split(":");
+  if (version !== ENCRYPTION_VERSION) {
+    throw new Error(`Unsupported crawl credentials format: ${version}`);
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  const decrypted = Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]);
+
+  return JSON.parse(decrypted.toString("utf8"));
+}
+
+/**
+ * Parse a "name=value; name2=value2" Cookie header into cookie objects
+ */
+function parseCookieHeader(header) {
+  return header
+    .split(";")
+    .map((part) => part.trim())
+    .filter((part) => part.includes("="))
+    .map((part) => {
+      const index = part.indexOf("=");
+      return {
+        name: part.slice(0, index).trim(),
+        value: part.slice(index + 1).trim(),
+      };
+    });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validate and normalize auth options from a request body
+ * @param {Object} auth - Auth options (see top of file)
+ * @returns {Object|null} Normalized auth, or null when nothing is set
+ * @throws {Error} When the options are invalid or secrets can't be stored
+ */
+function normalizeCrawlAuth(auth) {
+  if (!auth) {
+    return null;
+  }
+  if (!isPlainObject(auth)) {
+    throw new Error("auth must be an object");
+  }
+
+  const normalized = {};
+
+  if (auth.httpCredentials && auth.httpCredentials.username) {
+    normalized.httpCredentials = {
+      username: String(auth.httpCredentials.username),
+      password: String(auth.httpCredentials.password || ""),
+    };
+  }
+
+  if (auth.cookies) {
+    const cookies =
+      typeof auth.cookies === "string"
+        ? parseCookieHeader(auth.cookies)
+        : auth.cookies;
+    if (
+      !Array.isArray(cookies) ||
+      cookies.some((c) => !isPlainObject(c) || !c.name || c.value === undefined)
+    ) {
+      throw new Error(
+        "auth.cookies must be a Cookie header string or an array of { name, value } objects"
+      );
+    }
+    if (cookies.length > 0) {
+      normalized.cookies = cookies.map((c) => ({ ...c, value: String(c.value) }));
+    }
+  }
+
+  if (auth.storageState) {
+    if (!isPlainObject(auth.storageState)) {
+      throw new Error("auth.storageState must be a Playwright storageState object");
+    }
+    normalized.storageState = {
+      cookies: Array.isArray(auth.storageState.cookies)
+        ? auth.storageState.cookies
+        : [],
+      origins: Array.isArray(auth.storageState.origins)
+        ? auth.storageState.origins
+        : [],
+    };
+  }
+
+  if (auth.headers) {
+    if (!isPlainObject(auth.headers)) {
+      throw new Error("auth.headers must be an object of header names to values");
+    }
+    const headers = {};
+    for (const [name, value] of Object.entries(auth.headers)) {
+      if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+        throw new Error(`Invalid header name "${name}"`);
+      }
+      headers[name] = String(value);
+    }
+    if (Object.keys(headers).length > 0) {
+      normalized.headers = headers;
+    }
+  }
+
+  if (auth.login) {
+    const { url, fields = [], submitSelector, successSelector, successUrlContains } =
+      auth.login;
+    if (!url) {
+      throw new Error("auth.login.url is required");
+    }
+    if (!Array.isArray(fields) || fields.some((f) => !f || !f.selector)) {
+      throw new Error("auth.login.fields must be an array of { selector, value }");
+    }
+    if (!submitSelector) {
+      throw new Error("auth.login.submitSelector is required");
+    }
+    if (!successSelector && !successUrlContains) {
+      throw new Error(
+        "auth.login needs a success check (successSelector or successUrlContains)"
+      );
+    }
+    normalized.login = {
+      url: String(url),
+      fields: fields.map((f) => ({
+        selector: String(f.selector),
+        value: String(f.value ?? ""),
+      })),
+      submitSelector: String(submitSelector),
+      successSelector: successSelector ? String(successSelector) : null,
+      successUrlContains: successUrlContains ? String(successUrlContains) : null,
+    };
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    return null;
+  }
+  if (!getEncryptionKey()) {
+    throw new Error("CRAWL_SECRETS_KEY must be set to store crawl credentials");
+  }
+  return normalized;
+}
+
+/**
+ * Store a job's auth options encrypted
+ */
+async function saveJobAuth(jobId, auth) {
+  await queryWithRetry(
+    `INSERT INTO crawl_job_secrets (job_id, auth_encrypted) VALUES ($1, $2)
+     ON CONFLICT (job_id) DO UPDATE SET auth_encrypted = EXCLUDED.auth_encrypted`,
+    [jobId, encrypt(auth)]
+  );
+}
+
+/**
+ * Load and decrypt a job's auth options (null if the job has none)
+ */
+async function loadJobAuth(jobId) {
+  const result = await queryWithRetry(
+    "SELECT auth_encrypted FROM crawl_job_secrets WHERE job_id = $1",
+    [jobId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return decrypt(result.rows[0].auth_encrypted);
+}
+
+/**
+ * Headers for the crawler's plain HTTP requests (robots.txt, sitemaps)
+ * Playwright handles these itself for page requests
+ */
+function getAuthRequestHeaders(auth) {
+  if (!auth) {
+    return {};
+  }
+
+  const headers = { ...(auth.headers || {}) };
+
+  if (auth.httpCredentials) {
+    const { username, password } = auth.httpCredentials;
+    headers.Authorization = `Basic ${Buffer.from(
+      `${username}:${password}`
+    ).toString("base64")}`;
+  }
+
+  const cookies = [
+    ...(auth.storageState?.cookies || []),
+    ...(auth.cookies || []),
+  ];
+  if (cookies.length > 0) {
+    headers.Cookie = cookies.map((c) => `${c.name}=${c.value}`).join("; ");
+  }
+
+  return headers;
+}
+
+module.exports = {
+  normalizeCrawlAuth,
+  saveJobAuth,
+  loadJobAuth,
+  getAuthRequestHeaders,
+};
@@ -0,0 +1,291 @@
+const { pool } = require("../db/init");
+const XLSX = require("xlsx");
+const { buildCanonicalSitemapTree } = require("./sitemapTreeBuilder");
+
+/**
+ * Compare two crawls of the same domain
+ * Pages are matched by path so that protocol/host differences don't count as changes
+ */
+
+/**
+ * Normalized path for a page URL (same rules as the canonical tree)
+ */
+function getPagePath(url) {
+  try {
+    const urlObj = new URL(url);
+    let path = urlObj.pathname;
+    if (urlObj.hash && urlObj.hash.startsWith("#/")) {
+      path = path + urlObj.hash;
+    }
+    return path || "/";
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Hostname without leading www, used to check both jobs crawl the same site
+ */
+function getDomainKey(domain) {
+  try {
+    const url = new URL(domain.startsWith("http") ? domain : `https://${domain}`);
+    return url.hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return (domain || "").toLowerCase();
+  }
+}
+
+/**
+ * Page count per root section of a canonical tree
+ */
+function getSectionCounts(canonicalTree) {
+  const counts = {};
+  for (const [path, node] of Object.entries(
+    canonicalTree.tree?.["/"]?.children || {}
+  )) {
+    counts[path] = node._count || 0;
+  }
+  return counts;
+}
+
+/**
+ * Diff two sets of page records
+ * @param {Array} basePages - Pages from the older crawl
+ * @param {Array} pages - Pages from the newer crawl
+ * @returns {Object} Added/removed pages, status, title and depth changes
+ */
+function diffCrawls(basePages, pages) {
+  const baseTree = buildCanonicalSitemapTree(basePages);
+  const tree = buildCanonicalSitemapTree(pages);
+
+  const baseByPath = new Map();
+  for (const page of basePages) {
+    baseByPath.set(getPagePath(page.url), page);
+  }
+  const byPath = new Map();
+  for (const page of pages) {
+    byPath.set(getPagePath(page.url), page);
+  }
+
+  const describe = (path, page) => ({
+    path,
+    url: page.url,
+    title: page.title || null,
+    status_code: page.statusCode ?? null,
+    depth: page.depth ?? null,
+  });
+
+  const diff = {
+    summary: {
+      pages_before: baseTree._meta.total_pages,
+      pages_after: tree._meta.total_pages,
+      max_depth_before: baseTree._meta.max_depth,
+      max_depth_after: tree._meta.max_depth,
+      added: 0,
+      removed: 0,
+      status_changed: 0,
+      title_changed: 0,
+      depth_changed: 0,
+    },
+    sections: [],
+    added: [],
+    removed: [],
+    status_changes: [],
+    title_changes: [],
+    depth_changes: [],
+  };
+
+  for (const [path, page] of byPath.entries()) {
+    const basePage = baseByPath.get(path);
+    if (!basePage) {
+      diff.added.push(describe(path, page));
+      continue;
+    }
+
+    if ((basePage.statusCode ?? null) !== (page.statusCode ?? null)) {
+      diff.status_changes.push({
+        path,
+        url: page.url,
+        from: basePage.statusCode ?? null,
+        to: page.statusCode ?? null,
+      });
+    }
+
+    if ((basePage.title || "") !== (page.title || "")) {
+      diff.title_changes.push({
+        path,
+        url: page.url,
+        from: basePage.title || null,
+        to: page.title || null,
+      });
+    }
+
+    if (basePage.depth !== page.depth) {
+      diff.depth_changes.push({
+        path,
+        url: page.url,
+        from: basePage.depth,
+        to: page.depth,
+      });
+    }
+  }
+
+  for (const [path, basePage] of baseByPath.entries()) {
+    if (!byPath.has(path)) {
+      diff.removed.push(describe(path, basePage));
+    }
+  }
+
+  // Section-level page count deltas from the canonical trees
+  const baseSections = getSectionCounts(baseTree);
+  const sections = getSectionCounts(tree);
+  for (const section of new Set([
+    ...Object.keys(baseSections),
+    ...Object.keys(sections),
+  ])) {
+    const before = baseSections[section] || 0;
+    const after = sections[section] || 0;
+    diff.sections.push({ section, before, after, delta: after - before });
+  }
+  diff.sections.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  diff.summary.added = diff.added.length;
+  diff.summary.removed = diff.removed.length;
+  diff.summary.status_changed = diff.status_changes.length;
+  diff.summary.title_changed = diff.title_changes.length;
+  diff.summary.depth_changed = diff.depth_changes.length;
+
+  return diff;
+}
+
+/**
+ * Generate Excel workbook for a crawl diff
+ */
+function generateExcelDiff(diff) {
+  const workbook = XLSX.utils.book_new();
+
+  const summaryRows = [
+    { Metric: "Base Job", Value: diff.base_job.id },
+    { Metric: "Base Crawled At", Value: diff.base_job.created_at },
+    { Metric: "Job", Value: diff.job.id },
+    { Metric: "Crawled At", Value: diff.job.created_at },
+    { Metric: "Pages Before", Value: diff.summary.pages_before },
+    { Metric: "Pages After", Value: diff.summary.pages_after },
+    { Metric: "Max Depth Before", Value: diff.summary.max_depth_before },
+    { Metric: "Max Depth After", Value: diff.summary.max_depth_after },
+    { Metric: "Pages Added", Value: diff.summary.added },
+    { Metric: "Pages Removed", Value: diff.summary.removed },
+    { Metric: "Status Changes", Value: diff.summary.status_changed },
+    { Metric: "Title Changes", Value: diff.summary.title_changed },
+    { Metric: "Depth Changes", Value: diff.summary.depth_changed },
+  ];
+  const summarySheet = XLSX.utils.json_to_sheet(summaryRows);
+  summarySheet["!cols"] = [{ wch: 20 }, { wch: 40 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, "Summary");
+
+  const pageColumns = (page) => ({
+    URL: page.url,
+    Title: page.title || "",
+    "Status Code": page.status_code ?? "",
+    Depth: page.depth ?? "",
+  });
+  const changeColumns = (change) => ({
+    URL: change.url,
+    Before: change.from ?? "",
+    After: change.to ?? "",
+  });
+
+  const sheets = [
+    ["Added", diff.added.map(pageColumns), ["URL", "Title", "Status Code", "Depth"]],
+    ["Removed", diff.removed.map(pageColumns), ["URL", "Title", "Status Code", "Depth"]],
+    ["Status Changes", diff.status_changes.map(changeColumns), ["URL", "Before", "After"]],
+    ["Title Changes", diff.title_changes.map(changeColumns), ["URL", "Before", "After"]],
+    ["Depth Changes", diff.depth_changes.map(changeColumns), ["URL", "Before", "After"]],
+  ];
+
+  for (const [name, rows, header] of sheets) {
+    const sheet = XLSX.utils.json_to_sheet(rows, { header });
+    sheet["!cols"] = header.map((column) => ({
+      wch: column === "URL" || column === "Title" ? 60 : 15,
+    }));
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  }
+
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+/**
+ * Load page records for a job in crawl order
+ */
+async function getJobPages(jobId) {
+  const pagesResult = await pool.query(
+    "SELECT url, title, depth, parent_url, status_code FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999), crawled_at",
+    [jobId]
+  );
+
+  return pagesResult.rows.map((row) => ({
+    url: row.url,
+    title: row.title,
+    depth: row.depth,
+    parentUrl: row.parent_url,
+    statusCode: row.status_code,
+  }));
+}
+
+/**
+ * Build crawl diff between two jobs
+ * @param {String} baseJobId - Older crawl to compare against
+ * @param {String} jobId - Newer crawl
+ */
+async function buildCrawlDiff(baseJobId, jobId) {
+  const jobsResult = await pool.query(
+    "SELECT id, domain, created_at FROM crawl_jobs WHERE id = ANY($1::uuid[])",
+    [[baseJobId, jobId]]
+  );
+
+  const baseJob = jobsResult.rows.find((row) => row.id === baseJobId);
+  const job = jobsResult.rows.find((row) => row.id === jobId);
+  if (!baseJob || !job) {
+    throw new Error("Job not found");
+  }
+
+  return {
+    base_job: { id: baseJob.id, domain: baseJob.domain, created_at: baseJob.created_at },
+    job: { id: job.id, domain: job.domain, created_at: job.created_at },
+    ...diffCrawls(await getJobPages(baseJobId), await getJobPages(jobId)),
+  };
+}
+
+/**
+ * Get crawl diff between two jobs in requested format
+ * @param {String} baseJobId - Older crawl to compare against
+ * @param {String} jobId - Newer crawl
+ * @param {String} format - 'json' or 'excel'
+ */
+async function getCrawlDiff(baseJobId, jobId, format = "json") {
+  const diff = await buildCrawlDiff(baseJobId, jobId);
+
+  switch (format.toLowerCase()) {
+    case "excel":
+      return {
+        content: generateExcelDiff(diff),
+        contentType:
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        filename: `crawl-diff-${baseJobId}-${jobId}.xlsx`,
+      };
+    case "json":
+    default:
+      return {
+        content: JSON.stringify(diff, null, 2),
+        contentType: "application/json",
+        filename: `crawl-diff-${baseJobId}-${jobId}.json`,
+      };
+  }
+}
+
+module.exports = {
+  diffCrawls,
+  getDomainKey,
+  buildCrawlDiff,
+  getCrawlDiff,
+};
@@ -0,0 +1,123 @@
+const { pool, queryWithRetry } = require("../db/init");
+const { flattenStructuralIssues } = require("./issueDetector");
+
+/**
+ * Persisted structural issues (crawl_issues table)
+ * Rows are replaced every time a job's sitemap is rebuilt
+ */
+
+const SEVERITIES = ["critical", "warning", "info"];
+
+/**
+ * Replace a job's stored issues with a fresh detectStructuralIssues result
+ * @returns {Array} Stored issue records
+ */
+async function saveJobIssues(jobId, structuralIssues) {
+  const records = flattenStructuralIssues(structuralIssues);
+
+  // Delete and insert in one statement so readers never see a half-written set
+  await queryWithRetry(
+    `WITH cleared AS (DELETE FROM crawl_issues WHERE job_id = $1)
+     INSERT INTO crawl_issues (job_id, category, type, severity, path, details)
+     SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[], $5::text[], $6::jsonb[])`,
+    [
+      jobId,
+      records.map((r) => r.category),
+      records.map((r) => r.type),
+      records.map((r) => r.severity),
+      records.map((r) => r.path),
+      records.map((r) => (r.details ? JSON.stringify(r.details) : null)),
+    ]
+  );
+
+  return records;
+}
+
+/**
+ * Load a job's issues with optional category / severity filters
+ * The summary always covers all of the job's issues so filters can be shown with counts
+ * @returns {Object} { summary: { total, by_severity, by_category }, issues }
+ */
+async function getJobIssues(jobId, { category = null, severity = null } = {}) {
+  const countsResult = await pool.query(
+    `SELECT category, type, severity, COUNT(*)::int AS count FROM crawl_issues
+     WHERE job_id = $1 GROUP BY category, type, severity`,
+    [jobId]
+  );
+
+  const summary = {
+    total: 0,
+    by_severity: Object.fromEntries(SEVERITIES.map((s) => [s, 0])),
+    by_category: {},
+  };
+  for (const row of countsResult.rows) {
+    summary.total += row.count;
+    summary.by_severity[row.severity] += row.count;
+
+    const categorySummary = (summary.by_category[row.category] ||= {
+      total: 0,
+      ...Object.fromEntries(SEVERITIES.map((s) => [s, 0])),
+      types: {},
+    });
+    categorySummary.total += row.count;
+    categorySummary[row.severity] += row.count;
+    categorySummary.types[row.type] = {
+      severity: row.severity,
+      count: row.count,
+    };
+  }
+
+  const conditions = ["job_id = $1"];
+  const params = [jobId];
+  if (category) {
+    params.push(category);
+    conditions.push(`category = $${params.length}`);
+  }
+  if (severity) {
+    params.push(severity);
+    conditions.push(`severity = $${params.length}`);
+  }
+
+  const issuesResult = await pool.query(
+    `SELECT id, category, type, severity, path, details FROM crawl_issues
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY CASE severity WHEN 'critical' THEN 0 WHEN 'warning' THEN 1 ELSE 2 END, category, type, id`,
+    params
+  );
+
+  return { summary, issues: issuesResult.rows };
+}
+
+/**
+ * Rebuild the detectStructuralIssues shape from a job's stored issues (custom rules excluded)
+ * Used when the AI prompt is generated after the crawl, e.g. duplicate content clusters
+ * @returns {Object} { category: { type: [path or { path, ...details }] } }
+ */
+async function loadStructuralIssues(jobId) {
+  const result = await pool.query(
+    `SELECT category, type, path, details FROM crawl_issues
+     WHERE job_id = $1 AND category <> 'custom' ORDER BY id`,
+    [jobId]
+  );
+
+  const issues = {};
+  for (const row of result.rows) {
+    const category = (issues[row.category] ||= {});
+    if (row.type === "overloaded_root") {
+      category.overloaded_root = true;
+      category.root_sections_count = row.details?.root_sections_count || 0;
+      continue;
+    }
+    (category[row.type] ||= []).push(
+      row.details ? { path: row.path, ...row.details } : row.path
+    );
+  }
+  return issues;
+}
+
+module.exports = {
+  SEVERITIES,
+  saveJobIssues,
+  getJobIssues,
+  loadStructuralIssues,
+};
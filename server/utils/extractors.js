@@ -0,0 +1,210 @@
+/**
+ * Per-job custom extraction rules
+ * Each extractor is { name, type, selector, attribute, multiple, flags }:
+ *  - css: document.querySelectorAll(selector), the element text or an attribute
+ *  - xpath: document.evaluate(selector), node text, attribute value or a string()/count() result
+ *  - regex: matched against the page HTML, capture group 1 when the pattern has one
+ *    (flags i, m, s, u; "i" when not set. Patterns are guarded, see utils/userRegex.js)
+ * CSS and XPath extractors run in the rendered page (browser engine), regex extractors run
+ * on the HTML of both engines. Values are stored as page_data.extracted { name: value },
+ * a string (first match) or an array when multiple is set, null when nothing matched.
+ */
+
+const { compileUserRegex } = require("./userRegex");
+
+const EXTRACTOR_TYPES = ["css", "xpath", "regex"];
+const DEFAULT_REGEX_FLAGS = "i";
+const MAX_EXTRACTORS = 20;
+const MAX_VALUES = 50; // Values kept per extractor and page (multiple)
+const MAX_VALUE_LENGTH = 1000;
+
+// Page fields of the exports and the page explorer, extractors can't shadow them
+const RESERVED_NAMES = ["url", "title", "depth", "status", "status_code", "notes"];
+
+/**
+ * Validate and normalize extractors from a request body
+ * @param {Array} extractors - [{ name, type, selector, attribute, multiple, flags }]
+ * @returns {Array|null} Normalized extractors or null when none are set
+ * @throws {Error} When an extractor is incomplete, duplicated or its regex is invalid
+ */
+function normalizeExtractors(extractors) {
+  if (!extractors) {
+    return null;
+  }
+  if (!Array.isArray(extractors)) {
+    throw new Error("extractors must be an array");
+  }
+  if (extractors.length > MAX_EXTRACTORS) {
+    throw new Error(`At most ${MAX_EXTRACTORS} extractors are allowed`);
+  }
+
+  const names = new Set();
+  const normalized = extractors.map((extractor) => {
+    const name = String(extractor?.name || "").trim();
+    const type = extractor?.type || "css";
+    const selector = String(extractor?.selector || "").trim();
+
+    if (!/^[A-Za-z][\w -]{0,49}$/.test(name)) {
+      throw new Error(
+        `Invalid extractor name "${name}" (letters, digits, spaces, "-" and "_", up to 50 characters)`
+      );
+    }
+    const key = name.toLowerCase();
+    if (RESERVED_NAMES.includes(key)) {
+      throw new Error(`Extractor name "${name}" is reserved`);
+    }
+    if (names.has(key)) {
+      throw new Error(`Extractor name "${name}" is used twice`);
+    }
+    names.add(key);
+
+    if (!EXTRACTOR_TYPES.includes(type)) {
+      throw new Error(`Extractor "${name}": type must be one of ${EXTRACTOR_TYPES.join(", ")}`);
+    }
+    if (!selector) {
+      throw new Error(`Extractor "${name}" needs a ${type === "regex" ? "pattern" : "selector"}`);
+    }
+    const flags =
+      type === "regex"
+        ? String(extractor.flags ?? DEFAULT_REGEX_FLAGS).replace(/[gy]/g, "")
+        : null;
+    if (type === "regex") {
+      try {
+        compileUserRegex(selector, flags);
+      } catch (error) {
+        throw new Error(`Extractor "${name}": invalid regex: ${error.message}`);
+      }
+    }
+
+    return {
+      name,
+      type,
+      selector,
+      attribute: type === "css" && extractor.attribute ? String(extractor.attribute).trim() : null,
+      multiple: extractor.multiple === true,
+      flags,
+    };
+  });
+
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Whether any extractor needs the rendered page (CSS or XPath)
+ */
+function needsBrowser(extractors) {
+  return (extractors || []).some((extractor) => extractor.type !== "regex");
+}
+
+/**
+ * Trim raw matches to the stored value of one extractor
+ */
+function toExtractedValue(values, multiple) {
+  const cleaned = values
+    .map((value) => (value === null || value === undefined ? "" : String(value)))
+    .map((value) => value.replace(/\s+/g, " ").trim().slice(0, MAX_VALUE_LENGTH))
+    .filter((value) => value);
+  if (multiple) {
+    return cleaned.slice(0, MAX_VALUES);
+  }
+  return cleaned[0] ?? null;
+}
+
+/**
+ * Run the regex extractors on a page's HTML
+ * @returns {Object} { name: value }
+ */
+function runRegexExtractors(html, extractors) {
+  const extracted = {};
+  for (const extractor of extractors || []) {
+    if (extractor.type !== "regex") continue;
+    let regex;
+    try {
+      regex = compileUserRegex(extractor.selector, extractor.flags ?? DEFAULT_REGEX_FLAGS, "g");
+    } catch {
+      // Jobs saved before patterns were guarded
+      extracted[extractor.name] = null;
+      continue;
+    }
+    const values = [];
+    for (const match of (html || "").matchAll(regex)) {
+      values.push(match.length > 1 ? match[1] : match[0]);
+      if (!extractor.multiple || values.length >= MAX_VALUES) break;
+    }
+    extracted[extractor.name] = toExtractedValue(values, extractor.multiple);
+  }
+  return extracted;
+}
+
+/**
+ * In-page part of the CSS and XPath extractors, run with page.evaluate
+ * Must stay self-contained: it is serialized into the page
+ * @returns {Object} { name: [raw values] }, null values for selectors the page rejected
+ */
+function evaluateDomExtractors(extractors) {
+  const results = {};
+  for (const extractor of extractors) {
+    try {
+      if (extractor.type === "css") {
+        const elements = extractor.multiple
+          ? [...document.querySelectorAll(extractor.selector)]
+          : [document.querySelector(extractor.selector)].filter(Boolean);
+        results[extractor.name] = elements.map((element) =>
+          extractor.attribute ? element.getAttribute(extractor.attribute) : element.textContent
+        );
+      } else if (extractor.type === "xpath") {
+        const result = document.evaluate(extractor.selector, document, null, XPathResult.ANY_TYPE, null);
+        if (result.resultType === XPathResult.STRING_TYPE) {
+          results[extractor.name] = [result.stringValue];
+        } else if (result.resultType === XPathResult.NUMBER_TYPE) {
+          results[extractor.name] = [String(result.numberValue)];
+        } else if (result.resultType === XPathResult.BOOLEAN_TYPE) {
+          results[extractor.name] = [String(result.booleanValue)];
+        } else {
+          const values = [];
+          for (let node = result.iterateNext(); node; node = result.iterateNext()) {
+            values.push(node.nodeType === Node.ELEMENT_NODE ? node.textContent : node.nodeValue);
+            if (!extractor.multiple) break;
+          }
+          results[extractor.name] = values;
+        }
+      }
+    } catch {
+      results[extractor.name] = null;
+    }
+  }
+  return results;
+}
+
+/**
+ * Stored values from the in-page results
+ * @returns {Object} { name: value }
+ */
+function buildDomExtracted(results, extractors) {
+  const extracted = {};
+  for (const extractor of extractors || []) {
+    if (extractor.type === "regex") continue;
+    extracted[extractor.name] = toExtractedValue(results?.[extractor.name] || [], extractor.multiple);
+  }
+  return extracted;
+}
+
+/**
+ * Export cell for an extracted value (arrays joined with " | ")
+ */
+function formatExtractedValue(value) {
+  if (Array.isArray(value)) {
+    return value.join(" | ");
+  }
+  return value ?? "";
+}
+
+module.exports = {
+  EXTRACTOR_TYPES,
+  normalizeExtractors,
+  needsBrowser,
+  runRegexExtractors,
+  evaluateDomExtractors,
+  buildDomExtracted,
+  formatExtractedValue,
+};
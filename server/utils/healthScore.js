@@ -0,0 +1,134 @@
+const { pool, queryWithRetry } = require("../db/init");
+const { getDomainKey } = require("./crawlDiff");
+
+/**
+ * Site health score (0-100) per crawl job
+ * Score = 100 * e^(-weighted issues per page), so the same issue density scores the
+ * same on small and large sites. Broken pages (4xx/5xx, network errors) weigh as critical issues.
+ */
+
+const SEVERITY_WEIGHTS = {
+  critical: 1,
+  warning: 0.3,
+  info: 0.05,
+};
+
+/**
+ * Compute the health score from flattened issue records
+ * @param {Object} params - { issues: [{ severity }], pageCount, errorCount }
+ * @returns {Object} { score, issueCounts }
+ */
+function computeHealthScore({ issues = [], pageCount = 0, errorCount = 0 }) {
+  const issueCounts = { critical: 0, warning: 0, info: 0 };
+  for (const issue of issues) {
+    if (issue.severity in issueCounts) {
+      issueCounts[issue.severity]++;
+    }
+  }
+
+  if (pageCount === 0) {
+    return { score: 0, issueCounts };
+  }
+
+  const weighted =
+    Object.entries(issueCounts).reduce(
+      (sum, [severity, count]) => sum + count * SEVERITY_WEIGHTS[severity],
+      0
+    ) +
+    errorCount * SEVERITY_WEIGHTS.critical;
+
+  return {
+    score: Math.round(100 * Math.exp(-weighted / pageCount)),
+    issueCounts,
+  };
+}
+
+/**
+ * Count pages that failed to load (stored with an error title or a 4xx/5xx status)
+ */
+function countErrorPages(pages) {
+  return pages.filter(
+    (page) =>
+      (page.title || "").startsWith("ERROR:") || (page.statusCode || 0) >= 400
+  ).length;
+}
+
+/**
+ * Compute and store a job's health score
+ * @param {string} jobId
+ * @param {Object} params - { issues, pages, maxDepth }
+ * @returns {Object} Stored score row
+ */
+async function saveJobHealth(jobId, { issues, pages, maxDepth = 0 }) {
+  const jobResult = await queryWithRetry(
+    "SELECT domain FROM crawl_jobs WHERE id = $1",
+    [jobId]
+  );
+  if (jobResult.rows.length === 0) {
+    return null;
+  }
+
+  const errorCount = countErrorPages(pages);
+  const { score, issueCounts } = computeHealthScore({
+    issues,
+    pageCount: pages.length,
+    errorCount,
+  });
+
+  const result = await queryWithRetry(
+    `INSERT INTO crawl_health_scores (job_id, domain_key, score, page_count, error_count, max_depth, issue_counts)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (job_id) DO UPDATE SET
+       score = EXCLUDED.score,
+       page_count = EXCLUDED.page_count,
+       error_count = EXCLUDED.error_count,
+       max_depth = EXCLUDED.max_depth,
+       issue_counts = EXCLUDED.issue_counts
+     RETURNING *`,
+    [
+      jobId,
+      getDomainKey(jobResult.rows[0].domain),
+      score,
+      pages.length,
+      errorCount,
+      maxDepth,
+      JSON.stringify(issueCounts),
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Score time series for a domain (oldest first)
+ */
+async function getDomainHistory(domain) {
+  const result = await pool.query(
+    `SELECT h.job_id, h.score, h.page_count, h.error_count, h.max_depth, h.issue_counts,
+            h.created_at, cj.domain, cj.status, cj.completed_at
+     FROM crawl_health_scores h
+     JOIN crawl_jobs cj ON cj.id = h.job_id
+     WHERE h.domain_key = $1
+     ORDER BY h.created_at`,
+    [getDomainKey(domain)]
+  );
+
+  return result.rows.map((row) => ({
+    jobId: row.job_id,
+    website: row.domain,
+    status: row.status,
+    crawledAt: row.completed_at || row.created_at,
+    score: row.score,
+    pageCount: row.page_count,
+    errorCount: row.error_count,
+    maxDepth: row.max_depth,
+    issueCounts: row.issue_counts,
+  }));
+}
+
+module.exports = {
+  SEVERITY_WEIGHTS,
+  computeHealthScore,
+  saveJobHealth,
+  getDomainHistory,
+};
@@ -0,0 +1,418 @@
+const { pool } = require("../db/init");
+
+/**
+ * hreflang (alternate language) validation
+ * Annotations come from three places: <link rel="alternate" hreflang> in the HTML,
+ * HTTP Link headers and <xhtml:link> entries in sitemap.xml. They are stored per job in
+ * hreflang_links and checked as a whole, since return links need both sides.
+ */
+
+const SOURCES = ["html", "header", "sitemap"];
+
+// ISO 639-1 language codes
+const LANGUAGE_CODES = new Set(
+  (
+    "aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy " +
+    "da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu " +
+    "hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb " +
+    "lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om " +
+    "or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw " +
+    "ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu"
+  ).split(" ")
+);
+
+// ISO 3166-1 alpha-2 region codes
+const REGION_CODES = new Set(
+  (
+    "AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ " +
+    "BR BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO " +
+    "DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU " +
+    "GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW " +
+    "KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU " +
+    "MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW " +
+    "PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF " +
+    "TG TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA " +
+    "ZM ZW"
+  ).split(" ")
+);
+
+// Regions people commonly use by mistake (hreflang needs ISO 3166-1: GB, not UK)
+const REGION_SUGGESTIONS = { UK: "GB" };
+
+/**
+ * Key used to match hreflang targets with page URLs (trailing slash ignored)
+ */
+function getUrlKey(url) {
+  return (url || "").replace(/\/+$/, "");
+}
+
+function getPath(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + (urlObj.hash?.startsWith("#/") ? urlObj.hash : "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Validate an hreflang value: language[-Script][-REGION] or x-default
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateHreflangCode(code) {
+  const value = (code || "").trim();
+  if (value.toLowerCase() === "x-default") {
+    return null;
+  }
+
+  const parts = value.split(/[-_]/);
+  if (value.includes("_")) {
+    return `"${value}" uses an underscore (use ${parts.join("-")})`;
+  }
+
+  const [language, ...rest] = parts;
+  if (!LANGUAGE_CODES.has(language.toLowerCase())) {
+    return `"${language}" is not an ISO 639-1 language code`;
+  }
+
+  let subtags = rest;
+  // Optional script subtag (zh-Hant-TW)
+  if (subtags.length > 0 && /^[a-z]{4}$/i.test(subtags[0])) {
+    subtags = subtags.slice(1);
+  }
+  if (subtags.length > 1) {
+    return `"${value}" has too many subtags`;
+  }
+  if (subtags.length === 1) {
+    const region = subtags[0].toUpperCase();
+    if (!REGION_CODES.has(region)) {
+      const suggestion = REGION_SUGGESTIONS[region];
+      return `"${subtags[0]}" is not an ISO 3166-1 region code${suggestion ? ` (use ${suggestion})` : ""}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse hreflang alternates from an HTTP Link header
+ * e.g. Link: <https://example.com/de/>; rel="alternate"; hreflang="de"
+ * @returns {Array} [{ lang, href }]
+ */
+function parseLinkHeader(header, baseUrl) {
+  const alternates = [];
+  if (!header) {
+    return alternates;
+  }
+
+  // Playwright joins repeated headers with newlines
+  const entries = String(header).match(/<[^>]*>[^<]*/g) || [];
+  for (const entry of entries) {
+    const href = entry.match(/^<([^>]*)>/)[1].trim();
+    const params = {};
+    for (const param of entry.slice(entry.indexOf(">") + 1).split(";")) {
+      const [key, ...value] = param.split("=");
+      if (key.trim() && value.length > 0) {
+        params[key.trim().toLowerCase()] = value
+          .join("=")
+          .trim()
+          .replace(/^"|"[\s,]*$/g, "")
+          .replace(/,$/, "");
+      }
+    }
+
+    const rel = (params.rel || "").toLowerCase().split(/\s+/);
+    if (!rel.includes("alternate") || !params.hreflang) {
+      continue;
+    }
+    try {
+      alternates.push({
+        lang: params.hreflang,
+        href: new URL(href, baseUrl).href,
+      });
+    } catch {
+      // Skip invalid URLs
+    }
+  }
+
+  return alternates;
+}
+
+/**
+ * Detect hreflang problems
+ * @param {Array} pages - Page records with url, title, statusCode and pageData
+ * @param {Array} links - [{ sourceUrl, lang, targetUrl, source }]
+ * @returns {Object} { invalid_code, missing_return, non_200_target, non_canonical_target, missing_x_default }
+ */
+function detectHreflangIssues(pages, links) {
+  const issues = {
+    invalid_code: [],
+    missing_return: [],
+    non_200_target: [],
+    non_canonical_target: [],
+    missing_x_default: [],
+  };
+
+  const pagesByKey = new Map();
+  for (const page of pages || []) {
+    const key = getUrlKey(page.url);
+    if (!pagesByKey.has(key)) {
+      pagesByKey.set(key, page);
+    }
+  }
+
+  // Annotation sets per source page, de-duplicated across html / header / sitemap
+  const clusters = new Map();
+  for (const link of links || []) {
+    const sourceKey = getUrlKey(link.sourceUrl);
+    const cluster = clusters.get(sourceKey) || {
+      url: link.sourceUrl,
+      entries: new Map(),
+    };
+    const entryKey = `${link.lang.toLowerCase()} ${getUrlKey(link.targetUrl)}`;
+    const entry = cluster.entries.get(entryKey) || {
+      lang: link.lang,
+      targetUrl: link.targetUrl,
+      sources: new Set(),
+    };
+    entry.sources.add(link.source);
+    cluster.entries.set(entryKey, entry);
+    clusters.set(sourceKey, cluster);
+  }
+
+  const reportedInvalid = new Set();
+  const checkedTargets = new Set();
+
+  for (const [sourceKey, cluster] of clusters) {
+    const entries = [...cluster.entries.values()];
+    const path = getPath(cluster.url);
+
+    if (!entries.some((entry) => entry.lang.toLowerCase() === "x-default")) {
+      issues.missing_x_default.push({
+        path,
+        url: cluster.url,
+        languages: entries.map((entry) => entry.lang),
+      });
+    }
+
+    for (const entry of entries) {
+      const sources = [...entry.sources];
+      const problem = validateHreflangCode(entry.lang);
+      if (problem && !reportedInvalid.has(`${sourceKey} ${entry.lang}`)) {
+        reportedInvalid.add(`${sourceKey} ${entry.lang}`);
+        issues.invalid_code.push({
+          path,
+          url: cluster.url,
+          hreflang: entry.lang,
+          href: entry.targetUrl,
+          problem,
+          sources,
+        });
+      }
+
+      const targetKey = getUrlKey(entry.targetUrl);
+      if (targetKey === sourceKey) {
+        continue;
+      }
+      const target = pagesByKey.get(targetKey);
+      // Targets outside the crawl can't be checked
+      if (!target) {
+        continue;
+      }
+
+      const statusCode = target.statusCode ?? null;
+      const failed = (target.title || "").startsWith("ERROR:");
+      if (failed || (statusCode && statusCode !== 200)) {
+        if (!checkedTargets.has(`status ${sourceKey} ${targetKey}`)) {
+          checkedTargets.add(`status ${sourceKey} ${targetKey}`);
+          issues.non_200_target.push({
+            path,
+            url: cluster.url,
+            hreflang: entry.lang,
+            href: entry.targetUrl,
+            status_code: statusCode,
+            sources,
+          });
+        }
+        continue;
+      }
+
+      const canonical = target.pageData?.meta?.canonical;
+      if (canonical && getUrlKey(canonical) !== targetKey) {
+        if (!checkedTargets.has(`canonical ${sourceKey} ${targetKey}`)) {
+          checkedTargets.add(`canonical ${sourceKey} ${targetKey}`);
+          issues.non_canonical_target.push({
+            path,
+            url: cluster.url,
+            hreflang: entry.lang,
+            href: entry.targetUrl,
+            canonical,
+            sources,
+          });
+        }
+        continue;
+      }
+
+      // Return link: the target has to list this page among its own alternates
+      const targetCluster = clusters.get(targetKey);
+      const hasReturn =
+        targetCluster &&
+        [...targetCluster.entries.values()].some(
+          (back) => getUrlKey(back.targetUrl) === sourceKey
+        );
+      if (!hasReturn && !checkedTargets.has(`return ${sourceKey} ${targetKey}`)) {
+        checkedTargets.add(`return ${sourceKey} ${targetKey}`);
+        issues.missing_return.push({
+          path,
+          url: cluster.url,
+          hreflang: entry.lang,
+          href: entry.targetUrl,
+          target_has_hreflang: Boolean(targetCluster),
+          sources,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * hreflang links from page_data when no hreflang_links rows exist (older crawls)
+ */
+function getPageHreflangLinks(pages) {
+  const links = [];
+  for (const page of pages || []) {
+    for (const alternate of page.pageData?.hreflang || []) {
+      if (alternate?.lang && alternate?.href) {
+        links.push({
+          sourceUrl: page.url,
+          lang: alternate.lang,
+          targetUrl: alternate.href,
+          source: alternate.source || "html",
+        });
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Load a job's hreflang annotations
+ * @returns {Array} [{ sourceUrl, lang, targetUrl, source }]
+ */
+async function loadHreflangLinks(jobId) {
+  const result = await pool.query(
+    "SELECT source_url, lang, target_url, source FROM hreflang_links WHERE job_id = $1 ORDER BY id",
+    [jobId]
+  );
+  return result.rows.map((row) => ({
+    sourceUrl: row.source_url,
+    lang: row.lang,
+    targetUrl: row.target_url,
+    source: row.source,
+  }));
+}
+
+/**
+ * hreflang report for a job: annotations plus the problems found in them
+ * Issue lists are unfiltered by the job's rule settings (the issues tab applies those)
+ * @returns {Object} { summary, issues, links }
+ */
+async function getHreflangReport(jobId) {
+  const pagesResult = await pool.query(
+    `SELECT url, title, status_code,
+            jsonb_build_object('meta', page_data->'meta', 'hreflang', page_data->'hreflang') AS page_data
+     FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999)`,
+    [jobId]
+  );
+  const pages = pagesResult.rows.map((row) => ({
+    url: row.url,
+    title: row.title,
+    statusCode: row.status_code,
+    pageData: row.page_data,
+  }));
+
+  let links = await loadHreflangLinks(jobId);
+  if (links.length === 0) {
+    links = getPageHreflangLinks(pages);
+  }
+  const issues = detectHreflangIssues(pages, links);
+
+  const bySource = Object.fromEntries(SOURCES.map((source) => [source, 0]));
+  for (const link of links) {
+    bySource[link.source] = (bySource[link.source] || 0) + 1;
+  }
+
+  return {
+    summary: {
+      annotations: links.length,
+      pages_with_hreflang: new Set(links.map((link) => getUrlKey(link.sourceUrl))).size,
+      languages: [...new Set(links.map((link) => link.lang.toLowerCase()))].sort(),
+      by_source: bySource,
+      ...Object.fromEntries(
+        Object.entries(issues).map(([type, items]) => [type, items.length])
+      ),
+    },
+    issues,
+    links,
+  };
+}
+
+/**
+ * Excel rows: one row per hreflang annotation, with the problems found for it
+ */
+function buildHreflangRows(links, hreflangIssues) {
+  const problems = new Map();
+  const addProblem = (item, message) => {
+    const key = `${getUrlKey(item.url)} ${item.hreflang.toLowerCase()} ${getUrlKey(item.href)}`;
+    problems.set(key, [...(problems.get(key) || []), message]);
+  };
+  for (const item of hreflangIssues?.invalid_code || []) {
+    addProblem(item, `Invalid code: ${item.problem}`);
+  }
+  for (const item of hreflangIssues?.missing_return || []) {
+    addProblem(item, "Missing return link");
+  }
+  for (const item of hreflangIssues?.non_200_target || []) {
+    addProblem(item, `Target returns ${item.status_code || "an error"}`);
+  }
+  for (const item of hreflangIssues?.non_canonical_target || []) {
+    addProblem(item, `Target canonicalizes to ${item.canonical}`);
+  }
+  const missingXDefault = new Set(
+    (hreflangIssues?.missing_x_default || []).map((item) => getUrlKey(item.url))
+  );
+
+  const rows = new Map();
+  for (const link of links || []) {
+    const key = `${getUrlKey(link.sourceUrl)} ${link.lang.toLowerCase()} ${getUrlKey(link.targetUrl)}`;
+    const row = rows.get(key);
+    if (row) {
+      if (!row.Sources.includes(link.source)) {
+        row.Sources += `, ${link.source}`;
+      }
+      continue;
+    }
+    rows.set(key, {
+      "Page URL": link.sourceUrl,
+      hreflang: link.lang,
+      "Target URL": link.targetUrl,
+      Sources: link.source,
+      "x-default": missingXDefault.has(getUrlKey(link.sourceUrl)) ? "Missing" : "OK",
+      Problems: (problems.get(key) || []).join("; "),
+    });
+  }
+  return [...rows.values()];
+}
+
+module.exports = {
+  SOURCES,
+  validateHreflangCode,
+  parseLinkHeader,
+  detectHreflangIssues,
+  getPageHreflangLinks,
+  loadHreflangLinks,
+  getHreflangReport,
+  buildHreflangRows,
+};
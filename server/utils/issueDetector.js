@@ -1,15 +1,41 @@
 /**
  * Detect structural issues in sitemap before AI processing
  * Machine-detected issues that inform AI recommendations
+ * Thresholds, severities and custom checks come from the rule registry (utils/issueRules.js)
  */
+const { resolveIssueRules } = require('./issueRules');
+const { detectHreflangIssues, getPageHreflangLinks } = require('./hreflang');
+const { parseSimhash, simhashSimilarity, simhashBandKeys } = require('./contentFingerprint');
+const { auditSitemap } = require('./sitemapAudit');
 
 /**
  * Detect structural issues in sitemap tree
  * @param {Object} sitemapTree - Canonical sitemap tree
  * @param {Array} pages - Original page records with full data
+ * @param {Object} linkGraph - Optional internal link graph (see utils/linkGraph.js)
+ * @param {Object} ruleSet - Resolved rules from resolveIssueRules (defaults when omitted)
+ * @param {Array} hreflangLinks - Optional hreflang_links rows (page_data.hreflang when omitted or empty)
+ * @param {Array} queryParameters - Optional query parameter inventory (see utils/queryParams.js)
+ * @param {Object} sitemapData - Optional sitemap files and entries (see utils/sitemapAudit.js)
  * @returns {Object} Structured issues object
  */
-function detectStructuralIssues(sitemapTree, pages) {
+function detectStructuralIssues(sitemapTree, pages, linkGraph = null, ruleSet = resolveIssueRules(), hreflangLinks = null, queryParameters = null, sitemapData = null) {
+  const isEnabled = (id) => ruleSet.rules.get(id)?.enabled !== false;
+  const thresholds = (id) => ruleSet.rules.get(id)?.thresholds || {};
+
+  // Paginated pages (?page=2) share titles and templates with page 1 by design
+  const paginationParams = new Set(
+    (queryParameters || []).filter(param => param.action === 'pagination').map(param => param.name)
+  );
+  const isPaginated = (page) => {
+    if (paginationParams.size === 0) return false;
+    try {
+      return [...new URL(page.url).searchParams.keys()].some(name => paginationParams.has(name));
+    } catch {
+      return false;
+    }
+  };
+
   const issues = {
     depth: {
       too_deep: [],
@@ -18,7 +44,9 @@ function detectStructuralIssues(sitemapTree, pages) {
     duplication: {
       numeric_slugs: [],
       auto_generated: [],
-      duplicate_titles: []
+      duplicate_titles: [],
+      exact_duplicates: [],
+      near_duplicates: []
     },
     crawl_waste: {
       faceted: [],
@@ -34,9 +62,81 @@ function detectStructuralIssues(sitemapTree, pages) {
       noindex_pages: [],
       missing_canonicals: [],
       thin_content: []
-    }
+    },
+    redirects: detectRedirectIssues(
+      pages,
+      (linkGraph?.edges || []).map(edge => ({ sourceUrl: edge.source, targetUrl: edge.target }))
+    ),
+    hreflang: detectHreflangIssues(pages, hreflangLinks?.length ? hreflangLinks : getPageHreflangLinks(pages)),
+    sitemap: auditSitemap(pages, sitemapData).issues,
+    custom: {},
+    // Effective settings of the enabled rules, used when flattening and formatting
+    rules: Object.fromEntries(
+      [...ruleSet.rules.values()]
+        .filter(rule => rule.enabled)
+        .map(rule => [rule.id, { severity: rule.severity, thresholds: rule.thresholds }])
+    )
   };
 
+  const duplicates = detectDuplicateContent((pages || []).filter(page => !isPaginated(page)), {
+    exact: isEnabled('duplication.exact_duplicates') ? thresholds('duplication.exact_duplicates') : null,
+    near: isEnabled('duplication.near_duplicates') ? thresholds('duplication.near_duplicates') : null
+  });
+  issues.duplication.exact_duplicates = duplicates.exact;
+  issues.duplication.near_duplicates = duplicates.near;
+
+  // Faceted navigation: parameters the job's rules don't list, spread over many URLs
+  // (listed ones were already decided on). Jobs crawled before the inventory existed
+  // fall back to the page check below
+  const hasParamInventory = Array.isArray(queryParameters) && queryParameters.length > 0;
+  if (isEnabled('crawl_waste.faceted') && hasParamInventory) {
+    const minUrls = thresholds('crawl_waste.faceted').minUrls ?? 1;
+    for (const param of queryParameters) {
+      if (param.listed || param.url_count < minUrls) continue;
+      issues.crawl_waste.faceted.push({
+        path: getPath(param.example_urls?.[0]) || `?${param.name}`,
+        parameter: param.name,
+        action: param.action,
+        urls: param.url_count,
+        values: param.value_count
+      });
+    }
+  }
+
+  for (const category of ['redirects', 'hreflang', 'sitemap']) {
+    for (const type of Object.keys(issues[category])) {
+      if (!isEnabled(`${category}.${type}`)) {
+        issues[category][type] = [];
+      }
+    }
+  }
+
+  // Custom rules run on every page, including pages outside the canonical tree
+  for (const rule of ruleSet.custom) {
+    const matches = [];
+    for (const page of pages || []) {
+      let result;
+      try {
+        result = rule.check(page);
+      } catch (error) {
+        console.warn(`⚠️ Issue rule ${rule.id} failed on ${page.url}:`, error.message);
+        continue;
+      }
+      if (result) {
+        matches.push({
+          path: getPath(page.url),
+          url: page.url,
+          ...(typeof result === 'object' ? result : {})
+        });
+      }
+    }
+    issues.custom[rule.id.replace(/^custom\./, '')] = {
+      name: rule.name,
+      severity: rule.severity,
+      items: matches
+    };
+  }
+
   if (!sitemapTree || !sitemapTree.tree) {
     return issues;
   }
@@ -53,7 +153,7 @@ function detectStructuralIssues(sitemapTree, pages) {
   for (const page of pages || []) {
     try {
       const urlObj = new URL(page.url);
-      const path = urlObj.pathname + (urlObj.hash?.startsWith('#/') ? urlObj.hash : '');
+      const path = urlObj.pathname + urlObj.search + (urlObj.hash?.startsWith('#/') ? urlObj.hash : '');
       pathToPage.set(path, page);
     } catch {
       // Skip invalid URLs
@@ -63,7 +163,7 @@ function detectStructuralIssues(sitemapTree, pages) {
   // Traverse tree to detect issues
   function traverse(node, path = '/', depth = 0) {
     // Check depth
-    if (depth > 3) {
+    if (isEnabled('depth.too_deep') && depth > thresholds('depth.too_deep').maxDepth) {
       issues.depth.too_deep.push(path);
     }
     issues.depth.max_depth = Math.max(issues.depth.max_depth, depth);
@@ -71,12 +171,12 @@ function detectStructuralIssues(sitemapTree, pages) {
     // Check for numeric slugs
     const segments = path.split('/').filter(s => s);
     const lastSegment = segments[segments.length - 1];
-    if (lastSegment && /^\d+$/.test(lastSegment)) {
+    if (isEnabled('duplication.numeric_slugs') && lastSegment && /^\d+$/.test(lastSegment)) {
       issues.duplication.numeric_slugs.push(path);
     }
 
     // Check for auto-generated patterns
-    if (lastSegment && (
+    if (isEnabled('duplication.auto_generated') && lastSegment && (
       /^[a-z]+_\d+$/i.test(lastSegment) || // plus_1, tag_2
       /^[a-z]+\d+$/i.test(lastSegment) ||  // page1, item2
       /^[a-z]+-\d+$/i.test(lastSegment)    // page-1, item-2
@@ -89,7 +189,7 @@ function detectStructuralIssues(sitemapTree, pages) {
     if (page) {
       // Check for duplicate titles
       const title = page.title || '';
-      if (title && title !== 'Untitled' && title !== 'Page') {
+      if (isEnabled('duplication.duplicate_titles') && title && title !== 'Untitled' && title !== 'Page' && !isPaginated(page)) {
         if (titleMap.has(title)) {
           issues.duplication.duplicate_titles.push({
             path: path,
@@ -104,31 +204,34 @@ function detectStructuralIssues(sitemapTree, pages) {
       // Check for faceted URLs
       try {
         const urlObj = new URL(page.url);
-        if (urlObj.search && urlObj.search.length > 0) {
+        if (isEnabled('crawl_waste.faceted') && !hasParamInventory && urlObj.search && urlObj.search.length > 0) {
           issues.crawl_waste.faceted.push(path);
         }
       } catch {
         // Skip
       }
 
-      // Check for thin content
-      const wordCount = page.pageData?.content_signals?.word_count || 0;
-      if (wordCount > 0 && wordCount < 300) {
-        issues.seo.thin_content.push({
-          path: path,
-          word_count: wordCount
-        });
-      }
+      // SEO checks need extracted page data (error pages and sitemap-only pages have none)
+      if (page.pageData) {
+        // Check for thin content
+        const wordCount = page.pageData.content_signals?.word_count || 0;
+        if (isEnabled('seo.thin_content') && wordCount > 0 && wordCount < thresholds('seo.thin_content').minWords) {
+          issues.seo.thin_content.push({
+            path: path,
+            word_count: wordCount
+          });
+        }
 
-      // Check indexability
-      const robots = page.pageData?.meta?.robots || 'index,follow';
-      if (robots.includes('noindex')) {
-        issues.seo.noindex_pages.push(path);
-      }
+        // Check indexability
+        const robots = (page.pageData.meta?.robots || 'index,follow').toLowerCase();
+        if (isEnabled('seo.noindex_pages') && robots.includes('noindex')) {
+          issues.seo.noindex_pages.push(path);
+        }
 
-      // Check for missing canonicals
-      if (!page.pageData?.meta?.canonical) {
-        issues.seo.missing_canonicals.push(path);
+        // Check for missing canonicals
+        if (isEnabled('seo.missing_canonicals') && page.pageData.meta && !page.pageData.meta.canonical) {
+          issues.seo.missing_canonicals.push(path);
+        }
       }
     }
 
@@ -143,15 +246,17 @@ function detectStructuralIssues(sitemapTree, pages) {
   // Check hierarchy issues
   const rootChildren = Object.keys(tree.children || {});
   issues.hierarchy.root_sections_count = rootChildren.length;
-  issues.hierarchy.overloaded_root = rootChildren.length > 10;
+  issues.hierarchy.overloaded_root = isEnabled('hierarchy.overloaded_root') &&
+    rootChildren.length > thresholds('hierarchy.overloaded_root').maxRootSections;
 
   // Find flat sections (sections with many direct children but no sub-structure)
-  for (const [sectionPath, sectionNode] of Object.entries(tree.children || {})) {
+  const flatThresholds = thresholds('hierarchy.flat_sections');
+  for (const [sectionPath, sectionNode] of Object.entries(isEnabled('hierarchy.flat_sections') ? tree.children || {} : {})) {
     const directChildren = Object.keys(sectionNode.children || {}).length;
     const totalCount = sectionNode._count || 0;
     
     // If section has many pages but shallow structure, it's flat
-    if (totalCount > 20 && directChildren > 15) {
+    if (totalCount > flatThresholds.minPages && directChildren > flatThresholds.minChildren) {
       // Check average depth
       let maxChildDepth = 0;
       function getMaxDepth(n, d = 0) {
@@ -168,35 +273,306 @@ function detectStructuralIssues(sitemapTree, pages) {
     }
   }
 
-  // Find orphaned pages (pages with no internal inlinks)
-  // This requires link analysis - simplified version
-  const pagesWithInlinks = new Set();
-  for (const page of pages || []) {
-    const outlinks = page.pageData?.links || [];
-    for (const link of outlinks) {
-      try {
-        const linkUrl = new URL(link);
-        const linkPath = linkUrl.pathname + (linkUrl.hash?.startsWith('#/') ? linkUrl.hash : '');
-        pagesWithInlinks.add(linkPath);
-      } catch {
-        // Skip invalid links
+  // Find orphaned pages: listed in sitemap.xml but never linked from a crawled page
+  if (isEnabled('crawl_waste.orphaned') && linkGraph?.summary.has_link_data) {
+    for (const node of linkGraph.nodes) {
+      if (node.orphan) {
+        issues.crawl_waste.orphaned.push(getPath(node.url));
       }
     }
   }
 
-  for (const page of pages || []) {
+  return issues;
+}
+
+const TEMPORARY_REDIRECT_STATUSES = [302, 303, 307];
+
+/**
+ * Pick the URL a duplicate cluster should consolidate to
+ * Prefers the canonical most members already declare, then the shallowest, cleanest URL
+ */
+function suggestCanonical(cluster) {
+  const members = new Set(cluster.map(page => page.url));
+  const declared = new Map();
+  for (const page of cluster) {
+    const canonical = page.pageData?.meta?.canonical;
+    if (canonical && members.has(canonical)) {
+      declared.set(canonical, (declared.get(canonical) || 0) + 1);
+    }
+  }
+  if (declared.size > 0) {
+    return [...declared.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  const score = (page) => {
     try {
       const urlObj = new URL(page.url);
-      const path = urlObj.pathname + (urlObj.hash?.startsWith('#/') ? urlObj.hash : '');
-      if (path !== '/' && !pagesWithInlinks.has(path)) {
-        issues.crawl_waste.orphaned.push(path);
-      }
+      return [urlObj.search ? 1 : 0, page.depth ?? 99, urlObj.pathname.length];
     } catch {
-      // Skip
+      return [1, 99, page.url.length];
+    }
+  };
+  return [...cluster].sort((a, b) => {
+    const [scoreA, scoreB] = [score(a), score(b)];
+    return scoreA[0] - scoreB[0] || scoreA[1] - scoreB[1] || scoreA[2] - scoreB[2];
+  })[0].url;
+}
+
+/**
+ * Group pages by content fingerprint (page_data.content_fingerprint, see utils/contentFingerprint.js)
+ * - exact: pages with the same normalized main-content hash
+ * - near: SimHash similarity >= minSimilarity, clusters that aren't just one exact group
+ * Each cluster is keyed by its suggested canonical
+ * @param {Array} pages - Page records with pageData
+ * @param {Object} settings - { exact: { minWords }, near: { minSimilarity, minWords } }, null disables a check
+ * @returns {Object} { exact, near }
+ */
+function detectDuplicateContent(pages, settings = {}) {
+  const fingerprinted = (pages || []).filter(page =>
+    page.pageData?.content_fingerprint && (!page.statusCode || page.statusCode < 400)
+  );
+
+  const toCluster = (cluster, extra) => {
+    const canonical = suggestCanonical(cluster);
+    return {
+      path: getPath(canonical),
+      suggested_canonical: canonical,
+      // Query strings are kept, they are often what tells duplicates apart
+      duplicates: cluster.filter(page => page.url !== canonical).map(page => {
+        try {
+          const urlObj = new URL(page.url);
+          return urlObj.pathname + urlObj.search + (urlObj.hash?.startsWith('#/') ? urlObj.hash : '');
+        } catch {
+          return page.url;
+        }
+      }),
+      cluster_size: cluster.length,
+      words: cluster[0].pageData.content_fingerprint.words,
+      ...extra
+    };
+  };
+
+  const exact = [];
+  if (settings.exact) {
+    const byHash = new Map();
+    for (const page of fingerprinted) {
+      const { hash, words } = page.pageData.content_fingerprint;
+      if (words < (settings.exact.minWords ?? 0)) continue;
+      if (!byHash.has(hash)) byHash.set(hash, []);
+      byHash.get(hash).push(page);
+    }
+    for (const cluster of byHash.values()) {
+      if (cluster.length > 1) {
+        exact.push(toCluster(cluster, { similarity: 1 }));
+      }
     }
   }
 
-  return issues;
+  const near = [];
+  if (settings.near) {
+    const candidates = fingerprinted.filter(page =>
+      page.pageData.content_fingerprint.words >= (settings.near.minWords ?? 0)
+    );
+    const minSimilarity = settings.near.minSimilarity ?? 0.9;
+
+    // Union-find over the pairs above the threshold, tracking the lowest similarity per cluster
+    // Only pages sharing a SimHash band can be that close, so those are the pairs compared
+    const simhashes = candidates.map(page => parseSimhash(page.pageData.content_fingerprint.simhash));
+    const maxDistance = Math.floor((1 - minSimilarity) * 64);
+    const bandKeys = simhashes.map(halves => simhashBandKeys(halves, maxDistance) || ['all']);
+    const buckets = new Map();
+    bandKeys.forEach((keys, index) => {
+      for (const key of keys) {
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    });
+
+    const parent = candidates.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const lowest = new Map();
+    for (const [key, bucket] of buckets) {
+      const band = Number(key.split(':')[0]) || 0;
+      for (let a = 0; a < bucket.length; a++) {
+        const i = bucket[a];
+        for (let b = a + 1; b < bucket.length; b++) {
+          const j = bucket[b];
+          // Pages sharing several bands meet in several buckets: compare them in the first one
+          if (bandKeys[i].findIndex((other, index) => other === bandKeys[j][index]) < band) continue;
+          const similarity = simhashSimilarity(simhashes[i], simhashes[j]);
+          if (similarity < minSimilarity) continue;
+          const [rootA, rootB] = [find(i), find(j)];
+          const clusterLowest = Math.min(similarity, lowest.get(rootA) ?? 1, lowest.get(rootB) ?? 1);
+          parent[rootB] = rootA;
+          lowest.set(rootA, clusterLowest);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    candidates.forEach((page, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(page);
+    });
+    for (const [root, cluster] of clusters) {
+      const hashes = new Set(cluster.map(page => page.pageData.content_fingerprint.hash));
+      if (cluster.length > 1 && hashes.size > 1) {
+        near.push(toCluster(cluster, { similarity: Math.round((lowest.get(root) ?? 1) * 1000) / 1000 }));
+      }
+    }
+  }
+
+  const bySize = (a, b) => b.cluster_size - a.cluster_size;
+  return { exact: exact.sort(bySize), near: near.sort(bySize) };
+}
+
+/**
+ * Path used to key pages in reports (kept query parameters and hash routes are pages of their own)
+ */
+function getPath(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search + (urlObj.hash?.startsWith('#/') ? urlObj.hash : '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Detect redirect problems from the redirect chains stored per page
+ * @param {Array} pages - Page records with url, title, statusCode, parentUrl and redirectChain
+ * @param {Array} links - Optional internal links [{ sourceUrl, targetUrl }] (page_links);
+ *   without link data the page that queued a redirecting URL (parentUrl) is its only source
+ * @returns {Object} { chains, loops, temporary, linked }
+ */
+function detectRedirectIssues(pages, links = null) {
+  const redirects = {
+    chains: [],    // More than one hop before the final URL
+    loops: [],     // Chain revisits a URL, or the browser gave up (ERR_TOO_MANY_REDIRECTS)
+    temporary: [], // 302/303/307 hops to content that loads fine (should be 301/308)
+    linked: []     // Internal links pointing at a redirecting URL, one per linking page
+  };
+
+  const linkKey = (url) => url.split('#')[0].replace(/\/+$/, '');
+  const sourcesByTarget = new Map();
+  for (const link of links || []) {
+    const key = linkKey(link.targetUrl);
+    if (!sourcesByTarget.has(key)) sourcesByTarget.set(key, new Set());
+    sourcesByTarget.get(key).add(link.sourceUrl);
+  }
+  const hasLinkData = (links || []).length > 0;
+
+  for (const page of pages || []) {
+    const chain = page.redirectChain || [];
+
+    if (chain.length === 0) {
+      if ((page.title || '').includes('ERR_TOO_MANY_REDIRECTS')) {
+        redirects.loops.push({ path: getPath(page.url), url: page.url, hops: 0, chain: [page.url] });
+      }
+      continue;
+    }
+
+    const fromUrl = chain[0].url;
+    const finalUrl = chain[chain.length - 1].to;
+    const chainUrls = [...chain.map(hop => hop.url), finalUrl];
+    const entry = {
+      path: getPath(fromUrl),
+      url: fromUrl,
+      final_url: finalUrl,
+      hops: chain.length,
+      chain: chainUrls,
+      statuses: chain.map(hop => hop.status || hop.type)
+    };
+
+    const withoutHash = chainUrls.map(u => u.split('#')[0]);
+    const isLoop = new Set(withoutHash).size < withoutHash.length;
+    if (isLoop) {
+      redirects.loops.push(entry);
+    } else if (chain.length > 1) {
+      redirects.chains.push(entry);
+    }
+
+    // Only a chain ending in a page that loads should be made permanent; temporary
+    // redirects into errors are an error problem, not a redirect type problem
+    const endsInPage =
+      !isLoop && (page.statusCode ?? 200) < 300 && !(page.title || '').startsWith('ERROR:');
+    const temporaryHops = chain.filter(hop => TEMPORARY_REDIRECT_STATUSES.includes(hop.status));
+    if (endsInPage && temporaryHops.length > 0) {
+      redirects.temporary.push({
+        ...entry,
+        temporary_statuses: temporaryHops.map(hop => hop.status),
+        final_status: page.statusCode ?? null
+      });
+    }
+
+    const sources = hasLinkData
+      ? new Set([...(sourcesByTarget.get(linkKey(fromUrl)) || []), ...(sourcesByTarget.get(linkKey(page.url)) || [])])
+      : new Set(page.parentUrl ? [page.parentUrl] : []);
+    for (const sourceUrl of sources) {
+      redirects.linked.push({
+        path: getPath(sourceUrl),
+        url: sourceUrl,
+        href: fromUrl,
+        final_url: finalUrl,
+        hops: chain.length
+      });
+    }
+  }
+
+  return redirects;
+}
+
+/**
+ * Flatten the issues object into one record per affected path
+ * Severities come from the rules recorded by detectStructuralIssues
+ * @param {Object} issues - Raw issues object from detectStructuralIssues
+ * @returns {Array} [{ category, type, severity, path, details }]
+ */
+function flattenStructuralIssues(issues) {
+  const records = [];
+
+  for (const [id, rule] of Object.entries(issues?.rules || {})) {
+    const [category, type] = id.split('.');
+    const { severity } = rule;
+    const value = issues[category]?.[type];
+
+    if (type === 'overloaded_root') {
+      if (value) {
+        records.push({
+          category,
+          type,
+          severity,
+          path: '/',
+          details: { root_sections_count: issues.hierarchy.root_sections_count }
+        });
+      }
+      continue;
+    }
+
+    for (const item of Array.isArray(value) ? value : []) {
+      if (typeof item === 'string') {
+        records.push({ category, type, severity, path: item, details: null });
+      } else {
+        const { path, ...details } = item;
+        records.push({ category, type, severity, path: path || null, details });
+      }
+    }
+  }
+
+  for (const [type, rule] of Object.entries(issues?.custom || {})) {
+    for (const { path, ...details } of rule.items) {
+      records.push({
+        category: 'custom',
+        type,
+        severity: rule.severity,
+        path,
+        details: { rule: rule.name, ...details }
+      });
+    }
+  }
+
+  return records;
 }
 
 /**
@@ -210,12 +586,13 @@ function formatIssuesForAI(issues) {
     warnings: [],
     info: []
   };
+  const threshold = (id, key, fallback) => issues.rules?.[id]?.thresholds?.[key] ?? fallback;
 
   // Critical issues
   if (issues.depth.too_deep.length > 0) {
     summary.critical.push({
       type: 'depth',
-      message: `${issues.depth.too_deep.length} paths exceed depth 3`,
+      message: `${issues.depth.too_deep.length} paths exceed depth ${threshold('depth.too_deep', 'maxDepth', 3)}`,
       paths: issues.depth.too_deep.slice(0, 10) // Limit for token efficiency
     });
   }
@@ -231,7 +608,7 @@ function formatIssuesForAI(issues) {
   if (issues.hierarchy.overloaded_root) {
     summary.critical.push({
       type: 'hierarchy',
-      message: `Root has ${issues.hierarchy.root_sections_count} sections (should be < 10)`
+      message: `Root has ${issues.hierarchy.root_sections_count} sections (should be <= ${threshold('hierarchy.overloaded_root', 'maxRootSections', 10)})`
     });
   }
 
@@ -244,6 +621,27 @@ function formatIssuesForAI(issues) {
     });
   }
 
+  const contentClusters = (clusters) => clusters.slice(0, 10).map(cluster => ({
+    canonical: cluster.path,
+    duplicates: cluster.duplicates.slice(0, 10),
+    similarity: cluster.similarity
+  }));
+  if (issues.duplication.exact_duplicates?.length > 0) {
+    summary.warnings.push({
+      type: 'duplication',
+      message: `${issues.duplication.exact_duplicates.length} groups of pages with identical main content`,
+      clusters: contentClusters(issues.duplication.exact_duplicates)
+    });
+  }
+
+  if (issues.duplication.near_duplicates?.length > 0) {
+    summary.warnings.push({
+      type: 'duplication',
+      message: `${issues.duplication.near_duplicates.length} clusters of near-duplicate pages (>= ${threshold('duplication.near_duplicates', 'minSimilarity', 0.9) * 100}% similar)`,
+      clusters: contentClusters(issues.duplication.near_duplicates)
+    });
+  }
+
   if (issues.hierarchy.flat_sections.length > 0) {
     summary.warnings.push({
       type: 'hierarchy',
@@ -255,30 +653,148 @@ function formatIssuesForAI(issues) {
   if (issues.crawl_waste.faceted.length > 0) {
     summary.warnings.push({
       type: 'crawl_waste',
-      message: `${issues.crawl_waste.faceted.length} faceted URLs detected`
+      message: issues.crawl_waste.faceted.some(item => item.parameter)
+        ? `${issues.crawl_waste.faceted.length} faceted URL parameters detected`
+        : `${issues.crawl_waste.faceted.length} faceted URLs detected`,
+      parameters: issues.crawl_waste.faceted
+        .filter(item => item.parameter)
+        .slice(0, 10)
+        .map(item => `${item.parameter} (${item.urls} URLs, ${item.values} values)`)
+    });
+  }
+
+  const redirects = issues.redirects;
+  if (redirects?.loops.length > 0) {
+    summary.critical.push({
+      type: 'redirects',
+      message: `${redirects.loops.length} redirect loops`,
+      paths: redirects.loops.slice(0, 10).map(r => r.path)
+    });
+  }
+
+  if (redirects?.chains.length > 0) {
+    summary.warnings.push({
+      type: 'redirects',
+      message: `${redirects.chains.length} redirect chains with more than one hop`,
+      paths: redirects.chains.slice(0, 10).map(r => r.path)
+    });
+  }
+
+  if (redirects?.temporary.length > 0) {
+    summary.warnings.push({
+      type: 'redirects',
+      message: `${redirects.temporary.length} temporary (302/307) redirects to permanent content`
     });
   }
 
   // Info
+  if (redirects?.linked.length > 0) {
+    summary.info.push({
+      type: 'redirects',
+      message: `${redirects.linked.length} internal links point at redirecting URLs`
+    });
+  }
+
+  const hreflang = issues.hreflang;
+  const hreflangProblems = hreflang
+    ? hreflang.invalid_code.length + hreflang.missing_return.length +
+      hreflang.non_200_target.length + hreflang.non_canonical_target.length
+    : 0;
+  if (hreflangProblems > 0) {
+    summary.warnings.push({
+      type: 'hreflang',
+      message: `${hreflangProblems} hreflang problems (${hreflang.invalid_code.length} invalid codes, ${hreflang.missing_return.length} missing return links, ${hreflang.non_200_target.length} non-200 targets, ${hreflang.non_canonical_target.length} non-canonical targets)`,
+      paths: [...new Set([
+        ...hreflang.invalid_code,
+        ...hreflang.missing_return,
+        ...hreflang.non_200_target,
+        ...hreflang.non_canonical_target
+      ].map(item => item.path))].slice(0, 10)
+    });
+  }
+
+  if (hreflang?.missing_x_default.length > 0) {
+    summary.info.push({
+      type: 'hreflang',
+      message: `${hreflang.missing_x_default.length} pages with hreflang but no x-default`
+    });
+  }
+
+  const sitemap = issues.sitemap;
+  if (sitemap?.oversized.length > 0) {
+    summary.critical.push({
+      type: 'sitemap',
+      message: `${sitemap.oversized.length} sitemap files over the 50,000 URL / 50 MB limit`,
+      paths: sitemap.oversized.slice(0, 10).map(item => item.path)
+    });
+  }
+
+  const sitemapProblems = sitemap
+    ? sitemap.non_200.length + sitemap.redirected.length + sitemap.noindex.length +
+      sitemap.canonicalized.length + sitemap.invalid_lastmod.length
+    : 0;
+  if (sitemapProblems > 0) {
+    summary.warnings.push({
+      type: 'sitemap',
+      message: `${sitemapProblems} sitemap problems (${sitemap.non_200.length} non-200 URLs, ${sitemap.redirected.length} redirected, ${sitemap.noindex.length} noindex, ${sitemap.canonicalized.length} canonicalized elsewhere, ${sitemap.invalid_lastmod.length} invalid lastmod)`,
+      paths: [...new Set([
+        ...sitemap.non_200,
+        ...sitemap.redirected,
+        ...sitemap.noindex,
+        ...sitemap.canonicalized
+      ].map(item => item.path))].slice(0, 10)
+    });
+  }
+
+  if (sitemap?.missing.length > 0) {
+    summary.info.push({
+      type: 'sitemap',
+      message: `${sitemap.missing.length} indexable pages missing from sitemap.xml`,
+      paths: sitemap.missing.slice(0, 10).map(item => item.path)
+    });
+  }
+
+  if (sitemap?.future_lastmod.length > 0) {
+    summary.info.push({
+      type: 'sitemap',
+      message: `${sitemap.future_lastmod.length} sitemap URLs with a lastmod in the future`
+    });
+  }
+
   if (issues.seo.thin_content.length > 0) {
     summary.info.push({
       type: 'seo',
-      message: `${issues.seo.thin_content.length} pages with thin content (< 300 words)`
+      message: `${issues.seo.thin_content.length} pages with thin content (< ${threshold('seo.thin_content', 'minWords', 300)} words)`
     });
   }
 
   if (issues.crawl_waste.orphaned.length > 0) {
     summary.info.push({
       type: 'crawl_waste',
-      message: `${issues.crawl_waste.orphaned.length} orphaned pages (no internal links)`
+      message: `${issues.crawl_waste.orphaned.length} orphaned pages (in sitemap.xml, no internal links)`
     });
   }
 
+  // Custom rules go to the bucket matching their severity
+  const buckets = { critical: summary.critical, warning: summary.warnings, info: summary.info };
+  for (const rule of Object.values(issues.custom || {})) {
+    if (rule.items.length > 0) {
+      buckets[rule.severity].push({
+        type: 'custom',
+        message: `${rule.items.length} pages: ${rule.name}`,
+        paths: rule.items.slice(0, 10).map(item => item.path)
+      });
+    }
+  }
+
   return summary;
 }
 
 module.exports = {
   detectStructuralIssues,
+  detectRedirectIssues,
+  detectDuplicateContent,
+  flattenStructuralIssues,
   formatIssuesForAI
 };
 
@@ -0,0 +1,398 @@
+const { queryWithRetry } = require("../db/init");
+const { getDomainKey } = require("./crawlDiff");
+const { compileUserRegex } = require("./userRegex");
+
+/**
+ * Issue rule registry for detectStructuralIssues
+ * Every check is a rule with an id ("category.type"), severity, thresholds and an
+ * enabled switch. Defaults are overridden by the project (domain) config, then by the job config.
+ *
+ * Config shape (project and job):
+ *  {
+ *    rules: { "seo.thin_content": { enabled, severity, thresholds: { minWords: 500 } } },
+ *    custom: [
+ *      { id: "uppercase-urls", name: "URLs containing uppercase letters", severity: "warning",
+ *        field: "path", pattern: "[A-Z]" },
+ *      { id: "long-title", name: "Title longer than 60 chars", severity: "info",
+ *        field: "title", operator: "length_gt", value: 60 }
+ *    ]
+ *  }
+ * Code can add predicate rules with registerRule() without touching issueDetector.js.
+ */
+
+const SEVERITIES = ["critical", "warning", "info"];
+
+const BUILT_IN_RULES = [
+  { id: "depth.too_deep", severity: "critical", name: "Pages nested too deep", thresholds: { maxDepth: 3 } },
+  { id: "duplication.numeric_slugs", severity: "critical", name: "Numeric URL slugs" },
+  { id: "duplication.auto_generated", severity: "warning", name: "Auto-generated URL slugs" },
+  { id: "duplication.duplicate_titles", severity: "warning", name: "Duplicate page titles" },
+  { id: "duplication.exact_duplicates", severity: "warning", name: "Pages with identical main content", thresholds: { minWords: 20 } },
+  { id: "duplication.near_duplicates", severity: "warning", name: "Near-duplicate pages", thresholds: { minSimilarity: 0.9, minWords: 50 } },
+  { id: "crawl_waste.faceted", severity: "warning", name: "Faceted URL parameters (query strings)", thresholds: { minUrls: 3 } },
+  { id: "crawl_waste.low_value", severity: "info", name: "Low value pages" },
+  { id: "crawl_waste.orphaned", severity: "info", name: "Orphaned pages (in sitemap.xml, never linked)" },
+  { id: "hierarchy.overloaded_root", severity: "critical", name: "Too many root sections", thresholds: { maxRootSections: 10 } },
+  { id: "hierarchy.flat_sections", severity: "warning", name: "Flat sections", thresholds: { minPages: 20, minChildren: 15 } },
+  { id: "seo.noindex_pages", severity: "warning", name: "Noindex pages" },
+  { id: "seo.missing_canonicals", severity: "info", name: "Missing canonical tags" },
+  { id: "seo.thin_content", severity: "info", name: "Thin content", thresholds: { minWords: 300 } },
+  { id: "redirects.loops", severity: "critical", name: "Redirect loops" },
+  { id: "redirects.chains", severity: "warning", name: "Redirect chains" },
+  { id: "redirects.temporary", severity: "warning", name: "Temporary redirects" },
+  { id: "redirects.linked", severity: "info", name: "Internal links to redirects" },
+  { id: "hreflang.invalid_code", severity: "warning", name: "Invalid hreflang language/region codes" },
+  { id: "hreflang.missing_return", severity: "warning", name: "hreflang without return link" },
+  { id: "hreflang.non_200_target", severity: "warning", name: "hreflang targets not returning 200" },
+  { id: "hreflang.non_canonical_target", severity: "warning", name: "hreflang targets that are not canonical" },
+  { id: "hreflang.missing_x_default", severity: "info", name: "hreflang sets without x-default" },
+  { id: "sitemap.non_200", severity: "warning", name: "Sitemap URLs not returning 200" },
+  { id: "sitemap.redirected", severity: "warning", name: "Redirected sitemap URLs" },
+  { id: "sitemap.noindex", severity: "warning", name: "Noindex sitemap URLs" },
+  { id: "sitemap.canonicalized", severity: "warning", name: "Sitemap URLs canonicalized elsewhere" },
+  { id: "sitemap.missing", severity: "info", name: "Indexable pages missing from the sitemap" },
+  { id: "sitemap.invalid_lastmod", severity: "warning", name: "Invalid sitemap lastmod values" },
+  { id: "sitemap.future_lastmod", severity: "info", name: "Sitemap lastmod values in the future" },
+  { id: "sitemap.oversized", severity: "critical", name: "Sitemaps over the 50,000 URL / 50 MB limit" },
+];
+
+/**
+ * Page fields custom rules can test
+ */
+const PAGE_FIELDS = {
+  url: (page) => page.url,
+  path: (page) => {
+    try {
+      const urlObj = new URL(page.url);
+      return urlObj.pathname + (urlObj.hash?.startsWith("#/") ? urlObj.hash : "");
+    } catch {
+      return page.url;
+    }
+  },
+  title: (page) => page.title,
+  meta_title: (page) => page.pageData?.meta?.title,
+  meta_description: (page) => page.pageData?.meta?.description,
+  canonical: (page) => page.pageData?.meta?.canonical,
+  h1: (page) => page.pageData?.content_signals?.h1,
+  h1_count: (page) => page.pageData?.content_signals?.h1_count,
+  word_count: (page) => page.pageData?.content_signals?.word_count,
+  status_code: (page) => page.statusCode,
+  depth: (page) => page.depth,
+};
+
+const OPERATORS = {
+  length_gt: (value, limit) => typeof value === "string" && value.length > limit,
+  length_lt: (value, limit) => typeof value === "string" && value.length < limit,
+  gt: (value, limit) => typeof value === "number" && value > limit,
+  lt: (value, limit) => typeof value === "number" && value < limit,
+  equals: (value, expected) => value === expected,
+  missing: (value) => value === null || value === undefined || value === "",
+  exists: (value) => value !== null && value !== undefined && value !== "",
+};
+
+// Predicate rules added from code with registerRule()
+const registeredRules = new Map();
+
+const CUSTOM_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/**
+ * Register a code-defined rule
+ * @param {Object} rule - { id, name, severity, check(page) } - check returns true or a details object
+ */
+function registerRule({ id, name = id, severity = "warning", check }) {
+  if (!CUSTOM_ID_PATTERN.test(id || "")) {
+    throw new Error(`Invalid rule id "${id}" (lowercase letters, digits, - and _)`);
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Rule ${id}: severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  if (typeof check !== "function") {
+    throw new Error(`Rule ${id}: check must be a function`);
+  }
+  registeredRules.set(`custom.${id}`, { id: `custom.${id}`, name, severity, check });
+}
+
+/**
+ * Validate a custom field rule from a config
+ */
+function normalizeCustomRule(rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("custom rules must be objects");
+  }
+  const { id, name, severity = "warning", field, pattern, flags = "", operator, value } = rule;
+
+  if (!CUSTOM_ID_PATTERN.test(id || "")) {
+    throw new Error(`Invalid custom rule id "${id}" (lowercase letters, digits, - and _)`);
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Custom rule ${id}: severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  if (!PAGE_FIELDS[field]) {
+    throw new Error(
+      `Custom rule ${id}: field must be one of ${Object.keys(PAGE_FIELDS).join(", ")}`
+    );
+  }
+  if (!pattern === !operator) {
+    throw new Error(`Custom rule ${id}: set either pattern or operator`);
+  }
+
+  const normalized = {
+    id,
+    name: name ? String(name) : id,
+    severity,
+    field,
+    enabled: rule.enabled !== false,
+  };
+
+  if (pattern) {
+    try {
+      compileUserRegex(pattern, flags);
+    } catch (error) {
+      throw new Error(`Custom rule ${id}: invalid pattern (${error.message})`);
+    }
+    normalized.pattern = String(pattern);
+    normalized.flags = String(flags);
+    normalized.negate = rule.negate === true;
+  } else {
+    if (!OPERATORS[operator]) {
+      throw new Error(
+        `Custom rule ${id}: operator must be one of ${Object.keys(OPERATORS).join(", ")}`
+      );
+    }
+    normalized.operator = operator;
+    if (!["missing", "exists"].includes(operator)) {
+      if (value === undefined) {
+        throw new Error(`Custom rule ${id}: operator ${operator} needs a value`);
+      }
+      normalized.value = value;
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate and normalize an issue rule config (project or job level)
+ * @returns {Object|null} Normalized config, or null when empty
+ * @throws {Error} When a rule id, severity, threshold or pattern is invalid
+ */
+function normalizeIssueRules(config) {
+  if (!config) {
+    return null;
+  }
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("issueRules must be an object with rules and/or custom");
+  }
+
+  const normalized = { rules: {}, custom: [] };
+
+  for (const [id, override] of Object.entries(config.rules || {})) {
+    const builtIn = BUILT_IN_RULES.find((rule) => rule.id === id);
+    // custom.<id> entries switch custom rules from the project config or registerRule() on/off
+    if (!builtIn && !(id.startsWith("custom.") && CUSTOM_ID_PATTERN.test(id.slice(7)))) {
+      throw new Error(`Unknown issue rule "${id}"`);
+    }
+    if (!override || typeof override !== "object") {
+      throw new Error(`Rule ${id}: settings must be an object`);
+    }
+
+    const settings = {};
+    if (override.enabled !== undefined) {
+      settings.enabled = override.enabled !== false;
+    }
+    if (override.severity !== undefined) {
+      if (!SEVERITIES.includes(override.severity)) {
+        throw new Error(`Rule ${id}: severity must be one of ${SEVERITIES.join(", ")}`);
+      }
+      settings.severity = override.severity;
+    }
+    if (override.thresholds !== undefined) {
+      settings.thresholds = {};
+      for (const [key, value] of Object.entries(override.thresholds || {})) {
+        if (!builtIn?.thresholds || !(key in builtIn.thresholds)) {
+          throw new Error(`Rule ${id} has no threshold "${key}"`);
+        }
+        if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+          throw new Error(`Rule ${id}: threshold ${key} must be a non-negative number`);
+        }
+        settings.thresholds[key] = value;
+      }
+    }
+    normalized.rules[id] = settings;
+  }
+
+  if (config.custom !== undefined && !Array.isArray(config.custom)) {
+    throw new Error("issueRules.custom must be an array");
+  }
+  const customIds = new Set();
+  for (const rule of config.custom || []) {
+    const custom = normalizeCustomRule(rule);
+    if (customIds.has(custom.id)) {
+      throw new Error(`Duplicate custom rule id "${custom.id}"`);
+    }
+    customIds.add(custom.id);
+    normalized.custom.push(custom);
+  }
+
+  if (Object.keys(normalized.rules).length === 0 && normalized.custom.length === 0) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Build a page check function for a config-defined custom rule
+ */
+function compileCustomRule(rule) {
+  const getValue = PAGE_FIELDS[rule.field];
+
+  if (rule.pattern) {
+    let regex;
+    try {
+      regex = compileUserRegex(rule.pattern, rule.flags);
+    } catch (error) {
+      // Configs saved before patterns were guarded
+      console.warn(`⚠️ Custom rule ${rule.id} skipped: ${error.message}`);
+      return () => false;
+    }
+    return (page) => {
+      const value = getValue(page);
+      if (value === null || value === undefined) return false;
+      const matches = regex.test(String(value));
+      return (rule.negate ? !matches : matches) && { value: String(value) };
+    };
+  }
+
+  const operator = OPERATORS[rule.operator];
+  return (page) => {
+    const value = getValue(page);
+    return operator(value, rule.value) && { value: value ?? null };
+  };
+}
+
+/**
+ * Merge defaults with project and job configs (later configs win)
+ * @param {...Object} configs - Normalized configs, null entries are skipped
+ * @returns {Object} { rules: Map(id -> rule), custom: [{ id, name, severity, check }] }
+ */
+function resolveIssueRules(...configs) {
+  const rules = new Map(
+    BUILT_IN_RULES.map((rule) => {
+      const [category, type] = rule.id.split(".");
+      return [
+        rule.id,
+        { ...rule, category, type, enabled: true, thresholds: { ...(rule.thresholds || {}) } },
+      ];
+    })
+  );
+  const custom = new Map(
+    [...registeredRules.values()].map((rule) => [rule.id, { ...rule, enabled: true }])
+  );
+
+  for (const config of configs) {
+    if (!config) continue;
+
+    for (const rule of config.custom || []) {
+      custom.set(`custom.${rule.id}`, {
+        id: `custom.${rule.id}`,
+        name: rule.name,
+        severity: rule.severity,
+        enabled: rule.enabled,
+        check: compileCustomRule(rule),
+        definition: rule,
+      });
+    }
+
+    for (const [id, settings] of Object.entries(config.rules || {})) {
+      const rule = rules.get(id) || custom.get(id);
+      if (!rule) continue;
+      if (settings.enabled !== undefined) rule.enabled = settings.enabled;
+      if (settings.severity) rule.severity = settings.severity;
+      if (settings.thresholds) Object.assign(rule.thresholds, settings.thresholds);
+    }
+  }
+
+  return {
+    rules,
+    custom: [...custom.values()].filter((rule) => rule.enabled),
+    customAll: [...custom.values()],
+  };
+}
+
+/**
+ * Load the saved config for a project (all crawls of the same domain)
+ */
+async function loadProjectIssueRules(domain) {
+  const result = await queryWithRetry(
+    "SELECT config FROM project_issue_rules WHERE domain_key = $1",
+    [getDomainKey(domain)]
+  );
+  return result.rows[0]?.config || null;
+}
+
+async function saveProjectIssueRules(domain, config) {
+  if (!config) {
+    await queryWithRetry("DELETE FROM project_issue_rules WHERE domain_key = $1", [
+      getDomainKey(domain),
+    ]);
+    return;
+  }
+  await queryWithRetry(
+    `INSERT INTO project_issue_rules (domain_key, config) VALUES ($1, $2)
+     ON CONFLICT (domain_key) DO UPDATE SET config = EXCLUDED.config, updated_at = NOW()`,
+    [getDomainKey(domain), JSON.stringify(config)]
+  );
+}
+
+/**
+ * Rule set for a job: defaults, then the project config, then the job's own options.issueRules
+ */
+async function loadJobRuleSet(jobId) {
+  const jobResult = await queryWithRetry(
+    "SELECT domain, options FROM crawl_jobs WHERE id = $1",
+    [jobId]
+  );
+  const job = jobResult.rows[0];
+  if (!job) {
+    return resolveIssueRules();
+  }
+
+  const projectConfig = await loadProjectIssueRules(job.domain);
+  return resolveIssueRules(projectConfig, job.options?.issueRules || null);
+}
+
+/**
+ * API shape of a rule set: every rule with its effective settings
+ */
+function describeRuleSet(ruleSet) {
+  return {
+    rules: [...ruleSet.rules.values()].map(({ id, name, category, severity, enabled, thresholds }) => ({
+      id,
+      name,
+      category,
+      severity,
+      enabled,
+      thresholds,
+    })),
+    custom: ruleSet.customAll.map(({ id, name, severity, enabled, definition }) => ({
+      id,
+      name,
+      severity,
+      enabled,
+      ...(definition ? { definition } : { source: "code" }),
+    })),
+  };
+}
+
+module.exports = {
+  SEVERITIES,
+  PAGE_FIELDS,
+  OPERATORS,
+  registerRule,
+  normalizeIssueRules,
+  resolveIssueRules,
+  loadProjectIssueRules,
+  saveProjectIssueRules,
+  loadJobRuleSet,
+  describeRuleSet,
+};
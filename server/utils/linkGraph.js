@@ -0,0 +1,249 @@
+const { pool } = require("../db/init");
+
+/**
+ * Internal link graph of a crawl, built from page_links
+ * Per page: in-degree, out-degree, internal PageRank, click depth and orphan flag
+ */
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_MAX_ITERATIONS = 50;
+const PAGERANK_TOLERANCE = 1e-6;
+
+/**
+ * Key used to match page URLs and link targets (trailing slash ignored)
+ */
+function getNodeKey(url) {
+  return url.replace(/\/+$/, "");
+}
+
+function isNofollow(rel) {
+  return /\bnofollow\b/i.test(rel || "");
+}
+
+/**
+ * Iterative PageRank over unique page-to-page edges
+ * Rank of pages without outlinks is spread over all pages
+ */
+function computePageRank(nodeKeys, outEdges) {
+  const count = nodeKeys.length;
+  if (count === 0) {
+    return new Map();
+  }
+
+  let ranks = new Map(nodeKeys.map((key) => [key, 1 / count]));
+
+  for (let i = 0; i < PAGERANK_MAX_ITERATIONS; i++) {
+    let danglingRank = 0;
+    for (const key of nodeKeys) {
+      if ((outEdges.get(key)?.size || 0) === 0) {
+        danglingRank += ranks.get(key);
+      }
+    }
+
+    const base =
+      (1 - PAGERANK_DAMPING) / count + (PAGERANK_DAMPING * danglingRank) / count;
+    const next = new Map(nodeKeys.map((key) => [key, base]));
+
+    for (const key of nodeKeys) {
+      const targets = outEdges.get(key);
+      if (!targets || targets.size === 0) continue;
+      const share = (PAGERANK_DAMPING * ranks.get(key)) / targets.size;
+      for (const target of targets) {
+        next.set(target, next.get(target) + share);
+      }
+    }
+
+    let delta = 0;
+    for (const key of nodeKeys) {
+      delta += Math.abs(next.get(key) - ranks.get(key));
+    }
+    ranks = next;
+    if (delta < PAGERANK_TOLERANCE) break;
+  }
+
+  return ranks;
+}
+
+/**
+ * Build the link graph from page rows and internal link rows
+ * @param {Array} pages - [{ url, depth, fromSitemap, title, statusCode }]
+ * @param {Array} links - [{ sourceUrl, targetUrl, rel }] internal links only
+ * @returns {Object} { summary, nodes, edges }
+ */
+function buildLinkGraph(pages, links) {
+  const nodes = new Map();
+  for (const page of pages) {
+    const key = getNodeKey(page.url);
+    if (nodes.has(key)) continue;
+    nodes.set(key, {
+      url: page.url,
+      title: page.title || null,
+      status_code: page.statusCode ?? null,
+      crawl_depth: page.depth,
+      from_sitemap: page.fromSitemap === true,
+      inlinks: 0,
+      unique_inlinks: 0,
+      outlinks: 0,
+      unique_outlinks: 0,
+      click_depth: null,
+      pagerank: 0,
+      importance: 0,
+      orphan: false,
+    });
+  }
+
+  // Unique edges between crawled pages; nofollow links don't pass PageRank
+  const edges = new Map();
+  const outEdges = new Map();
+  const inSources = new Map();
+  const outTargets = new Map();
+
+  for (const link of links) {
+    const source = getNodeKey(link.sourceUrl);
+    const target = getNodeKey(link.targetUrl);
+    const sourceNode = nodes.get(source);
+    const targetNode = nodes.get(target);
+    if (!sourceNode || source === target) continue;
+
+    sourceNode.outlinks++;
+    if (!outTargets.has(source)) outTargets.set(source, new Set());
+    outTargets.get(source).add(target);
+
+    if (!targetNode) continue;
+    targetNode.inlinks++;
+    if (!inSources.has(target)) inSources.set(target, new Set());
+    inSources.get(target).add(source);
+
+    const edgeKey = `${source} ${target}`;
+    const edge = edges.get(edgeKey) || {
+      source: sourceNode.url,
+      target: targetNode.url,
+      count: 0,
+      nofollow: true,
+    };
+    edge.count++;
+    edge.nofollow = edge.nofollow && isNofollow(link.rel);
+    edges.set(edgeKey, edge);
+
+    if (!isNofollow(link.rel)) {
+      if (!outEdges.has(source)) outEdges.set(source, new Set());
+      outEdges.get(source).add(target);
+    }
+  }
+
+  for (const [key, node] of nodes) {
+    node.unique_inlinks = inSources.get(key)?.size || 0;
+    node.unique_outlinks = outTargets.get(key)?.size || 0;
+  }
+
+  // Click depth: shortest link path from the start page(s)
+  const startKeys = [...nodes.entries()]
+    .filter(([, node]) => node.crawl_depth === 0)
+    .map(([key]) => key);
+  const queue = [...startKeys];
+  for (const key of startKeys) {
+    nodes.get(key).click_depth = 0;
+  }
+  for (let i = 0; i < queue.length; i++) {
+    const key = queue[i];
+    const depth = nodes.get(key).click_depth;
+    for (const target of outTargets.get(key) || []) {
+      const targetNode = nodes.get(target);
+      if (targetNode && targetNode.click_depth === null) {
+        targetNode.click_depth = depth + 1;
+        queue.push(target);
+      }
+    }
+  }
+
+  const nodeKeys = [...nodes.keys()];
+  const ranks = computePageRank(nodeKeys, outEdges);
+  const maxRank = [...ranks.values()].reduce((max, r) => Math.max(max, r), 0);
+  for (const [key, node] of nodes) {
+    node.pagerank = Number((ranks.get(key) || 0).toFixed(6));
+    node.importance =
+      maxRank > 0 ? Math.round((100 * (ranks.get(key) || 0)) / maxRank) : 0;
+    // Orphan: only known from sitemap.xml, no crawled page links to it
+    node.orphan =
+      node.from_sitemap && node.crawl_depth !== 0 && node.unique_inlinks === 0;
+  }
+
+  const nodeList = [...nodes.values()].sort((a, b) => b.pagerank - a.pagerank);
+  const reachable = nodeList.filter((n) => n.click_depth !== null);
+
+  return {
+    summary: {
+      pages: nodeList.length,
+      internal_links: links.length,
+      unique_edges: edges.size,
+      orphans: nodeList.filter((n) => n.orphan).length,
+      unreachable: nodeList.length - reachable.length,
+      max_click_depth: reachable.reduce(
+        (max, n) => Math.max(max, n.click_depth),
+        0
+      ),
+      has_link_data: links.length > 0,
+    },
+    nodes: nodeList,
+    edges: [...edges.values()],
+  };
+}
+
+/**
+ * Load a job's internal link graph from the database
+ * @param {string} jobId
+ * @param {Array} pages - Optional page rows already loaded by the caller
+ */
+async function loadLinkGraph(jobId, pages = null) {
+  if (!pages) {
+    const pagesResult = await pool.query(
+      "SELECT url, title, status_code, depth, from_sitemap FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999)",
+      [jobId]
+    );
+    pages = pagesResult.rows.map((row) => ({
+      url: row.url,
+      title: row.title,
+      statusCode: row.status_code,
+      depth: row.depth,
+      fromSitemap: row.from_sitemap,
+    }));
+  }
+
+  const linksResult = await pool.query(
+    "SELECT source_url, target_url, rel FROM page_links WHERE job_id = $1 AND is_internal",
+    [jobId]
+  );
+  const links = linksResult.rows.map((row) => ({
+    sourceUrl: row.source_url,
+    targetUrl: row.target_url,
+    rel: row.rel,
+  }));
+
+  return buildLinkGraph(pages, links);
+}
+
+/**
+ * Internal links pointing at some URLs (trailing slash ignored)
+ * @returns {Array} [{ sourceUrl, targetUrl }], one per linking page and target
+ */
+async function loadLinksTo(jobId, urls) {
+  const keys = [...new Set(urls.map((url) => getNodeKey(url.split("#")[0])))];
+  if (keys.length === 0) {
+    return [];
+  }
+  const result = await pool.query(
+    `SELECT DISTINCT source_url, target_url FROM page_links
+     WHERE job_id = $1 AND is_internal AND rtrim(target_url, '/') = ANY($2::text[])`,
+    [jobId, keys]
+  );
+  return result.rows.map((row) => ({
+    sourceUrl: row.source_url,
+    targetUrl: row.target_url,
+  }));
+}
+
+module.exports = {
+  buildLinkGraph,
+  loadLinkGraph,
+  loadLinksTo,
+};
@@ -0,0 +1,131 @@
+const { pool } = require("../db/init");
+
+/**
+ * Page explorer: crawled pages of a job with filters and their custom extractor fields
+ * Filters:
+ *  - q: text in the URL or title
+ *  - status: exact code, a class ("2xx", "4xx") or "error" (pages that failed to load)
+ *  - depth: crawl depth
+ *  - fields: { name: value } on extracted fields, value is contained (case-insensitive),
+ *    "*" = has a value, "!" = no value
+ */
+
+const MAX_LIMIT = 500;
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+/**
+ * Validate explorer filters from a request query
+ * ?q=&status=4xx&depth=2&field[Price]=9.99&limit=&offset=
+ * @returns {Object} { q, status, depth, fields, limit, offset }
+ * @throws {Error} When a filter value is invalid
+ */
+function normalizeExplorerFilters(query = {}) {
+  const status = query.status ? String(query.status).toLowerCase() : null;
+  if (status && status !== "error" && !/^[1-5]xx$/.test(status) && !/^\d{3}$/.test(status)) {
+    throw new Error(`Invalid status filter "${query.status}" (a code, 2xx-5xx or error)`);
+  }
+
+  let depth = null;
+  if (query.depth !== undefined && query.depth !== "") {
+    depth = Number(query.depth);
+    if (!Number.isInteger(depth) || depth < 0) {
+      throw new Error("depth must be a non-negative integer");
+    }
+  }
+
+  const fields = {};
+  if (query.field !== undefined) {
+    if (typeof query.field !== "object" || Array.isArray(query.field)) {
+      throw new Error("Field filters are given as field[name]=value");
+    }
+    for (const [name, value] of Object.entries(query.field)) {
+      if (typeof value !== "string") {
+        throw new Error(`Field filter "${name}" must have a single value`);
+      }
+      if (value !== "") {
+        fields[name] = value;
+      }
+    }
+  }
+
+  return {
+    q: query.q ? String(query.q) : null,
+    status,
+    depth,
+    fields,
+    limit: Math.min(Math.max(parseInt(query.limit) || 100, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(query.offset) || 0, 0),
+  };
+}
+
+/**
+ * Load one page of explorer results
+ * @param {Object} filters - From normalizeExplorerFilters
+ * @returns {Object} { total, limit, offset, pages: [{ url, title, status_code, depth, extracted }] }
+ */
+async function getExplorerPages(jobId, { q, status, depth, fields, limit, offset }) {
+  const conditions = ["job_id = $1"];
+  const params = [jobId];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (q) {
+    const pattern = addParam(`%${escapeLike(q)}%`);
+    conditions.push(`(url ILIKE ${pattern} OR title ILIKE ${pattern})`);
+  }
+
+  if (status === "error") {
+    conditions.push("(status_code IS NULL OR status_code = 0)");
+  } else if (status && status.endsWith("xx")) {
+    const base = parseInt(status[0]) * 100;
+    conditions.push(
+      `status_code >= ${addParam(base)} AND status_code < ${addParam(base + 100)}`
+    );
+  } else if (status) {
+    conditions.push(`status_code = ${addParam(parseInt(status))}`);
+  }
+
+  if (depth !== null) {
+    conditions.push(`depth = ${addParam(depth)}`);
+  }
+
+  for (const [name, value] of Object.entries(fields)) {
+    const field = `page_data->'extracted'->${addParam(name)}::text`;
+    const hasValue = `(jsonb_typeof(${field}) = 'string' OR jsonb_array_length(CASE WHEN jsonb_typeof(${field}) = 'array' THEN ${field} ELSE '[]'::jsonb END) > 0)`;
+    if (value === "*") {
+      conditions.push(hasValue);
+    } else if (value === "!") {
+      conditions.push(`NOT ${hasValue}`);
+    } else {
+      // #>> '{}' gives the string itself, or the JSON text of an array of values
+      conditions.push(`(${field}) #>> '{}' ILIKE ${addParam(`%${escapeLike(value)}%`)}`);
+    }
+  }
+
+  const result = await pool.query(
+    `SELECT url, title, status_code, depth, page_data->'extracted' AS extracted,
+            COUNT(*) OVER()::int AS total
+     FROM pages WHERE ${conditions.join(" AND ")}
+     ORDER BY depth, COALESCE(sequence, 999999), crawled_at
+     LIMIT ${addParam(limit)} OFFSET ${addParam(offset)}`,
+    params
+  );
+
+  return {
+    total: result.rows[0]?.total || 0,
+    limit,
+    offset,
+    pages: result.rows.map(({ total, ...row }) => ({
+      ...row,
+      extracted: row.extracted || null,
+    })),
+  };
+}
+
+module.exports = {
+  normalizeExplorerFilters,
+  getExplorerPages,
+};
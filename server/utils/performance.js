@@ -0,0 +1,115 @@
+/**
+ * Lab performance reporting
+ * Metrics are collected by the crawler for browser-rendered pages when a job runs with
+ * collectPerformance (see collectPerformanceMetrics) and stored as page_data.performance.
+ * Timings are milliseconds from navigation start, CLS is unitless.
+ */
+
+const PERFORMANCE_METRICS = [
+  "ttfb",
+  "dom_content_loaded",
+  "load",
+  "lcp",
+  "cls",
+  "request_count",
+  "transfer_bytes",
+];
+
+/**
+ * Root section of a URL ("/blog/post-1" -> "/blog", homepage -> "/")
+ */
+function getSection(url) {
+  try {
+    const segment = new URL(url).pathname.split("/").filter(Boolean)[0];
+    return segment ? `/${segment}` : "/";
+  } catch {
+    return "/";
+  }
+}
+
+/**
+ * Average of every metric over the pages that reported it (null when none did)
+ */
+function averageMetrics(pages) {
+  const averages = {};
+  for (const metric of PERFORMANCE_METRICS) {
+    const values = pages
+      .map((page) => page.performance[metric])
+      .filter((value) => typeof value === "number");
+    if (values.length === 0) {
+      averages[metric] = null;
+      continue;
+    }
+    const average = values.reduce((total, value) => total + value, 0) / values.length;
+    averages[metric] =
+      metric === "cls" ? Math.round(average * 1000) / 1000 : Math.round(average);
+  }
+  return averages;
+}
+
+/**
+ * Slowest pages and per-section averages
+ * @param {Array} pages - [{ url, title, performance }]
+ * @param {String} sortBy - Metric to rank the slowest pages by (default lcp)
+ * @param {Number} limit - Number of slowest pages to return
+ */
+function buildPerformanceReport(pages, sortBy = "lcp", limit = 50) {
+  const measured = pages.filter((page) => page.performance);
+
+  const slowest = measured
+    .filter((page) => typeof page.performance[sortBy] === "number")
+    .sort((a, b) => b.performance[sortBy] - a.performance[sortBy])
+    .slice(0, limit)
+    .map((page) => ({ url: page.url, title: page.title, ...page.performance }));
+
+  const sections = new Map();
+  for (const page of measured) {
+    const section = getSection(page.url);
+    sections.set(section, [...(sections.get(section) || []), page]);
+  }
+
+  return {
+    summary: {
+      pages_measured: measured.length,
+      sort_by: sortBy,
+      ...averageMetrics(measured),
+    },
+    slowest,
+    sections: [...sections.entries()]
+      .map(([section, sectionPages]) => ({
+        section,
+        pages: sectionPages.length,
+        ...averageMetrics(sectionPages),
+      }))
+      .sort((a, b) => (b[sortBy] ?? -1) - (a[sortBy] ?? -1)),
+  };
+}
+
+/**
+ * Excel rows: one row per measured page
+ */
+function buildPerformanceRows(pages) {
+  return pages
+    .filter((page) => page.performance)
+    .map((page) => ({
+      URL: page.url,
+      Section: getSection(page.url),
+      "TTFB (ms)": page.performance.ttfb ?? "",
+      "DOMContentLoaded (ms)": page.performance.dom_content_loaded ?? "",
+      "Load (ms)": page.performance.load ?? "",
+      "LCP (ms)": page.performance.lcp ?? "",
+      CLS: page.performance.cls ?? "",
+      Requests: page.performance.request_count ?? "",
+      "Transfer (KB)":
+        typeof page.performance.transfer_bytes === "number"
+          ? Math.round(page.performance.transfer_bytes / 1024)
+          : "",
+    }));
+}
+
+module.exports = {
+  PERFORMANCE_METRICS,
+  getSection,
+  buildPerformanceReport,
+  buildPerformanceRows,
+};
@@ -0,0 +1,252 @@
+const { pool, queryWithRetry } = require("../db/init");
+
+/**
+ * Per-job query parameter rules and the parameter inventory
+ * URLs are normalized before they are queued; the rules decide which parameters survive:
+ *  - keep: parameters that select different content ("id", "lang"), kept as distinct pages
+ *  - pagination: page numbers ("page", "p"), kept and reported as paginated pages
+ *  - strip: always dropped ("utm_*", "sessionid")
+ *  - default: what happens to unlisted parameters, "strip" (the old behavior) or "keep"
+ * Names are matched case-insensitively, a trailing "*" matches a prefix ("utm_*").
+ * Every parameter seen on a discovered URL is counted in the inventory (query_parameters table).
+ */
+
+const PARAM_ACTIONS = ["keep", "pagination", "strip"];
+const MAX_TRACKED_URLS = 10000; // Distinct URLs counted per parameter
+const MAX_TRACKED_VALUES = 1000; // Distinct values counted per parameter
+const MAX_EXAMPLES = 5;
+
+/**
+ * Normalize user input (array or comma/newline separated string) to a name list
+ * @throws {Error} When a name contains characters that can't appear in a parameter name
+ */
+function toNameList(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+  const names = list.map((name) => String(name).trim()).filter((name) => name);
+  for (const name of names) {
+    if (/[\s=&?#]/.test(name) || name.slice(0, -1).includes("*")) {
+      throw new Error(`Invalid query parameter name "${name}"`);
+    }
+  }
+  return names;
+}
+
+/**
+ * Validate and normalize query parameter rules from a request body
+ * @param {Object} queryParams - { keep, strip, pagination, default }
+ * @returns {Object|null} { keep: [], strip: [], pagination: [], default } or null for the default (strip everything)
+ * @throws {Error} When a name is invalid or listed twice
+ */
+function normalizeQueryParamRules(queryParams) {
+  if (!queryParams) {
+    return null;
+  }
+
+  const rules = {
+    keep: toNameList(queryParams.keep),
+    pagination: toNameList(queryParams.pagination),
+    strip: toNameList(queryParams.strip),
+    default: queryParams.default || "strip",
+  };
+  if (!["strip", "keep"].includes(rules.default)) {
+    throw new Error(`Invalid default query parameter action "${rules.default}" (strip or keep)`);
+  }
+
+  const seen = new Map();
+  for (const action of PARAM_ACTIONS) {
+    for (const name of rules[action]) {
+      const key = name.toLowerCase();
+      if (seen.has(key)) {
+        throw new Error(`Query parameter "${name}" is listed as both ${seen.get(key)} and ${action}`);
+      }
+      seen.set(key, action);
+    }
+  }
+
+  if (seen.size === 0 && rules.default === "strip") {
+    return null;
+  }
+  return rules;
+}
+
+/**
+ * Create the matcher for a job's query parameter rules
+ * @param {Object} queryParams - Normalized rules (null = strip every parameter)
+ * @returns {Object} { getAction(name), filterQuery(searchParams) }
+ */
+function createQueryParamPolicy(queryParams) {
+  const matchers = PARAM_ACTIONS.flatMap((action) =>
+    (queryParams?.[action] || []).map((name) => {
+      const lower = name.toLowerCase();
+      return lower.endsWith("*")
+        ? { action, test: (param) => param.startsWith(lower.slice(0, -1)) }
+        : { action, test: (param) => param === lower };
+    })
+  );
+  const defaultAction = queryParams?.default || "strip";
+
+  /**
+   * Action for one parameter
+   * @returns {Object} { action, listed } - listed is false when the default applied
+   */
+  const getAction = (name) => {
+    const lower = name.toLowerCase();
+    const match = matchers.find((matcher) => matcher.test(lower));
+    return match
+      ? { action: match.action, listed: true }
+      : { action: defaultAction, listed: false };
+  };
+
+  return {
+    getAction,
+
+    /**
+     * Query string with only the kept parameters, sorted by name so equal pages normalize alike
+     * @returns {string} "" or "?a=1&b=2"
+     */
+    filterQuery(searchParams) {
+      if (matchers.length === 0 && defaultAction === "strip") {
+        return "";
+      }
+      const kept = [...searchParams].filter(
+        ([name]) => getAction(name).action !== "strip"
+      );
+      if (kept.length === 0) {
+        return "";
+      }
+      kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+      return `?${new URLSearchParams(kept).toString()}`;
+    },
+  };
+}
+
+/**
+ * Collect every query parameter seen during a crawl
+ * @param {Object} policy - createQueryParamPolicy result, used to label each parameter
+ */
+function createParamInventory(policy) {
+  const params = new Map();
+
+  return {
+    /**
+     * Count the parameters of a discovered URL (the raw URL, before normalization)
+     */
+    record(url) {
+      let urlObj;
+      try {
+        urlObj = new URL(url);
+      } catch {
+        return;
+      }
+      if (!urlObj.search) {
+        return;
+      }
+
+      const urlKey = urlObj.origin + urlObj.pathname + urlObj.search;
+      for (const [name, value] of urlObj.searchParams) {
+        let entry = params.get(name);
+        if (!entry) {
+          entry = { name, occurrences: 0, urls: new Set(), values: new Set(), examples: [] };
+          params.set(name, entry);
+        }
+        entry.occurrences++;
+        if (!entry.urls.has(urlKey) && entry.urls.size < MAX_TRACKED_URLS) {
+          entry.urls.add(urlKey);
+          if (entry.examples.length < MAX_EXAMPLES) {
+            entry.examples.push(url);
+          }
+        }
+        if (entry.values.size < MAX_TRACKED_VALUES) {
+          entry.values.add(value);
+        }
+      }
+    },
+
+    /**
+     * Inventory rows, most widespread parameters first
+     * @returns {Array} [{ name, action, listed, occurrences, url_count, value_count, sample_values, example_urls }]
+     */
+    getParameters() {
+      return [...params.values()]
+        .map((entry) => ({
+          name: entry.name,
+          ...policy.getAction(entry.name),
+          occurrences: entry.occurrences,
+          url_count: entry.urls.size,
+          value_count: entry.values.size,
+          sample_values: [...entry.values].slice(0, MAX_EXAMPLES),
+          example_urls: entry.examples,
+        }))
+        .sort((a, b) => b.url_count - a.url_count);
+    },
+  };
+}
+
+/**
+ * Store a crawl's inventory
+ * A crawl resumed from its frontier adds to the counts of the earlier run; distinct URL and
+ * value counts are then upper bounds, the sets aren't persisted
+ * @param {boolean} resumed - Add to the stored inventory instead of replacing it
+ */
+async function saveQueryParameters(jobId, parameters, resumed = false) {
+  try {
+    if (!resumed) {
+      await queryWithRetry("DELETE FROM query_parameters WHERE job_id = $1", [
+        jobId,
+      ]);
+    }
+    if (!parameters || parameters.length === 0) {
+      return;
+    }
+    await queryWithRetry(
+      `INSERT INTO query_parameters (job_id, name, action, listed, occurrences, url_count, value_count, sample_values, example_urls)
+       SELECT $1, * FROM unnest($2::text[], $3::text[], $4::boolean[], $5::int[], $6::int[], $7::int[], $8::jsonb[], $9::jsonb[])
+       ON CONFLICT (job_id, name) DO UPDATE SET
+         action = EXCLUDED.action,
+         listed = EXCLUDED.listed,
+         occurrences = query_parameters.occurrences + EXCLUDED.occurrences,
+         url_count = query_parameters.url_count + EXCLUDED.url_count,
+         value_count = GREATEST(query_parameters.value_count, EXCLUDED.value_count)`,
+      [
+        jobId,
+        parameters.map((p) => p.name.slice(0, 255)),
+        parameters.map((p) => p.action),
+        parameters.map((p) => p.listed),
+        parameters.map((p) => p.occurrences),
+        parameters.map((p) => p.url_count),
+        parameters.map((p) => p.value_count),
+        parameters.map((p) => JSON.stringify(p.sample_values)),
+        parameters.map((p) => JSON.stringify(p.example_urls)),
+      ]
+    );
+  } catch (error) {
+    // Ignore foreign key violations (job might have been deleted)
+    if (!error.message.includes("foreign key constraint")) {
+      console.warn(`⚠️ Failed to store query parameters:`, error.message);
+    }
+  }
+}
+
+/**
+ * Load a job's parameter inventory, most widespread parameters first
+ * @returns {Array} Rows in the getParameters() shape
+ */
+async function loadQueryParameters(jobId) {
+  const result = await pool.query(
+    `SELECT name, action, listed, occurrences, url_count, value_count, sample_values, example_urls
+     FROM query_parameters WHERE job_id = $1 ORDER BY url_count DESC, name`,
+    [jobId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  normalizeQueryParamRules,
+  createQueryParamPolicy,
+  createParamInventory,
+  saveQueryParameters,
+  loadQueryParameters,
+};
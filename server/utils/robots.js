@@ -0,0 +1,179 @@
+const robotsParser = require("robots-parser");
+const { pool, queryWithRetry } = require("../db/init");
+
+/**
+ * robots.txt rules: the blocked URL report and the robots.txt tester
+ * URLs the crawler skips because of robots.txt are stored in blocked_urls with the directive
+ * that matched. The tester checks a proposed robots.txt against a finished crawl: crawled pages
+ * it would disallow and blocked URLs it would allow.
+ */
+
+const MAX_TESTER_URLS = 500; // URLs listed per change in a tester result
+const MAX_ROBOTS_LENGTH = 500 * 1024; // Google stops reading robots.txt after 500 KiB
+
+/**
+ * Parse a robots.txt body with robots-parser, keeping its lines to report matching directives
+ * @param {String} robotsUrl - https://host/robots.txt (the rules only apply to this origin)
+ * @returns {Object} { isAllowed, getCrawlDelay, getSitemaps, getMatchingRule }
+ */
+function parseRobotsTxt(robotsUrl, content) {
+  const robots = robotsParser(robotsUrl, content);
+  const lines = String(content).split(/\r?\n/);
+
+  return {
+    // true / false, undefined for URLs of another origin
+    isAllowed: (url, userAgent = "*") => robots.isAllowed(url, userAgent),
+    getCrawlDelay: (userAgent = "*") => robots.getCrawlDelay(userAgent),
+    getSitemaps: () => robots.getSitemaps(),
+    /**
+     * Directive that decides a URL
+     * @returns {Object|null} { line, rule } or null when no directive matches
+     */
+    getMatchingRule: (url, userAgent = "*") => {
+      const line = robots.getMatchingLineNumber(url, userAgent);
+      if (!line || line < 1) {
+        return null;
+      }
+      return { line, rule: (lines[line - 1] || "").split("#")[0].trim() };
+    },
+  };
+}
+
+/**
+ * robots.txt URL of a job's start site
+ */
+function getRobotsUrl(domain) {
+  const baseUrl = domain.startsWith("http") ? domain : `https://${domain}`;
+  return `${new URL(baseUrl).origin}/robots.txt`;
+}
+
+/**
+ * Store a URL skipped because of robots.txt
+ * @param {Object} blocked - { url, parentUrl, depth, rule, line }
+ */
+async function saveBlockedUrl(jobId, { url, parentUrl, depth, rule, line }) {
+  try {
+    await queryWithRetry(
+      `INSERT INTO blocked_urls (job_id, url, parent_url, depth, rule, rule_line)
+       VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (job_id, url) DO NOTHING`,
+      [jobId, url, parentUrl || null, depth ?? null, rule || null, line || null]
+    );
+  } catch (error) {
+    // Ignore foreign key violations (job might have been deleted)
+    if (!error.message.includes("foreign key constraint")) {
+      console.warn(`⚠️ Failed to store blocked URL:`, error.message);
+    }
+  }
+}
+
+/**
+ * Blocked URL report: every blocked URL and the directives ranked by URLs blocked
+ * Each URL was checked against the robots.txt of its own origin (robots_url)
+ * @returns {Object} { total, rules: [{ robots_url, rule, line, urls }], urls: [...] }
+ */
+async function getBlockedUrlReport(jobId) {
+  const result = await pool.query(
+    `SELECT url, parent_url, depth, rule, rule_line FROM blocked_urls
+     WHERE job_id = $1 ORDER BY depth, id`,
+    [jobId]
+  );
+
+  const urls = result.rows.map((row) => ({ ...row, robots_url: getRobotsUrl(row.url) }));
+  const rules = new Map();
+  for (const row of urls) {
+    const key = `${row.robots_url}#${row.rule_line || 0}`;
+    if (!rules.has(key)) {
+      rules.set(key, { robots_url: row.robots_url, rule: row.rule, line: row.rule_line, urls: 0 });
+    }
+    rules.get(key).urls++;
+  }
+
+  return {
+    total: urls.length,
+    rules: [...rules.values()].sort((a, b) => b.urls - a.urls),
+    urls,
+  };
+}
+
+/**
+ * Check a proposed robots.txt against a crawl
+ * Crawled pages were allowed and blocked_urls were disallowed by the robots.txt at crawl time,
+ * so only changes are reported. URLs on other hosts than the start site are not covered.
+ * @param {Object} job - crawl_jobs row (id, domain)
+ * @param {String} robotsTxt - Proposed robots.txt body
+ * @param {String} userAgent - User agent the rules are evaluated for
+ * @returns {Object} { robotsUrl, userAgent, summary, newlyBlocked, newlyUnblocked, rules }
+ */
+async function testRobotsTxt(job, robotsTxt, userAgent = "*") {
+  const robotsUrl = getRobotsUrl(job.domain);
+  const proposed = parseRobotsTxt(robotsUrl, robotsTxt);
+
+  const [pagesResult, blockedResult] = await Promise.all([
+    pool.query(
+      "SELECT url, status_code FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999)",
+      [job.id]
+    ),
+    pool.query(
+      "SELECT url, rule, rule_line FROM blocked_urls WHERE job_id = $1 ORDER BY depth, id",
+      [job.id]
+    ),
+  ]);
+
+  const newlyBlocked = [];
+  const newlyUnblocked = [];
+  const rules = new Map();
+  let notCovered = 0;
+
+  for (const page of pagesResult.rows) {
+    const allowed = proposed.isAllowed(page.url, userAgent);
+    if (allowed === undefined) {
+      notCovered++;
+    } else if (!allowed) {
+      const match = proposed.getMatchingRule(page.url, userAgent);
+      newlyBlocked.push({ url: page.url, status_code: page.status_code, ...match });
+      if (match) {
+        if (!rules.has(match.line)) {
+          rules.set(match.line, { ...match, urls: 0 });
+        }
+        rules.get(match.line).urls++;
+      }
+    }
+  }
+
+  for (const blocked of blockedResult.rows) {
+    const allowed = proposed.isAllowed(blocked.url, userAgent);
+    if (allowed === undefined) {
+      notCovered++;
+    } else if (allowed) {
+      newlyUnblocked.push({
+        url: blocked.url,
+        previous_rule: blocked.rule,
+        ...proposed.getMatchingRule(blocked.url, userAgent),
+      });
+    }
+  }
+
+  return {
+    robotsUrl,
+    userAgent,
+    summary: {
+      crawled_pages: pagesResult.rows.length,
+      blocked_urls: blockedResult.rows.length,
+      newly_blocked: newlyBlocked.length,
+      newly_unblocked: newlyUnblocked.length,
+      not_covered: notCovered,
+    },
+    newlyBlocked: newlyBlocked.slice(0, MAX_TESTER_URLS),
+    newlyUnblocked: newlyUnblocked.slice(0, MAX_TESTER_URLS),
+    rules: [...rules.values()].sort((a, b) => b.urls - a.urls),
+  };
+}
+
+module.exports = {
+  MAX_ROBOTS_LENGTH,
+  parseRobotsTxt,
+  getRobotsUrl,
+  saveBlockedUrl,
+  getBlockedUrlReport,
+  testRobotsTxt,
+};
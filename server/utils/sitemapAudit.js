@@ -0,0 +1,348 @@
+const { pool, queryWithRetry } = require("../db/init");
+
+/**
+ * XML sitemap audit: declared sitemap URLs vs what the crawl found
+ * fetchSitemap returns every parsed file and <url> entry; they are stored per job in
+ * sitemap_files / sitemap_urls and checked against the crawled pages:
+ *  - declared URLs that don't return 200, redirect, are noindex or canonicalize elsewhere
+ *  - crawled indexable pages the sitemap doesn't list
+ *  - <lastmod> values that aren't W3C datetimes or lie in the future
+ *  - files over the protocol limits (50,000 URLs, 50 MB uncompressed)
+ * Declared URLs the crawl didn't fetch (outside maxPages, stored from a large sitemap
+ * without a visit) are counted as not crawled and not judged.
+ */
+
+const MAX_SITEMAP_URLS = 50000;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const FUTURE_LASTMOD_TOLERANCE = 24 * 60 * 60 * 1000; // Time zones of the declaring server
+const INSERT_BATCH_SIZE = 1000;
+
+// W3C datetime: YYYY, YYYY-MM, YYYY-MM-DD or YYYY-MM-DDThh:mm[:ss[.s]]TZD
+const LASTMOD_PATTERN =
+  /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+/**
+ * Key used to match sitemap URLs with page URLs (fragment and trailing slash ignored)
+ */
+function getUrlKey(url) {
+  try {
+    const urlObj = new URL(url);
+    if (!urlObj.hash.startsWith("#/")) {
+      urlObj.hash = "";
+    }
+    return urlObj.href.replace(/\/+(?=$|\?)/, "");
+  } catch {
+    return url;
+  }
+}
+
+function getPath(url) {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.pathname + urlObj.search + (urlObj.hash?.startsWith("#/") ? urlObj.hash : "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Check a <lastmod> value
+ * @returns {string|null} "invalid", "future" or null when fine
+ */
+function validateLastmod(value, now = new Date()) {
+  const match = LASTMOD_PATTERN.exec(value || "");
+  if (!match) {
+    return "invalid";
+  }
+
+  const [, year, month, day, hours, minutes, seconds] = match.map((part) =>
+    part === undefined ? undefined : Number(part)
+  );
+  if (month !== undefined && (month < 1 || month > 12)) {
+    return "invalid";
+  }
+  // Date rolls 2024-02-30 over to March 1st instead of rejecting it
+  if (day !== undefined && new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) {
+    return "invalid";
+  }
+  if (hours !== undefined && (hours > 23 || minutes > 59 || (seconds ?? 0) > 59)) {
+    return "invalid";
+  }
+
+  const timestamp = Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    return "invalid";
+  }
+  if (timestamp > now.getTime() + FUTURE_LASTMOD_TOLERANCE) {
+    return "future";
+  }
+  return null;
+}
+
+/**
+ * Page records that were fetched (sitemap URLs stored without a visit have no page data)
+ */
+function wasFetched(page) {
+  return Boolean(page.pageData || page.redirectChain?.length || page.statusCode !== 200 ||
+    (page.title || "").startsWith("ERROR:"));
+}
+
+function isNoindex(page) {
+  return (page.pageData?.meta?.robots || "").toLowerCase().includes("noindex");
+}
+
+function getCanonicalElsewhere(page) {
+  const canonical = page.pageData?.meta?.canonical;
+  return canonical && getUrlKey(canonical) !== getUrlKey(page.url) ? canonical : null;
+}
+
+/**
+ * Cross-reference sitemap data with crawled pages
+ * @param {Array} pages - Page records with url, title, statusCode, redirectChain and pageData (meta)
+ * @param {Object} sitemapData - { files, entries, fetchedAt } from loadSitemapAudit
+ * @param {Date} now - Reference time for future lastmod values (when the sitemap was read)
+ * @returns {Object} { summary, issues: { non_200, redirected, noindex, canonicalized, missing,
+ *   invalid_lastmod, future_lastmod, oversized } }
+ */
+function auditSitemap(
+  pages,
+  sitemapData,
+  now = sitemapData?.fetchedAt ? new Date(sitemapData.fetchedAt) : new Date()
+) {
+  const issues = {
+    non_200: [],
+    redirected: [],
+    noindex: [],
+    canonicalized: [],
+    missing: [],
+    invalid_lastmod: [],
+    future_lastmod: [],
+    oversized: [],
+  };
+  const files = sitemapData?.files || [];
+  const entries = sitemapData?.entries || [];
+  const summary = {
+    sitemaps: files.length,
+    declared_urls: entries.length,
+    crawled: 0,
+    not_crawled: 0,
+  };
+
+  for (const file of files) {
+    const problems = [];
+    if (file.url_count > MAX_SITEMAP_URLS) {
+      problems.push(`${file.url_count} ${file.type === "index" ? "sitemaps" : "URLs"} (limit ${MAX_SITEMAP_URLS})`);
+    }
+    if (file.bytes > MAX_SITEMAP_BYTES) {
+      problems.push(`${(file.bytes / 1024 / 1024).toFixed(1)} MB uncompressed (limit 50 MB)`);
+    }
+    if (problems.length > 0) {
+      issues.oversized.push({
+        path: getPath(file.url),
+        url: file.url,
+        url_count: file.url_count,
+        bytes: Number(file.bytes),
+        problem: problems.join(", "),
+      });
+    }
+  }
+
+  const pagesByKey = new Map();
+  for (const page of pages || []) {
+    const key = getUrlKey(page.url);
+    if (!pagesByKey.has(key)) {
+      pagesByKey.set(key, page);
+    }
+  }
+
+  const declared = new Set();
+  for (const entry of entries) {
+    const key = getUrlKey(entry.url);
+    declared.add(key);
+    const item = { path: getPath(entry.url), url: entry.url, sitemap: entry.sitemap };
+
+    if (entry.lastmod !== null && entry.lastmod !== undefined) {
+      const lastmodProblem = validateLastmod(entry.lastmod, now);
+      if (lastmodProblem) {
+        issues[`${lastmodProblem}_lastmod`].push({
+          ...item,
+          lastmod: entry.lastmod,
+          problem: lastmodProblem === "future"
+            ? `lastmod ${entry.lastmod} is in the future`
+            : `lastmod "${entry.lastmod}" is not a W3C datetime`,
+        });
+      }
+    }
+
+    const page = pagesByKey.get(key);
+    if (!page || !wasFetched(page)) {
+      summary.not_crawled++;
+      continue;
+    }
+    summary.crawled++;
+
+    const chain = page.redirectChain || [];
+    const failed = (page.title || "").startsWith("ERROR:");
+    if (failed || (page.statusCode && page.statusCode !== 200)) {
+      issues.non_200.push({
+        ...item,
+        status_code: page.statusCode || null,
+        problem: page.statusCode ? `Returns ${page.statusCode}` : page.title,
+      });
+      continue;
+    }
+    if (chain.length > 0) {
+      issues.redirected.push({
+        ...item,
+        final_url: chain[chain.length - 1].to,
+        hops: chain.length,
+      });
+      continue;
+    }
+    if (isNoindex(page)) {
+      issues.noindex.push({ ...item, problem: "noindex page listed in the sitemap" });
+    }
+    const canonical = getCanonicalElsewhere(page);
+    if (canonical) {
+      issues.canonicalized.push({ ...item, canonical, problem: `Canonical is ${canonical}` });
+    }
+  }
+
+  // Pages missing from the sitemap, only meaningful when a sitemap was found
+  if (entries.length > 0) {
+    for (const page of pages || []) {
+      const indexable =
+        page.pageData &&
+        (page.statusCode ?? 200) === 200 &&
+        !(page.redirectChain?.length > 0) &&
+        !(page.title || "").startsWith("ERROR:") &&
+        !isNoindex(page) &&
+        !getCanonicalElsewhere(page);
+      if (indexable && !declared.has(getUrlKey(page.url))) {
+        issues.missing.push({
+          path: getPath(page.url),
+          url: page.url,
+          problem: "Indexable page not in sitemap.xml",
+        });
+      }
+    }
+  }
+
+  for (const [type, items] of Object.entries(issues)) {
+    summary[type] = items.length;
+  }
+
+  return { summary, issues };
+}
+
+/**
+ * Store the sitemap files and entries of a crawl (replaces an earlier run's)
+ * @param {Object} sitemapResult - fetchSitemap result with files and entries
+ */
+async function saveSitemapAudit(jobId, { files = [], entries = [] } = {}) {
+  try {
+    await queryWithRetry("DELETE FROM sitemap_files WHERE job_id = $1", [jobId]);
+    await queryWithRetry("DELETE FROM sitemap_urls WHERE job_id = $1", [jobId]);
+
+    if (files.length > 0) {
+      await queryWithRetry(
+        `INSERT INTO sitemap_files (job_id, url, type, url_count, bytes)
+         SELECT $1, * FROM unnest($2::text[], $3::text[], $4::int[], $5::bigint[])
+         ON CONFLICT (job_id, url) DO NOTHING`,
+        [
+          jobId,
+          files.map((f) => f.url),
+          files.map((f) => f.type),
+          files.map((f) => f.url_count),
+          files.map((f) => f.bytes),
+        ]
+      );
+    }
+
+    for (let i = 0; i < entries.length; i += INSERT_BATCH_SIZE) {
+      const batch = entries.slice(i, i + INSERT_BATCH_SIZE);
+      await queryWithRetry(
+        `INSERT INTO sitemap_urls (job_id, url, sitemap_url, lastmod)
+         SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[])
+         ON CONFLICT (job_id, url) DO NOTHING`,
+        [
+          jobId,
+          batch.map((e) => e.url),
+          batch.map((e) => e.sitemap),
+          batch.map((e) => (e.lastmod === null ? null : e.lastmod.slice(0, 100))),
+        ]
+      );
+    }
+  } catch (error) {
+    // Ignore foreign key violations (job might have been deleted)
+    if (!error.message.includes("foreign key constraint")) {
+      console.warn(`⚠️ Failed to store sitemap audit data:`, error.message);
+    }
+  }
+}
+
+/**
+ * Load a job's sitemap files and entries
+ * @returns {Object} { files, entries: [{ url, sitemap, lastmod }], fetchedAt }
+ */
+async function loadSitemapAudit(jobId) {
+  const [filesResult, entriesResult] = await Promise.all([
+    pool.query(
+      "SELECT url, type, url_count, bytes, created_at FROM sitemap_files WHERE job_id = $1 ORDER BY id",
+      [jobId]
+    ),
+    pool.query(
+      "SELECT url, sitemap_url, lastmod FROM sitemap_urls WHERE job_id = $1 ORDER BY id",
+      [jobId]
+    ),
+  ]);
+
+  return {
+    files: filesResult.rows.map(({ created_at, ...file }) => ({
+      ...file,
+      bytes: Number(file.bytes),
+    })),
+    entries: entriesResult.rows.map((row) => ({
+      url: row.url,
+      sitemap: row.sitemap_url,
+      lastmod: row.lastmod,
+    })),
+    fetchedAt: filesResult.rows[0]?.created_at || null,
+  };
+}
+
+/**
+ * Sitemap audit report for a job
+ * Issue lists are unfiltered by the job's rule settings (the issues tab applies those)
+ * @returns {Object} { summary, files, issues }
+ */
+async function getSitemapAuditReport(jobId) {
+  const sitemapData = await loadSitemapAudit(jobId);
+  const pagesResult = await pool.query(
+    `SELECT url, title, status_code, redirect_chain,
+            CASE WHEN page_data IS NULL THEN NULL
+                 ELSE jsonb_build_object('meta', page_data->'meta') END AS page_data
+     FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999)`,
+    [jobId]
+  );
+  const pages = pagesResult.rows.map((row) => ({
+    url: row.url,
+    title: row.title,
+    statusCode: row.status_code,
+    redirectChain: row.redirect_chain,
+    pageData: row.page_data,
+  }));
+
+  const { summary, issues } = auditSitemap(pages, sitemapData);
+  return { summary, files: sitemapData.files, issues };
+}
+
+module.exports = {
+  MAX_SITEMAP_URLS,
+  MAX_SITEMAP_BYTES,
+  validateLastmod,
+  auditSitemap,
+  saveSitemapAudit,
+  loadSitemapAudit,
+  getSitemapAuditReport,
+};
@@ -7,9 +7,10 @@
  * @param {Object} oldSitemap - Original sitemap tree
  * @param {Object} newSitemap - AI-optimized sitemap tree
  * @param {Array} oldPages - Original page records
+ * @param {Array} knownRedirects - Redirects proposed alongside the new sitemap (from/to paths)
  * @returns {Object} Comparison result with changes, redirects, and risks
  */
-function compareSitemaps(oldSitemap, newSitemap, oldPages = []) {
+function compareSitemaps(oldSitemap, newSitemap, oldPages = [], knownRedirects = []) {
   const comparison = {
     comparison_summary: {
       pages_before: oldSitemap._meta?.total_pages || 0,
@@ -48,10 +49,35 @@ function compareSitemaps(oldSitemap, newSitemap, oldPages = []) {
   extractPaths(oldSitemap.tree?.['/'] || {}, '/', oldPaths);
   extractPaths(newSitemap.tree?.['/'] || {}, '/', newPaths);
 
+  const redirectTargets = new Map();
+  for (const redirect of knownRedirects || []) {
+    const from = toPath(redirect.from);
+    const to = toPath(redirect.to);
+    if (from && to && from !== to) {
+      redirectTargets.set(from, { to, reason: redirect.reason });
+    }
+  }
+
   // Find moved paths
   for (const oldPath of oldPaths) {
     // Check if path exists in new structure
     if (!newPaths.has(oldPath)) {
+      const known = redirectTargets.get(oldPath);
+
+      if (known) {
+        // Redirect into a page that already existed merges content
+        const merged = oldPaths.has(known.to);
+        pathMapping.set(oldPath, known.to);
+        comparison.structural_changes.push({
+          type: merged ? 'consolidation' : 'reorganization',
+          from: oldPath,
+          to: known.to,
+          reason: known.reason || (merged ? 'Path consolidated into existing page' : 'Path reorganized for better hierarchy'),
+          risk: getChangeRisk(oldPath, known.to, merged)
+        });
+        continue;
+      }
+
       // Path was moved - try to find similar path
       const pathSegments = oldPath.split('/').filter(s => s);
       const lastSegment = pathSegments[pathSegments.length - 1];
@@ -71,7 +97,8 @@ function compareSitemaps(oldSitemap, newSitemap, oldPages = []) {
           type: 'reorganization',
           from: oldPath,
           to: foundNewPath,
-          reason: 'Path reorganized for better hierarchy'
+          reason: 'Path reorganized for better hierarchy',
+          risk: getChangeRisk(oldPath, foundNewPath, false)
         });
       } else {
         // Path might be consolidated
@@ -79,7 +106,8 @@ function compareSitemaps(oldSitemap, newSitemap, oldPages = []) {
           type: 'consolidation',
           from: oldPath,
           to: null,
-          reason: 'Path consolidated into parent section'
+          reason: 'Path consolidated into parent section',
+          risk: getChangeRisk(oldPath, null, true)
         });
       }
     }
@@ -92,7 +120,19 @@ function compareSitemaps(oldSitemap, newSitemap, oldPages = []) {
         from: oldPath,
         to: newPath,
         status: 301,
-        reason: 'Sitemap restructuring'
+        reason: redirectTargets.get(oldPath)?.reason || 'Sitemap restructuring'
+      });
+    }
+  }
+
+  // Keep proposed redirects for URLs outside the tree (e.g. broken links)
+  for (const [from, { to, reason }] of redirectTargets.entries()) {
+    if (!pathMapping.has(from) && !newPaths.has(from)) {
+      comparison.redirect_map.push({
+        from,
+        to,
+        status: 301,
+        reason: reason || 'Sitemap restructuring'
       });
     }
   }
@@ -142,6 +182,84 @@ function compareSitemaps(oldSitemap, newSitemap, oldPages = []) {
   return comparison;
 }
 
+/**
+ * Normalize a URL or path to a site-relative path
+ * @param {String} value - Absolute URL or path
+ * @returns {String|null} Path (with hash route if present)
+ */
+function toPath(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  try {
+    const urlObj = new URL(value, 'http://placeholder');
+    return urlObj.pathname + (urlObj.hash?.startsWith('#/') ? urlObj.hash : '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Top-level section of a path ('/blog/post' -> '/blog')
+ */
+function getSection(path) {
+  const first = (path || '').split('/').filter(s => s)[0];
+  return first ? `/${first}` : '/';
+}
+
+/**
+ * Risk level for a single structural change
+ * Removing or merging a page loses its URL equity, moving it to another
+ * section changes its context, moves inside a section are mostly cosmetic
+ * @returns {String} 'high', 'medium' or 'low'
+ */
+function getChangeRisk(fromPath, toPath, merged) {
+  if (!toPath || merged) {
+    return 'high';
+  }
+  return getSection(fromPath) === getSection(toPath) ? 'low' : 'medium';
+}
+
+/**
+ * Apply a redirect map to page records to derive the optimized page set
+ * @param {Array} pages - Original page records
+ * @param {Array} redirectMap - Array of { from, to } redirects
+ * @returns {Array} Page records with redirected URLs (duplicates collapsed)
+ */
+function applyRedirectMap(pages, redirectMap = []) {
+  const redirects = new Map();
+  for (const redirect of redirectMap || []) {
+    const from = toPath(redirect.from);
+    if (from && redirect.to) {
+      redirects.set(from, redirect.to);
+    }
+  }
+
+  const seen = new Set();
+  const result = [];
+  for (const page of pages || []) {
+    let url = page.url;
+    const target = redirects.get(toPath(page.url));
+    if (target) {
+      try {
+        url = new URL(target, page.url).href;
+      } catch {
+        // Keep original URL
+      }
+    }
+
+    if (seen.has(url)) {
+      continue;
+    }
+    seen.add(url);
+
+    const depth = (toPath(url) || '/').split('/').filter(s => s).length;
+    result.push(url === page.url ? page : { ...page, url, depth });
+  }
+
+  return result;
+}
+
 /**
  * Generate redirect rules in common formats
  * @param {Array} redirectMap - Array of redirect objects
@@ -168,6 +286,7 @@ function generateRedirectRules(redirectMap, format = 'json') {
 
 module.exports = {
   compareSitemaps,
+  applyRedirectMap,
   generateRedirectRules
 };
 
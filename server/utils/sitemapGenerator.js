@@ -1,5 +1,11 @@
 const { pool } = require("../db/init");
 const XLSX = require("xlsx");
+const { detectRedirectIssues } = require("./issueDetector");
+const { getBrokenLinkReport } = require("./brokenLinks");
+const { buildStructuredDataRows } = require("./structuredData");
+const { getHreflangReport, buildHreflangRows } = require("./hreflang");
+const { buildPerformanceRows } = require("./performance");
+const { formatExtractedValue } = require("./extractors");
 
 /**
  * Generate XML sitemap from pages
@@ -205,7 +211,7 @@ function buildTreeText(node, prefix, isLast) {
  * Generate JSON sitemap for architecture redesign
  * Separates working pages from broken links for clean planning
  */
-function generateJSONSitemap(pages) {
+function generateJSONSitemap(pages, extractorNames = []) {
   const workingPages = [];
   const brokenLinks = [];
 
@@ -288,6 +294,12 @@ function generateJSONSitemap(pages) {
         depth: page.depth,
         parentUrl: page.parentUrl,
         originalHref: originalHref,
+        // Custom extractor fields of the job (null when the page had no match)
+        ...(extractorNames.length > 0 && {
+          extracted: Object.fromEntries(
+            extractorNames.map((name) => [name, page.extracted?.[name] ?? null])
+          ),
+        }),
       });
     }
   });
@@ -321,13 +333,71 @@ function calculatePriority(depth) {
   return Math.max(0.1, 1.0 - depth * 0.2).toFixed(1);
 }
 
+/**
+ * One row per redirecting URL for the Excel "Redirects" sheet
+ */
+function buildRedirectRows(pages) {
+  const redirectIssues = detectRedirectIssues(pages);
+  const flagged = new Map();
+  const flag = (url, label) => {
+    flagged.set(url, [...(flagged.get(url) || []), label]);
+  };
+  redirectIssues.chains.forEach((r) => flag(r.url, `Chain (${r.hops} hops)`));
+  redirectIssues.loops.forEach((r) => flag(r.url, "Redirect loop"));
+  redirectIssues.temporary.forEach((r) =>
+    flag(r.url, `Temporary redirect (${r.temporary_statuses.join(", ")})`)
+  );
+  redirectIssues.linked.forEach((r) => flag(r.href, "Linked internally"));
+
+  const rows = pages
+    .filter((page) => page.redirectChain && page.redirectChain.length > 0)
+    .map((page) => {
+      const chain = page.redirectChain;
+      const finalUrl = chain[chain.length - 1].to;
+      return {
+        "Redirecting URL": chain[0].url,
+        Hops: chain.length,
+        "Status Codes": chain.map((hop) => hop.status || hop.type).join(" → "),
+        "Redirect Chain": [...chain.map((hop) => hop.url), finalUrl].join(" → "),
+        "Final URL": finalUrl,
+        "Found On Page": page.parentUrl || "",
+        Issues: [...new Set(flagged.get(chain[0].url) || [])].join("; "),
+      };
+    });
+
+  // Loops the browser gave up on have no recorded chain
+  redirectIssues.loops
+    .filter((r) => r.hops === 0)
+    .forEach((r) => {
+      rows.push({
+        "Redirecting URL": r.url,
+        Hops: "",
+        "Status Codes": "",
+        "Redirect Chain": "",
+        "Final URL": "",
+        "Found On Page": "",
+        Issues: "Redirect loop (too many redirects)",
+      });
+    });
+
+  return rows;
+}
+
 /**
  * Generate Excel sitemap from pages with hierarchical structure
  * For sitemap architecture redesign:
  * - Sheet 1: "Sitemap" - Clean hierarchy of working pages only
  * - Sheet 2: "Broken Links" - 404s and errors to fix/redirect
+ * - Sheet 3: "Sitemap URLs" - Same hierarchy with URLs
+ * - Sheet 4: "Redirects" - Redirect chains and their problems
+ * - Sheet 5: "Broken Link Sources" - Every link to a broken URL with its anchor text
+ * - Sheet 6: "Structured Data" - Schema.org items per page with validation errors
+ * - Sheet 7: "Hreflang" - Alternate language annotations and their problems
+ * - Sheet 8: "Performance" - Lab metrics per page (jobs run with collectPerformance)
+ * @param {Object} brokenLinkReport - Optional report from getBrokenLinkReport
+ * @param {Object} hreflangReport - Optional report from getHreflangReport
  */
-function generateExcelSitemap(pages, baseUrl) {
+function generateExcelSitemap(pages, baseUrl, brokenLinkReport = null, hreflangReport = null, extractorNames = []) {
   // Separate working pages from error pages
   const workingPages = [];
   const brokenLinks = [];
@@ -405,6 +475,7 @@ function generateExcelSitemap(pages, baseUrl) {
         title: cleanTitle,
         depth: page.depth,
         parentUrl: page.parentUrl || "",
+        extracted: page.extracted || null,
       });
     }
   });
@@ -493,6 +564,11 @@ function generateExcelSitemap(pages, baseUrl) {
     else if (depth === 5) row["6th Level Subpage"] = page.title;
     else if (depth >= 6) row["7th Level Subpage"] = page.title;
 
+    // Custom extractor fields as extra columns
+    extractorNames.forEach((name) => {
+      row[name] = formatExtractedValue(page.extracted?.[name]);
+    });
+
     return row;
   });
 
@@ -534,6 +610,7 @@ function generateExcelSitemap(pages, baseUrl) {
     { wch: 40 }, // 7th level
     { wch: 60 }, // URL
     { wch: 30 }, // Notes
+    ...extractorNames.map(() => ({ wch: 30 })), // Extractor fields
   ];
   XLSX.utils.book_append_sheet(workbook, sitemapSheet, "Sitemap");
 
@@ -651,6 +728,104 @@ function generateExcelSitemap(pages, baseUrl) {
   ];
   XLSX.utils.book_append_sheet(workbook, sitemapUrlsSheet, "Sitemap URLs");
 
+  // Sheet 4: Redirects (if any) - every redirect chain with its problems
+  const redirectRows = buildRedirectRows(pages);
+  if (redirectRows.length > 0) {
+    const redirectsSheet = XLSX.utils.json_to_sheet(redirectRows);
+    redirectsSheet["!cols"] = [
+      { wch: 60 }, // Redirecting URL
+      { wch: 6 }, // Hops
+      { wch: 20 }, // Status Codes
+      { wch: 100 }, // Redirect Chain
+      { wch: 60 }, // Final URL
+      { wch: 60 }, // Found On Page
+      { wch: 40 }, // Issues
+    ];
+    XLSX.utils.book_append_sheet(workbook, redirectsSheet, "Redirects");
+  }
+
+  // Sheet 5: Broken Link Sources (if any) - one row per link pointing at a broken URL
+  const brokenSourceRows = (brokenLinkReport?.broken || []).flatMap((broken) =>
+    broken.sources.map((source) => ({
+      "Broken URL": broken.url,
+      "Error Type": broken.error_type,
+      "Source Page": source.source_url,
+      "Anchor Text": source.anchor_text || "",
+      Href: source.href || "",
+      Position: source.position || "",
+      Rel: source.rel || "",
+    }))
+  );
+  if (brokenSourceRows.length > 0) {
+    const brokenSourcesSheet = XLSX.utils.json_to_sheet(brokenSourceRows);
+    brokenSourcesSheet["!cols"] = [
+      { wch: 60 }, // Broken URL
+      { wch: 20 }, // Error Type
+      { wch: 60 }, // Source Page
+      { wch: 40 }, // Anchor Text
+      { wch: 40 }, // Href
+      { wch: 10 }, // Position
+      { wch: 20 }, // Rel
+    ];
+    XLSX.utils.book_append_sheet(
+      workbook,
+      brokenSourcesSheet,
+      "Broken Link Sources"
+    );
+  }
+
+  // Sheet 6: Structured Data (if any) - one row per JSON-LD / microdata / RDFa item
+  const structuredDataRows = buildStructuredDataRows(pages);
+  if (structuredDataRows.length > 0) {
+    const structuredDataSheet = XLSX.utils.json_to_sheet(structuredDataRows);
+    structuredDataSheet["!cols"] = [
+      { wch: 60 }, // URL
+      { wch: 10 }, // Format
+      { wch: 25 }, // Type
+      { wch: 10 }, // Status
+      { wch: 60 }, // Errors
+      { wch: 60 }, // Warnings
+    ];
+    XLSX.utils.book_append_sheet(workbook, structuredDataSheet, "Structured Data");
+  }
+
+  // Sheet 7: Hreflang (if any) - one row per annotation (html, Link header or sitemap.xml)
+  const hreflangRows = hreflangReport
+    ? buildHreflangRows(hreflangReport.links, hreflangReport.issues)
+    : [];
+  if (hreflangRows.length > 0) {
+    const hreflangSheet = XLSX.utils.json_to_sheet(hreflangRows);
+    hreflangSheet["!cols"] = [
+      { wch: 60 }, // Page URL
+      { wch: 12 }, // hreflang
+      { wch: 60 }, // Target URL
+      { wch: 20 }, // Sources
+      { wch: 10 }, // x-default
+      { wch: 60 }, // Problems
+    ];
+    XLSX.utils.book_append_sheet(workbook, hreflangSheet, "Hreflang");
+  }
+
+  // Sheet 8: Performance (if measured) - one row per page, slowest LCP first
+  const performanceRows = buildPerformanceRows(pages).sort(
+    (a, b) => (Number(b["LCP (ms)"]) || 0) - (Number(a["LCP (ms)"]) || 0)
+  );
+  if (performanceRows.length > 0) {
+    const performanceSheet = XLSX.utils.json_to_sheet(performanceRows);
+    performanceSheet["!cols"] = [
+      { wch: 60 }, // URL
+      { wch: 20 }, // Section
+      { wch: 10 }, // TTFB
+      { wch: 12 }, // DOMContentLoaded
+      { wch: 10 }, // Load
+      { wch: 10 }, // LCP
+      { wch: 8 }, // CLS
+      { wch: 10 }, // Requests
+      { wch: 12 }, // Transfer
+    ];
+    XLSX.utils.book_append_sheet(workbook, performanceSheet, "Performance");
+  }
+
   // Generate Excel file buffer
   const excelBuffer = XLSX.write(workbook, {
     type: "buffer",
@@ -668,12 +843,12 @@ async function getSitemap(jobId, format = "json") {
   // Sequence number maintains the order pages were found in HTML (top to bottom)
   // Fallback to crawled_at for backward compatibility with old data
   const pagesResult = await pool.query(
-    "SELECT url, title, depth, parent_url, original_href FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999), crawled_at",
+    "SELECT url, title, status_code, depth, parent_url, original_href, redirect_chain, page_data->'structured_data' AS structured_data, page_data->'performance' AS performance, page_data->'extracted' AS extracted FROM pages WHERE job_id = $1 ORDER BY depth, COALESCE(sequence, 999999), crawled_at",
     [jobId]
   );
 
   const jobResult = await pool.query(
-    "SELECT domain FROM crawl_jobs WHERE id = $1",
+    "SELECT domain, options FROM crawl_jobs WHERE id = $1",
     [jobId]
   );
 
@@ -688,10 +863,18 @@ async function getSitemap(jobId, format = "json") {
   const pages = pagesResult.rows.map((row) => ({
     url: row.url,
     title: row.title,
+    statusCode: row.status_code,
     depth: row.depth,
     parentUrl: row.parent_url,
     originalHref: row.original_href || null,
+    redirectChain: row.redirect_chain || null,
+    structuredData: row.structured_data || null,
+    performance: row.performance || null,
+    extracted: row.extracted || null,
   }));
+  const extractorNames = (jobResult.rows[0].options?.extractors || []).map(
+    (extractor) => extractor.name
+  );
 
   switch (format.toLowerCase()) {
     case "xml":
@@ -702,7 +885,13 @@ async function getSitemap(jobId, format = "json") {
       };
     case "excel":
       return {
-        content: generateExcelSitemap(pages, baseUrl),
+        content: generateExcelSitemap(
+          pages,
+          baseUrl,
+          await getBrokenLinkReport(jobId),
+          await getHreflangReport(jobId),
+          extractorNames
+        ),
         contentType:
           "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
         filename: `sitemap-${jobId}.xlsx`,
@@ -716,7 +905,7 @@ async function getSitemap(jobId, format = "json") {
     case "json":
     default:
       return {
-        content: JSON.stringify(generateJSONSitemap(pages), null, 2),
+        content: JSON.stringify(generateJSONSitemap(pages, extractorNames), null, 2),
         contentType: "application/json",
         filename: `sitemap-${jobId}.json`,
       };
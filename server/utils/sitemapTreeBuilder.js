@@ -41,7 +41,8 @@ function buildCanonicalSitemapTree(pages) {
   function getNormalizedPath(url) {
     try {
       const urlObj = new URL(url);
-      let path = urlObj.pathname;
+      // Query parameters kept by the job's rules make pages of their own
+      let path = urlObj.pathname + urlObj.search;
       // Preserve hash routes
       if (urlObj.hash && urlObj.hash.startsWith('#/')) {
         path = path + urlObj.hash;
@@ -0,0 +1,356 @@
+/**
+ * Structured data validation and reporting
+ * Items come from the crawler as plain { "@type", property: value } objects for all three
+ * formats (JSON-LD, microdata, RDFa) and are checked against the properties Google needs
+ * for rich results of common schema.org types.
+ */
+
+const LOCAL_BUSINESS_TYPES = [
+  "LocalBusiness",
+  "Restaurant",
+  "Store",
+  "Dentist",
+  "MedicalBusiness",
+  "AutoRepair",
+  "LegalService",
+  "RealEstateAgent",
+  "FoodEstablishment",
+  "HealthAndBeautyBusiness",
+  "HomeAndConstructionBusiness",
+  "LodgingBusiness",
+  "ProfessionalService",
+];
+
+/**
+ * Checks per schema.org type
+ * - required: missing properties are errors
+ * - oneOf: at least one property of each group must be set (error)
+ * - recommended: missing properties are warnings
+ * - check(item, report): extra checks on nested values
+ */
+const SCHEMA_RULES = {
+  Product: {
+    types: ["Product"],
+    required: ["name"],
+    oneOf: [["offers", "review", "aggregateRating"]],
+    recommended: ["image", "description", "sku", "brand"],
+    check: (item, report) => {
+      for (const offer of toArray(item.offers)) {
+        if (!isObject(offer)) continue;
+        const isAggregate = getTypes(offer).includes("AggregateOffer");
+        if (!hasValue(isAggregate ? offer.lowPrice : offer.price) && !hasValue(offer.priceSpecification)) {
+          report.error(`offers: missing ${isAggregate ? "lowPrice" : "price"}`);
+        }
+        if (!hasValue(offer.priceCurrency) && !hasValue(offer.priceSpecification)) {
+          report.error("offers: missing priceCurrency");
+        }
+        if (!hasValue(offer.availability)) {
+          report.warning("offers: missing availability");
+        }
+      }
+    },
+  },
+  Article: {
+    types: ["Article", "NewsArticle", "BlogPosting", "TechArticle", "ScholarlyArticle"],
+    required: ["headline", "author", "datePublished"],
+    recommended: ["image", "dateModified"],
+    check: (item, report) => {
+      if (typeof item.headline === "string" && item.headline.length > 110) {
+        report.warning("headline is longer than 110 characters");
+      }
+    },
+  },
+  BreadcrumbList: {
+    types: ["BreadcrumbList"],
+    required: ["itemListElement"],
+    check: (item, report) => {
+      const elements = toArray(item.itemListElement);
+      elements.forEach((element, index) => {
+        if (!isObject(element)) {
+          report.error(`itemListElement ${index + 1}: must be a ListItem`);
+          return;
+        }
+        const name = element.name ?? element.item?.name;
+        if (!hasValue(element.position)) {
+          report.error(`itemListElement ${index + 1}: missing position`);
+        }
+        if (!hasValue(name)) {
+          report.error(`itemListElement ${index + 1}: missing name`);
+        }
+        // The last crumb (current page) may omit its URL
+        if (!hasValue(element.item) && index < elements.length - 1) {
+          report.error(`itemListElement ${index + 1}: missing item (URL)`);
+        }
+      });
+    },
+  },
+  Organization: {
+    types: ["Organization", "Corporation", "NGO", "EducationalOrganization", "OnlineBusiness"],
+    required: ["name", "url"],
+    recommended: ["logo", "sameAs"],
+  },
+  FAQPage: {
+    types: ["FAQPage"],
+    required: ["mainEntity"],
+    check: (item, report) => {
+      toArray(item.mainEntity).forEach((question, index) => {
+        if (!isObject(question)) {
+          report.error(`mainEntity ${index + 1}: must be a Question`);
+          return;
+        }
+        if (!hasValue(question.name)) {
+          report.error(`mainEntity ${index + 1}: Question missing name`);
+        }
+        const answer = toArray(question.acceptedAnswer)[0];
+        if (!isObject(answer) || !hasValue(answer.text)) {
+          report.error(`mainEntity ${index + 1}: missing acceptedAnswer.text`);
+        }
+      });
+    },
+  },
+  LocalBusiness: {
+    types: LOCAL_BUSINESS_TYPES,
+    required: ["name", "address"],
+    recommended: ["telephone", "geo", "url"],
+    check: (item, report) => {
+      if (!hasValue(item.openingHoursSpecification) && !hasValue(item.openingHours)) {
+        report.warning("missing recommended property openingHoursSpecification");
+      }
+      const address = toArray(item.address)[0];
+      if (isObject(address)) {
+        for (const key of ["streetAddress", "addressLocality", "postalCode", "addressCountry"]) {
+          if (!hasValue(address[key])) {
+            report.warning(`address: missing ${key}`);
+          }
+        }
+      }
+    },
+  },
+};
+
+function toArray(value) {
+  if (value === null || value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.some(hasValue);
+  if (typeof value === "string") return value.trim().length > 0;
+  return value !== null && value !== undefined;
+}
+
+/**
+ * schema.org types of an item without the vocabulary prefix
+ */
+function getTypes(item) {
+  return toArray(item?.["@type"]).map((type) =>
+    String(type)
+      .replace(/^https?:\/\/schema\.org\//i, "")
+      .replace(/^schema:/i, "")
+  );
+}
+
+/**
+ * Rule key (Product, Article, ...) for an item, or null for types we don't validate
+ */
+function getRuleKey(types) {
+  for (const [key, rule] of Object.entries(SCHEMA_RULES)) {
+    if (types.some((type) => rule.types.includes(type))) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate one item against its type rules
+ * @returns {Object} { type, rule, errors, warnings }
+ */
+function validateItem(item) {
+  const types = getTypes(item);
+  const ruleKey = getRuleKey(types);
+  const errors = [];
+  const warnings = [];
+
+  if (types.length === 0) {
+    errors.push("missing @type");
+  }
+
+  const rule = ruleKey ? SCHEMA_RULES[ruleKey] : null;
+  if (rule) {
+    for (const property of rule.required || []) {
+      if (!hasValue(item[property])) {
+        errors.push(`missing required property ${property}`);
+      }
+    }
+    for (const group of rule.oneOf || []) {
+      if (!group.some((property) => hasValue(item[property]))) {
+        errors.push(`needs one of ${group.join(", ")}`);
+      }
+    }
+    for (const property of rule.recommended || []) {
+      if (!hasValue(item[property])) {
+        warnings.push(`missing recommended property ${property}`);
+      }
+    }
+    if (rule.check) {
+      rule.check(item, {
+        error: (message) => errors.push(message),
+        warning: (message) => warnings.push(message),
+      });
+    }
+  }
+
+  return {
+    type: types.join(", ") || "Unknown",
+    rule: ruleKey,
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Validate the structured data extracted from a page
+ * @param {Object} extracted - { items: [{ format, data }], parseErrors: [{ format, message }] }
+ * @returns {Object} Stored as page_data.structured_data
+ */
+function validateStructuredData(extracted) {
+  const items = (extracted?.items || []).map(({ format, data }) => ({
+    format,
+    ...validateItem(data),
+  }));
+  const parseErrors = extracted?.parseErrors || [];
+
+  return {
+    items,
+    types: [...new Set(items.map((item) => item.type))],
+    error_count:
+      items.reduce((sum, item) => sum + item.errors.length, 0) + parseErrors.length,
+    warning_count: items.reduce((sum, item) => sum + item.warnings.length, 0),
+    parse_errors: parseErrors,
+  };
+}
+
+/**
+ * Site-wide report from pages with page_data.structured_data
+ * @param {Array} pages - [{ url, structuredData }]
+ * @returns {Object} { summary, types, pages, errors }
+ */
+function buildStructuredDataReport(pages) {
+  const types = new Map();
+  const pageRows = [];
+  const errors = [];
+
+  for (const page of pages) {
+    const data = page.structuredData;
+    if (!data || (data.items.length === 0 && data.parse_errors.length === 0)) {
+      continue;
+    }
+
+    pageRows.push({
+      url: page.url,
+      types: data.types,
+      items: data.items.length,
+      errors: data.error_count,
+      warnings: data.warning_count,
+    });
+
+    for (const parseError of data.parse_errors) {
+      errors.push({
+        url: page.url,
+        type: null,
+        format: parseError.format,
+        severity: "error",
+        message: parseError.message,
+      });
+    }
+
+    for (const item of data.items) {
+      const entry = types.get(item.type) || {
+        type: item.type,
+        validated: item.rule !== null,
+        pages: new Set(),
+        items: 0,
+        valid: 0,
+        invalid: 0,
+        warnings: 0,
+        formats: {},
+      };
+      entry.pages.add(page.url);
+      entry.items++;
+      entry.formats[item.format] = (entry.formats[item.format] || 0) + 1;
+      if (item.errors.length > 0) {
+        entry.invalid++;
+      } else {
+        entry.valid++;
+      }
+      entry.warnings += item.warnings.length;
+      types.set(item.type, entry);
+
+      for (const message of item.errors) {
+        errors.push({ url: page.url, type: item.type, format: item.format, severity: "error", message });
+      }
+      for (const message of item.warnings) {
+        errors.push({ url: page.url, type: item.type, format: item.format, severity: "warning", message });
+      }
+    }
+  }
+
+  const typeRows = [...types.values()]
+    .map((entry) => ({ ...entry, pages: entry.pages.size }))
+    .sort((a, b) => b.items - a.items);
+
+  return {
+    summary: {
+      pages_with_structured_data: pageRows.length,
+      items: typeRows.reduce((sum, t) => sum + t.items, 0),
+      invalid_items: typeRows.reduce((sum, t) => sum + t.invalid, 0),
+      errors: errors.filter((e) => e.severity === "error").length,
+      warnings: errors.filter((e) => e.severity === "warning").length,
+    },
+    types: typeRows,
+    pages: pageRows,
+    errors,
+  };
+}
+
+/**
+ * Excel rows: one row per structured data item
+ */
+function buildStructuredDataRows(pages) {
+  const rows = [];
+  for (const page of pages) {
+    for (const item of page.structuredData?.items || []) {
+      rows.push({
+        URL: page.url,
+        Format: item.format,
+        Type: item.type,
+        Status: item.errors.length > 0 ? "Invalid" : item.warnings.length > 0 ? "Warnings" : "Valid",
+        Errors: item.errors.join("; "),
+        Warnings: item.warnings.join("; "),
+      });
+    }
+    for (const parseError of page.structuredData?.parse_errors || []) {
+      rows.push({
+        URL: page.url,
+        Format: parseError.format,
+        Type: "",
+        Status: "Invalid",
+        Errors: parseError.message,
+        Warnings: "",
+      });
+    }
+  }
+  return rows;
+}
+
+module.exports = {
+  SCHEMA_RULES,
+  validateStructuredData,
+  buildStructuredDataReport,
+  buildStructuredDataRows,
+};
@@ -0,0 +1,118 @@
+/**
+ * URL list mode: audit a fixed list of URLs without following links
+ * The list comes as a URL array and/or the text of an uploaded CSV/TXT file.
+ * In a file, each line contributes its first http(s) URL (quoted CSV cells may contain commas),
+ * lines without one (headers, blanks) are skipped.
+ */
+
+const CRAWL_MODES = ["crawl", "list"];
+const MAX_LIST_URLS = 10000;
+
+const QUOTED_URL_PATTERN = /"(https?:\/\/[^"]+)"/i;
+const URL_PATTERN = /https?:\/\/[^\s,;"'\t]+/i;
+
+/**
+ * Normalize one listed URL (fragments dropped unless they are hash routes)
+ * @returns {String|null}
+ */
+function normalizeListUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return null;
+    }
+    if (!url.hash.startsWith("#/")) {
+      url.hash = "";
+    }
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract URLs from the text of a CSV or TXT file
+ * @returns {Object} { urls, skipped } skipped = non-empty lines without a URL
+ */
+function parseUrlFile(text) {
+  const urls = [];
+  let skipped = 0;
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const match = line.match(QUOTED_URL_PATTERN) || line.match(URL_PATTERN);
+    const url = match ? normalizeListUrl(match[1] || match[0]) : null;
+    if (url) {
+      urls.push(url);
+    } else {
+      skipped++;
+    }
+  }
+  return { urls, skipped };
+}
+
+/**
+ * Validate a URL list from a request body and group it into one job per origin
+ * @param {Object} options - { urls: [], urlFile: "file text" }
+ * @returns {Object} { groups: [{ domain, urls }], total, skipped }
+ * @throws {Error} When the list is empty, too long or has invalid URLs
+ */
+function normalizeUrlList({ urls = null, urlFile = null } = {}) {
+  if (urls !== null && urls !== undefined && !Array.isArray(urls)) {
+    throw new Error("urls must be an array");
+  }
+  if (urlFile !== null && urlFile !== undefined && typeof urlFile !== "string") {
+    throw new Error("urlFile must be the text of a CSV or TXT file");
+  }
+
+  const listed = [];
+  for (const value of urls || []) {
+    const url = normalizeListUrl(value);
+    if (!url) {
+      throw new Error(`Invalid URL in list: ${String(value).slice(0, 200)}`);
+    }
+    listed.push(url);
+  }
+
+  const file = urlFile ? parseUrlFile(urlFile) : { urls: [], skipped: 0 };
+  listed.push(...file.urls);
+
+  const unique = [...new Set(listed)];
+  if (unique.length === 0) {
+    throw new Error(
+      urlFile
+        ? "No http(s) URLs found in the uploaded file"
+        : "List mode needs a urls array or an uploaded urlFile"
+    );
+  }
+  if (unique.length > MAX_LIST_URLS) {
+    throw new Error(
+      `At most ${MAX_LIST_URLS} URLs are allowed in a list (got ${unique.length})`
+    );
+  }
+
+  // One job per origin keeps robots.txt, throttling and internal links per site
+  const groups = new Map();
+  for (const url of unique) {
+    const origin = new URL(url).origin;
+    if (!groups.has(origin)) {
+      groups.set(origin, []);
+    }
+    groups.get(origin).push(url);
+  }
+
+  return {
+    groups: [...groups.entries()].map(([domain, groupUrls]) => ({
+      domain,
+      urls: groupUrls,
+    })),
+    total: unique.length,
+    skipped: file.skipped,
+  };
+}
+
+module.exports = {
+  CRAWL_MODES,
+  MAX_LIST_URLS,
+  parseUrlFile,
+  normalizeUrlList,
+};
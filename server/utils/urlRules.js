@@ -0,0 +1,136 @@
+/**
+ * Per-job include/exclude URL rules
+ * Patterns are matched against the URL path plus query string ("/blog/post?page=2")
+ *  - Glob (default): "*" matches within one path segment, "**" matches anything,
+ *    a trailing "/**" also matches the folder itself ("/blog/**" matches "/blog")
+ *  - Regex: prefix with "re:" ("re:^/products/\d+$"), tested case-insensitively
+ * Globs match the whole path, or the whole path + query, so "/search" also skips "/search?q=x",
+ * globs without a leading "/" match at any depth ("*.php")
+ */
+
+const { compileUserRegex } = require("./userRegex");
+
+/**
+ * Convert a glob pattern to an anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = "";
+  let i = 0;
+
+  while (i < glob.length) {
+    if (glob.startsWith("/**", i) && i + 3 === glob.length) {
+      source += "(?:/.*)?";
+      i += 3;
+    } else if (glob.startsWith("**", i)) {
+      source += ".*";
+      i += 2;
+    } else if (glob[i] === "*") {
+      source += "[^/?]*";
+      i += 1;
+    } else {
+      source += glob[i].replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+      i += 1;
+    }
+  }
+
+  return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Compile a single pattern
+ * Regex rules run against every discovered URL, so they go through the same guard as
+ * custom issue rules (see utils/userRegex.js)
+ * @throws {Error} When a regex pattern is invalid or unsafe
+ */
+function compilePattern(pattern) {
+  const trimmed = String(pattern).trim();
+
+  if (trimmed.startsWith("re:")) {
+    try {
+      return { pattern: trimmed, regex: compileUserRegex(trimmed.slice(3), "i"), glob: false };
+    } catch (error) {
+      throw new Error(`Invalid regex URL rule "${trimmed}": ${error.message}`);
+    }
+  }
+
+  // Globs without a leading "/" match at any depth ("*.php" -> "**/*.php")
+  const glob = trimmed.startsWith("/") || trimmed.startsWith("**") ? trimmed : `**/${trimmed}`;
+  return { pattern: trimmed, regex: globToRegExp(glob), glob: true };
+}
+
+/**
+ * Normalize user input (array or one-pattern-per-line string) to a pattern list
+ */
+function toPatternList(value) {
+  if (!value) {
+    return [];
+  }
+  const list = Array.isArray(value) ? value : String(value).split("\n");
+  return list.map((p) => String(p).trim()).filter((p) => p);
+}
+
+/**
+ * Validate and normalize URL rules from a request body
+ * @param {Object} urlRules - { include, exclude } as arrays or text
+ * @returns {Object|null} { include: [], exclude: [] } or null when no rules are set
+ * @throws {Error} When a pattern can't be compiled
+ */
+function normalizeUrlRules(urlRules) {
+  if (!urlRules) {
+    return null;
+  }
+
+  const include = toPatternList(urlRules.include);
+  const exclude = toPatternList(urlRules.exclude);
+  [...include, ...exclude].forEach(compilePattern);
+
+  if (include.length === 0 && exclude.length === 0) {
+    return null;
+  }
+  return { include, exclude };
+}
+
+/**
+ * Create a matcher for a job's URL rules
+ * @param {Object} urlRules - { include: [], exclude: [] }
+ * @returns {Function} (url) => true when the URL may be crawled
+ */
+function createUrlFilter(urlRules) {
+  const include = toPatternList(urlRules?.include).map(compilePattern);
+  const exclude = toPatternList(urlRules?.exclude).map(compilePattern);
+
+  if (include.length === 0 && exclude.length === 0) {
+    return () => true;
+  }
+
+  const matches = (rule, path, pathWithQuery) =>
+    rule.glob
+      ? rule.regex.test(path) || rule.regex.test(pathWithQuery)
+      : rule.regex.test(pathWithQuery);
+
+  return (url) => {
+    let path;
+    let pathWithQuery;
+    try {
+      const urlObj = new URL(url);
+      path = urlObj.pathname;
+      // Hash routes (#/page) are pages of their own for SPAs
+      if (urlObj.hash.startsWith("#/")) {
+        path += urlObj.hash;
+      }
+      pathWithQuery = path + urlObj.search;
+    } catch {
+      return false;
+    }
+
+    if (include.length > 0 && !include.some((rule) => matches(rule, path, pathWithQuery))) {
+      return false;
+    }
+    return !exclude.some((rule) => matches(rule, path, pathWithQuery));
+  };
+}
+
+module.exports = {
+  normalizeUrlRules,
+  createUrlFilter,
+};
@@ -0,0 +1,123 @@
+/**
+ * Guard for user-supplied regexes (custom issue rules, regex extractors, regex URL rules)
+ * They run in the crawl worker against every page, so a pattern with catastrophic
+ * backtracking ((a+)+$ on page HTML) would stall every job on the worker. Patterns are
+ * capped in length and repeated groups that contain a quantifier or an alternation are rejected.
+ */
+
+const MAX_PATTERN_LENGTH = 300;
+const ALLOWED_FLAGS = "imsu"; // g and y are ignored, matching decides them
+
+/**
+ * Length of the quantifier at pattern[i] (0 when there is none): +, *, ?, {n}, {n,}, {n,m}
+ */
+function quantifierLength(pattern, i) {
+  if ("+*?".includes(pattern[i])) {
+    return 1;
+  }
+  const braces = pattern[i] === "{" && /^\{\d+(?:,\d*)?\}/.exec(pattern.slice(i));
+  return braces ? braces[0].length : 0;
+}
+
+/**
+ * Whether a quantifier lets its atom repeat (anything but ?, {0,1}, {1})
+ */
+function repeats(quantifier) {
+  return quantifier !== "?" && !/^\{[01](?:,[01]?)?\}$/.test(quantifier);
+}
+
+/**
+ * Whether a repeated group contains a quantifier or an alternation, which lets the
+ * engine split the same input many ways: (a+)+, (\w{2})+, (.*a){12}, (a|aa)+, ((a|b)c)*
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = []; // Per open group: contains a quantifier or alternation
+  let closedComplex = false; // The group just closed contains one
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+      closedComplex = false;
+      continue;
+    }
+    if (inClass) {
+      if (char === "]") inClass = false;
+      continue;
+    }
+    if (char === "[") {
+      inClass = true;
+      closedComplex = false;
+      continue;
+    }
+    if (char === "(") {
+      groups.push(false);
+      closedComplex = false;
+      // (?:, (?=, (?<name> - the ? is not a quantifier
+      if (pattern[i + 1] === "?") i++;
+      continue;
+    }
+    if (char === ")") {
+      closedComplex = groups.pop() === true;
+      if (closedComplex && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      continue;
+    }
+    if (char === "|") {
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      closedComplex = false;
+      continue;
+    }
+
+    const length = quantifierLength(pattern, i);
+    if (length > 0) {
+      const quantifier = pattern.slice(i, i + length);
+      if (closedComplex && repeats(quantifier)) {
+        return true;
+      }
+      if (groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      i += length - 1;
+      // Lazy/possessive suffix of the quantifier
+      if (pattern[i + 1] === "?") i++;
+    }
+    closedComplex = false;
+  }
+  return false;
+}
+
+/**
+ * Validate and compile a user-supplied regex
+ * @param {String} pattern - Regex source
+ * @param {String} flags - User flags (i, m, s, u; g and y are dropped)
+ * @param {String} extraFlags - Flags the caller needs (e.g. "g" for matchAll)
+ * @returns {RegExp}
+ * @throws {Error} When the pattern is too long, risks catastrophic backtracking or is invalid
+ */
+function compileUserRegex(pattern, flags = "", extraFlags = "") {
+  const source = String(pattern);
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const userFlags = String(flags || "").replace(/[gy]/g, "");
+  const invalidFlag = [...userFlags].find((flag) => !ALLOWED_FLAGS.includes(flag));
+  if (invalidFlag) {
+    throw new Error(`flag "${invalidFlag}" is not supported (use ${ALLOWED_FLAGS.split("").join(", ")})`);
+  }
+  if (hasNestedQuantifier(source)) {
+    throw new Error(
+      "repeated groups containing a quantifier or | such as (a+)+ or (a|aa)* are not allowed (catastrophic backtracking)"
+    );
+  }
+  return new RegExp(source, [...new Set(userFlags + extraFlags)].join(""));
+}
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  compileUserRegex,
+};